@@ -15,7 +15,21 @@ const userRoutes = require('./routes/userRoutes');
 const notificationRoutes = require('./routes/notificationRoutes');
 const exampleRoutes = require('./routes/exampleRoutes');
 const uploadRoutes = require('./routes/uploadRoutes');
+const calendarRoutes = require('./routes/calendarRoutes');
+const reminderPolicyRoutes = require('./routes/reminderPolicyRoutes');
+const stageTemplateRoutes = require('./routes/stageTemplateRoutes');
+const limitationRuleRoutes = require('./routes/limitationRuleRoutes');
+const courtHolidayRoutes = require('./routes/courtHolidayRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const fileRoutes = require('./routes/fileRoutes');
+const invoiceRoutes = require('./routes/invoiceRoutes');
+const timeEntryRoutes = require('./routes/timeEntryRoutes');
+const taskRoutes = require('./routes/taskRoutes');
+const conflictCheckRoutes = require('./routes/conflictCheckRoutes');
+const reportRoutes = require('./routes/reportRoutes');
+const analyticsRoutes = require('./routes/analyticsRoutes');
 const errorHandler = require('./middleware/error');
+const { auditContext } = require('./middleware/auditContext');
 const path = require('path');
 const { initializeEmailService } = require('./utils/gmailService');
 const { startCaseStageReminderJob } = require('./utils/caseStageReminderJob');
@@ -25,6 +39,9 @@ const PORT = process.env.PORT || 5004;
 
 app.use(express.json()); 
 
+// Lets audited models attribute changes to the logged-in user
+app.use(auditContext);
+
 // Request logging middleware
 app.use((req, res, next) => {
     console.log(`📡 ${new Date().toISOString()} - ${req.method} ${req.path}`);
@@ -101,10 +118,12 @@ const connectDB = async () => {
 // Connect to the database
 connectDB();
 
-// Initialize default modules after database connection
+// Initialize default modules and migrate stored settings after database connection
 mongoose.connection.once('open', async () => {
     const { initializeDefaultModules } = require('./utils/initializeModules');
     await initializeDefaultModules();
+    const { migrateReminderEmailDelivery } = require('./utils/migrateNotificationPreferences');
+    await migrateReminderEmailDelivery();
     startCaseStageReminderJob();
 });
 
@@ -126,6 +145,19 @@ app.use('/api/users', userRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/example', exampleRoutes);
 app.use('/api/upload', uploadRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/reminder-policies', reminderPolicyRoutes);
+app.use('/api/stage-templates', stageTemplateRoutes);
+app.use('/api/limitation-rules', limitationRuleRoutes);
+app.use('/api/court-holidays', courtHolidayRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/files', fileRoutes);
+app.use('/api/invoices', invoiceRoutes);
+app.use('/api/time-entries', timeEntryRoutes);
+app.use('/api/tasks', taskRoutes);
+app.use('/api/conflict-check', conflictCheckRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/analytics', analyticsRoutes);
 
 // Serve uploaded files
 app.use('/uploads', express.static(path.join(process.cwd(), 'uploads')));
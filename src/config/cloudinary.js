@@ -1,5 +1,5 @@
 // config/cloudinary.js
-// Cloudinary config for client Aadhar card image uploads.
+// Cloudinary config, used by the Cloudinary storage driver (utils/storage) for Aadhar images and case documents.
 // Required in .env:
 //   CLOUDINARY_CLOUD_NAME=xxxxx
 //   CLOUDINARY_API_KEY=xxxxx
@@ -18,7 +18,7 @@ if (cloudName && apiKey && apiSecret) {
         api_secret: apiSecret
     });
 } else {
-    console.warn('Cloudinary env not set (CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY, CLOUDINARY_API_SECRET). Aadhar upload will fail until configured.');
+    console.warn('Cloudinary env not set (CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY, CLOUDINARY_API_SECRET). Cloudinary storage (Aadhar upload, STORAGE_DRIVER=cloudinary) will fail until configured.');
 }
 
 module.exports = cloudinary;
@@ -0,0 +1,189 @@
+// controllers/analyticsController.js
+// Practice analytics for management dashboards (aggregations scoped to the user's organization)
+
+const asyncHandler = require('../middleware/asyncHandler');
+const ErrorResponse = require('../utils/errorResponse');
+const { canAssignModule } = require('../utils/assigneeUtils');
+const { sendEncryptedJson } = require('../utils/responseEncryption');
+const { startOfDay, endOfDay, parseLocalDate } = require('../utils/dateUtils');
+const {
+    getCaseMonthlyTrend,
+    getAdvocateCaseload,
+    getCaseBreakdown,
+    getCaseAgeStats,
+    getWeeklyHearingLoad,
+    getClientStatusCounts,
+    getFeeTotals
+} = require('../utils/analyticsUtils');
+
+/**
+ * Analytics scope from the request: organization, optional ?from=&to= (to includes that whole day) and,
+ * for users who cannot see every record of the module, their own and team records only.
+ * @param {import('express').Request} req
+ * @param {'cases'|'client'} moduleName
+ * @returns {{ scope: Object } | { error: string }}
+ */
+const buildScope = (req, moduleName) => {
+    const { from: fromRaw, to: toRaw } = req.query;
+    const fromDate = fromRaw ? parseLocalDate(fromRaw) : undefined;
+    const toDate = toRaw ? parseLocalDate(toRaw) : undefined;
+    if (fromDate === null || toDate === null) return { error: 'Invalid from/to date' };
+    const from = fromDate && startOfDay(fromDate);
+    const to = toDate && endOfDay(toDate);
+    if (from && to && to < from) return { error: 'to date must be on or after from date' };
+
+    return {
+        scope: {
+            organizationId: req.user.organization._id,
+            from,
+            to,
+            visibleTo: canAssignModule(req.userRole, moduleName) ? undefined : req.user._id
+        }
+    };
+};
+
+const sendAnalytics = (res, scope, data) => sendEncryptedJson(res, 200, {
+    success: true,
+    from: scope.from || null,
+    to: scope.to || null,
+    data
+});
+
+/**
+ * @desc    All dashboard metrics in one response (same from/to for every section)
+ * @route   GET /api/analytics
+ * @access  Private (Requires 'read' permission on 'cases' and 'client' modules)
+ * @query   from?, to?
+ */
+exports.getAnalyticsOverview = asyncHandler(async (req, res, next) => {
+    const cases = buildScope(req, 'cases');
+    const clients = buildScope(req, 'client');
+    if (cases.error || clients.error) {
+        return next(new ErrorResponse(cases.error || clients.error, 400));
+    }
+
+    const [casesPerMonth, caseload, breakdown, caseAge, hearingsPerWeek, clientStatus, fees] = await Promise.all([
+        getCaseMonthlyTrend(cases.scope),
+        getAdvocateCaseload(cases.scope),
+        getCaseBreakdown(cases.scope),
+        getCaseAgeStats(cases.scope),
+        getWeeklyHearingLoad(cases.scope),
+        getClientStatusCounts(clients.scope),
+        getFeeTotals(clients.scope)
+    ]);
+
+    sendAnalytics(res, cases.scope, {
+        casesPerMonth,
+        caseload,
+        ...breakdown,
+        caseAge,
+        hearingsPerWeek,
+        clientStatus,
+        fees
+    });
+});
+
+/**
+ * @desc    Cases opened and closed per month (default: the last 12 months)
+ * @route   GET /api/analytics/cases/monthly
+ * @access  Private (Requires 'read' permission on 'cases' module)
+ * @query   from?, to?
+ */
+exports.getCasesPerMonth = asyncHandler(async (req, res, next) => {
+    const { scope, error } = buildScope(req, 'cases');
+    if (error) {
+        return next(new ErrorResponse(error, 400));
+    }
+
+    sendAnalytics(res, scope, await getCaseMonthlyTrend(scope));
+});
+
+/**
+ * @desc    Active caseload per assigned advocate
+ * @route   GET /api/analytics/cases/caseload
+ * @access  Private (Requires 'read' permission on 'cases' module)
+ * @query   from?, to? (cases opened in the range)
+ */
+exports.getCaseload = asyncHandler(async (req, res, next) => {
+    const { scope, error } = buildScope(req, 'cases');
+    if (error) {
+        return next(new ErrorResponse(error, 400));
+    }
+
+    sendAnalytics(res, scope, await getAdvocateCaseload(scope));
+});
+
+/**
+ * @desc    Cases by caseType, courtPremises and status
+ * @route   GET /api/analytics/cases/breakdown
+ * @access  Private (Requires 'read' permission on 'cases' module)
+ * @query   from?, to? (cases opened in the range)
+ */
+exports.getCasesBreakdown = asyncHandler(async (req, res, next) => {
+    const { scope, error } = buildScope(req, 'cases');
+    if (error) {
+        return next(new ErrorResponse(error, 400));
+    }
+
+    sendAnalytics(res, scope, await getCaseBreakdown(scope));
+});
+
+/**
+ * @desc    Average age of open cases and time to disposal
+ * @route   GET /api/analytics/cases/age
+ * @access  Private (Requires 'read' permission on 'cases' module)
+ * @query   from?, to? (cases opened in the range)
+ */
+exports.getCaseAge = asyncHandler(async (req, res, next) => {
+    const { scope, error } = buildScope(req, 'cases');
+    if (error) {
+        return next(new ErrorResponse(error, 400));
+    }
+
+    sendAnalytics(res, scope, await getCaseAgeStats(scope));
+});
+
+/**
+ * @desc    Upcoming hearing load per week (default: the next 8 weeks)
+ * @route   GET /api/analytics/hearings/weekly
+ * @access  Private (Requires 'read' permission on 'cases' module)
+ * @query   from?, to? (hearing dates)
+ */
+exports.getHearingsPerWeek = asyncHandler(async (req, res, next) => {
+    const { scope, error } = buildScope(req, 'cases');
+    if (error) {
+        return next(new ErrorResponse(error, 400));
+    }
+
+    sendAnalytics(res, scope, await getWeeklyHearingLoad(scope));
+});
+
+/**
+ * @desc    Clients by status
+ * @route   GET /api/analytics/clients/status
+ * @access  Private (Requires 'read' permission on 'client' module)
+ * @query   from?, to? (clients created in the range)
+ */
+exports.getClientsByStatus = asyncHandler(async (req, res, next) => {
+    const { scope, error } = buildScope(req, 'client');
+    if (error) {
+        return next(new ErrorResponse(error, 400));
+    }
+
+    sendAnalytics(res, scope, await getClientStatusCounts(scope));
+});
+
+/**
+ * @desc    Fee totals: agreed fees, invoiced (with GST, paid and outstanding) and payments received
+ * @route   GET /api/analytics/fees
+ * @access  Private (Requires 'read' permission on 'client' module)
+ * @query   from?, to? (client creation, invoice and payment dates)
+ */
+exports.getFees = asyncHandler(async (req, res, next) => {
+    const { scope, error } = buildScope(req, 'client');
+    if (error) {
+        return next(new ErrorResponse(error, 400));
+    }
+
+    sendAnalytics(res, scope, await getFeeTotals(scope));
+});
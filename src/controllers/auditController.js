@@ -0,0 +1,96 @@
+// controllers/auditController.js
+// Audit trail queries (SUPER_ADMIN only)
+
+const AuditLog = require('../models/AuditLog');
+const asyncHandler = require('../middleware/asyncHandler');
+const ErrorResponse = require('../utils/errorResponse');
+const { escapeRegex } = require('../utils/regexUtils');
+
+const ENTITY_TYPES = AuditLog.schema.path('entityType').enumValues;
+const ACTIONS = AuditLog.schema.path('action').enumValues;
+
+// Date-only values (YYYY-MM-DD) for `to` include that whole day
+const parseDateParam = (value, endOfDay) => {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return null;
+    if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(String(value))) {
+        date.setHours(23, 59, 59, 999);
+    }
+    return date;
+};
+
+/**
+ * @desc    List audit log entries for the organization, newest first
+ * @route   GET /api/audit
+ * @access  Private (SUPER_ADMIN only)
+ * @query   entityType (client|case|role|user), entityId, user (who made the change), action,
+ *          field (changed path prefix, e.g. assignedTo or stages), from, to, page, limit
+ */
+exports.getAuditLogs = asyncHandler(async (req, res, next) => {
+    const { entityType, entityId, user, action, field, from, to, page = 1, limit = 50 } = req.query;
+
+    const query = { organization: req.user.organization._id };
+
+    if (entityType) {
+        if (!ENTITY_TYPES.includes(entityType)) {
+            return next(new ErrorResponse(`entityType must be one of: ${ENTITY_TYPES.join(', ')}`, 400));
+        }
+        query.entityType = entityType;
+    }
+    if (entityId) query.entityId = String(entityId);
+    if (user) query.actor = String(user);
+    if (action) {
+        if (!ACTIONS.includes(action)) {
+            return next(new ErrorResponse(`action must be one of: ${ACTIONS.join(', ')}`, 400));
+        }
+        query.action = action;
+    }
+    if (field) {
+        query['changes.path'] = new RegExp(`^${escapeRegex(String(field))}(\\.|$)`);
+    }
+
+    if (from || to) {
+        query.createdAt = {};
+        if (from) {
+            const fromDate = parseDateParam(from, false);
+            if (!fromDate) return next(new ErrorResponse('Invalid from date', 400));
+            query.createdAt.$gte = fromDate;
+        }
+        if (to) {
+            const toDate = parseDateParam(to, true);
+            if (!toDate) return next(new ErrorResponse('Invalid to date', 400));
+            query.createdAt.$lte = toDate;
+        }
+    }
+
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.min(200, Math.max(1, parseInt(limit, 10) || 50));
+    const skip = (pageNum - 1) * limitNum;
+
+    const [logs, total] = await Promise.all([
+        AuditLog.find(query)
+            .populate('actor', 'firstName lastName email')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limitNum)
+            .lean(),
+        AuditLog.countDocuments(query)
+    ]);
+
+    // With a field filter, only return the matching changes of each entry
+    if (field) {
+        const prefix = String(field);
+        for (const log of logs) {
+            log.changes = log.changes.filter((c) => c.path === prefix || c.path.startsWith(`${prefix}.`));
+        }
+    }
+
+    res.status(200).json({
+        success: true,
+        count: logs.length,
+        total,
+        page: pageNum,
+        pages: Math.ceil(total / limitNum),
+        data: logs
+    });
+});
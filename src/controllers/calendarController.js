@@ -0,0 +1,223 @@
+// controllers/calendarController.js
+// Hearing calendar (stage nextDate) as JSON and as subscribable ICS feeds
+
+const crypto = require('crypto');
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const asyncHandler = require('../middleware/asyncHandler');
+const ErrorResponse = require('../utils/errorResponse');
+const { canAssignModule } = require('../utils/assigneeUtils');
+const { sendEncryptedJson } = require('../utils/responseEncryption');
+const { validateOrganizationSubscription } = require('../utils/subscriptionUtils');
+const { getHearingEvents, parseDateRange, buildHearingsIcs } = require('../utils/calendarUtils');
+const { MS_PER_DAY } = require('../utils/dateUtils');
+
+const canViewAllCases = (userRole) => canAssignModule(userRole, 'cases');
+
+// ICS feeds cover recent past + the coming year so calendar apps keep a little history
+const FEED_PAST_DAYS = 30;
+const FEED_FUTURE_DAYS = 365;
+
+const generateFeedToken = () => crypto.randomBytes(24).toString('hex');
+
+const getApiBaseUrl = (req) => (process.env.API_BASE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+
+const buildFeedUrl = (req, scope, token) => `${getApiBaseUrl(req)}/api/calendar/ics/${scope}/${token}.ics`;
+
+const getFeedRange = () => {
+    const now = Date.now();
+    return {
+        from: new Date(now - FEED_PAST_DAYS * MS_PER_DAY),
+        to: new Date(now + FEED_FUTURE_DAYS * MS_PER_DAY)
+    };
+};
+
+const sendIcs = (res, filename, body) => {
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    res.status(200).send(body);
+};
+
+/**
+ * @desc    Get upcoming hearings (stages with nextDate) in a date range
+ * @route   GET /api/calendar?from=&to=&assignedTo=&courtPremises=
+ * @access  Private (Requires 'read' permission on 'cases' module)
+ */
+exports.getCalendarEvents = asyncHandler(async (req, res, next) => {
+    const organizationId = req.user.organization;
+    const userId = req.user._id;
+    const { from: fromRaw, to: toRaw, assignedTo, courtPremises } = req.query;
+
+    const range = parseDateRange(fromRaw, toRaw);
+    if (range.error) {
+        return next(new ErrorResponse(range.error, 400));
+    }
+
+    // Same visibility rule as GET /api/cases: non-assignees only see their own and team cases
+    const canViewAll = canViewAllCases(req.userRole);
+
+    const events = await getHearingEvents({
+        organizationId,
+        from: range.from,
+        to: range.to,
+        assignedTo: canViewAll ? assignedTo : undefined,
+        visibleTo: canViewAll ? undefined : userId,
+        courtPremises
+    });
+
+    sendEncryptedJson(res, 200, {
+        success: true,
+        count: events.length,
+        from: range.from,
+        to: range.to,
+        data: events
+    });
+});
+
+/**
+ * @desc    Get ICS feed URLs for the logged-in user (and organization feed for SUPER_ADMIN)
+ * @route   GET /api/calendar/feeds
+ * @access  Private (Requires 'read' permission on 'cases' module)
+ */
+exports.getCalendarFeeds = asyncHandler(async (req, res, next) => {
+    const user = await User.findById(req.user._id).select('+calendarFeedToken');
+    const data = {
+        userFeedUrl: user && user.calendarFeedToken ? buildFeedUrl(req, 'user', user.calendarFeedToken) : null
+    };
+
+    if (req.userRole && req.userRole.isSuperAdmin) {
+        const organization = await Organization.findById(req.user.organization).select('+calendarFeedToken');
+        data.organizationFeedUrl = organization && organization.calendarFeedToken
+            ? buildFeedUrl(req, 'organization', organization.calendarFeedToken)
+            : null;
+    }
+
+    res.status(200).json({ success: true, data });
+});
+
+/**
+ * @desc    Create (or rotate) the logged-in user's ICS feed token. Old URL stops working.
+ * @route   POST /api/calendar/feeds/user
+ * @access  Private (Requires 'read' permission on 'cases' module)
+ */
+exports.regenerateUserFeed = asyncHandler(async (req, res, next) => {
+    const token = generateFeedToken();
+    await User.updateOne({ _id: req.user._id }, { $set: { calendarFeedToken: token } });
+
+    res.status(200).json({
+        success: true,
+        message: 'Calendar feed URL generated',
+        data: { userFeedUrl: buildFeedUrl(req, 'user', token) }
+    });
+});
+
+/**
+ * @desc    Revoke the logged-in user's ICS feed
+ * @route   DELETE /api/calendar/feeds/user
+ * @access  Private (Requires 'read' permission on 'cases' module)
+ */
+exports.revokeUserFeed = asyncHandler(async (req, res, next) => {
+    await User.updateOne({ _id: req.user._id }, { $unset: { calendarFeedToken: 1 } });
+
+    res.status(200).json({
+        success: true,
+        message: 'Calendar feed URL revoked'
+    });
+});
+
+/**
+ * @desc    Create (or rotate) the organization-wide ICS feed token
+ * @route   POST /api/calendar/feeds/organization
+ * @access  Private (SUPER_ADMIN only)
+ */
+exports.regenerateOrganizationFeed = asyncHandler(async (req, res, next) => {
+    const token = generateFeedToken();
+    const result = await Organization.updateOne({ _id: req.user.organization }, { $set: { calendarFeedToken: token } });
+    if (result.matchedCount === 0) {
+        return next(new ErrorResponse('Organization not found', 404));
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Organization calendar feed URL generated',
+        data: { organizationFeedUrl: buildFeedUrl(req, 'organization', token) }
+    });
+});
+
+/**
+ * @desc    Revoke the organization-wide ICS feed
+ * @route   DELETE /api/calendar/feeds/organization
+ * @access  Private (SUPER_ADMIN only)
+ */
+exports.revokeOrganizationFeed = asyncHandler(async (req, res, next) => {
+    await Organization.updateOne({ _id: req.user.organization }, { $unset: { calendarFeedToken: 1 } });
+
+    res.status(200).json({
+        success: true,
+        message: 'Organization calendar feed URL revoked'
+    });
+});
+
+/**
+ * @desc    Read-only ICS feed of hearings visible to the token's user
+ * @route   GET /api/calendar/ics/user/:token.ics
+ * @access  Public (secret token in URL)
+ */
+exports.getUserIcsFeed = asyncHandler(async (req, res, next) => {
+    const { token } = req.params;
+    if (!token) {
+        return next(new ErrorResponse('Calendar feed not found', 404));
+    }
+
+    const user = await User.findOne({ calendarFeedToken: token, status: 'approved' })
+        .populate('role')
+        .populate('organization');
+    if (!user || !user.organization) {
+        return next(new ErrorResponse('Calendar feed not found', 404));
+    }
+
+    const subscriptionCheck = validateOrganizationSubscription(user.organization);
+    if (!subscriptionCheck.valid) {
+        return next(new ErrorResponse(subscriptionCheck.reason, 403));
+    }
+
+    const events = await getHearingEvents({
+        organizationId: user.organization._id,
+        ...getFeedRange(),
+        visibleTo: canViewAllCases(user.role) ? undefined : user._id
+    });
+
+    const name = `${user.firstName} ${user.lastName} - Hearings`;
+    sendIcs(res, 'hearings.ics', buildHearingsIcs({ name, events }));
+});
+
+/**
+ * @desc    Read-only ICS feed of all hearings in the organization
+ * @route   GET /api/calendar/ics/organization/:token.ics
+ * @access  Public (secret token in URL)
+ */
+exports.getOrganizationIcsFeed = asyncHandler(async (req, res, next) => {
+    const { token } = req.params;
+    if (!token) {
+        return next(new ErrorResponse('Calendar feed not found', 404));
+    }
+
+    const organization = await Organization.findOne({ calendarFeedToken: token });
+    if (!organization) {
+        return next(new ErrorResponse('Calendar feed not found', 404));
+    }
+
+    const subscriptionCheck = validateOrganizationSubscription(organization);
+    if (!subscriptionCheck.valid) {
+        return next(new ErrorResponse(subscriptionCheck.reason, 403));
+    }
+
+    const events = await getHearingEvents({
+        organizationId: organization._id,
+        ...getFeedRange()
+    });
+
+    const name = `${organization.companyName} - Hearings`;
+    sendIcs(res, 'organization-hearings.ics', buildHearingsIcs({ name, events }));
+});
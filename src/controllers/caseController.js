@@ -2,16 +2,37 @@
 // Case CRUD operations with RBAC
 
 const Case = require('../models/Case');
+const StageTemplate = require('../models/StageTemplate');
+const CaseDocument = require('../models/CaseDocument');
 const Client = require('../models/Client');
-const Notification = require('../models/Notification');
 const User = require('../models/User');
 const asyncHandler = require('../middleware/asyncHandler');
 const ErrorResponse = require('../utils/errorResponse');
 const { canAssignModule, getAssigneeUserIdsForModule } = require('../utils/assigneeUtils');
 const { sendEncryptedJson } = require('../utils/responseEncryption');
+const { buildCaseTimeline } = require('../utils/caseTimeline');
+const { dispatchNotification, dispatchNotificationToUsers, createDispatchContext } = require('../utils/notificationDispatcher');
 const { parseExcelFromBuffer, writeExcelToBuffer, toSafeString, toOptionalNumber, formatMongooseErrorForUser } = require('../utils/excelUtils');
+const { findStageTemplate, resolveCanonicalStage, suggestNextStage, buildStageWorkflow } = require('../utils/stageTemplateUtils');
+const { RELATION_TYPES, getCaseRelationGraph } = require('../utils/caseRelations');
+const { isTeamMember, teamVisibilityFilter, sanitizeTeamPayload, notifyTeamChanges } = require('../utils/teamUtils');
+const {
+    PARTY_ROLES,
+    MAX_PARTIES,
+    sanitizePartyPayload,
+    sanitizePartyList,
+    buildPartyFilterConditions,
+    copyablePartiesFrom,
+    opposingPartiesOf
+} = require('../utils/casePartyUtils');
+const { containsPattern } = require('../utils/regexUtils');
+const { enforceConflictPolicy } = require('../utils/conflictCheck');
+const { buildCaseLimitation, describeLimitation, markLimitationFiled, reopenLimitationFiledBy } = require('../utils/limitationUtils');
+const { createCourtCalendar, checkHearingDate } = require('../utils/courtCalendar');
 
 const canViewAllCases = (userRole) => canAssignModule(userRole, 'cases');
+// Case assignees see every case; others see cases they are assigned to or on the team of
+const canAccessCase = (req, caseDoc) => canViewAllCases(req.userRole) || isTeamMember(caseDoc, req.user._id);
 const STAGE_CONFIRM_USER_SELECT = '_id firstName lastName email';
 
 const normalizeOrganizationId = (org) => {
@@ -24,6 +45,7 @@ const normalizeOrganizationId = (org) => {
 
 const sanitizeStagePayload = (payload = {}) => ({
     stageName: payload.stageName ? String(payload.stageName).trim() : '',
+    canonicalStage: payload.canonicalStage ? String(payload.canonicalStage).trim() : '',
     todaySummary: payload.todaySummary ? String(payload.todaySummary).trim() : '',
     nextDate: payload.nextDate ? new Date(payload.nextDate) : null,
     nextDatePurpose: payload.nextDatePurpose ? String(payload.nextDatePurpose).trim() : '',
@@ -33,6 +55,81 @@ const sanitizeStagePayload = (payload = {}) => ({
 
 const isValidDateOrNull = (d) => d === null || (d instanceof Date && !Number.isNaN(d.getTime()));
 
+const CASE_OUTCOMES = Case.OUTCOMES;
+const HEARING_OUTCOMES = Case.HEARING_OUTCOMES;
+// Relations whose filing meets the limitation running on the related case
+const LIMITATION_FILING_RELATIONS = ['appeal_of', 'revision_of'];
+const ADJOURNMENT_REASONS = Case.ADJOURNMENT_REASONS;
+
+/**
+ * Parse an outcome filter (comma-separated) into a closure.outcome condition.
+ * @returns {{ condition?: Object, error?: string }}
+ */
+const parseOutcomeFilter = (outcome) => {
+    if (!outcome || !String(outcome).trim()) return {};
+    const outcomes = String(outcome).split(',').map((o) => o.trim()).filter(Boolean);
+    const invalid = outcomes.find((o) => !CASE_OUTCOMES.includes(o));
+    if (invalid) return { error: `outcome must be one of: ${CASE_OUTCOMES.join(', ')}` };
+    return { condition: { $in: outcomes } };
+};
+
+/**
+ * Warnings for stages whose next date falls on a court holiday, vacation or weekly off of the case's court.
+ * They do not block the save: matters are still listed on such days (vacation benches, special sittings).
+ * @returns {Promise<Object[]>} [{ stageId, stageName, date, reasons, nextWorkingDay, message }]
+ */
+const buildHearingDateWarnings = async (organizationId, caseDoc, stages) => {
+    const calendar = createCourtCalendar();
+    const warnings = [];
+    for (const stage of stages) {
+        const warning = await checkHearingDate(calendar, organizationId, stage.nextDate, caseDoc);
+        if (warning) warnings.push({ stageId: stage._id, stageName: stage.stageName, ...warning });
+    }
+    return warnings;
+};
+
+/**
+ * Conflict policy for a party added to or changed on an existing case: parties we act against must not be
+ * our clients (the case's own clients excepted). A change to opposing counsel can move the opposing side,
+ * so every opposing party is checked then.
+ * @returns {Promise<{ result: Object|null, conflictOverride?: Object, error?: string }>}
+ */
+const enforcePartyConflictPolicy = (req, caseDoc, party) => {
+    const opposing = opposingPartiesOf(caseDoc.parties);
+    const subjects = party.role === 'opposing_counsel'
+        ? opposing
+        : opposing.filter((p) => String(p._id) === String(party._id));
+    return enforceConflictPolicy({
+        organizationId: caseDoc.organization,
+        subjects: subjects.map((p) => ({ name: p.name, phone: p.phone, email: p.email })),
+        override: req.body.conflictOverride,
+        userId: req.user._id,
+        excludeClientIds: (caseDoc.clients || []).map(String),
+        conflictSources: ['client']
+    });
+};
+
+/**
+ * Work out which template stage a stage row maps to.
+ * An explicit canonicalStage must be a template stage; otherwise the stage name is matched against
+ * template names and aliases, and anything unmatched stays a free-text stage (canonicalStage null).
+ * @returns {{ canonicalStage: string|null } | { error: string }}
+ */
+const resolveStageCanonical = (template, stageName, requestedCanonical) => {
+    if (requestedCanonical) {
+        const canonicalStage = resolveCanonicalStage(template, requestedCanonical);
+        if (!canonicalStage) {
+            return {
+                error: template
+                    ? `canonicalStage must be one of: ${template.stages.map((s) => s.name).join(', ')}`
+                    : 'No stage template is defined for this case type'
+            };
+        }
+        return { canonicalStage };
+    }
+    return { canonicalStage: resolveCanonicalStage(template, stageName) };
+};
+
 const CASE_EXCEL_SHEET = 'Cases';
 const CASE_COURT_PREMISES_ENUM = Case.schema?.path('courtPremises')?.enumValues || [];
 // One row can represent one case-client link. If caseNumber is provided, duplicate caseNumber rows are merged into one case with multiple clients.
@@ -76,6 +173,10 @@ function parseCaseExcel(buffer, { sheetName, maxRows } = {}) {
  * @desc    Create a new case
  * @route   POST /api/cases
  * @access  Private (Requires 'create' permission on 'cases' module)
+ * @body    caseType, partyName, ..., parties? [{ role, name, barEnrolmentNumber, ... }],
+ *          relatedTo? { case, type, note } (e.g. an appeal: type appeal_of),
+ *          copyFromRelated? (true = take partyName/parties/clients from the related case when not given),
+ *          conflictOverride? { reason } (required when the conflict policy is require_override and an opposing party matches a client)
  */
 exports.createCase = asyncHandler(async (req, res, next) => {
     const organizationId = req.user.organization;
@@ -88,22 +189,64 @@ exports.createCase = asyncHandler(async (req, res, next) => {
         courtName,
         courtPremises,
         assignedTo,
-        clientCount = 0,
-        clients: clientsInput = [],
-        notes
+        clientCount,
+        clients: clientsInput,
+        notes,
+        parties: partiesInput,
+        relatedTo,
+        copyFromRelated = false,
+        conflictOverride
     } = req.body;
+    let effectivePartyName = partyName;
+
+    // Link to an existing case (appeal, revision, ...), optionally copying its parties and clients
+    let relatedCase = null;
+    if (relatedTo) {
+        if (!RELATION_TYPES.includes(relatedTo.type)) {
+            return next(new ErrorResponse(`Relation type must be one of: ${RELATION_TYPES.join(', ')}`, 400));
+        }
+        relatedCase = await Case.findOne({
+            _id: String(relatedTo.case || ''),
+            organization: organizationId,
+            deletedAt: null
+        }).select('_id caseNumber partyName parties clients clientCount assignedTo team.user').lean();
+        if (!relatedCase) {
+            return next(new ErrorResponse('Related case not found', 404));
+        }
+        if (!canAccessCase(req, relatedCase)) {
+            return next(new ErrorResponse('You do not have permission to access the related case', 403));
+        }
+    }
+    const copyRelated = Boolean(relatedCase) && (copyFromRelated === true || copyFromRelated === 'true');
+
+    if (copyRelated && !effectivePartyName) effectivePartyName = relatedCase.partyName;
 
     // Validate required fields
-    if (!caseType || !partyName) {
+    if (!caseType || !effectivePartyName) {
         return next(new ErrorResponse('Case type and party name are required', 400));
     }
 
-    const clientCountNum = parseInt(clientCount, 10) || 0;
-    const clientsArr = Array.isArray(clientsInput) ? clientsInput : (clientsInput ? [clientsInput] : []);
+    // Bench is not carried over: an appeal is heard by a different court
+    const { parties, error: partiesError } = copyRelated && partiesInput === undefined
+        ? { parties: copyablePartiesFrom(relatedCase) }
+        : sanitizePartyList(partiesInput);
+    if (partiesError) {
+        return next(new ErrorResponse(partiesError, 400));
+    }
+
+    let clientsArr = Array.isArray(clientsInput) ? clientsInput : (clientsInput ? [clientsInput] : []);
+    const clientsCopied = copyRelated && clientsInput === undefined;
+    if (clientsCopied) {
+        clientsArr = (relatedCase.clients || []).map(String);
+    }
+    const clientCountNum = clientCount !== undefined
+        ? (parseInt(clientCount, 10) || 0)
+        : (copyRelated ? Math.max(relatedCase.clientCount || 0, clientsArr.length) : 0);
 
     // Only assignees can assign cases to others or link clients
+    // (clients carried over from a related case the user can access are already linked to the matter)
     const canAssign = req.userRole && canAssignModule(req.userRole, 'cases');
-    if (!canAssign && (assignedTo || clientsArr.length > 0)) {
+    if (!canAssign && (assignedTo || (!clientsCopied && clientsArr.length > 0))) {
         return next(new ErrorResponse('Only users with case assignee permission can assign cases or link clients', 403));
     }
 
@@ -148,10 +291,23 @@ exports.createCase = asyncHandler(async (req, res, next) => {
         }
     }
 
+    // Conflict of interest: an opposing party must not be one of our clients (the case's own clients excepted)
+    const conflict = await enforceConflictPolicy({
+        organizationId,
+        subjects: opposingPartiesOf(parties).map((p) => ({ name: p.name, phone: p.phone, email: p.email })),
+        override: conflictOverride,
+        userId,
+        excludeClientIds: clientsArr,
+        conflictSources: ['client']
+    });
+    if (conflict.error) {
+        return res.status(409).json({ success: false, error: conflict.error, conflictCheck: conflict.result });
+    }
+
     const newCase = await Case.create({
         ...(effectiveCaseNumber ? { caseNumber: effectiveCaseNumber } : {}),
         caseType: caseType.trim(),
-        partyName: partyName.trim(),
+        partyName: String(effectivePartyName).trim(),
         courtName: courtName ? courtName.trim() : undefined,
         courtPremises: courtPremises || undefined,
         assignedTo: effectiveAssignedTo,
@@ -159,9 +315,19 @@ exports.createCase = asyncHandler(async (req, res, next) => {
         clients: clientsArr,
         organization: organizationId,
         createdBy: userId,
-        notes: notes ? notes.trim() : undefined
+        notes: notes ? notes.trim() : undefined,
+        parties,
+        conflictOverride: conflict.conflictOverride || null,
+        relatedCases: relatedCase
+            ? [{ type: relatedTo.type, case: relatedCase._id, note: relatedTo.note ? String(relatedTo.note).trim() : '', createdBy: userId }]
+            : []
     });
 
+    // Filing the appeal/revision meets the limitation deadline running on the case it challenges
+    if (relatedCase && LIMITATION_FILING_RELATIONS.includes(relatedTo.type)) {
+        await markLimitationFiled(relatedCase._id, newCase._id, userId);
+    }
+
     console.log('✅ Case created:', {
         id: newCase._id,
         caseNumber: newCase.caseNumber,
@@ -177,18 +343,15 @@ exports.createCase = asyncHandler(async (req, res, next) => {
             const creatorIdStr = userId.toString();
             const recipientIds = assigneeUserIds.filter((id) => id !== creatorIdStr);
             const caseLabel = newCase.caseNumber || 'New case';
-            for (const assigneeId of recipientIds) {
-                await Notification.create({
-                    userId: assigneeId,
-                    organization: organizationId,
-                    type: 'case_created',
-                    title: 'New case created',
-                    message: `${caseLabel} (${newCase.partyName}) was created and may need to be assigned.`,
-                    relatedEntityType: 'case',
-                    relatedEntityId: newCase._id.toString(),
-                    createdBy: creatorIdStr
-                });
-            }
+            await dispatchNotificationToUsers(recipientIds, {
+                organization: organizationId,
+                type: 'case_created',
+                title: 'New case created',
+                message: `${caseLabel} (${newCase.partyName}) was created and may need to be assigned.`,
+                relatedEntityType: 'case',
+                relatedEntityId: newCase._id.toString(),
+                createdBy: creatorIdStr
+            });
             if (recipientIds.length > 0) {
                 console.log('📬 Notified', recipientIds.length, 'assignee(s) of new case');
             }
@@ -202,10 +365,13 @@ exports.createCase = asyncHandler(async (req, res, next) => {
     await newCase.populate('clients', 'firstName lastName email phone');
     await newCase.populate('stages.confirmedBy', STAGE_CONFIRM_USER_SELECT);
 
+    const stageTemplate = await findStageTemplate(normalizeOrganizationId(organizationId), newCase.caseType);
+
     res.status(201).json({
         success: true,
         message: 'Case created successfully',
-        data: newCase
+        conflictCheck: conflict.result,
+        data: { ...newCase.toObject(), stageWorkflow: buildStageWorkflow(stageTemplate, newCase.stages) }
     });
 });
 
@@ -213,6 +379,8 @@ exports.createCase = asyncHandler(async (req, res, next) => {
  * @desc    Get all cases with pagination and filters
  * @route   GET /api/cases
  * @access  Private (Requires 'read' permission on 'cases' module)
+ * @query   page, limit, status, assignedTo, search, caseType, caseNumber, outcome (comma-separated),
+ *          party, petitioner, respondent, opposingCounsel (name or bar enrolment no.), judge, sortBy, sortOrder, includeDeleted
  */
 exports.getCases = asyncHandler(async (req, res, next) => {
     const organizationId = req.user.organization;
@@ -225,6 +393,12 @@ exports.getCases = asyncHandler(async (req, res, next) => {
         search,
         caseType,
         caseNumber,
+        outcome,
+        party,
+        petitioner,
+        respondent,
+        opposingCounsel,
+        judge,
         sortBy = 'createdAt',
         sortOrder = 'desc',
         includeDeleted = false
@@ -234,6 +408,14 @@ exports.getCases = asyncHandler(async (req, res, next) => {
         organization: organizationId
     };
 
+    const outcomeFilter = parseOutcomeFilter(outcome);
+    if (outcomeFilter.error) {
+        return next(new ErrorResponse(outcomeFilter.error, 400));
+    }
+    if (outcomeFilter.condition) {
+        query['closure.outcome'] = outcomeFilter.condition;
+    }
+
     const showDeleted = includeDeleted === true || includeDeleted === 'true';
     if (!showDeleted) {
         query.deletedAt = null;
@@ -255,9 +437,13 @@ exports.getCases = asyncHandler(async (req, res, next) => {
         query.caseNumber = { $regex: caseNumber.trim(), $options: 'i' };
     }
 
+    const conditions = buildPartyFilterConditions({ party, petitioner, respondent, opposingCounsel, judge });
+
+    // Visibility rule: own and team cases unless the user has assignee permission on cases
     if (!canViewAllCases(req.userRole)) {
-        query.assignedTo = userId;
+        conditions.push(teamVisibilityFilter(userId));
     }
+    if (conditions.length > 0) query.$and = conditions;
 
     if (search) {
         query.$or = [
@@ -265,6 +451,7 @@ exports.getCases = asyncHandler(async (req, res, next) => {
             { caseType: { $regex: search, $options: 'i' } },
             { partyName: { $regex: search, $options: 'i' } },
             { 'stages.stageName': { $regex: search, $options: 'i' } },
+            { 'parties.name': { $regex: search, $options: 'i' } },
             { courtName: { $regex: search, $options: 'i' } }
         ];
     }
@@ -281,6 +468,7 @@ exports.getCases = asyncHandler(async (req, res, next) => {
         .populate('assignedTo', 'firstName lastName email')
         .populate('createdBy', 'firstName lastName email')
         .populate('clients', 'firstName lastName email phone')
+        .populate('team.user', 'firstName lastName email')
         .populate('stages.confirmedBy', STAGE_CONFIRM_USER_SELECT)
         .sort({ [sortBy]: sortOrder === 'asc' ? 1 : -1 })
         .skip(skip)
@@ -299,6 +487,76 @@ exports.getCases = asyncHandler(async (req, res, next) => {
     });
 });
 
+/**
+ * @desc    Case counts per case type grouped by the canonical stage of each case's latest stage
+ * @route   GET /api/cases/stage-summary
+ * @access  Private (Requires 'read' permission on 'cases' module)
+ * @query   status (default active), caseType, assignedTo
+ */
+exports.getCaseStageSummary = asyncHandler(async (req, res, next) => {
+    const organizationId = normalizeOrganizationId(req.user.organization);
+    const { status = 'active', caseType, assignedTo } = req.query;
+
+    const match = { organization: organizationId, deletedAt: null };
+    if (status && status !== 'all') match.status = String(status);
+    if (assignedTo) match.assignedTo = String(assignedTo);
+    if (!canViewAllCases(req.userRole)) {
+        match.$and = [teamVisibilityFilter(req.user._id)];
+    }
+
+    const groups = await Case.aggregate([
+        { $match: match },
+        { $project: { caseType: { $toLower: '$caseType' }, caseTypeLabel: '$caseType', latest: { $arrayElemAt: ['$stages', -1] } } },
+        // Case types match templates case-insensitively
+        ...(caseType && String(caseType).trim() ? [{ $match: { caseType: String(caseType).trim().toLowerCase() } }] : []),
+        {
+            $group: {
+                _id: { caseType: '$caseType', canonicalStage: { $ifNull: ['$latest.canonicalStage', null] }, hasStage: { $gt: ['$latest', null] } },
+                caseTypeLabel: { $first: '$caseTypeLabel' },
+                count: { $sum: 1 }
+            }
+        }
+    ]);
+
+    const templates = await StageTemplate.find({ organization: organizationId }).lean();
+    const templateByKey = new Map(templates.map((t) => [t.caseTypeKey, t]));
+
+    const byCaseType = new Map();
+    for (const g of groups) {
+        const key = g._id.caseType;
+        if (!byCaseType.has(key)) {
+            const template = templateByKey.get(key) || null;
+            byCaseType.set(key, {
+                caseType: template ? template.caseType : g.caseTypeLabel,
+                templateId: template ? template._id : null,
+                total: 0,
+                stages: template ? template.stages.map((st) => ({ canonicalStage: st.name, count: 0 })) : [],
+                freeText: 0,
+                noStage: 0
+            });
+        }
+        const row = byCaseType.get(key);
+        row.total += g.count;
+        if (!g._id.hasStage) {
+            row.noStage += g.count;
+            continue;
+        }
+        const bucket = g._id.canonicalStage ? row.stages.find((st) => st.canonicalStage === g._id.canonicalStage) : null;
+        if (bucket) bucket.count += g.count;
+        // Free-text stages, and canonical names dropped from the template since
+        else row.freeText += g.count;
+    }
+
+    const data = [...byCaseType.values()].sort((a, b) => b.total - a.total);
+
+    sendEncryptedJson(res, 200, {
+        success: true,
+        count: data.length,
+        total: data.reduce((sum, row) => sum + row.total, 0),
+        data
+    });
+});
+
 /**
  * @desc    Get single case by ID
  * @route   GET /api/cases/:id
@@ -318,21 +576,397 @@ exports.getCase = asyncHandler(async (req, res, next) => {
         .populate('createdBy', 'firstName lastName email')
         .populate('updatedBy', 'firstName lastName email')
         .populate('clients', 'firstName lastName email phone')
-        .populate('stages.confirmedBy', STAGE_CONFIRM_USER_SELECT);
+        .populate('team.user', 'firstName lastName email')
+        .populate('stages.confirmedBy', STAGE_CONFIRM_USER_SELECT)
+        .populate('closure.orderDocument', 'title category documentDate')
+        .populate('closure.closedBy', 'firstName lastName email');
 
     if (!caseDoc) {
         return next(new ErrorResponse('Case not found', 404));
     }
 
-    if (!canViewAllCases(req.userRole) && String(caseDoc.assignedTo?._id || caseDoc.assignedTo) !== String(userId)) {
+    if (!canAccessCase(req, caseDoc)) {
         return next(new ErrorResponse('You do not have permission to view this case', 403));
     }
 
     const data = caseDoc.toObject ? caseDoc.toObject() : caseDoc;
+    const stageTemplate = await findStageTemplate(normalizeOrganizationId(organizationId), caseDoc.caseType);
+    data.stageWorkflow = buildStageWorkflow(stageTemplate, data.stages);
+    data.relations = await getCaseRelationGraph(caseDoc, { canViewCase: (c) => canAccessCase(req, c) });
+    data.limitation = describeLimitation(caseDoc.limitation);
 
     sendEncryptedJson(res, 200, { success: true, data });
 });
 
+/**
+ * @desc    Get the activity timeline of a case (creation, assignment, clients, stages, reschedules, archive/restore, closure, limitation)
+ * @route   GET /api/cases/:id/timeline
+ * @access  Private (Requires 'read' permission on 'cases' module)
+ * @query   order=asc|desc (default asc, oldest first)
+ */
+exports.getCaseTimeline = asyncHandler(async (req, res, next) => {
+    const { id } = req.params;
+    const organizationId = req.user.organization;
+    const userId = req.user._id;
+
+    const caseDoc = await Case.findOne({
+        _id: id,
+        organization: organizationId,
+        deletedAt: null
+    }).lean();
+
+    if (!caseDoc) {
+        return next(new ErrorResponse('Case not found', 404));
+    }
+
+    if (!canAccessCase(req, caseDoc)) {
+        return next(new ErrorResponse('You do not have permission to view this case', 403));
+    }
+
+    const events = await buildCaseTimeline(caseDoc, { order: req.query.order === 'desc' ? 'desc' : 'asc' });
+
+    sendEncryptedJson(res, 200, {
+        success: true,
+        count: events.length,
+        data: events
+    });
+});
+
+/**
+ * @desc    Related cases: the whole appeal/revision/connected/transfer chain in both directions
+ * @route   GET /api/cases/:id/related
+ * @access  Private (Requires 'read' permission on 'cases' module)
+ */
+exports.getRelatedCases = asyncHandler(async (req, res, next) => {
+    const caseDoc = await Case.findOne({
+        _id: req.params.id,
+        organization: req.user.organization,
+        deletedAt: null
+    }).select('_id organization assignedTo team.user').lean();
+
+    if (!caseDoc) {
+        return next(new ErrorResponse('Case not found', 404));
+    }
+
+    if (!canAccessCase(req, caseDoc)) {
+        return next(new ErrorResponse('You do not have permission to view this case', 403));
+    }
+
+    const graph = await getCaseRelationGraph(caseDoc, { canViewCase: (c) => canAccessCase(req, c) });
+
+    sendEncryptedJson(res, 200, { success: true, data: graph });
+});
+
+/**
+ * @desc    Link this case to another case
+ * @route   POST /api/cases/:id/related
+ * @access  Private (Requires 'update' permission on 'cases' module)
+ * @body    case, type (appeal_of|revision_of|connected_with|transferred_from), note?
+ */
+exports.addRelatedCase = asyncHandler(async (req, res, next) => {
+    const organizationId = req.user.organization;
+    const userId = req.user._id;
+    const { case: targetId, type, note } = req.body;
+
+    if (!RELATION_TYPES.includes(type)) {
+        return next(new ErrorResponse(`Relation type must be one of: ${RELATION_TYPES.join(', ')}`, 400));
+    }
+    if (!targetId || String(targetId) === String(req.params.id)) {
+        return next(new ErrorResponse('A different case to link is required', 400));
+    }
+
+    const [caseDoc, target] = await Promise.all([
+        Case.findOne({ _id: req.params.id, organization: organizationId, deletedAt: null }),
+        Case.findOne({ _id: String(targetId), organization: organizationId, deletedAt: null })
+            .select('_id assignedTo team.user relatedCases').lean()
+    ]);
+
+    if (!caseDoc) {
+        return next(new ErrorResponse('Case not found', 404));
+    }
+    if (!target) {
+        return next(new ErrorResponse('Related case not found', 404));
+    }
+    if (!canAccessCase(req, caseDoc) || !canAccessCase(req, target)) {
+        return next(new ErrorResponse('You do not have permission to link these cases', 403));
+    }
+
+    // One link of a given type per pair, whichever side it was recorded on
+    const alreadyLinked = caseDoc.relatedCases.some((r) => String(r.case) === String(target._id) && r.type === type)
+        || (target.relatedCases || []).some((r) => String(r.case) === String(caseDoc._id) && r.type === type);
+    if (alreadyLinked) {
+        return next(new ErrorResponse('These cases are already linked with this relation', 400));
+    }
+
+    caseDoc.relatedCases.push({
+        type,
+        case: target._id,
+        note: note ? String(note).trim() : '',
+        createdBy: userId
+    });
+    caseDoc.updatedBy = userId;
+    await caseDoc.save();
+
+    const graph = await getCaseRelationGraph(caseDoc, { canViewCase: (c) => canAccessCase(req, c) });
+
+    res.status(201).json({
+        success: true,
+        message: 'Cases linked successfully',
+        data: graph
+    });
+});
+
+/**
+ * @desc    Remove a case link (either side of the link can remove it)
+ * @route   DELETE /api/cases/:id/related/:linkId
+ * @access  Private (Requires 'update' permission on 'cases' module)
+ */
+exports.removeRelatedCase = asyncHandler(async (req, res, next) => {
+    const organizationId = req.user.organization;
+    const userId = req.user._id;
+    const { id, linkId } = req.params;
+
+    const caseDoc = await Case.findOne({ _id: id, organization: organizationId, deletedAt: null })
+        .select('_id organization assignedTo team.user').lean();
+    if (!caseDoc) {
+        return next(new ErrorResponse('Case not found', 404));
+    }
+    if (!canAccessCase(req, caseDoc)) {
+        return next(new ErrorResponse('You do not have permission to update this case', 403));
+    }
+
+    // The link lives on whichever case recorded it: this one (outgoing) or the other one (incoming)
+    const owner = await Case.findOne({
+        organization: organizationId,
+        deletedAt: null,
+        relatedCases: { $elemMatch: { _id: linkId } },
+        $or: [{ _id: id }, { 'relatedCases.case': id }]
+    });
+    const link = owner ? owner.relatedCases.id(linkId) : null;
+    if (!link || (String(owner._id) !== String(id) && String(link.case) !== String(id))) {
+        return next(new ErrorResponse('Case link not found', 404));
+    }
+
+    const { type: linkType, case: linkedCaseId } = link;
+    link.deleteOne();
+    owner.updatedBy = userId;
+    await owner.save();
+
+    // An appeal/revision no longer linked does not meet the challenged case's limitation any more
+    if (LIMITATION_FILING_RELATIONS.includes(linkType)) {
+        await reopenLimitationFiledBy(linkedCaseId, owner._id, userId);
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Case link removed successfully'
+    });
+});
+
+/**
+ * @desc    Party directory across cases: who appears where (e.g. every case against a given opposing counsel)
+ * @route   GET /api/cases/parties/search
+ * @access  Private (Requires 'read' permission on 'cases' module)
+ * @query   q (name or bar enrolment no.), role?, limit? (default 20, max 100)
+ */
+exports.searchCaseParties = asyncHandler(async (req, res, next) => {
+    const { q, role, limit = 20 } = req.query;
+    const term = q ? String(q).trim() : '';
+
+    if (term.length < 2) {
+        return next(new ErrorResponse('Search term must be at least 2 characters', 400));
+    }
+    if (role && !PARTY_ROLES.includes(role)) {
+        return next(new ErrorResponse(`Party role must be one of: ${PARTY_ROLES.join(', ')}`, 400));
+    }
+
+    const partyMatch = {
+        $or: [
+            { 'parties.name': containsPattern(term) },
+            { 'parties.barEnrolmentNumber': term.toUpperCase() }
+        ]
+    };
+    if (role) partyMatch['parties.role'] = role;
+
+    const caseMatch = { organization: normalizeOrganizationId(req.user.organization), deletedAt: null };
+    if (!canViewAllCases(req.userRole)) Object.assign(caseMatch, teamVisibilityFilter(req.user._id));
+
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const results = await Case.aggregate([
+        { $match: caseMatch },
+        { $unwind: '$parties' },
+        { $match: partyMatch },
+        {
+            // Same person across cases: role + bar number when recorded, otherwise role + name
+            $group: {
+                _id: {
+                    role: '$parties.role',
+                    key: { $ifNull: ['$parties.barEnrolmentNumber', { $toLower: '$parties.name' }] }
+                },
+                name: { $first: '$parties.name' },
+                barEnrolmentNumber: { $first: '$parties.barEnrolmentNumber' },
+                designation: { $first: '$parties.designation' },
+                caseCount: { $sum: 1 },
+                cases: {
+                    $push: { _id: '$_id', caseNumber: '$caseNumber', partyName: '$partyName', status: '$status' }
+                }
+            }
+        },
+        { $sort: { caseCount: -1, name: 1 } },
+        { $limit: limitNum },
+        {
+            $project: {
+                _id: 0,
+                role: '$_id.role',
+                name: 1,
+                barEnrolmentNumber: 1,
+                designation: 1,
+                caseCount: 1,
+                cases: { $slice: ['$cases', 50] }
+            }
+        }
+    ]);
+
+    sendEncryptedJson(res, 200, {
+        success: true,
+        count: results.length,
+        data: results
+    });
+});
+
+/**
+ * @desc    Add a party (petitioner, respondent, opposing counsel or judge) to a case
+ * @route   POST /api/cases/:id/parties
+ * @access  Private (Requires 'update' permission on 'cases' module)
+ * @body    role, name, barEnrolmentNumber?, representing?, designation?, phone?, email?, address?, notes?,
+ *          conflictOverride? { reason } (required when the conflict policy is require_override and a party we act against matches a client)
+ */
+exports.addCaseParty = asyncHandler(async (req, res, next) => {
+    const caseDoc = await Case.findOne({
+        _id: req.params.id,
+        organization: req.user.organization,
+        deletedAt: null
+    });
+
+    if (!caseDoc) {
+        return next(new ErrorResponse('Case not found', 404));
+    }
+    if (!canAccessCase(req, caseDoc)) {
+        return next(new ErrorResponse('You do not have permission to update this case', 403));
+    }
+
+    const { data, error } = sanitizePartyPayload(req.body);
+    if (error) {
+        return next(new ErrorResponse(error, 400));
+    }
+    if (caseDoc.parties.length >= MAX_PARTIES) {
+        return next(new ErrorResponse(`A case can have at most ${MAX_PARTIES} parties`, 400));
+    }
+
+    caseDoc.parties.push(data);
+    const party = caseDoc.parties[caseDoc.parties.length - 1];
+
+    const conflict = await enforcePartyConflictPolicy(req, caseDoc, party);
+    if (conflict.error) {
+        return res.status(409).json({ success: false, error: conflict.error, conflictCheck: conflict.result });
+    }
+    if (conflict.conflictOverride) caseDoc.conflictOverride = conflict.conflictOverride;
+
+    caseDoc.updatedBy = req.user._id;
+    await caseDoc.save();
+
+    res.status(201).json({
+        success: true,
+        message: 'Party added successfully',
+        conflictCheck: conflict.result,
+        data: party
+    });
+});
+
+/**
+ * @desc    Update a case party (only the fields given are changed)
+ * @route   PUT /api/cases/:id/parties/:partyId
+ * @access  Private (Requires 'update' permission on 'cases' module)
+ * @body    any party field, conflictOverride? { reason } (as for POST /api/cases/:id/parties)
+ */
+exports.updateCaseParty = asyncHandler(async (req, res, next) => {
+    const caseDoc = await Case.findOne({
+        _id: req.params.id,
+        organization: req.user.organization,
+        deletedAt: null
+    });
+
+    if (!caseDoc) {
+        return next(new ErrorResponse('Case not found', 404));
+    }
+    if (!canAccessCase(req, caseDoc)) {
+        return next(new ErrorResponse('You do not have permission to update this case', 403));
+    }
+
+    const party = caseDoc.parties.id(req.params.partyId);
+    if (!party) {
+        return next(new ErrorResponse('Party not found', 404));
+    }
+
+    const { data, error } = sanitizePartyPayload(req.body, { partial: true });
+    if (error) {
+        return next(new ErrorResponse(error, 400));
+    }
+
+    party.set(data);
+
+    const conflict = await enforcePartyConflictPolicy(req, caseDoc, party);
+    if (conflict.error) {
+        return res.status(409).json({ success: false, error: conflict.error, conflictCheck: conflict.result });
+    }
+    if (conflict.conflictOverride) caseDoc.conflictOverride = conflict.conflictOverride;
+
+    caseDoc.updatedBy = req.user._id;
+    await caseDoc.save();
+
+    res.status(200).json({
+        success: true,
+        message: 'Party updated successfully',
+        conflictCheck: conflict.result,
+        data: party
+    });
+});
+
+/**
+ * @desc    Remove a party from a case
+ * @route   DELETE /api/cases/:id/parties/:partyId
+ * @access  Private (Requires 'update' permission on 'cases' module)
+ */
+exports.removeCaseParty = asyncHandler(async (req, res, next) => {
+    const caseDoc = await Case.findOne({
+        _id: req.params.id,
+        organization: req.user.organization,
+        deletedAt: null
+    });
+
+    if (!caseDoc) {
+        return next(new ErrorResponse('Case not found', 404));
+    }
+    if (!canAccessCase(req, caseDoc)) {
+        return next(new ErrorResponse('You do not have permission to update this case', 403));
+    }
+
+    const party = caseDoc.parties.id(req.params.partyId);
+    if (!party) {
+        return next(new ErrorResponse('Party not found', 404));
+    }
+
+    party.deleteOne();
+    caseDoc.updatedBy = req.user._id;
+    await caseDoc.save();
+
+    res.status(200).json({
+        success: true,
+        message: 'Party removed successfully'
+    });
+});
+
 /**
  * @desc    Update case
  * @route   PUT /api/cases/:id
@@ -353,7 +987,7 @@ exports.updateCase = asyncHandler(async (req, res, next) => {
         return next(new ErrorResponse('Case not found', 404));
     }
 
-    if (!canViewAllCases(req.userRole) && String(caseDoc.assignedTo) !== String(userId)) {
+    if (!canAccessCase(req, caseDoc)) {
         return next(new ErrorResponse('You do not have permission to update this case', 403));
     }
 
@@ -403,33 +1037,100 @@ exports.updateCase = asyncHandler(async (req, res, next) => {
         caseDoc.clients = newClients;
     }
 
-    const updateFields = [
-        'caseNumber', 'caseType', 'partyName', 'courtName', 'courtPremises',
-        'assignedTo', 'status', 'notes'
-    ];
+    // Disposal goes through the close/reopen actions so the outcome is always recorded
+    if (req.body.status !== undefined && req.body.status !== caseDoc.status) {
+        if (req.body.status === 'disposed') {
+            return next(new ErrorResponse('Use the close action to dispose of a case', 400));
+        }
+        if (caseDoc.status === 'disposed') {
+            return next(new ErrorResponse('Case is disposed. Use the reopen action to change its status.', 400));
+        }
+    }
+
+    const updateFields = [
+        'caseNumber', 'caseType', 'partyName', 'courtName', 'courtPremises',
+        'assignedTo', 'status', 'notes'
+    ];
+
+    updateFields.forEach(field => {
+        if (req.body[field] !== undefined) {
+            const val = req.body[field];
+            caseDoc[field] = typeof val === 'string' ? val.trim() : val;
+        }
+    });
+
+    caseDoc.updatedBy = userId;
+    await caseDoc.save();
+
+    await caseDoc.populate('assignedTo', 'firstName lastName email');
+    await caseDoc.populate('createdBy', 'firstName lastName email');
+    await caseDoc.populate('updatedBy', 'firstName lastName email');
+    await caseDoc.populate('clients', 'firstName lastName email phone');
+    await caseDoc.populate('stages.confirmedBy', STAGE_CONFIRM_USER_SELECT);
+
+    console.log('✅ Case updated:', { id: caseDoc._id, caseNumber: caseDoc.caseNumber });
+
+    res.status(200).json({
+        success: true,
+        message: 'Case updated successfully',
+        data: caseDoc
+    });
+});
+
+/**
+ * @desc    Replace the case team (members can see and work on the case)
+ * @route   PUT /api/cases/:id/team
+ * @access  Private (Requires 'update' permission on 'cases' module; case assignee permission or a lead of the team)
+ * @body    { team: [{ user, role: 'lead'|'associate'|'support' }] }
+ */
+exports.updateCaseTeam = asyncHandler(async (req, res, next) => {
+    const organizationId = req.user.organization;
+    const userId = req.user._id;
+
+    const caseDoc = await Case.findOne({
+        _id: req.params.id,
+        organization: organizationId,
+        deletedAt: null
+    });
+
+    if (!caseDoc) {
+        return next(new ErrorResponse('Case not found', 404));
+    }
+
+    const isLead = caseDoc.team.some((m) => String(m.user) === String(userId) && m.role === 'lead');
+    if (!canViewAllCases(req.userRole) && !isLead) {
+        return next(new ErrorResponse('Only case assignees or the team lead can change the case team', 403));
+    }
 
-    updateFields.forEach(field => {
-        if (req.body[field] !== undefined) {
-            const val = req.body[field];
-            caseDoc[field] = typeof val === 'string' ? val.trim() : val;
-        }
-    });
+    const before = caseDoc.team.map((m) => ({ user: m.user, role: m.role }));
+    const { team, error } = await sanitizeTeamPayload(organizationId, req.body.team, caseDoc.team, userId);
+    if (error) {
+        return next(new ErrorResponse(error, 400));
+    }
 
+    caseDoc.team = team;
     caseDoc.updatedBy = userId;
     await caseDoc.save();
 
-    await caseDoc.populate('assignedTo', 'firstName lastName email');
-    await caseDoc.populate('createdBy', 'firstName lastName email');
-    await caseDoc.populate('updatedBy', 'firstName lastName email');
-    await caseDoc.populate('clients', 'firstName lastName email phone');
-    await caseDoc.populate('stages.confirmedBy', STAGE_CONFIRM_USER_SELECT);
+    try {
+        await notifyTeamChanges({
+            entityType: 'case',
+            entity: caseDoc,
+            label: caseDoc.caseNumber || caseDoc.partyName,
+            before,
+            after: team,
+            actorId: userId
+        });
+    } catch (err) {
+        console.error('⚠️ Failed to send case team notifications:', err.message);
+    }
 
-    console.log('✅ Case updated:', { id: caseDoc._id, caseNumber: caseDoc.caseNumber });
+    await caseDoc.populate('team.user', 'firstName lastName email');
 
     res.status(200).json({
         success: true,
-        message: 'Case updated successfully',
-        data: caseDoc
+        message: 'Case team updated successfully',
+        data: caseDoc.team
     });
 });
 
@@ -453,7 +1154,7 @@ exports.deleteCase = asyncHandler(async (req, res, next) => {
         return next(new ErrorResponse('Case not found', 404));
     }
 
-    if (!canViewAllCases(req.userRole) && String(caseDoc.assignedTo) !== String(userId)) {
+    if (!canAccessCase(req, caseDoc)) {
         return next(new ErrorResponse('You do not have permission to delete this case', 403));
     }
 
@@ -490,7 +1191,7 @@ exports.restoreCase = asyncHandler(async (req, res, next) => {
         return next(new ErrorResponse('Deleted case not found', 404));
     }
 
-    if (!canViewAllCases(req.userRole) && String(caseDoc.assignedTo) !== String(userId)) {
+    if (!canAccessCase(req, caseDoc)) {
         return next(new ErrorResponse('You do not have permission to restore this case', 403));
     }
 
@@ -526,7 +1227,7 @@ exports.archiveCase = asyncHandler(async (req, res, next) => {
         return next(new ErrorResponse('Case not found', 404));
     }
 
-    if (!canViewAllCases(req.userRole) && String(caseDoc.assignedTo) !== String(userId)) {
+    if (!canAccessCase(req, caseDoc)) {
         return next(new ErrorResponse('You do not have permission to archive this case', 403));
     }
 
@@ -560,11 +1261,12 @@ exports.unarchiveCase = asyncHandler(async (req, res, next) => {
         return next(new ErrorResponse('Case not found', 404));
     }
 
-    if (!canViewAllCases(req.userRole) && String(caseDoc.assignedTo) !== String(userId)) {
+    if (!canAccessCase(req, caseDoc)) {
         return next(new ErrorResponse('You do not have permission to unarchive this case', 403));
     }
 
-    caseDoc.status = 'active';
+    // Archived disposed cases go back to disposed, not active
+    caseDoc.status = caseDoc.closure ? 'disposed' : 'active';
     await caseDoc.save();
 
     res.status(200).json({
@@ -574,6 +1276,266 @@ exports.unarchiveCase = asyncHandler(async (req, res, next) => {
     });
 });
 
+/**
+ * @desc    Close a case: mark it disposed with its outcome (stops hearing reminders)
+ * @route   PUT /api/cases/:id/close
+ * @access  Private (Requires 'update' permission on 'cases' module)
+ * @body    outcome (allowed|dismissed|settled|withdrawn|transferred), judgmentDate, orderDocument? (CaseDocument id of this case), remarks?,
+ *          limitation? { proceedingType, certifiedCopyAppliedOn?, certifiedCopyReadyOn?, periodDays? } (runs from judgmentDate)
+ */
+exports.closeCase = asyncHandler(async (req, res, next) => {
+    const { id } = req.params;
+    const organizationId = req.user.organization;
+    const userId = req.user._id;
+    const { outcome, judgmentDate, orderDocument, remarks, limitation } = req.body;
+
+    const caseDoc = await Case.findOne({
+        _id: id,
+        organization: organizationId,
+        deletedAt: null
+    });
+
+    if (!caseDoc) {
+        return next(new ErrorResponse('Case not found', 404));
+    }
+
+    if (!canAccessCase(req, caseDoc)) {
+        return next(new ErrorResponse('You do not have permission to close this case', 403));
+    }
+
+    if (caseDoc.status === 'archived') {
+        return next(new ErrorResponse('Unarchive the case before closing it', 400));
+    }
+
+    if (!CASE_OUTCOMES.includes(outcome)) {
+        return next(new ErrorResponse(`outcome must be one of: ${CASE_OUTCOMES.join(', ')}`, 400));
+    }
+
+    const judgment = judgmentDate ? new Date(judgmentDate) : null;
+    if (!judgment || Number.isNaN(judgment.getTime())) {
+        return next(new ErrorResponse('A valid judgmentDate is required', 400));
+    }
+    if (judgment.getTime() > Date.now()) {
+        return next(new ErrorResponse('Judgment date cannot be in the future', 400));
+    }
+
+    let orderDocumentId = null;
+    if (orderDocument) {
+        const document = await CaseDocument.findOne({
+            _id: String(orderDocument),
+            organization: organizationId,
+            case: caseDoc._id
+        }).select('_id').lean();
+        if (!document) {
+            return next(new ErrorResponse('Order document not found on this case', 404));
+        }
+        orderDocumentId = document._id;
+    }
+
+    // A deadline that ran from the previous judgment date follows a corrected judgment date
+    const previousJudgment = caseDoc.closure?.judgmentDate;
+    let limitationBody = limitation;
+    if (!limitationBody && caseDoc.limitation && previousJudgment
+        && caseDoc.limitation.fromDate.getTime() === previousJudgment.getTime()
+        && previousJudgment.getTime() !== judgment.getTime()) {
+        limitationBody = { fromDate: judgment };
+    }
+    if (limitationBody) {
+        const result = await buildCaseLimitation({
+            organizationId,
+            current: caseDoc.limitation,
+            body: limitationBody,
+            fallbackFromDate: judgment,
+            userId
+        });
+        if (result.error) {
+            return next(new ErrorResponse(result.error, 400));
+        }
+        caseDoc.limitation = result.limitation;
+    }
+
+    // Re-closing (e.g. correcting the outcome) keeps the original close time
+    caseDoc.closure = {
+        outcome,
+        judgmentDate: judgment,
+        orderDocument: orderDocumentId,
+        remarks: remarks ? String(remarks).trim() : '',
+        closedAt: caseDoc.closure?.closedAt || new Date(),
+        closedBy: caseDoc.closure?.closedBy || userId
+    };
+    caseDoc.status = 'disposed';
+    caseDoc.updatedBy = userId;
+    await caseDoc.save();
+    await caseDoc.populate('closure.orderDocument', 'title category documentDate');
+
+    console.log('✅ Case closed:', { id: caseDoc._id, caseNumber: caseDoc.caseNumber, outcome });
+
+    res.status(200).json({
+        success: true,
+        message: 'Case closed successfully',
+        data: { ...caseDoc.toObject(), limitation: describeLimitation(caseDoc.limitation) }
+    });
+});
+
+/**
+ * @desc    Set or update the limitation deadline for the next proceeding (appeal, revision, SLP...) against this case's
+ *          judgment/order; also used to record the certified copy dates and to mark it filed or not pursued
+ * @route   PUT /api/cases/:id/limitation
+ * @access  Private (Requires 'update' permission on 'cases' module)
+ * @body    proceedingType, fromDate? (defaults to the closure judgment date), certifiedCopyAppliedOn?, certifiedCopyReadyOn?,
+ *          periodDays? (overrides the rule), status? (open|filed|not_pursued), filedOn?, notes?
+ */
+exports.setCaseLimitation = asyncHandler(async (req, res, next) => {
+    const caseDoc = await Case.findOne({
+        _id: req.params.id,
+        organization: req.user.organization,
+        deletedAt: null
+    });
+
+    if (!caseDoc) {
+        return next(new ErrorResponse('Case not found', 404));
+    }
+    if (!canAccessCase(req, caseDoc)) {
+        return next(new ErrorResponse('You do not have permission to update this case', 403));
+    }
+
+    const result = await buildCaseLimitation({
+        organizationId: req.user.organization,
+        current: caseDoc.limitation,
+        body: req.body,
+        fallbackFromDate: caseDoc.closure ? caseDoc.closure.judgmentDate : null,
+        userId: req.user._id
+    });
+    if (result.error) {
+        return next(new ErrorResponse(result.error, 400));
+    }
+
+    caseDoc.limitation = result.limitation;
+    caseDoc.updatedBy = req.user._id;
+    await caseDoc.save();
+
+    res.status(200).json({
+        success: true,
+        message: 'Limitation deadline saved successfully',
+        data: describeLimitation(caseDoc.limitation)
+    });
+});
+
+/**
+ * @desc    Remove the limitation deadline from a case (e.g. recorded against the wrong case)
+ * @route   DELETE /api/cases/:id/limitation
+ * @access  Private (Requires 'update' permission on 'cases' module)
+ */
+exports.clearCaseLimitation = asyncHandler(async (req, res, next) => {
+    const caseDoc = await Case.findOne({
+        _id: req.params.id,
+        organization: req.user.organization,
+        deletedAt: null
+    });
+
+    if (!caseDoc) {
+        return next(new ErrorResponse('Case not found', 404));
+    }
+    if (!canAccessCase(req, caseDoc)) {
+        return next(new ErrorResponse('You do not have permission to update this case', 403));
+    }
+    if (!caseDoc.limitation) {
+        return next(new ErrorResponse('This case has no limitation deadline', 404));
+    }
+
+    caseDoc.limitation = null;
+    caseDoc.updatedBy = req.user._id;
+    await caseDoc.save();
+
+    res.status(200).json({
+        success: true,
+        message: 'Limitation deadline removed successfully'
+    });
+});
+
+/**
+ * @desc    Open limitation deadlines, soonest first (including expired ones still marked open)
+ * @route   GET /api/cases/limitation-deadlines
+ * @access  Private (Requires 'read' permission on 'cases' module)
+ * @query   within? (days ahead, default 90), includeExpired? (default true)
+ */
+exports.getLimitationDeadlines = asyncHandler(async (req, res, next) => {
+    const { within = 90, includeExpired = 'true' } = req.query;
+    const withinDays = Math.min(Math.max(parseInt(within) || 90, 0), 3650);
+
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const until = new Date(today);
+    until.setDate(until.getDate() + withinDays);
+
+    const deadlineRange = { $lte: until };
+    if (includeExpired === false || includeExpired === 'false') deadlineRange.$gte = today;
+
+    const query = {
+        organization: req.user.organization,
+        deletedAt: null,
+        'limitation.status': 'open',
+        'limitation.deadline': deadlineRange
+    };
+    if (!canViewAllCases(req.userRole)) {
+        query.$and = [teamVisibilityFilter(req.user._id)];
+    }
+
+    const cases = await Case.find(query)
+        .select('caseNumber caseType partyName courtName courtPremises status assignedTo limitation')
+        .populate('assignedTo', 'firstName lastName email')
+        .sort({ 'limitation.deadline': 1 })
+        .lean();
+
+    const data = cases.map((c) => ({ ...c, limitation: describeLimitation(c.limitation) }));
+
+    sendEncryptedJson(res, 200, {
+        success: true,
+        count: data.length,
+        data
+    });
+});
+
+/**
+ * @desc    Reopen a disposed case (clears the outcome; reminders resume)
+ * @route   PUT /api/cases/:id/reopen
+ * @access  Private (Requires 'update' permission on 'cases' module)
+ */
+exports.reopenCase = asyncHandler(async (req, res, next) => {
+    const { id } = req.params;
+    const organizationId = req.user.organization;
+    const userId = req.user._id;
+
+    const caseDoc = await Case.findOne({
+        _id: id,
+        organization: organizationId,
+        deletedAt: null
+    });
+
+    if (!caseDoc) {
+        return next(new ErrorResponse('Case not found', 404));
+    }
+
+    if (!canAccessCase(req, caseDoc)) {
+        return next(new ErrorResponse('You do not have permission to reopen this case', 403));
+    }
+
+    if (caseDoc.status !== 'disposed') {
+        return next(new ErrorResponse('Only disposed cases can be reopened', 400));
+    }
+
+    caseDoc.status = 'active';
+    caseDoc.closure = null;
+    caseDoc.updatedBy = userId;
+    await caseDoc.save();
+
+    res.status(200).json({
+        success: true,
+        message: 'Case reopened successfully',
+        data: caseDoc
+    });
+});
+
 /**
  * @desc    Download case Excel template (strict headers)
  * @route   GET /api/cases/excel/template
@@ -596,7 +1558,7 @@ exports.downloadCaseExcelTemplate = asyncHandler(async (req, res) => {
  * @route   GET /api/cases/excel/export
  * @access  Private (Requires 'read' permission on 'cases' module)
  */
-exports.exportCasesToExcel = asyncHandler(async (req, res) => {
+exports.exportCasesToExcel = asyncHandler(async (req, res, next) => {
     const organizationId = req.user.organization;
     const userId = req.user._id;
 
@@ -606,12 +1568,24 @@ exports.exportCasesToExcel = asyncHandler(async (req, res) => {
         search,
         caseType,
         caseNumber,
+        outcome,
+        party,
+        petitioner,
+        respondent,
+        opposingCounsel,
+        judge,
         includeDeleted = false,
         sortBy = 'createdAt',
         sortOrder = 'desc'
     } = req.query;
 
     const query = { organization: organizationId };
+
+    const outcomeFilter = parseOutcomeFilter(outcome);
+    if (outcomeFilter.error) {
+        return next(new ErrorResponse(outcomeFilter.error, 400));
+    }
+    if (outcomeFilter.condition) query['closure.outcome'] = outcomeFilter.condition;
     const showDeleted = includeDeleted === true || includeDeleted === 'true';
     if (!showDeleted) query.deletedAt = null;
 
@@ -625,13 +1599,18 @@ exports.exportCasesToExcel = asyncHandler(async (req, res) => {
             { caseType: { $regex: search, $options: 'i' } },
             { partyName: { $regex: search, $options: 'i' } },
             { stage: { $regex: search, $options: 'i' } },
+            { 'parties.name': { $regex: search, $options: 'i' } },
             { courtName: { $regex: search, $options: 'i' } }
         ];
     }
 
+    const conditions = buildPartyFilterConditions({ party, petitioner, respondent, opposingCounsel, judge });
+
+    // Visibility rule: own and team cases unless the user has assignee permission on cases
     if (!canViewAllCases(req.userRole)) {
-        query.assignedTo = userId;
+        conditions.push(teamVisibilityFilter(userId));
     }
+    if (conditions.length > 0) query.$and = conditions;
 
     const findOptions = showDeleted ? { includeDeleted: true } : {};
     const cases = await Case.find(query)
@@ -969,18 +1948,15 @@ exports.importCasesFromExcel = asyncHandler(async (req, res, next) => {
             const assigneeUserIds = await getAssigneeUserIdsForModule(organizationId, 'cases');
             const creatorIdStr = userId.toString();
             const recipientIds = assigneeUserIds.filter((id) => id !== creatorIdStr);
-            for (const assigneeId of recipientIds) {
-                await Notification.create({
-                    userId: assigneeId,
-                    organization: organizationId,
-                    type: 'case_bulk_imported',
-                    title: 'Cases imported',
-                    message: `${createdCases} case(s) were imported and are unassigned.`,
-                    relatedEntityType: 'case',
-                    relatedEntityId: null,
-                    createdBy: creatorIdStr
-                });
-            }
+            await dispatchNotificationToUsers(recipientIds, {
+                organization: organizationId,
+                type: 'case_bulk_imported',
+                title: 'Cases imported',
+                message: `${createdCases} case(s) were imported and are unassigned.`,
+                relatedEntityType: 'case',
+                relatedEntityId: null,
+                createdBy: creatorIdStr
+            });
         } catch (notifErr) {
             console.error('⚠️ Failed to create bulk-import notifications:', notifErr.message);
         }
@@ -1051,7 +2027,7 @@ exports.addCaseStage = asyncHandler(async (req, res, next) => {
         return next(new ErrorResponse('Case not found', 404));
     }
 
-    if (!canViewAllCases(req.userRole) && String(caseDoc.assignedTo) !== userId) {
+    if (!canAccessCase(req, caseDoc)) {
         return next(new ErrorResponse('You do not have permission to add case stages', 403));
     }
 
@@ -1061,11 +2037,21 @@ exports.addCaseStage = asyncHandler(async (req, res, next) => {
     }
 
     const validAssignees = await getAssigneeUserIdsForModule(organizationId, 'cases');
+    const stageTemplate = await findStageTemplate(organizationId, caseDoc.caseType);
 
     const stagesToInsert = [];
     for (const raw of inputStages) {
         const stageData = sanitizeStagePayload(raw);
 
+        const canonical = resolveStageCanonical(stageTemplate, stageData.stageName, stageData.canonicalStage);
+        if (canonical.error) {
+            return next(new ErrorResponse(canonical.error, 400));
+        }
+        // Picking a template stage without typing a name uses the template name
+        if (!stageData.stageName && canonical.canonicalStage) {
+            stageData.stageName = canonical.canonicalStage;
+        }
+
         if (!stageData.stageName) {
             return next(new ErrorResponse('Stage name is required', 400));
         }
@@ -1084,6 +2070,7 @@ exports.addCaseStage = asyncHandler(async (req, res, next) => {
 
         stagesToInsert.push({
             stageName: stageData.stageName,
+            canonicalStage: canonical.canonicalStage,
             todaySummary: stageData.todaySummary || undefined,
             nextDate: stageData.nextDate || null,
             nextDatePurpose: stageData.nextDatePurpose || undefined,
@@ -1116,9 +2103,10 @@ exports.addCaseStage = asyncHandler(async (req, res, next) => {
 
     // Notify confirmedBy users to confirm stage(s)
     try {
+        const dispatchContext = createDispatchContext();
         for (const stage of createdStages) {
-            await Notification.create({
-                userId: stage.confirmedBy.toString(),
+            await dispatchNotification({
+                userId: (stage.confirmedBy._id || stage.confirmedBy).toString(),
                 organization: organizationId,
                 type: 'case_stage_needs_confirmation',
                 title: 'Stage needs confirmation',
@@ -1126,16 +2114,20 @@ exports.addCaseStage = asyncHandler(async (req, res, next) => {
                 relatedEntityType: 'case',
                 relatedEntityId: caseDoc._id.toString(),
                 createdBy: userId
-            });
+            }, { context: dispatchContext });
         }
     } catch (err) {
         console.error('⚠️ Failed to create stage confirmation notifications:', err.message);
     }
 
+    const warnings = await buildHearingDateWarnings(organizationId, caseDoc, createdStages);
+
     return res.status(201).json({
         success: true,
         message: 'Case stage(s) added successfully',
         count: createdStages.length,
+        warnings,
+        suggestedNextStage: buildStageWorkflow(stageTemplate, caseDoc.stages)?.suggestedNextStage ?? null,
         data: createdStages
     });
 });
@@ -1387,7 +2379,7 @@ exports.updateCaseStage = asyncHandler(async (req, res, next) => {
     }
 
     // Must be able to update the case in general
-    if (!canViewAllCases(req.userRole) && String(caseDoc.assignedTo) !== userId) {
+    if (!canAccessCase(req, caseDoc)) {
         return next(new ErrorResponse('You do not have permission to update case stages', 403));
     }
 
@@ -1404,6 +2396,20 @@ exports.updateCaseStage = asyncHandler(async (req, res, next) => {
     const payload = sanitizeStagePayload(req.body);
 
     if (payload.stageName !== '') stage.stageName = payload.stageName;
+
+    // Explicit canonicalStage (null/'' = free-text override), else re-match a renamed stage
+    if (req.body.canonicalStage !== undefined || payload.stageName !== '') {
+        const stageTemplate = await findStageTemplate(organizationId, caseDoc.caseType);
+        if (req.body.canonicalStage !== undefined && !payload.canonicalStage) {
+            stage.canonicalStage = null;
+        } else {
+            const canonical = resolveStageCanonical(stageTemplate, stage.stageName, payload.canonicalStage);
+            if (canonical.error) {
+                return next(new ErrorResponse(canonical.error, 400));
+            }
+            stage.canonicalStage = canonical.canonicalStage;
+        }
+    }
     if (req.body.todaySummary !== undefined) stage.todaySummary = payload.todaySummary || undefined;
     if (req.body.nextDatePurpose !== undefined) stage.nextDatePurpose = payload.nextDatePurpose || undefined;
     if (req.body.nextDatePreparation !== undefined) stage.nextDatePreparation = payload.nextDatePreparation || undefined;
@@ -1412,20 +2418,23 @@ exports.updateCaseStage = asyncHandler(async (req, res, next) => {
         if (!isValidDateOrNull(payload.nextDate)) {
             return next(new ErrorResponse('Invalid next date', 400));
         }
+        const currentTime = stage.nextDate ? new Date(stage.nextDate).getTime() : null;
+        const requestedTime = payload.nextDate ? payload.nextDate.getTime() : null;
+        // The hearing date is part of the recorded outcome (and the adjournment report)
+        if (stage.hearingOutcome && currentTime !== requestedTime) {
+            return next(new ErrorResponse('The hearing outcome for this date is recorded; set the next date on the following stage', 400));
+        }
 
         const oldNextDate = stage.nextDate ? new Date(stage.nextDate) : null;
         stage.nextDate = payload.nextDate;
 
-        // If nextDate changed, reset reminderMeta so reminders can fire again for new date.
+        // If nextDate changed, bump rescheduleCount (ICS SEQUENCE) and clear remindersSent so reminders can fire again for new date.
         const oldTime = oldNextDate ? oldNextDate.getTime() : null;
         const newTime = payload.nextDate ? payload.nextDate.getTime() : null;
         if (oldTime !== newTime) {
-            stage.reminderMeta = {
-                before5DaysSentAt: null,
-                before2DaysSentAt: null,
-                before1DaySentAt: null,
-                afterDateSentAt: null
-            };
+            stage.rescheduleCount = (stage.rescheduleCount || 0) + 1;
+            stage.remindersSent = [];
+            stage.reminderMeta = undefined;
         }
     }
 
@@ -1435,9 +2444,14 @@ exports.updateCaseStage = asyncHandler(async (req, res, next) => {
     await caseDoc.save();
     await caseDoc.populate('stages.confirmedBy', STAGE_CONFIRM_USER_SELECT);
 
+    const warnings = req.body.nextDate !== undefined
+        ? await buildHearingDateWarnings(organizationId, caseDoc, [stage])
+        : [];
+
     return res.status(200).json({
         success: true,
         message: 'Case stage updated successfully',
+        warnings,
         data: stage
     });
 });
@@ -1463,7 +2477,7 @@ exports.confirmCaseStage = asyncHandler(async (req, res, next) => {
     }
 
     // Must be able to update the case in general
-    if (!canViewAllCases(req.userRole) && String(caseDoc.assignedTo) !== userId) {
+    if (!canAccessCase(req, caseDoc)) {
         return next(new ErrorResponse('You do not have permission to confirm case stages', 403));
     }
 
@@ -1496,3 +2510,150 @@ exports.confirmCaseStage = asyncHandler(async (req, res, next) => {
         data: stage
     });
 });
+
+/**
+ * @desc    Record what happened at a stage's hearing and roll the matter into its next stage.
+ *          Adjourned and part-heard matters continue in the same stage; heard matters move to the template's
+ *          next stage unless another is given.
+ * @route   POST /api/cases/:id/stages/:stageId/outcome
+ * @access  Private (Requires 'update' permission on 'cases' module)
+ * @body    outcome (heard|adjourned|part_heard|order_reserved), adjournmentReason? (required when adjourned), notes?,
+ *          next stage: nextDate?, nextDatePurpose?, nextDatePreparation?, stageName?, canonicalStage?, confirmedBy?
+ */
+exports.recordHearingOutcome = asyncHandler(async (req, res, next) => {
+    const { id, stageId } = req.params;
+    const organizationId = normalizeOrganizationId(req.user.organization);
+    const userId = req.user._id.toString();
+    const { outcome, adjournmentReason, notes } = req.body;
+
+    if (!HEARING_OUTCOMES.includes(outcome)) {
+        return next(new ErrorResponse(`outcome must be one of: ${HEARING_OUTCOMES.join(', ')}`, 400));
+    }
+    if (outcome === 'adjourned' && !ADJOURNMENT_REASONS.includes(adjournmentReason)) {
+        return next(new ErrorResponse(`adjournmentReason must be one of: ${ADJOURNMENT_REASONS.join(', ')}`, 400));
+    }
+
+    const caseDoc = await Case.findOne({
+        _id: id,
+        organization: organizationId,
+        deletedAt: null
+    });
+
+    if (!caseDoc) {
+        return next(new ErrorResponse('Case not found', 404));
+    }
+
+    if (!canAccessCase(req, caseDoc)) {
+        return next(new ErrorResponse('You do not have permission to update case stages', 403));
+    }
+    if (caseDoc.status !== 'active') {
+        return next(new ErrorResponse('Hearing outcomes can only be recorded on active cases', 400));
+    }
+
+    const stage = (caseDoc.stages || []).id(stageId);
+    if (!stage) {
+        return next(new ErrorResponse('Case stage not found', 404));
+    }
+    // Only the current stage rolls forward; earlier stages were already followed by another one
+    if (String(caseDoc.stages[caseDoc.stages.length - 1]._id) !== String(stage._id)) {
+        return next(new ErrorResponse('Hearing outcomes can only be recorded on the latest stage of the case', 400));
+    }
+    if (!stage.nextDate) {
+        return next(new ErrorResponse('This stage has no hearing date to record an outcome for', 400));
+    }
+    if (stage.hearingOutcome) {
+        return next(new ErrorResponse('An outcome has already been recorded for this hearing', 400));
+    }
+    const endOfToday = new Date();
+    endOfToday.setHours(23, 59, 59, 999);
+    if (stage.nextDate > endOfToday) {
+        return next(new ErrorResponse('The hearing has not taken place yet', 400));
+    }
+
+    const payload = sanitizeStagePayload(req.body);
+    if (!isValidDateOrNull(payload.nextDate)) {
+        return next(new ErrorResponse('Invalid next date', 400));
+    }
+
+    // Next stage: what the court moved the matter to, or the same stage again
+    let nextStageName = payload.stageName;
+    let nextCanonicalStage = stage.canonicalStage || null;
+    if (nextStageName || payload.canonicalStage || outcome === 'heard') {
+        const stageTemplate = await findStageTemplate(organizationId, caseDoc.caseType);
+        if (!nextStageName && !payload.canonicalStage) {
+            nextStageName = suggestNextStage(stageTemplate, caseDoc.stages) || stage.stageName;
+        }
+        const canonical = resolveStageCanonical(stageTemplate, nextStageName, payload.canonicalStage);
+        if (canonical.error) {
+            return next(new ErrorResponse(canonical.error, 400));
+        }
+        nextCanonicalStage = canonical.canonicalStage;
+        nextStageName = nextStageName || canonical.canonicalStage;
+    } else {
+        nextStageName = stage.stageName;
+    }
+
+    const confirmedBy = payload.confirmedBy || String(stage.confirmedBy);
+    const validAssignees = await getAssigneeUserIdsForModule(organizationId, 'cases');
+    const confirmUser = validAssignees.includes(confirmedBy)
+        ? await User.exists({ _id: confirmedBy, organization: organizationId, status: { $nin: ['terminated'] } })
+        : null;
+    if (!confirmUser) {
+        return next(new ErrorResponse('Confirmed by must be a valid case assignee', 400));
+    }
+
+    const carryOver = outcome !== 'heard';
+    caseDoc.stages.push({
+        stageName: nextStageName,
+        canonicalStage: nextCanonicalStage,
+        nextDate: payload.nextDate,
+        nextDatePurpose: payload.nextDatePurpose
+            || (outcome === 'order_reserved' ? 'Pronouncement of order' : carryOver ? stage.nextDatePurpose : undefined),
+        nextDatePreparation: payload.nextDatePreparation || (carryOver ? stage.nextDatePreparation : undefined),
+        confirmedBy,
+        createdBy: userId,
+        updatedBy: userId
+    });
+    const nextStage = caseDoc.stages[caseDoc.stages.length - 1];
+
+    stage.hearingOutcome = {
+        outcome,
+        hearingDate: stage.nextDate,
+        adjournmentReason: outcome === 'adjourned' ? adjournmentReason : null,
+        notes: notes ? String(notes).trim() : '',
+        nextStage: String(nextStage._id),
+        recordedBy: userId,
+        recordedAt: new Date()
+    };
+    stage.updatedBy = userId;
+    caseDoc.updatedBy = userId;
+    await caseDoc.save();
+    await caseDoc.populate('stages.confirmedBy', STAGE_CONFIRM_USER_SELECT);
+
+    try {
+        await dispatchNotification({
+            userId: confirmedBy,
+            organization: organizationId,
+            type: 'case_stage_needs_confirmation',
+            title: 'Stage needs confirmation',
+            message: `${caseDoc.caseNumber || caseDoc._id} - Please confirm stage: ${nextStage.stageName}`,
+            relatedEntityType: 'case',
+            relatedEntityId: caseDoc._id.toString(),
+            createdBy: userId
+        });
+    } catch (err) {
+        console.error('⚠️ Failed to create stage confirmation notification:', err.message);
+    }
+
+    const warnings = await buildHearingDateWarnings(organizationId, caseDoc, [nextStage]);
+
+    return res.status(201).json({
+        success: true,
+        message: 'Hearing outcome recorded successfully',
+        warnings,
+        data: {
+            stage,
+            nextStage
+        }
+    });
+});
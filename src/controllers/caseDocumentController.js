@@ -0,0 +1,299 @@
+// controllers/caseDocumentController.js
+// Case documents: upload against a case or stage, new versions, list, download and delete (files live in utils/storage)
+
+const Case = require('../models/Case');
+const CaseDocument = require('../models/CaseDocument');
+const asyncHandler = require('../middleware/asyncHandler');
+const ErrorResponse = require('../utils/errorResponse');
+const { canAssignModule } = require('../utils/assigneeUtils');
+const { isTeamMember } = require('../utils/teamUtils');
+const { sendEncryptedJson } = require('../utils/responseEncryption');
+const { storeUploadedFile, removeStoredVersions, toVersionList, findVersion, sendStoredFile } = require('../utils/fileVersions');
+const { createSignedDownloadUrl } = require('../utils/signedFileUrls');
+
+const canViewAllCases = (userRole) => canAssignModule(userRole, 'cases');
+const CATEGORIES = CaseDocument.CATEGORIES;
+
+/**
+ * Load a case the current user may work with (same visibility rule as getCase).
+ * @returns {Promise<{ caseDoc?: Object, error?: ErrorResponse }>}
+ */
+const loadAccessibleCase = async (req) => {
+    const caseDoc = await Case.findOne({
+        _id: req.params.id,
+        organization: req.user.organization,
+        deletedAt: null
+    }).select('_id organization assignedTo team.user stages._id stages.stageName');
+
+    if (!caseDoc) {
+        return { error: new ErrorResponse('Case not found', 404) };
+    }
+    if (!canViewAllCases(req.userRole) && !isTeamMember(caseDoc, req.user._id)) {
+        return { error: new ErrorResponse('You do not have permission to access documents of this case', 403) };
+    }
+    return { caseDoc };
+};
+
+const loadDocument = (caseDoc, documentId) => CaseDocument.findOne({
+    _id: documentId,
+    organization: caseDoc.organization.toString(),
+    case: caseDoc._id
+});
+
+const toDocumentResponse = (document) => {
+    const data = document.toObject ? document.toObject() : { ...document };
+    data.versionCount = (data.versions || []).length;
+    delete data.versions;
+    return data;
+};
+
+/**
+ * @desc    Upload a document to a case (optionally to one stage)
+ * @route   POST /api/cases/:id/documents
+ * @access  Private (Requires 'update' permission on 'cases' module)
+ * @body    multipart/form-data: file, category (petition|order|evidence|vakalatnama), title?, description?, stageId?, documentDate?
+ */
+exports.uploadCaseDocument = asyncHandler(async (req, res, next) => {
+    if (!req.file || !req.file.buffer) {
+        return next(new ErrorResponse('No file uploaded. Send multipart/form-data with field "file" (PDF, DOCX or image)', 400));
+    }
+
+    const { caseDoc, error } = await loadAccessibleCase(req);
+    if (error) return next(error);
+
+    const { category, title, description, stageId, documentDate } = req.body;
+
+    if (!CATEGORIES.includes(category)) {
+        return next(new ErrorResponse(`category must be one of: ${CATEGORIES.join(', ')}`, 400));
+    }
+    if (stageId && !caseDoc.stages.id(stageId)) {
+        return next(new ErrorResponse('Case stage not found', 404));
+    }
+    let parsedDocumentDate = null;
+    if (documentDate) {
+        parsedDocumentDate = new Date(documentDate);
+        if (isNaN(parsedDocumentDate.getTime())) {
+            return next(new ErrorResponse('Invalid documentDate', 400));
+        }
+    }
+
+    const organizationId = caseDoc.organization.toString();
+    const stored = await storeUploadedFile(req.file, `documents/${organizationId}/${caseDoc._id}`);
+
+    let document;
+    try {
+        document = await CaseDocument.create({
+            organization: organizationId,
+            case: caseDoc._id,
+            stageId: stageId || null,
+            category,
+            title: title ? String(title).trim() : req.file.originalname,
+            description: description ? String(description).trim() : '',
+            documentDate: parsedDocumentDate,
+            originalName: stored.originalName,
+            mimeType: stored.mimeType,
+            size: stored.size,
+            currentVersion: 1,
+            versions: [{ ...stored, version: 1, uploadedBy: req.user._id, uploadedAt: new Date() }],
+            createdBy: req.user._id
+        });
+    } catch (err) {
+        // Do not leave an orphaned file behind
+        await removeStoredVersions([stored]);
+        throw err;
+    }
+
+    res.status(201).json({
+        success: true,
+        message: 'Document uploaded successfully',
+        data: toDocumentResponse(document)
+    });
+});
+
+/**
+ * @desc    Upload a new version of a case document (previous versions are kept)
+ * @route   POST /api/cases/:id/documents/:documentId/versions
+ * @access  Private (Requires 'update' permission on 'cases' module)
+ * @body    multipart/form-data: file
+ */
+exports.uploadCaseDocumentVersion = asyncHandler(async (req, res, next) => {
+    if (!req.file || !req.file.buffer) {
+        return next(new ErrorResponse('No file uploaded. Send multipart/form-data with field "file" (PDF, DOCX or image)', 400));
+    }
+
+    const { caseDoc, error } = await loadAccessibleCase(req);
+    if (error) return next(error);
+
+    const document = await loadDocument(caseDoc, req.params.documentId);
+    if (!document) {
+        return next(new ErrorResponse('Document not found', 404));
+    }
+
+    const stored = await storeUploadedFile(req.file, `documents/${document.organization}/${caseDoc._id}`);
+    const nextVersion = Math.max(0, ...document.versions.map((v) => v.version)) + 1;
+
+    document.versions.push({ ...stored, version: nextVersion, uploadedBy: req.user._id, uploadedAt: new Date() });
+    document.currentVersion = nextVersion;
+    document.originalName = stored.originalName;
+    document.mimeType = stored.mimeType;
+    document.size = stored.size;
+    document.updatedBy = req.user._id;
+
+    try {
+        await document.save();
+    } catch (err) {
+        await removeStoredVersions([stored]);
+        throw err;
+    }
+
+    res.status(201).json({
+        success: true,
+        message: `Version ${nextVersion} uploaded successfully`,
+        data: toDocumentResponse(document)
+    });
+});
+
+/**
+ * @desc    List documents of a case
+ * @route   GET /api/cases/:id/documents
+ * @access  Private (Requires 'read' permission on 'cases' module)
+ * @query   category, stageId
+ */
+exports.getCaseDocuments = asyncHandler(async (req, res, next) => {
+    const { caseDoc, error } = await loadAccessibleCase(req);
+    if (error) return next(error);
+
+    const { category, stageId } = req.query;
+    const query = { organization: caseDoc.organization.toString(), case: caseDoc._id };
+
+    if (category) {
+        if (!CATEGORIES.includes(category)) {
+            return next(new ErrorResponse(`category must be one of: ${CATEGORIES.join(', ')}`, 400));
+        }
+        query.category = category;
+    }
+    if (stageId) query.stageId = String(stageId);
+
+    const documents = await CaseDocument.find(query)
+        .populate('createdBy', 'firstName lastName email')
+        .sort({ createdAt: -1 })
+        .lean();
+
+    const stageNames = new Map(caseDoc.stages.map((s) => [String(s._id), s.stageName]));
+    const data = documents.map((doc) => ({
+        ...toDocumentResponse(doc),
+        stageName: doc.stageId ? (stageNames.get(doc.stageId) || null) : null
+    }));
+
+    sendEncryptedJson(res, 200, {
+        success: true,
+        count: data.length,
+        categories: CATEGORIES,
+        data
+    });
+});
+
+/**
+ * @desc    List the versions of a case document
+ * @route   GET /api/cases/:id/documents/:documentId/versions
+ * @access  Private (Requires 'read' permission on 'cases' module)
+ */
+exports.getCaseDocumentVersions = asyncHandler(async (req, res, next) => {
+    const { caseDoc, error } = await loadAccessibleCase(req);
+    if (error) return next(error);
+
+    const document = await loadDocument(caseDoc, req.params.documentId)
+        .populate('versions.uploadedBy', 'firstName lastName email')
+        .lean();
+    if (!document) {
+        return next(new ErrorResponse('Document not found', 404));
+    }
+
+    sendEncryptedJson(res, 200, {
+        success: true,
+        currentVersion: document.currentVersion,
+        data: toVersionList(document.versions, document.currentVersion)
+    });
+});
+
+/**
+ * @desc    Get a short-lived signed download URL for a case document (current or ?version=)
+ * @route   GET /api/cases/:id/documents/:documentId/download-url
+ * @access  Private (Requires 'read' permission on 'cases' module)
+ */
+exports.getCaseDocumentDownloadUrl = asyncHandler(async (req, res, next) => {
+    const { caseDoc, error } = await loadAccessibleCase(req);
+    if (error) return next(error);
+
+    const document = await loadDocument(caseDoc, req.params.documentId).lean();
+    if (!document) {
+        return next(new ErrorResponse('Document not found', 404));
+    }
+
+    const version = findVersion(document.versions, req.query.version, document.currentVersion);
+    if (!version) {
+        return next(new ErrorResponse('Document version not found', 404));
+    }
+
+    const signed = createSignedDownloadUrl(req, {
+        kind: 'case_document',
+        id: document._id,
+        version: version.version,
+        userId: req.user._id,
+        organizationId: document.organization
+    });
+
+    res.status(200).json({
+        success: true,
+        data: { ...signed, version: version.version, originalName: version.originalName }
+    });
+});
+
+/**
+ * @desc    Download a case document (current or ?version=)
+ * @route   GET /api/cases/:id/documents/:documentId/download
+ * @access  Private (Requires 'read' permission on 'cases' module)
+ */
+exports.downloadCaseDocument = asyncHandler(async (req, res, next) => {
+    const { caseDoc, error } = await loadAccessibleCase(req);
+    if (error) return next(error);
+
+    const document = await loadDocument(caseDoc, req.params.documentId).lean();
+    if (!document) {
+        return next(new ErrorResponse('Document not found', 404));
+    }
+
+    const version = findVersion(document.versions, req.query.version, document.currentVersion);
+    if (!version) {
+        return next(new ErrorResponse('Document version not found', 404));
+    }
+
+    await sendStoredFile(res, next, version);
+});
+
+/**
+ * @desc    Delete a case document (record is soft deleted, stored files of all versions are removed)
+ * @route   DELETE /api/cases/:id/documents/:documentId
+ * @access  Private (Requires 'update' permission on 'cases' module)
+ */
+exports.deleteCaseDocument = asyncHandler(async (req, res, next) => {
+    const { caseDoc, error } = await loadAccessibleCase(req);
+    if (error) return next(error);
+
+    const document = await loadDocument(caseDoc, req.params.documentId);
+    if (!document) {
+        return next(new ErrorResponse('Document not found', 404));
+    }
+
+    document.deletedAt = new Date();
+    document.deletedBy = req.user._id;
+    document.updatedBy = req.user._id;
+    await document.save();
+
+    await removeStoredVersions(document.versions);
+
+    res.status(200).json({
+        success: true,
+        message: 'Document deleted successfully'
+    });
+});
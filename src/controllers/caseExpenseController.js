@@ -0,0 +1,406 @@
+// controllers/caseExpenseController.js
+// Case expenses and disbursements: record, receipts, mark recovered from the client, list with totals
+
+const Case = require('../models/Case');
+const CaseExpense = require('../models/CaseExpense');
+const User = require('../models/User');
+const asyncHandler = require('../middleware/asyncHandler');
+const ErrorResponse = require('../utils/errorResponse');
+const { canAssignModule } = require('../utils/assigneeUtils');
+const { isTeamMember } = require('../utils/teamUtils');
+const { sendEncryptedJson } = require('../utils/responseEncryption');
+const { storeUploadedFile, removeStoredVersions, toVersionList, findVersion } = require('../utils/fileVersions');
+const { createSignedDownloadUrl } = require('../utils/signedFileUrls');
+const { roundMoney } = require('../utils/invoiceUtils');
+
+const canViewAllCases = (userRole) => canAssignModule(userRole, 'cases');
+const CATEGORIES = CaseExpense.CATEGORIES;
+
+/**
+ * Load a case the current user may work with (same visibility rule as getCase).
+ * @returns {Promise<{ caseDoc?: Object, error?: ErrorResponse }>}
+ */
+const loadAccessibleCase = async (req) => {
+    const caseDoc = await Case.findOne({
+        _id: req.params.id,
+        organization: req.user.organization,
+        deletedAt: null
+    }).select('_id organization assignedTo team.user clients');
+
+    if (!caseDoc) {
+        return { error: new ErrorResponse('Case not found', 404) };
+    }
+    if (!canViewAllCases(req.userRole) && !isTeamMember(caseDoc, req.user._id)) {
+        return { error: new ErrorResponse('You do not have permission to access expenses of this case', 403) };
+    }
+    return { caseDoc };
+};
+
+const loadExpense = (caseDoc, expenseId) => CaseExpense.findOne({
+    _id: expenseId,
+    organization: caseDoc.organization.toString(),
+    case: caseDoc._id
+});
+
+/**
+ * Client to recover from: the given one (must be on the case), or the case's only client.
+ * A recoverable expense always has a client: cases with several clients need an explicit one and cases without
+ * clients can only record non-recoverable expenses.
+ * @returns {{ clientId?: string|null, error?: ErrorResponse }}
+ */
+const resolveExpenseClient = (caseDoc, requestedClient, required = true) => {
+    const caseClients = (caseDoc.clients || []).map(String);
+    if (requestedClient) {
+        if (!caseClients.includes(String(requestedClient))) {
+            return { error: new ErrorResponse('client must be one of the clients of this case', 400) };
+        }
+        return { clientId: String(requestedClient) };
+    }
+    if (caseClients.length === 1) return { clientId: caseClients[0] };
+    if (!required) return { clientId: null };
+    if (caseClients.length === 0) {
+        return { error: new ErrorResponse('This case has no client to recover the expense from: add a client or record it as not recoverable', 400) };
+    }
+    return { error: new ErrorResponse('This case has several clients: specify the client to recover the expense from', 400) };
+};
+
+const parseBoolean = (value, fallback) => {
+    if (value === undefined || value === null || value === '') return fallback;
+    return value === true || value === 'true';
+};
+
+const toExpenseResponse = (expense) => {
+    const data = expense.toObject ? expense.toObject() : { ...expense };
+    data.hasReceipt = (data.receiptVersions || []).length > 0;
+    delete data.receiptVersions;
+    return data;
+};
+
+const appendReceiptVersion = (expense, stored, userId) => {
+    const nextVersion = Math.max(0, ...expense.receiptVersions.map((v) => v.version)) + 1;
+    expense.receiptVersions.push({ ...stored, version: nextVersion, uploadedBy: userId, uploadedAt: new Date() });
+    expense.receiptCurrentVersion = nextVersion;
+};
+
+/**
+ * @desc    Record an expense on a case (optionally with a receipt)
+ * @route   POST /api/cases/:id/expenses
+ * @access  Private (Requires 'update' permission on 'cases' module)
+ * @body    category, amount, description?, expenseDate?, paidBy? (user ID, default current user), recoverable? (default true),
+ *          client? (required when the case has several clients); multipart field "receipt" (optional)
+ */
+exports.createCaseExpense = asyncHandler(async (req, res, next) => {
+    const { caseDoc, error } = await loadAccessibleCase(req);
+    if (error) return next(error);
+
+    const { category, amount, description, expenseDate, paidBy, recoverable, client } = req.body;
+
+    if (!CATEGORIES.includes(category)) {
+        return next(new ErrorResponse(`category must be one of: ${CATEGORIES.join(', ')}`, 400));
+    }
+    const parsedAmount = roundMoney(amount);
+    if (!(parsedAmount > 0)) {
+        return next(new ErrorResponse('amount must be greater than zero', 400));
+    }
+    let parsedExpenseDate = new Date();
+    if (expenseDate) {
+        parsedExpenseDate = new Date(expenseDate);
+        if (isNaN(parsedExpenseDate.getTime())) {
+            return next(new ErrorResponse('Invalid expenseDate', 400));
+        }
+    }
+
+    const organizationId = caseDoc.organization.toString();
+    let paidById = req.user._id;
+    if (paidBy && String(paidBy) !== String(req.user._id)) {
+        const payer = await User.findOne({ _id: paidBy, organization: organizationId }).select('_id').lean();
+        if (!payer) return next(new ErrorResponse('paidBy user not found', 404));
+        paidById = payer._id;
+    }
+
+    const isRecoverable = parseBoolean(recoverable, true);
+    const { clientId, error: clientError } = resolveExpenseClient(caseDoc, client, isRecoverable);
+    if (clientError) return next(clientError);
+
+    const expense = new CaseExpense({
+        organization: organizationId,
+        case: caseDoc._id,
+        client: clientId,
+        category,
+        amount: parsedAmount,
+        description: description ? String(description).trim() : '',
+        expenseDate: parsedExpenseDate,
+        paidBy: paidById,
+        recoverable: isRecoverable,
+        createdBy: req.user._id
+    });
+
+    let stored = null;
+    if (req.file && req.file.buffer) {
+        stored = await storeUploadedFile(req.file, `expenses/${organizationId}/${caseDoc._id}`);
+        appendReceiptVersion(expense, stored, req.user._id);
+    }
+
+    try {
+        await expense.save();
+    } catch (err) {
+        // Do not leave an orphaned receipt behind
+        if (stored) await removeStoredVersions([stored]);
+        throw err;
+    }
+
+    res.status(201).json({
+        success: true,
+        message: 'Expense recorded successfully',
+        data: toExpenseResponse(expense)
+    });
+});
+
+/**
+ * @desc    List expenses of a case with totals
+ * @route   GET /api/cases/:id/expenses
+ * @access  Private (Requires 'read' permission on 'cases' module)
+ * @query   category, recoverable, recovered, client
+ */
+exports.getCaseExpenses = asyncHandler(async (req, res, next) => {
+    const { caseDoc, error } = await loadAccessibleCase(req);
+    if (error) return next(error);
+
+    const { category, recoverable, recovered, client } = req.query;
+    const query = { organization: caseDoc.organization.toString(), case: caseDoc._id };
+
+    if (category) {
+        if (!CATEGORIES.includes(category)) {
+            return next(new ErrorResponse(`category must be one of: ${CATEGORIES.join(', ')}`, 400));
+        }
+        query.category = category;
+    }
+    if (recoverable !== undefined) query.recoverable = recoverable === 'true';
+    if (recovered !== undefined) query.recoveredAt = recovered === 'true' ? { $ne: null } : null;
+    if (client) query.client = String(client);
+
+    const expenses = await CaseExpense.find(query)
+        .populate('paidBy', 'firstName lastName email')
+        .populate('client', 'firstName lastName')
+        .sort({ expenseDate: -1, createdAt: -1 })
+        .lean();
+
+    const totals = { total: 0, recoverable: 0, recovered: 0, outstanding: 0 };
+    for (const e of expenses) {
+        totals.total += e.amount;
+        if (e.recoverable) {
+            totals.recoverable += e.amount;
+            if (e.recoveredAt) totals.recovered += e.amount;
+        }
+    }
+    totals.outstanding = totals.recoverable - totals.recovered;
+    for (const key of Object.keys(totals)) totals[key] = roundMoney(totals[key]);
+
+    sendEncryptedJson(res, 200, {
+        success: true,
+        count: expenses.length,
+        categories: CATEGORIES,
+        totals,
+        data: expenses.map(toExpenseResponse)
+    });
+});
+
+/**
+ * @desc    Update an expense
+ * @route   PUT /api/cases/:id/expenses/:expenseId
+ * @access  Private (Requires 'update' permission on 'cases' module)
+ * @body    category?, amount?, description?, expenseDate?, paidBy?, recoverable?, client?
+ */
+exports.updateCaseExpense = asyncHandler(async (req, res, next) => {
+    const { caseDoc, error } = await loadAccessibleCase(req);
+    if (error) return next(error);
+
+    const expense = await loadExpense(caseDoc, req.params.expenseId);
+    if (!expense) {
+        return next(new ErrorResponse('Expense not found', 404));
+    }
+
+    const { category, amount, description, expenseDate, paidBy, recoverable, client } = req.body;
+
+    if (category !== undefined) {
+        if (!CATEGORIES.includes(category)) {
+            return next(new ErrorResponse(`category must be one of: ${CATEGORIES.join(', ')}`, 400));
+        }
+        expense.category = category;
+    }
+    if (amount !== undefined) {
+        const parsedAmount = roundMoney(amount);
+        if (!(parsedAmount > 0)) return next(new ErrorResponse('amount must be greater than zero', 400));
+        expense.amount = parsedAmount;
+    }
+    if (description !== undefined) expense.description = String(description || '').trim();
+    if (expenseDate !== undefined) {
+        const parsed = new Date(expenseDate);
+        if (isNaN(parsed.getTime())) return next(new ErrorResponse('Invalid expenseDate', 400));
+        expense.expenseDate = parsed;
+    }
+    if (paidBy !== undefined) {
+        const payer = await User.findOne({ _id: paidBy, organization: expense.organization }).select('_id').lean();
+        if (!payer) return next(new ErrorResponse('paidBy user not found', 404));
+        expense.paidBy = payer._id;
+    }
+    if (recoverable !== undefined) {
+        expense.recoverable = parseBoolean(recoverable, expense.recoverable);
+        if (!expense.recoverable) {
+            expense.recoveredAt = null;
+            expense.recoveredBy = null;
+        }
+    }
+    if (client !== undefined || (expense.recoverable && !expense.client)) {
+        const { clientId, error: clientError } = resolveExpenseClient(caseDoc, client, expense.recoverable);
+        if (clientError) return next(clientError);
+        expense.client = clientId;
+    }
+
+    expense.updatedBy = req.user._id;
+    await expense.save();
+
+    res.status(200).json({
+        success: true,
+        message: 'Expense updated successfully',
+        data: toExpenseResponse(expense)
+    });
+});
+
+/**
+ * @desc    Mark a recoverable expense as recovered from the client (or undo)
+ * @route   PATCH /api/cases/:id/expenses/:expenseId/recovered
+ * @access  Private (Requires 'update' permission on 'cases' module)
+ * @body    recovered (default true), recoveredAt?
+ */
+exports.setCaseExpenseRecovered = asyncHandler(async (req, res, next) => {
+    const { caseDoc, error } = await loadAccessibleCase(req);
+    if (error) return next(error);
+
+    const expense = await loadExpense(caseDoc, req.params.expenseId);
+    if (!expense) {
+        return next(new ErrorResponse('Expense not found', 404));
+    }
+    if (!expense.recoverable) {
+        return next(new ErrorResponse('Only recoverable expenses can be marked as recovered', 400));
+    }
+
+    const recovered = parseBoolean(req.body.recovered, true);
+    if (recovered) {
+        const recoveredAt = req.body.recoveredAt ? new Date(req.body.recoveredAt) : new Date();
+        if (isNaN(recoveredAt.getTime())) return next(new ErrorResponse('Invalid recoveredAt', 400));
+        expense.recoveredAt = recoveredAt;
+        expense.recoveredBy = req.user._id;
+    } else {
+        expense.recoveredAt = null;
+        expense.recoveredBy = null;
+    }
+    expense.updatedBy = req.user._id;
+    await expense.save();
+
+    res.status(200).json({
+        success: true,
+        message: recovered ? 'Expense marked as recovered' : 'Expense marked as outstanding',
+        data: toExpenseResponse(expense)
+    });
+});
+
+/**
+ * @desc    Upload a receipt for an expense (previous receipts are kept as versions)
+ * @route   POST /api/cases/:id/expenses/:expenseId/receipt
+ * @access  Private (Requires 'update' permission on 'cases' module)
+ * @body    multipart/form-data: receipt
+ */
+exports.uploadCaseExpenseReceipt = asyncHandler(async (req, res, next) => {
+    if (!req.file || !req.file.buffer) {
+        return next(new ErrorResponse('No file uploaded. Send multipart/form-data with field "receipt" (PDF or image)', 400));
+    }
+
+    const { caseDoc, error } = await loadAccessibleCase(req);
+    if (error) return next(error);
+
+    const expense = await loadExpense(caseDoc, req.params.expenseId);
+    if (!expense) {
+        return next(new ErrorResponse('Expense not found', 404));
+    }
+
+    const stored = await storeUploadedFile(req.file, `expenses/${expense.organization}/${caseDoc._id}`);
+    appendReceiptVersion(expense, stored, req.user._id);
+    expense.updatedBy = req.user._id;
+
+    try {
+        await expense.save();
+    } catch (err) {
+        await removeStoredVersions([stored]);
+        throw err;
+    }
+
+    res.status(201).json({
+        success: true,
+        message: `Receipt version ${expense.receiptCurrentVersion} uploaded successfully`,
+        data: {
+            currentVersion: expense.receiptCurrentVersion,
+            versions: toVersionList(expense.receiptVersions, expense.receiptCurrentVersion)
+        }
+    });
+});
+
+/**
+ * @desc    Get a short-lived signed URL for an expense receipt (current or ?version=)
+ * @route   GET /api/cases/:id/expenses/:expenseId/receipt/download-url
+ * @access  Private (Requires 'read' permission on 'cases' module)
+ */
+exports.getCaseExpenseReceiptUrl = asyncHandler(async (req, res, next) => {
+    const { caseDoc, error } = await loadAccessibleCase(req);
+    if (error) return next(error);
+
+    const expense = await loadExpense(caseDoc, req.params.expenseId).lean();
+    if (!expense) {
+        return next(new ErrorResponse('Expense not found', 404));
+    }
+
+    const version = findVersion(expense.receiptVersions, req.query.version, expense.receiptCurrentVersion);
+    if (!version) {
+        return next(new ErrorResponse('Receipt not found', 404));
+    }
+
+    const signed = createSignedDownloadUrl(req, {
+        kind: 'expense_receipt',
+        id: expense._id,
+        version: version.version,
+        userId: req.user._id,
+        organizationId: expense.organization
+    });
+
+    res.status(200).json({
+        success: true,
+        data: { ...signed, version: version.version, originalName: version.originalName }
+    });
+});
+
+/**
+ * @desc    Delete an expense (record is soft deleted, stored receipts are removed)
+ * @route   DELETE /api/cases/:id/expenses/:expenseId
+ * @access  Private (Requires 'update' permission on 'cases' module)
+ */
+exports.deleteCaseExpense = asyncHandler(async (req, res, next) => {
+    const { caseDoc, error } = await loadAccessibleCase(req);
+    if (error) return next(error);
+
+    const expense = await loadExpense(caseDoc, req.params.expenseId);
+    if (!expense) {
+        return next(new ErrorResponse('Expense not found', 404));
+    }
+
+    expense.deletedAt = new Date();
+    expense.deletedBy = req.user._id;
+    expense.updatedBy = req.user._id;
+    await expense.save();
+
+    await removeStoredVersions(expense.receiptVersions);
+
+    res.status(200).json({
+        success: true,
+        message: 'Expense deleted successfully'
+    });
+});
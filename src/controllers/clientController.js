@@ -2,14 +2,52 @@
 // Client CRUD operations with RBAC
 
 const Client = require('../models/Client');
-const Notification = require('../models/Notification');
+const Invoice = require('../models/Invoice');
+const Case = require('../models/Case');
+const Organization = require('../models/Organization');
 const asyncHandler = require('../middleware/asyncHandler');
 const ErrorResponse = require('../utils/errorResponse');
 const { canAssignModule, getAssigneeUserIdsForModule } = require('../utils/assigneeUtils');
+const { isTeamMember, teamVisibilityFilter, sanitizeTeamPayload, notifyTeamChanges } = require('../utils/teamUtils');
+const { enforceConflictPolicy } = require('../utils/conflictCheck');
 const { sendEncryptedJson } = require('../utils/responseEncryption');
+const { dispatchNotificationToUsers } = require('../utils/notificationDispatcher');
+const { storeUploadedFile, toVersionList, findVersion } = require('../utils/fileVersions');
+const { createSignedDownloadUrl, extractUploadToken, verifyFileToken } = require('../utils/signedFileUrls');
+const { getClientBillingSummary } = require('../utils/invoiceUtils');
+const { getClientDisbursementSummary } = require('../utils/expenseUtils');
+const { renderFeeMemoPdf, renderPaymentReceiptPdf } = require('../utils/feeMemoPdf');
+const { sendPdf } = require('../utils/pdfUtils');
 const { parseExcelFromBuffer, writeExcelToBuffer, toSafeString, toOptionalNumber, toOptionalDate, formatMongooseErrorForUser } = require('../utils/excelUtils');
 
 const canViewAllClients = (userRole) => canAssignModule(userRole, 'client');
+const canReadCases = (userRole) => Boolean(userRole && (userRole.isSuperAdmin || (userRole.hasPermission && userRole.hasPermission('cases', 'read'))));
+const canReadInvoices = (userRole) => Boolean(userRole && (userRole.isSuperAdmin || (userRole.hasPermission && userRole.hasPermission('invoice', 'read'))));
+
+/**
+ * Aadhar image uploaded through POST /api/upload: aadharImageUploadToken, or the returned preview URL
+ * sent back as aadharImageUrl. Returns the stored file fields, or null.
+ */
+const resolveAadharUpload = (body, organizationId) => {
+    const token = extractUploadToken(body.aadharImageUploadToken) || extractUploadToken(body.aadharImageUrl);
+    const payload = token ? verifyFileToken(token, 'file_upload') : null;
+    if (!payload || payload.o !== String(organizationId?._id || organizationId)) return null;
+    return payload.f;
+};
+
+// Adds a new Aadhar image version (client must be loaded with +aadharImageVersions)
+const appendAadharVersion = (client, file, userId) => {
+    if (client.aadharImageVersions.some((v) => v.storageKey === file.storageKey)) return;
+    const nextVersion = Math.max(0, ...client.aadharImageVersions.map((v) => v.version)) + 1;
+    client.aadharImageVersions.push({ ...file, version: nextVersion, uploadedBy: userId, uploadedAt: new Date() });
+    client.aadharImageCurrentVersion = nextVersion;
+};
+
+const toClientResponse = (client) => {
+    const data = client.toObject ? client.toObject() : { ...client };
+    delete data.aadharImageVersions;
+    return data;
+};
 
 const CLIENT_EXCEL_SHEET = 'Clients';
 const CLIENT_GENDER_ENUM = Client.schema?.path('gender')?.enumValues || ['Male', 'Female', 'Other', 'Prefer not to say'];
@@ -40,6 +78,8 @@ const CLIENT_EXCEL_HEADERS = [
  * @desc    Create a new client
  * @route   POST /api/clients
  * @access  Private (Requires 'create' permission on 'client' module)
+ * @body    client fields, conflictOverride? { reason } (required when the conflict policy is require_override
+ *          and the client matches a party on an existing case)
  */
 exports.createClient = asyncHandler(async (req, res, next) => {
     const organizationId = req.user.organization;
@@ -65,7 +105,8 @@ exports.createClient = asyncHandler(async (req, res, next) => {
         fees,
         aadharImageUrl,
         assignedTo,
-        notes
+        notes,
+        conflictOverride
     } = req.body;
 
     // Validate required fields
@@ -73,6 +114,11 @@ exports.createClient = asyncHandler(async (req, res, next) => {
         return next(new ErrorResponse('First name, last name, phone, and fees are required', 400));
     }
 
+    const aadharUpload = resolveAadharUpload(req.body, organizationId);
+    if (req.body.aadharImageUploadToken && !aadharUpload) {
+        return next(new ErrorResponse('Aadhar image upload has expired or is invalid. Please upload the image again.', 400));
+    }
+
     // Check if client with same email exists in organization
     if (email) {
         const existingClient = await Client.findOne({
@@ -96,6 +142,19 @@ exports.createClient = asyncHandler(async (req, res, next) => {
         }
     }
 
+    // Conflict of interest: the new client must not be a party we are already acting against.
+    // Matches with existing clients are returned too (likely a returning client) but do not count as a conflict.
+    const conflict = await enforceConflictPolicy({
+        organizationId,
+        subjects: [{ firstName, lastName, companyName, phone, alternatePhone, email, panCardNumber, aadharCardNumber }],
+        override: conflictOverride,
+        userId,
+        conflictSources: ['case_party']
+    });
+    if (conflict.error) {
+        return res.status(409).json({ success: false, error: conflict.error, conflictCheck: conflict.result });
+    }
+
     // Create client
     const client = await Client.create({
         firstName,
@@ -115,11 +174,16 @@ exports.createClient = asyncHandler(async (req, res, next) => {
         aadharCardNumber,
         panCardNumber,
         fees,
-        aadharImageUrl,
+        aadharImageUrl: aadharUpload ? undefined : aadharImageUrl,
+        ...(aadharUpload ? {
+            aadharImageCurrentVersion: 1,
+            aadharImageVersions: [{ ...aadharUpload, version: 1, uploadedBy: userId, uploadedAt: new Date() }]
+        } : {}),
         assignedTo: effectiveAssignedTo,
         organization: organizationId,
         createdBy: userId,
-        notes
+        notes,
+        conflictOverride: conflict.conflictOverride || null
     });
 
     console.log('✅ Client created:', {
@@ -137,18 +201,15 @@ exports.createClient = asyncHandler(async (req, res, next) => {
             const creatorIdStr = userId.toString();
             const recipientIds = assigneeUserIds.filter((id) => id !== creatorIdStr);
             const clientName = [client.firstName, client.lastName].filter(Boolean).join(' ') || 'New client';
-            for (const assigneeId of recipientIds) {
-                await Notification.create({
-                    userId: assigneeId,
-                    organization: organizationId,
-                    type: 'client_created',
-                    title: 'New client created',
-                    message: `${clientName} was created and may need to be assigned.`,
-                    relatedEntityType: 'client',
-                    relatedEntityId: client._id.toString(),
-                    createdBy: creatorIdStr
-                });
-            }
+            await dispatchNotificationToUsers(recipientIds, {
+                organization: organizationId,
+                type: 'client_created',
+                title: 'New client created',
+                message: `${clientName} was created and may need to be assigned.`,
+                relatedEntityType: 'client',
+                relatedEntityId: client._id.toString(),
+                createdBy: creatorIdStr
+            });
             if (recipientIds.length > 0) {
                 console.log('📬 Notified', recipientIds.length, 'assignee(s) of new client');
             }
@@ -160,7 +221,8 @@ exports.createClient = asyncHandler(async (req, res, next) => {
     res.status(201).json({
         success: true,
         message: 'Client created successfully',
-        data: client
+        conflictCheck: conflict.result,
+        data: toClientResponse(client)
     });
 });
 
@@ -201,9 +263,9 @@ exports.getClients = asyncHandler(async (req, res, next) => {
         query.assignedTo = assignedTo;
     }
 
-    // Visibility rule: users without assignee permission can only view their assigned clients.
+    // Visibility rule: users without assignee permission can only view clients they are assigned to or on the team of.
     if (!canViewAllClients(req.userRole)) {
-        query.assignedTo = userId;
+        query.$and = [teamVisibilityFilter(userId)];
     }
 
     if (search) {
@@ -263,6 +325,7 @@ exports.getClient = asyncHandler(async (req, res, next) => {
         deletedAt: null
     })
         .populate('assignedTo', 'firstName lastName email')
+        .populate('team.user', 'firstName lastName email')
         .populate('createdBy', 'firstName lastName email')
         .populate('updatedBy', 'firstName lastName email');
 
@@ -271,12 +334,20 @@ exports.getClient = asyncHandler(async (req, res, next) => {
     }
 
     // Visibility rule on detail endpoint as well.
-    if (!canViewAllClients(req.userRole) && String(client.assignedTo) !== String(userId)) {
+    if (!canViewAllClients(req.userRole) && !isTeamMember(client, userId)) {
         return next(new ErrorResponse('You do not have permission to view this client', 403));
     }
 
     const data = client.toObject ? client.toObject() : client;
     data.aadharImageUrl = client.aadharImageUrl ?? null;
+    // Outstanding balance from issued invoices (null when the user cannot see invoices)
+    data.billing = canReadInvoices(req.userRole)
+        ? await getClientBillingSummary(client.organization, client._id)
+        : null;
+    // Recoverable case expenses not yet reimbursed (null when the user cannot see cases)
+    data.disbursements = canReadCases(req.userRole)
+        ? await getClientDisbursementSummary(client.organization, client._id)
+        : null;
 
     sendEncryptedJson(res, 200, { success: true, data });
 });
@@ -291,11 +362,18 @@ exports.updateClient = asyncHandler(async (req, res, next) => {
     const organizationId = req.user.organization;
     const userId = req.user._id;
 
-    let client = await Client.findOne({
+    const aadharUpload = resolveAadharUpload(req.body, organizationId);
+    if (req.body.aadharImageUploadToken && !aadharUpload) {
+        return next(new ErrorResponse('Aadhar image upload has expired or is invalid. Please upload the image again.', 400));
+    }
+
+    const clientQuery = Client.findOne({
         _id: id,
         organization: organizationId,
         deletedAt: null
     });
+    if (aadharUpload) clientQuery.select('+aadharImageVersions');
+    let client = await clientQuery;
 
     if (!client) {
         return next(new ErrorResponse('Client not found', 404));
@@ -333,11 +411,15 @@ exports.updateClient = asyncHandler(async (req, res, next) => {
     ];
 
     updateFields.forEach(field => {
+        if (field === 'aadharImageUrl' && aadharUpload) return;
         if (req.body[field] !== undefined) {
             client[field] = field === 'email' ? req.body[field].toLowerCase() : req.body[field];
         }
     });
 
+    // Re-uploading the Aadhar image keeps the previous versions
+    if (aadharUpload) appendAadharVersion(client, aadharUpload, userId);
+
     client.updatedBy = userId;
     await client.save();
 
@@ -354,7 +436,253 @@ exports.updateClient = asyncHandler(async (req, res, next) => {
     res.status(200).json({
         success: true,
         message: 'Client updated successfully',
-        data: client
+        data: toClientResponse(client)
+    });
+});
+
+/**
+ * @desc    Upload a new Aadhar image for a client (previous images are kept as versions)
+ * @route   POST /api/clients/:id/aadhar-image
+ * @access  Private (Requires 'update' permission on 'client' module)
+ * @body    multipart/form-data with field "file", "image", or "aadharImage"
+ */
+exports.uploadClientAadharImage = asyncHandler(async (req, res, next) => {
+    const { id } = req.params;
+    const organizationId = req.user.organization;
+    const userId = req.user._id;
+
+    if (!req.file || !req.file.buffer) {
+        return next(new ErrorResponse('No image uploaded. Send multipart/form-data with field "file", "image", or "aadharImage" (max 1 MB)', 400));
+    }
+
+    const client = await Client.findOne({
+        _id: id,
+        organization: organizationId,
+        deletedAt: null
+    }).select('+aadharImageVersions');
+
+    if (!client) {
+        return next(new ErrorResponse('Client not found', 404));
+    }
+
+    if (!canViewAllClients(req.userRole) && !isTeamMember(client, userId)) {
+        return next(new ErrorResponse('You do not have permission to update this client', 403));
+    }
+
+    const stored = await storeUploadedFile(req.file, `aadhar/${client.organization}/${client._id}`);
+    appendAadharVersion(client, stored, userId);
+    client.updatedBy = userId;
+    await client.save();
+
+    res.status(201).json({
+        success: true,
+        message: `Aadhar image version ${client.aadharImageCurrentVersion} uploaded successfully`,
+        data: {
+            currentVersion: client.aadharImageCurrentVersion,
+            versions: toVersionList(client.aadharImageVersions, client.aadharImageCurrentVersion)
+        }
+    });
+});
+
+/**
+ * @desc    List the Aadhar image versions of a client
+ * @route   GET /api/clients/:id/aadhar-image/versions
+ * @access  Private (Requires 'read' permission on 'client' module)
+ */
+exports.getClientAadharImageVersions = asyncHandler(async (req, res, next) => {
+    const { id } = req.params;
+    const organizationId = req.user.organization;
+    const userId = req.user._id;
+
+    const client = await Client.findOne({
+        _id: id,
+        organization: organizationId,
+        deletedAt: null
+    })
+        .select('+aadharImageVersions')
+        .populate('aadharImageVersions.uploadedBy', 'firstName lastName email')
+        .lean();
+
+    if (!client) {
+        return next(new ErrorResponse('Client not found', 404));
+    }
+
+    if (!canViewAllClients(req.userRole) && !isTeamMember(client, userId)) {
+        return next(new ErrorResponse('You do not have permission to view this client', 403));
+    }
+
+    sendEncryptedJson(res, 200, {
+        success: true,
+        currentVersion: client.aadharImageCurrentVersion || 0,
+        data: toVersionList(client.aadharImageVersions, client.aadharImageCurrentVersion)
+    });
+});
+
+/**
+ * @desc    Get a short-lived signed URL for the client's Aadhar image (current or ?version=)
+ * @route   GET /api/clients/:id/aadhar-image/download-url
+ * @access  Private (Requires 'read' permission on 'client' module)
+ */
+exports.getClientAadharImageUrl = asyncHandler(async (req, res, next) => {
+    const { id } = req.params;
+    const organizationId = req.user.organization;
+    const userId = req.user._id;
+
+    const client = await Client.findOne({
+        _id: id,
+        organization: organizationId,
+        deletedAt: null
+    })
+        .select('+aadharImageVersions')
+        .lean();
+
+    if (!client) {
+        return next(new ErrorResponse('Client not found', 404));
+    }
+
+    if (!canViewAllClients(req.userRole) && !isTeamMember(client, userId)) {
+        return next(new ErrorResponse('You do not have permission to view this client', 403));
+    }
+
+    const version = findVersion(client.aadharImageVersions, req.query.version, client.aadharImageCurrentVersion);
+    if (!version) {
+        return next(new ErrorResponse('Aadhar image not found', 404));
+    }
+
+    const signed = createSignedDownloadUrl(req, {
+        kind: 'client_aadhar',
+        id: client._id,
+        version: version.version,
+        userId,
+        organizationId
+    });
+
+    res.status(200).json({
+        success: true,
+        data: { ...signed, version: version.version, originalName: version.originalName }
+    });
+});
+
+/**
+ * @desc    Fee memo PDF for a client (an invoice, or the client's agreed fees), or a receipt for one payment
+ * @route   GET /api/clients/:id/fee-memo.pdf
+ * @access  Private (Requires 'read' permission on 'client' module; 'read' on 'invoice' when an invoice is used)
+ * @query   invoice (invoice ID), payment (payment ID on that invoice: renders the payment receipt), download=true
+ */
+exports.getClientFeeMemoPdf = asyncHandler(async (req, res, next) => {
+    const { id } = req.params;
+    const organizationId = req.user.organization;
+    const userId = req.user._id;
+    const { invoice: invoiceId, payment: paymentId, download } = req.query;
+
+    const client = await Client.findOne({
+        _id: id,
+        organization: organizationId,
+        deletedAt: null
+    }).lean();
+
+    if (!client) {
+        return next(new ErrorResponse('Client not found', 404));
+    }
+
+    if (!canViewAllClients(req.userRole) && !isTeamMember(client, userId)) {
+        return next(new ErrorResponse('You do not have permission to view this client', 403));
+    }
+
+    if (paymentId && !invoiceId) {
+        return next(new ErrorResponse('invoice is required with payment', 400));
+    }
+
+    let invoice = null;
+    if (invoiceId) {
+        if (!canReadInvoices(req.userRole)) {
+            return next(new ErrorResponse('You do not have permission to view invoices', 403));
+        }
+        invoice = await Invoice.findOne({ _id: invoiceId, organization: organizationId, client: client._id }).lean();
+        if (!invoice) {
+            return next(new ErrorResponse('Invoice not found', 404));
+        }
+        if (invoice.status === 'cancelled') {
+            return next(new ErrorResponse('Invoice is cancelled', 400));
+        }
+    }
+
+    const organization = await Organization.findById(organizationId).lean();
+    const inline = download !== 'true';
+
+    if (paymentId) {
+        const index = invoice.payments.findIndex((p) => String(p._id) === String(paymentId));
+        if (index === -1) {
+            return next(new ErrorResponse('Payment not found', 404));
+        }
+        // Receipts are numbered after the memo and the payment's position on it
+        const receiptNumber = `${invoice.invoiceNumber}/R${index + 1}`;
+        const pdf = await renderPaymentReceiptPdf({ organization, client, invoice, payment: invoice.payments[index], receiptNumber });
+        return sendPdf(res, pdf, `receipt-${receiptNumber}.pdf`, { inline });
+    }
+
+    const caseDoc = invoice && invoice.case
+        ? await Case.findOne({ _id: invoice.case, organization: organizationId }).select('caseNumber partyName courtName').lean()
+        : null;
+
+    const pdf = await renderFeeMemoPdf({ organization, client, invoice, caseDoc });
+    sendPdf(res, pdf, `fee-memo-${invoice ? (invoice.invoiceNumber || invoice._id) : client._id}.pdf`, { inline });
+});
+
+/**
+ * @desc    Replace the client team (members can see the client)
+ * @route   PUT /api/clients/:id/team
+ * @access  Private (Requires 'update' permission on 'client' module; client assignee permission or a lead of the team)
+ * @body    { team: [{ user, role: 'lead'|'associate'|'support' }] }
+ */
+exports.updateClientTeam = asyncHandler(async (req, res, next) => {
+    const organizationId = req.user.organization;
+    const userId = req.user._id;
+
+    const client = await Client.findOne({
+        _id: req.params.id,
+        organization: organizationId,
+        deletedAt: null
+    });
+
+    if (!client) {
+        return next(new ErrorResponse('Client not found', 404));
+    }
+
+    const isLead = client.team.some((m) => String(m.user) === String(userId) && m.role === 'lead');
+    if (!canViewAllClients(req.userRole) && !isLead) {
+        return next(new ErrorResponse('Only client assignees or the team lead can change the client team', 403));
+    }
+
+    const before = client.team.map((m) => ({ user: m.user, role: m.role }));
+    const { team, error } = await sanitizeTeamPayload(organizationId, req.body.team, client.team, userId);
+    if (error) {
+        return next(new ErrorResponse(error, 400));
+    }
+
+    client.team = team;
+    client.updatedBy = userId;
+    await client.save();
+
+    try {
+        await notifyTeamChanges({
+            entityType: 'client',
+            entity: client,
+            label: client.fullName,
+            before,
+            after: team,
+            actorId: userId
+        });
+    } catch (err) {
+        console.error('⚠️ Failed to send client team notifications:', err.message);
+    }
+
+    await client.populate('team.user', 'firstName lastName email');
+
+    res.status(200).json({
+        success: true,
+        message: 'Client team updated successfully',
+        data: client.team
     });
 });
 
@@ -416,7 +744,7 @@ exports.restoreClient = asyncHandler(async (req, res, next) => {
     }
 
     // Visibility: non-assignees can only restore clients assigned to them
-    if (!canViewAllClients(req.userRole) && String(client.assignedTo) !== String(userId)) {
+    if (!canViewAllClients(req.userRole) && !isTeamMember(client, userId)) {
         return next(new ErrorResponse('You do not have permission to restore this client', 403));
     }
 
@@ -533,7 +861,7 @@ exports.exportClientsToExcel = asyncHandler(async (req, res) => {
     if (assignedTo) query.assignedTo = assignedTo;
 
     if (!canViewAllClients(req.userRole)) {
-        query.assignedTo = userId;
+        query.$and = [teamVisibilityFilter(userId)];
     }
 
     if (search) {
@@ -713,18 +1041,15 @@ exports.importClientsFromExcel = asyncHandler(async (req, res, next) => {
             const assigneeUserIds = await getAssigneeUserIdsForModule(organizationId, 'client');
             const creatorIdStr = userId.toString();
             const recipientIds = assigneeUserIds.filter((id) => id !== creatorIdStr);
-            for (const assigneeId of recipientIds) {
-                await Notification.create({
-                    userId: assigneeId,
-                    organization: organizationId,
-                    type: 'client_bulk_imported',
-                    title: 'Clients imported',
-                    message: `${createdCount} client(s) were imported and are unassigned.`,
-                    relatedEntityType: 'client',
-                    relatedEntityId: null,
-                    createdBy: creatorIdStr
-                });
-            }
+            await dispatchNotificationToUsers(recipientIds, {
+                organization: organizationId,
+                type: 'client_bulk_imported',
+                title: 'Clients imported',
+                message: `${createdCount} client(s) were imported and are unassigned.`,
+                relatedEntityType: 'client',
+                relatedEntityId: null,
+                createdBy: creatorIdStr
+            });
         } catch (notifErr) {
             console.error('⚠️ Failed to create bulk-import notifications:', notifErr.message);
         }
@@ -0,0 +1,77 @@
+// controllers/conflictCheckController.js
+// Conflict-of-interest check before taking on a client or matter, and the organization's conflict policy
+
+const Organization = require('../models/Organization');
+const asyncHandler = require('../middleware/asyncHandler');
+const ErrorResponse = require('../utils/errorResponse');
+const { sendEncryptedJson } = require('../utils/responseEncryption');
+const { CONFLICT_MODES, runConflictCheck, getConflictCheckSettings } = require('../utils/conflictCheck');
+
+const MAX_SUBJECTS = 20;
+
+/**
+ * @desc    Check proposed clients / opposing parties against existing clients and case parties
+ * @route   POST /api/conflict-check
+ * @access  Private (Requires 'read' permission on 'client' module)
+ * @body    Either one subject { name | firstName + lastName, companyName?, phone?, email?, panCardNumber?, aadharCardNumber? }
+ *          or { subjects: [...] }; excludeClientIds? (e.g. the matter's own clients)
+ */
+exports.checkConflicts = asyncHandler(async (req, res, next) => {
+    const { subjects: subjectList, excludeClientIds, ...single } = req.body || {};
+    const subjects = Array.isArray(subjectList) ? subjectList : [single];
+
+    if (subjects.length === 0 || subjects.length > MAX_SUBJECTS) {
+        return next(new ErrorResponse(`Provide between 1 and ${MAX_SUBJECTS} parties to check`, 400));
+    }
+
+    const result = await runConflictCheck(req.user.organization, subjects, {
+        excludeClientIds: Array.isArray(excludeClientIds) ? excludeClientIds : []
+    });
+    if (result.checked === 0) {
+        return next(new ErrorResponse('Provide a name, company name, phone, email, PAN or Aadhar number to check', 400));
+    }
+
+    sendEncryptedJson(res, 200, { success: true, data: result });
+});
+
+/**
+ * @desc    Get the organization's conflict check policy
+ * @route   GET /api/conflict-check/settings
+ * @access  Private (Requires 'read' permission on 'client' module)
+ */
+exports.getConflictSettings = asyncHandler(async (req, res, next) => {
+    const settings = await getConflictCheckSettings(req.user.organization);
+
+    res.status(200).json({ success: true, data: settings });
+});
+
+/**
+ * @desc    Update the organization's conflict check policy
+ * @route   PUT /api/conflict-check/settings
+ * @access  Private (SUPER_ADMIN only)
+ * @body    mode? (off|warn|require_override|block), threshold? (50-100)
+ */
+exports.updateConflictSettings = asyncHandler(async (req, res, next) => {
+    const organization = await Organization.findById(req.user.organization);
+    if (!organization) {
+        return next(new ErrorResponse('Organization not found', 404));
+    }
+
+    const { mode, threshold } = req.body;
+
+    if (mode !== undefined) {
+        if (!CONFLICT_MODES.includes(mode)) {
+            return next(new ErrorResponse(`Conflict check mode must be one of: ${CONFLICT_MODES.join(', ')}`, 400));
+        }
+        organization.conflictCheckSettings.mode = mode;
+    }
+    if (threshold !== undefined) organization.conflictCheckSettings.threshold = Number(threshold);
+
+    await organization.save();
+
+    res.status(200).json({
+        success: true,
+        message: 'Conflict check settings updated successfully',
+        data: organization.conflictCheckSettings
+    });
+});
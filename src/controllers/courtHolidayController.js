@@ -0,0 +1,338 @@
+// controllers/courtHolidayController.js
+// Court holiday / vacation calendar per organization (SUPER_ADMIN manages, everyone with case access can read)
+
+const CourtHoliday = require('../models/CourtHoliday');
+const Organization = require('../models/Organization');
+const Case = require('../models/Case');
+const asyncHandler = require('../middleware/asyncHandler');
+const ErrorResponse = require('../utils/errorResponse');
+const { escapeRegex } = require('../utils/regexUtils');
+const { createCourtCalendar, checkHearingDate, DEFAULT_WEEKLY_OFF_DAYS } = require('../utils/courtCalendar');
+const { parseExcelFromBuffer, writeExcelToBuffer, toSafeString, toOptionalDate, formatMongooseErrorForUser } = require('../utils/excelUtils');
+
+const COURT_HOLIDAY_EXCEL_SHEET = 'Court Holidays';
+const COURT_HOLIDAY_EXCEL_HEADERS = ['name', 'kind', 'startDate', 'endDate', 'courtPremises', 'courtName', 'notes'];
+const HOLIDAY_KINDS = CourtHoliday.KINDS;
+const COURT_PREMISES_ENUM = Case.schema.path('courtPremises').enumValues;
+
+/**
+ * Validate a holiday from a request body or an Excel row.
+ * @returns {{ data: Object } | { error: string }}
+ */
+const sanitizeCourtHolidayPayload = (raw = {}, { partial = false } = {}) => {
+    const data = {};
+
+    if (raw.name !== undefined || !partial) {
+        const name = toSafeString(raw.name);
+        if (!name) return { error: 'name is required' };
+        data.name = name;
+    }
+    if (raw.kind !== undefined && toSafeString(raw.kind) !== '') {
+        const kind = toSafeString(raw.kind).toLowerCase();
+        if (!HOLIDAY_KINDS.includes(kind)) return { error: `kind must be one of: ${HOLIDAY_KINDS.join(', ')}` };
+        data.kind = kind;
+    }
+    if (raw.startDate !== undefined || !partial) {
+        const startDate = toOptionalDate(raw.startDate);
+        if (!startDate || Number.isNaN(startDate)) return { error: 'startDate is required and must be a valid date' };
+        data.startDate = startDate;
+    }
+    if (raw.endDate !== undefined) {
+        const endDate = toOptionalDate(raw.endDate);
+        if (endDate !== undefined && Number.isNaN(endDate)) return { error: 'endDate must be a valid date' };
+        data.endDate = endDate || null;
+    }
+    if (raw.courtPremises !== undefined) {
+        const courtPremises = toSafeString(raw.courtPremises) || null;
+        if (courtPremises && !COURT_PREMISES_ENUM.includes(courtPremises)) {
+            return { error: `courtPremises must be one of: ${COURT_PREMISES_ENUM.join(', ')}` };
+        }
+        data.courtPremises = courtPremises;
+    }
+    if (raw.courtName !== undefined) data.courtName = toSafeString(raw.courtName) || null;
+    if (raw.notes !== undefined) data.notes = toSafeString(raw.notes);
+
+    return { data };
+};
+
+const findHoliday = (req) => CourtHoliday.findOne({ _id: req.params.id, organization: req.user.organization });
+
+/**
+ * @desc    List court holidays overlapping a date range
+ * @route   GET /api/court-holidays
+ * @access  Private (Requires 'read' permission on 'cases' module)
+ * @query   from?, to? (default: current calendar year), courtPremises?, courtName?, kind?
+ */
+exports.getCourtHolidays = asyncHandler(async (req, res, next) => {
+    const { from, to, courtPremises, courtName, kind } = req.query;
+    const year = new Date().getFullYear();
+    const fromDate = from ? new Date(from) : new Date(year, 0, 1);
+    const toDate = to ? new Date(to) : new Date(year, 11, 31);
+    if (Number.isNaN(fromDate.getTime()) || Number.isNaN(toDate.getTime())) {
+        return next(new ErrorResponse('Invalid from/to date', 400));
+    }
+
+    const query = {
+        organization: req.user.organization,
+        startDate: { $lte: toDate },
+        endDate: { $gte: fromDate }
+    };
+    if (kind) query.kind = kind;
+    // A court's calendar includes organization-wide and premises-wide entries
+    if (courtPremises) query.courtPremises = { $in: [courtPremises, null] };
+    if (courtName) query.courtName = { $in: [new RegExp(`^${escapeRegex(String(courtName).trim())}$`, 'i'), null] };
+
+    const holidays = await CourtHoliday.find(query).sort({ startDate: 1 }).lean();
+
+    res.status(200).json({
+        success: true,
+        count: holidays.length,
+        data: holidays
+    });
+});
+
+/**
+ * @desc    Check whether a court sits on a date (for a case or a given court)
+ * @route   GET /api/court-holidays/check
+ * @access  Private (Requires 'read' permission on 'cases' module)
+ * @query   date, caseId? | courtPremises?, courtName?
+ */
+exports.checkCourtDate = asyncHandler(async (req, res, next) => {
+    const { date, caseId, courtPremises, courtName } = req.query;
+    const day = date ? new Date(date) : null;
+    if (!day || Number.isNaN(day.getTime())) {
+        return next(new ErrorResponse('A valid date is required', 400));
+    }
+
+    let court = { courtPremises: courtPremises || null, courtName: courtName || null };
+    if (caseId) {
+        const caseDoc = await Case.findOne({ _id: caseId, organization: req.user.organization, deletedAt: null })
+            .select('courtPremises courtName').lean();
+        if (!caseDoc) {
+            return next(new ErrorResponse('Case not found', 404));
+        }
+        court = caseDoc;
+    }
+
+    const warning = await checkHearingDate(createCourtCalendar(), req.user.organization._id, day, court);
+
+    res.status(200).json({
+        success: true,
+        data: {
+            date: day,
+            workingDay: !warning,
+            reasons: warning ? warning.reasons : [],
+            nextWorkingDay: warning ? warning.nextWorkingDay : day,
+            message: warning ? warning.message : null
+        }
+    });
+});
+
+/**
+ * @desc    Add a court holiday, vacation or closure
+ * @route   POST /api/court-holidays
+ * @access  Private (SUPER_ADMIN only)
+ * @body    name, startDate, endDate? (inclusive), kind? (holiday|vacation|closure), courtPremises?, courtName?, notes?
+ */
+exports.createCourtHoliday = asyncHandler(async (req, res, next) => {
+    const { data, error } = sanitizeCourtHolidayPayload(req.body);
+    if (error) {
+        return next(new ErrorResponse(error, 400));
+    }
+
+    const holiday = await CourtHoliday.create({
+        ...data,
+        organization: req.user.organization,
+        createdBy: req.user._id
+    });
+
+    res.status(201).json({
+        success: true,
+        message: 'Court holiday added successfully',
+        data: holiday
+    });
+});
+
+/**
+ * @desc    Update a court holiday
+ * @route   PUT /api/court-holidays/:id
+ * @access  Private (SUPER_ADMIN only)
+ */
+exports.updateCourtHoliday = asyncHandler(async (req, res, next) => {
+    const holiday = await findHoliday(req);
+    if (!holiday) {
+        return next(new ErrorResponse('Court holiday not found', 404));
+    }
+
+    const { data, error } = sanitizeCourtHolidayPayload(req.body, { partial: true });
+    if (error) {
+        return next(new ErrorResponse(error, 400));
+    }
+
+    // A single-day holiday moved to another day stays a single day
+    if (data.startDate && data.endDate === undefined && holiday.endDate.getTime() === holiday.startDate.getTime()) {
+        data.endDate = null;
+    }
+    Object.assign(holiday, data);
+    holiday.updatedBy = req.user._id;
+    await holiday.save();
+
+    res.status(200).json({
+        success: true,
+        message: 'Court holiday updated successfully',
+        data: holiday
+    });
+});
+
+/**
+ * @desc    Delete a court holiday
+ * @route   DELETE /api/court-holidays/:id
+ * @access  Private (SUPER_ADMIN only)
+ */
+exports.deleteCourtHoliday = asyncHandler(async (req, res, next) => {
+    const holiday = await findHoliday(req);
+    if (!holiday) {
+        return next(new ErrorResponse('Court holiday not found', 404));
+    }
+
+    await holiday.deleteOne();
+
+    res.status(200).json({
+        success: true,
+        message: 'Court holiday deleted successfully'
+    });
+});
+
+/**
+ * @desc    Get the organization's weekly off days
+ * @route   GET /api/court-holidays/settings
+ * @access  Private (Requires 'read' permission on 'cases' module)
+ */
+exports.getCourtCalendarSettings = asyncHandler(async (req, res, next) => {
+    const organization = await Organization.findById(req.user.organization).select('courtCalendarSettings').lean();
+    if (!organization) {
+        return next(new ErrorResponse('Organization not found', 404));
+    }
+
+    res.status(200).json({
+        success: true,
+        data: {
+            weeklyOffDays: organization.courtCalendarSettings?.weeklyOffDays || DEFAULT_WEEKLY_OFF_DAYS
+        }
+    });
+});
+
+/**
+ * @desc    Update the organization's weekly off days
+ * @route   PUT /api/court-holidays/settings
+ * @access  Private (SUPER_ADMIN only)
+ * @body    weeklyOffDays: [0] (0 = Sunday ... 6 = Saturday)
+ */
+exports.updateCourtCalendarSettings = asyncHandler(async (req, res, next) => {
+    const organization = await Organization.findById(req.user.organization);
+    if (!organization) {
+        return next(new ErrorResponse('Organization not found', 404));
+    }
+
+    const { weeklyOffDays } = req.body;
+    if (!Array.isArray(weeklyOffDays)) {
+        return next(new ErrorResponse('weeklyOffDays must be an array of days (0 = Sunday ... 6 = Saturday)', 400));
+    }
+
+    organization.courtCalendarSettings.weeklyOffDays = weeklyOffDays.map(Number);
+    await organization.save();
+
+    res.status(200).json({
+        success: true,
+        message: 'Court calendar settings updated successfully',
+        data: organization.courtCalendarSettings
+    });
+});
+
+/**
+ * @desc    Download the court holiday Excel template
+ * @route   GET /api/court-holidays/excel/template
+ * @access  Private (Requires 'read' permission on 'cases' module)
+ */
+exports.downloadCourtHolidayExcelTemplate = asyncHandler(async (req, res) => {
+    const buffer = writeExcelToBuffer({
+        sheetName: COURT_HOLIDAY_EXCEL_SHEET,
+        headers: COURT_HOLIDAY_EXCEL_HEADERS,
+        rows: []
+    });
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', 'attachment; filename="court-holidays-template.xlsx"');
+    res.status(200).send(buffer);
+});
+
+/**
+ * @desc    Import court holidays from Excel (rows matching an existing holiday by name, start date and court are skipped)
+ * @route   POST /api/court-holidays/excel/import
+ * @access  Private (SUPER_ADMIN only)
+ */
+exports.importCourtHolidaysFromExcel = asyncHandler(async (req, res, next) => {
+    const organizationId = req.user.organization;
+    const userId = req.user._id;
+
+    const file = req.file;
+    if (!file || !file.buffer) {
+        return next(new ErrorResponse('Excel file is required (form-data field: file)', 400));
+    }
+
+    const parsed = parseExcelFromBuffer(file.buffer, {
+        sheetName: COURT_HOLIDAY_EXCEL_SHEET,
+        expectedHeaders: COURT_HOLIDAY_EXCEL_HEADERS,
+        maxRows: 2000
+    });
+
+    if (!parsed.ok) {
+        return next(new ErrorResponse(parsed.error, 400));
+    }
+
+    const errors = [];
+    let createdCount = 0;
+    let skippedCount = 0;
+
+    for (const row of parsed.rows) {
+        const { data, error } = sanitizeCourtHolidayPayload(row.data);
+        if (error) {
+            errors.push({ row: row.rowNumber, errors: [error] });
+            skippedCount++;
+            continue;
+        }
+
+        const day = new Date(data.startDate);
+        day.setHours(0, 0, 0, 0);
+        const existing = await CourtHoliday.findOne({
+            organization: organizationId,
+            name: data.name,
+            startDate: day,
+            courtPremises: data.courtPremises || null,
+            courtName: data.courtName || null
+        }).select('_id').lean();
+        if (existing) {
+            errors.push({ row: row.rowNumber, errors: ['This holiday already exists'] });
+            skippedCount++;
+            continue;
+        }
+
+        try {
+            await CourtHoliday.create({ ...data, organization: organizationId, createdBy: userId });
+            createdCount++;
+        } catch (e) {
+            errors.push({ row: row.rowNumber, errors: formatMongooseErrorForUser(e) });
+            skippedCount++;
+        }
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Court holiday Excel import completed',
+        data: {
+            created: createdCount,
+            skipped: skippedCount,
+            errors
+        }
+    });
+});
@@ -0,0 +1,126 @@
+// controllers/fileController.js
+// Serves stored files behind signed, short-lived URLs (see utils/signedFileUrls).
+// The token only identifies the file and the user it was issued to: RBAC and the assignee rule are re-checked on every download.
+
+const User = require('../models/User');
+const Case = require('../models/Case');
+const Client = require('../models/Client');
+const CaseDocument = require('../models/CaseDocument');
+const CaseExpense = require('../models/CaseExpense');
+const asyncHandler = require('../middleware/asyncHandler');
+const ErrorResponse = require('../utils/errorResponse');
+const { canAssignModule } = require('../utils/assigneeUtils');
+const { isTeamMember } = require('../utils/teamUtils');
+const { validateOrganizationSubscription } = require('../utils/subscriptionUtils');
+const { verifyFileToken } = require('../utils/signedFileUrls');
+const { findVersion, sendStoredFile } = require('../utils/fileVersions');
+
+const INVALID_LINK_MESSAGE = 'This download link is invalid or has expired';
+
+/**
+ * Load the user a link was issued to, with role, if they still belong to the organization.
+ */
+const loadLinkUser = async (userId, organizationId) => {
+    const user = await User.findById(userId)
+        .populate('organization')
+        .populate('role');
+    if (!user || !user.role || user.status === 'terminated') return null;
+    if (String(user.organization?._id || user.organization) !== String(organizationId)) return null;
+    if (!validateOrganizationSubscription(user.organization).valid) return null;
+    return user;
+};
+
+// Same rule as checkPermission(module, 'read'): SUPER_ADMIN or an explicit read permission
+const canReadModule = (role, moduleName) => Boolean(role && (role.isSuperAdmin || role.hasPermission(moduleName, 'read')));
+
+/**
+ * @desc    Download a stored file through a signed link
+ * @route   GET /api/files/download/:token
+ * @access  Public (signed link; permissions of the user it was issued to are re-checked)
+ */
+exports.downloadSignedFile = asyncHandler(async (req, res, next) => {
+    const payload = verifyFileToken(req.params.token, 'file_download');
+    if (!payload) {
+        return next(new ErrorResponse(INVALID_LINK_MESSAGE, 401));
+    }
+
+    const user = await loadLinkUser(payload.u, payload.o);
+    if (!user) {
+        return next(new ErrorResponse(INVALID_LINK_MESSAGE, 401));
+    }
+
+    let versions;
+    if (payload.kind === 'case_document') {
+        if (!canReadModule(user.role, 'cases')) {
+            return next(new ErrorResponse('You do not have permission to read cases', 403));
+        }
+        const document = await CaseDocument.findOne({ _id: payload.id, organization: payload.o }).lean();
+        const caseDoc = document
+            ? await Case.findOne({ _id: document.case, organization: payload.o, deletedAt: null }).select('assignedTo team.user').lean()
+            : null;
+        if (!document || !caseDoc) {
+            return next(new ErrorResponse('Document not found', 404));
+        }
+        if (!canAssignModule(user.role, 'cases') && !isTeamMember(caseDoc, user._id)) {
+            return next(new ErrorResponse('You do not have permission to access documents of this case', 403));
+        }
+        versions = document.versions;
+    } else if (payload.kind === 'expense_receipt') {
+        if (!canReadModule(user.role, 'cases')) {
+            return next(new ErrorResponse('You do not have permission to read cases', 403));
+        }
+        const expense = await CaseExpense.findOne({ _id: payload.id, organization: payload.o }).lean();
+        const caseDoc = expense
+            ? await Case.findOne({ _id: expense.case, organization: payload.o, deletedAt: null }).select('assignedTo team.user').lean()
+            : null;
+        if (!expense || !caseDoc) {
+            return next(new ErrorResponse('Receipt not found', 404));
+        }
+        if (!canAssignModule(user.role, 'cases') && !isTeamMember(caseDoc, user._id)) {
+            return next(new ErrorResponse('You do not have permission to access expenses of this case', 403));
+        }
+        versions = expense.receiptVersions;
+    } else if (payload.kind === 'client_aadhar') {
+        if (!canReadModule(user.role, 'client')) {
+            return next(new ErrorResponse('You do not have permission to read client', 403));
+        }
+        const client = await Client.findOne({ _id: payload.id, organization: payload.o, deletedAt: null })
+            .select('+aadharImageVersions assignedTo team.user')
+            .lean();
+        if (!client) {
+            return next(new ErrorResponse('Client not found', 404));
+        }
+        if (!canAssignModule(user.role, 'client') && !isTeamMember(client, user._id)) {
+            return next(new ErrorResponse('You do not have permission to view this client', 403));
+        }
+        versions = client.aadharImageVersions;
+    } else {
+        return next(new ErrorResponse(INVALID_LINK_MESSAGE, 401));
+    }
+
+    const version = findVersion(versions, payload.v, null);
+    if (!version) {
+        return next(new ErrorResponse('File version not found', 404));
+    }
+
+    await sendStoredFile(res, next, version);
+});
+
+/**
+ * @desc    Preview a file uploaded through POST /api/upload before it is attached to a record
+ * @route   GET /api/files/uploads/:token
+ * @access  Public (signed link; only valid while its uploader still belongs to the organization)
+ */
+exports.downloadPendingUpload = asyncHandler(async (req, res, next) => {
+    const payload = verifyFileToken(req.params.token, 'file_upload');
+    if (!payload || !payload.f) {
+        return next(new ErrorResponse(INVALID_LINK_MESSAGE, 401));
+    }
+
+    const user = await loadLinkUser(payload.u, payload.o);
+    if (!user) {
+        return next(new ErrorResponse(INVALID_LINK_MESSAGE, 401));
+    }
+
+    await sendStoredFile(res, next, payload.f);
+});
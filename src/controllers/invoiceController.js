@@ -0,0 +1,523 @@
+// controllers/invoiceController.js
+// Client invoices: drafts, issuing (GST split and numbering), payments, cancellation and billing settings
+
+const Invoice = require('../models/Invoice');
+const Client = require('../models/Client');
+const Case = require('../models/Case');
+const Organization = require('../models/Organization');
+const asyncHandler = require('../middleware/asyncHandler');
+const ErrorResponse = require('../utils/errorResponse');
+const { canAssignModule } = require('../utils/assigneeUtils');
+const { isTeamMember, teamVisibilityFilter } = require('../utils/teamUtils');
+const { sendEncryptedJson } = require('../utils/responseEncryption');
+const { resolveTaxType, generateInvoiceNumber, computeDueDate, roundMoney } = require('../utils/invoiceUtils');
+
+// Invoices follow client visibility: client assignees see all, others only invoices of their assigned clients
+const canViewAllClients = (userRole) => canAssignModule(userRole, 'client');
+
+const PAYMENT_METHODS = Invoice.schema.path('payments').schema.path('method').enumValues;
+const STATUSES = Invoice.schema.path('status').enumValues;
+
+const parseDate = (value) => {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+};
+
+const toLineItems = (items) => (Array.isArray(items) ? items : []).map((item) => ({
+    description: item.description,
+    sacCode: item.sacCode || null,
+    quantity: item.quantity !== undefined ? Number(item.quantity) : 1,
+    rate: Number(item.rate)
+}));
+
+const formatAddress = (party) => [party.streetAddress, party.city, party.province, party.postalCode]
+    .filter(Boolean)
+    .join(', ');
+
+/**
+ * Load an invoice of the current organization, enforcing client visibility.
+ * @returns {Promise<{ invoice?: Object, error?: ErrorResponse }>}
+ */
+const loadAccessibleInvoice = async (req) => {
+    const invoice = await Invoice.findOne({
+        _id: req.params.id,
+        organization: req.user.organization
+    });
+    if (!invoice) {
+        return { error: new ErrorResponse('Invoice not found', 404) };
+    }
+    if (!canViewAllClients(req.userRole)) {
+        const client = await Client.findOne({ _id: invoice.client, organization: req.user.organization })
+            .select('assignedTo team.user')
+            .setOptions({ includeDeleted: true })
+            .lean();
+        if (!client || !isTeamMember(client, req.user._id)) {
+            return { error: new ErrorResponse('You do not have permission to access this invoice', 403) };
+        }
+    }
+    return { invoice };
+};
+
+/**
+ * Freeze supplier/client details, tax type, number and due date on an invoice being issued.
+ */
+const issueInvoice = async (invoice, organization, client) => {
+    const settings = organization.invoiceSettings || {};
+
+    invoice.supplier = {
+        name: organization.companyName,
+        address: formatAddress(organization),
+        state: organization.province,
+        gstin: organization.gstin || null,
+        email: organization.companyEmail,
+        phone: organization.companyPhone
+    };
+    invoice.billTo = {
+        name: client.companyName || `${client.firstName} ${client.lastName}`,
+        address: formatAddress(client),
+        state: client.province,
+        gstin: null,
+        email: client.email || null,
+        phone: client.phone
+    };
+    invoice.taxType = resolveTaxType(organization.province, client.province);
+    if (!invoice.dueDate) {
+        invoice.dueDate = computeDueDate(invoice.invoiceDate, settings.defaultDueDays);
+    }
+    invoice.invoiceNumber = await generateInvoiceNumber(organization._id, settings.prefix, invoice.invoiceDate);
+    invoice.status = 'issued';
+};
+
+/**
+ * @desc    Create an invoice for a client (issued immediately unless status is 'draft')
+ * @route   POST /api/invoices
+ * @access  Private (Requires 'create' permission on 'invoice' module)
+ * @body    client, case?, lineItems[{ description, sacCode?, quantity?, rate }], gstRate?, invoiceDate?, dueDate?, notes?, status? ('draft' | 'issued')
+ */
+exports.createInvoice = asyncHandler(async (req, res, next) => {
+    const organizationId = req.user.organization;
+    const { client: clientId, case: caseId, lineItems, gstRate, invoiceDate, dueDate, notes, status = 'issued' } = req.body;
+
+    if (!['draft', 'issued'].includes(status)) {
+        return next(new ErrorResponse("status must be 'draft' or 'issued'", 400));
+    }
+    if (!clientId) {
+        return next(new ErrorResponse('client is required', 400));
+    }
+
+    const client = await Client.findOne({ _id: clientId, organization: organizationId, deletedAt: null });
+    if (!client) {
+        return next(new ErrorResponse('Client not found', 404));
+    }
+    if (!canViewAllClients(req.userRole) && !isTeamMember(client, req.user._id)) {
+        return next(new ErrorResponse('You do not have permission to bill this client', 403));
+    }
+
+    if (caseId) {
+        const caseDoc = await Case.findOne({ _id: caseId, organization: organizationId, deletedAt: null }).select('clients');
+        if (!caseDoc) {
+            return next(new ErrorResponse('Case not found', 404));
+        }
+        if (!(caseDoc.clients || []).some((c) => String(c) === String(client._id))) {
+            return next(new ErrorResponse('Case is not linked to this client', 400));
+        }
+    }
+
+    const parsedInvoiceDate = invoiceDate ? parseDate(invoiceDate) : new Date();
+    if (!parsedInvoiceDate) return next(new ErrorResponse('Invalid invoiceDate', 400));
+    const parsedDueDate = dueDate ? parseDate(dueDate) : null;
+    if (dueDate && !parsedDueDate) return next(new ErrorResponse('Invalid dueDate', 400));
+
+    const organization = await Organization.findById(organizationId);
+    const settings = organization.invoiceSettings || {};
+
+    const invoice = new Invoice({
+        organization: organizationId,
+        client: client._id,
+        case: caseId || null,
+        invoiceDate: parsedInvoiceDate,
+        dueDate: parsedDueDate,
+        lineItems: toLineItems(lineItems).map((item) => ({ ...item, sacCode: item.sacCode || settings.sacCode || null })),
+        gstRate: gstRate !== undefined ? Number(gstRate) : settings.defaultGstRate,
+        taxType: resolveTaxType(organization.province, client.province),
+        notes: notes || '',
+        status: 'draft',
+        createdBy: req.user._id
+    });
+
+    // Validate before taking an invoice number so a bad request does not leave a gap in the sequence
+    await invoice.validate();
+    if (status === 'issued') {
+        await issueInvoice(invoice, organization, client);
+    }
+    await invoice.save();
+
+    console.log(`🧾 Invoice ${invoice.invoiceNumber || invoice._id} (${invoice.status}) created for client ${client._id}`);
+
+    res.status(201).json({
+        success: true,
+        message: status === 'issued' ? 'Invoice issued successfully' : 'Draft invoice created successfully',
+        data: invoice
+    });
+});
+
+/**
+ * @desc    List invoices
+ * @route   GET /api/invoices
+ * @access  Private (Requires 'read' permission on 'invoice' module)
+ * @query   client, case, status, from, to (invoice date), overdue=true, page, limit
+ */
+exports.getInvoices = asyncHandler(async (req, res, next) => {
+    const { client, case: caseId, status, from, to, overdue, page = 1, limit = 10 } = req.query;
+    const query = { organization: req.user.organization };
+
+    if (client) query.client = String(client);
+    if (caseId) query.case = String(caseId);
+    if (status) {
+        if (!STATUSES.includes(status)) {
+            return next(new ErrorResponse(`status must be one of: ${STATUSES.join(', ')}`, 400));
+        }
+        query.status = status;
+    }
+    if (from || to) {
+        query.invoiceDate = {};
+        if (from) {
+            const fromDate = parseDate(from);
+            if (!fromDate) return next(new ErrorResponse('Invalid from date', 400));
+            query.invoiceDate.$gte = fromDate;
+        }
+        if (to) {
+            const toDate = parseDate(to);
+            if (!toDate) return next(new ErrorResponse('Invalid to date', 400));
+            if (/^\d{4}-\d{2}-\d{2}$/.test(String(to))) toDate.setHours(23, 59, 59, 999);
+            query.invoiceDate.$lte = toDate;
+        }
+    }
+    if (overdue === 'true') {
+        query.status = { $in: ['issued', 'partially_paid'] };
+        query.dueDate = { $lt: new Date() };
+    }
+
+    // Visibility rule: only invoices of clients the user is assigned to or on the team of
+    if (!canViewAllClients(req.userRole)) {
+        const assignedClientIds = await Client.find({ organization: req.user.organization, ...teamVisibilityFilter(req.user._id) })
+            .setOptions({ includeDeleted: true })
+            .distinct('_id');
+        query.client = client
+            ? { $in: assignedClientIds.filter((id) => String(id) === String(client)) }
+            : { $in: assignedClientIds };
+    }
+
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.max(1, parseInt(limit, 10) || 10);
+    const skip = (pageNum - 1) * limitNum;
+
+    const [invoices, total] = await Promise.all([
+        Invoice.find(query)
+            .populate('client', 'firstName lastName companyName email')
+            .populate('case', 'caseNumber partyName')
+            .sort({ invoiceDate: -1, createdAt: -1 })
+            .skip(skip)
+            .limit(limitNum)
+            .lean(),
+        Invoice.countDocuments(query)
+    ]);
+
+    sendEncryptedJson(res, 200, {
+        success: true,
+        count: invoices.length,
+        total,
+        page: pageNum,
+        pages: Math.ceil(total / limitNum),
+        data: invoices
+    });
+});
+
+/**
+ * @desc    Get single invoice
+ * @route   GET /api/invoices/:id
+ * @access  Private (Requires 'read' permission on 'invoice' module)
+ */
+exports.getInvoice = asyncHandler(async (req, res, next) => {
+    const { invoice, error } = await loadAccessibleInvoice(req);
+    if (error) return next(error);
+
+    await invoice.populate([
+        { path: 'client', select: 'firstName lastName companyName email phone' },
+        { path: 'case', select: 'caseNumber partyName' },
+        { path: 'payments.recordedBy', select: 'firstName lastName email' },
+        { path: 'createdBy', select: 'firstName lastName email' }
+    ]);
+
+    sendEncryptedJson(res, 200, { success: true, data: invoice });
+});
+
+/**
+ * @desc    Update an invoice's line items, rate, dates or notes (drafts only for line items, rate and invoice date;
+ *          nothing once payments are recorded or after cancellation)
+ * @route   PUT /api/invoices/:id
+ * @access  Private (Requires 'update' permission on 'invoice' module)
+ */
+exports.updateInvoice = asyncHandler(async (req, res, next) => {
+    const { invoice, error } = await loadAccessibleInvoice(req);
+    if (error) return next(error);
+
+    if (invoice.status === 'cancelled') {
+        return next(new ErrorResponse('Cancelled invoices cannot be edited', 400));
+    }
+    if (invoice.payments.length > 0) {
+        return next(new ErrorResponse('Invoices with recorded payments cannot be edited', 400));
+    }
+
+    const { lineItems, gstRate, invoiceDate, dueDate, notes } = req.body;
+
+    // An issued number is a tax document: its amounts and GST stay as issued (cancel it and issue a new invoice instead)
+    if (invoice.invoiceNumber && (lineItems !== undefined || gstRate !== undefined)) {
+        return next(new ErrorResponse('Line items and GST rate cannot be changed after the invoice is issued; cancel it and issue a new invoice', 400));
+    }
+
+    if (lineItems !== undefined) invoice.lineItems = toLineItems(lineItems);
+    if (gstRate !== undefined) invoice.gstRate = Number(gstRate);
+    if (notes !== undefined) invoice.notes = notes;
+    if (invoiceDate !== undefined) {
+        // The number is tied to the financial year of the invoice date
+        if (invoice.invoiceNumber) {
+            return next(new ErrorResponse('Invoice date cannot be changed after the invoice is issued', 400));
+        }
+        const parsed = parseDate(invoiceDate);
+        if (!parsed) return next(new ErrorResponse('Invalid invoiceDate', 400));
+        invoice.invoiceDate = parsed;
+    }
+    if (dueDate !== undefined) {
+        const parsed = dueDate ? parseDate(dueDate) : null;
+        if (dueDate && !parsed) return next(new ErrorResponse('Invalid dueDate', 400));
+        invoice.dueDate = parsed;
+    }
+
+    invoice.updatedBy = req.user._id;
+    await invoice.save();
+
+    res.status(200).json({
+        success: true,
+        message: 'Invoice updated successfully',
+        data: invoice
+    });
+});
+
+/**
+ * @desc    Issue a draft invoice (assigns the invoice number and freezes billing details)
+ * @route   PATCH /api/invoices/:id/issue
+ * @access  Private (Requires 'update' permission on 'invoice' module)
+ */
+exports.issueDraftInvoice = asyncHandler(async (req, res, next) => {
+    const { invoice, error } = await loadAccessibleInvoice(req);
+    if (error) return next(error);
+
+    if (invoice.status !== 'draft') {
+        return next(new ErrorResponse('Only draft invoices can be issued', 400));
+    }
+
+    const [organization, client] = await Promise.all([
+        Organization.findById(invoice.organization),
+        Client.findOne({ _id: invoice.client, organization: invoice.organization, deletedAt: null })
+    ]);
+    if (!client) {
+        return next(new ErrorResponse('Client not found', 404));
+    }
+
+    await invoice.validate();
+    await issueInvoice(invoice, organization, client);
+    invoice.updatedBy = req.user._id;
+    await invoice.save();
+
+    res.status(200).json({
+        success: true,
+        message: `Invoice ${invoice.invoiceNumber} issued successfully`,
+        data: invoice
+    });
+});
+
+/**
+ * @desc    Record a (partial) payment against an issued invoice
+ * @route   POST /api/invoices/:id/payments
+ * @access  Private (Requires 'update' permission on 'invoice' module)
+ * @body    amount, paidOn?, method?, reference?, notes?
+ */
+exports.addPayment = asyncHandler(async (req, res, next) => {
+    const { invoice, error } = await loadAccessibleInvoice(req);
+    if (error) return next(error);
+
+    if (!['issued', 'partially_paid'].includes(invoice.status)) {
+        return next(new ErrorResponse(`Payments cannot be recorded on a ${invoice.status.replace('_', ' ')} invoice`, 400));
+    }
+
+    const { paidOn, method = 'other', reference, notes } = req.body;
+    const amount = roundMoney(req.body.amount);
+    if (!(amount > 0)) {
+        return next(new ErrorResponse('amount must be greater than zero', 400));
+    }
+    if (amount > invoice.balanceDue) {
+        return next(new ErrorResponse(`amount exceeds the balance due (${invoice.balanceDue})`, 400));
+    }
+    if (!PAYMENT_METHODS.includes(method)) {
+        return next(new ErrorResponse(`method must be one of: ${PAYMENT_METHODS.join(', ')}`, 400));
+    }
+    const parsedPaidOn = paidOn ? parseDate(paidOn) : new Date();
+    if (!parsedPaidOn) return next(new ErrorResponse('Invalid paidOn date', 400));
+
+    invoice.payments.push({
+        amount,
+        paidOn: parsedPaidOn,
+        method,
+        reference: reference || '',
+        notes: notes || '',
+        recordedBy: req.user._id
+    });
+    invoice.updatedBy = req.user._id;
+    await invoice.save();
+
+    console.log(`💰 Payment of ${amount} recorded on invoice ${invoice.invoiceNumber}`);
+
+    res.status(201).json({
+        success: true,
+        message: 'Payment recorded successfully',
+        data: invoice
+    });
+});
+
+/**
+ * @desc    Remove a wrongly recorded payment
+ * @route   DELETE /api/invoices/:id/payments/:paymentId
+ * @access  Private (Requires 'update' permission on 'invoice' module)
+ */
+exports.removePayment = asyncHandler(async (req, res, next) => {
+    const { invoice, error } = await loadAccessibleInvoice(req);
+    if (error) return next(error);
+
+    const payment = invoice.payments.id(req.params.paymentId);
+    if (!payment) {
+        return next(new ErrorResponse('Payment not found', 404));
+    }
+
+    payment.deleteOne();
+    invoice.updatedBy = req.user._id;
+    await invoice.save();
+
+    res.status(200).json({
+        success: true,
+        message: 'Payment removed successfully',
+        data: invoice
+    });
+});
+
+/**
+ * @desc    Cancel an issued invoice (its number is kept; remove payments first)
+ * @route   PATCH /api/invoices/:id/cancel
+ * @access  Private (Requires 'update' permission on 'invoice' module)
+ * @body    reason?
+ */
+exports.cancelInvoice = asyncHandler(async (req, res, next) => {
+    const { invoice, error } = await loadAccessibleInvoice(req);
+    if (error) return next(error);
+
+    if (invoice.status === 'draft') {
+        return next(new ErrorResponse('Draft invoices are deleted, not cancelled', 400));
+    }
+    if (invoice.status === 'cancelled') {
+        return next(new ErrorResponse('Invoice is already cancelled', 400));
+    }
+    if (invoice.payments.length > 0) {
+        return next(new ErrorResponse('Remove the recorded payments before cancelling this invoice', 400));
+    }
+
+    invoice.status = 'cancelled';
+    invoice.cancelledAt = new Date();
+    invoice.cancelledBy = req.user._id;
+    invoice.cancellationReason = req.body.reason || '';
+    invoice.updatedBy = req.user._id;
+    await invoice.save();
+
+    res.status(200).json({
+        success: true,
+        message: `Invoice ${invoice.invoiceNumber} cancelled`,
+        data: invoice
+    });
+});
+
+/**
+ * @desc    Delete a draft invoice (issued invoices must be cancelled instead)
+ * @route   DELETE /api/invoices/:id
+ * @access  Private (Requires 'delete' permission on 'invoice' module)
+ */
+exports.deleteInvoice = asyncHandler(async (req, res, next) => {
+    const { invoice, error } = await loadAccessibleInvoice(req);
+    if (error) return next(error);
+
+    if (invoice.status !== 'draft') {
+        return next(new ErrorResponse('Only draft invoices can be deleted; cancel issued invoices instead', 400));
+    }
+
+    invoice.deletedAt = new Date();
+    invoice.deletedBy = req.user._id;
+    invoice.updatedBy = req.user._id;
+    await invoice.save();
+
+    res.status(200).json({
+        success: true,
+        message: 'Draft invoice deleted successfully'
+    });
+});
+
+/**
+ * @desc    Get the organization's GSTIN and invoice defaults
+ * @route   GET /api/invoices/settings
+ * @access  Private (SUPER_ADMIN only)
+ */
+exports.getInvoiceSettings = asyncHandler(async (req, res, next) => {
+    const organization = await Organization.findById(req.user.organization).select('gstin province invoiceSettings');
+    if (!organization) {
+        return next(new ErrorResponse('Organization not found', 404));
+    }
+
+    res.status(200).json({
+        success: true,
+        data: {
+            gstin: organization.gstin,
+            province: organization.province,
+            invoiceSettings: organization.invoiceSettings
+        }
+    });
+});
+
+/**
+ * @desc    Update the organization's GSTIN and invoice defaults
+ * @route   PUT /api/invoices/settings
+ * @access  Private (SUPER_ADMIN only)
+ * @body    gstin?, prefix?, defaultGstRate?, defaultDueDays?, sacCode?
+ */
+exports.updateInvoiceSettings = asyncHandler(async (req, res, next) => {
+    const organization = await Organization.findById(req.user.organization);
+    if (!organization) {
+        return next(new ErrorResponse('Organization not found', 404));
+    }
+
+    const { gstin, prefix, defaultGstRate, defaultDueDays, sacCode } = req.body;
+
+    if (gstin !== undefined) organization.gstin = gstin || null;
+    if (prefix !== undefined) organization.invoiceSettings.prefix = prefix;
+    if (defaultGstRate !== undefined) organization.invoiceSettings.defaultGstRate = Number(defaultGstRate);
+    if (defaultDueDays !== undefined) organization.invoiceSettings.defaultDueDays = Number(defaultDueDays);
+    if (sacCode !== undefined) organization.invoiceSettings.sacCode = sacCode;
+
+    await organization.save();
+
+    res.status(200).json({
+        success: true,
+        message: 'Invoice settings updated successfully',
+        data: {
+            gstin: organization.gstin,
+            province: organization.province,
+            invoiceSettings: organization.invoiceSettings
+        }
+    });
+});
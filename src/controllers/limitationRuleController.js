@@ -0,0 +1,114 @@
+// controllers/limitationRuleController.js
+// Limitation periods per proceeding type (SUPER_ADMIN manages, everyone with case access can read)
+
+const LimitationRule = require('../models/LimitationRule');
+const asyncHandler = require('../middleware/asyncHandler');
+const ErrorResponse = require('../utils/errorResponse');
+const { sanitizeLimitationRulePayload, listLimitationRules } = require('../utils/limitationUtils');
+
+const findRule = (req) => LimitationRule.findOne({ _id: req.params.id, organization: req.user.organization });
+
+const isDuplicateKeyError = (err) => err && err.code === 11000;
+
+/**
+ * @desc    List limitation rules: the organization's own plus built-in defaults it has not overridden (isDefault: true)
+ * @route   GET /api/limitation-rules
+ * @access  Private (Requires 'read' permission on 'cases' module)
+ */
+exports.getLimitationRules = asyncHandler(async (req, res, next) => {
+    const rules = await listLimitationRules(req.user.organization);
+
+    res.status(200).json({
+        success: true,
+        count: rules.length,
+        data: rules
+    });
+});
+
+/**
+ * @desc    Create a limitation rule (a rule named like a built-in default overrides it)
+ * @route   POST /api/limitation-rules
+ * @access  Private (SUPER_ADMIN only)
+ * @body    { proceedingType: 'Appeal to High Court', periodDays: 90, excludeCertifiedCopyTime?, alertDays?: [30, 7, 1], description? }
+ */
+exports.createLimitationRule = asyncHandler(async (req, res, next) => {
+    const { data, error } = sanitizeLimitationRulePayload(req.body);
+    if (error) {
+        return next(new ErrorResponse(error, 400));
+    }
+
+    let rule;
+    try {
+        rule = await LimitationRule.create({
+            ...data,
+            organization: req.user.organization,
+            createdBy: req.user._id
+        });
+    } catch (err) {
+        if (isDuplicateKeyError(err)) {
+            return next(new ErrorResponse(`A limitation rule for "${data.proceedingType}" already exists`, 400));
+        }
+        throw err;
+    }
+
+    console.log('✅ Limitation rule created:', { id: rule._id, proceedingType: rule.proceedingType, periodDays: rule.periodDays });
+
+    res.status(201).json({
+        success: true,
+        message: 'Limitation rule created successfully',
+        data: rule
+    });
+});
+
+/**
+ * @desc    Update a limitation rule (deadlines already set on cases keep the period they were computed with)
+ * @route   PUT /api/limitation-rules/:id
+ * @access  Private (SUPER_ADMIN only)
+ */
+exports.updateLimitationRule = asyncHandler(async (req, res, next) => {
+    const rule = await findRule(req);
+    if (!rule) {
+        return next(new ErrorResponse('Limitation rule not found', 404));
+    }
+
+    const { data, error } = sanitizeLimitationRulePayload(req.body, { partial: true });
+    if (error) {
+        return next(new ErrorResponse(error, 400));
+    }
+
+    Object.assign(rule, data);
+    rule.updatedBy = req.user._id;
+    try {
+        await rule.save();
+    } catch (err) {
+        if (isDuplicateKeyError(err)) {
+            return next(new ErrorResponse(`A limitation rule for "${rule.proceedingType}" already exists`, 400));
+        }
+        throw err;
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Limitation rule updated successfully',
+        data: rule
+    });
+});
+
+/**
+ * @desc    Delete a limitation rule (a built-in default of the same name applies again)
+ * @route   DELETE /api/limitation-rules/:id
+ * @access  Private (SUPER_ADMIN only)
+ */
+exports.deleteLimitationRule = asyncHandler(async (req, res, next) => {
+    const rule = await findRule(req);
+    if (!rule) {
+        return next(new ErrorResponse('Limitation rule not found', 404));
+    }
+
+    await rule.deleteOne();
+
+    res.status(200).json({
+        success: true,
+        message: 'Limitation rule deleted successfully'
+    });
+});
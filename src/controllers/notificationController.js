@@ -1,9 +1,22 @@
 // controllers/notificationController.js
-// Notifications for assignees when non-assignee creates client/case
+// Notifications for assignees when non-assignee creates client/case, and per-user delivery preferences
 
 const Notification = require('../models/Notification');
+const NotificationPreference = require('../models/NotificationPreference');
 const asyncHandler = require('../middleware/asyncHandler');
 const ErrorResponse = require('../utils/errorResponse');
+const { NOTIFICATION_CHANNEL_DEFAULTS, buildEffectivePreferences, publishUnreadCount } = require('../utils/notificationDispatcher');
+const { subscribeToUser } = require('../utils/notificationPubSub');
+
+// Comment lines keep idle connections open through proxies and load balancers
+const STREAM_HEARTBEAT_MS = 25 * 1000;
+
+const REMINDER_EMAIL_MODES = NotificationPreference.schema.path('reminderEmailMode').enumValues;
+
+// protect populates organization; normalize to the id string
+const getOrganizationId = (user) => ((user.organization && user.organization._id)
+    ? user.organization._id.toString()
+    : (user.organization && user.organization.toString ? user.organization.toString() : user.organization));
 
 /**
  * @desc    Get notifications for the logged-in user
@@ -12,9 +25,7 @@ const ErrorResponse = require('../utils/errorResponse');
  */
 exports.getNotifications = asyncHandler(async (req, res, next) => {
     const userId = req.user._id.toString();
-    const organizationId = (req.user.organization && req.user.organization._id)
-        ? req.user.organization._id.toString()
-        : (req.user.organization && req.user.organization.toString ? req.user.organization.toString() : req.user.organization);
+    const organizationId = getOrganizationId(req.user);
     const { page = 1, limit = 20, read } = req.query;
 
     const query = {
@@ -51,6 +62,45 @@ exports.getNotifications = asyncHandler(async (req, res, next) => {
     });
 });
 
+/**
+ * @desc    Server-Sent Events stream of new notifications and unread count changes
+ * @route   GET /api/notifications/stream
+ * @access  Private (Bearer header, or ?token= since EventSource cannot set headers)
+ * @events  unread_count { unreadCount }, notification { ...Notification }
+ */
+exports.streamNotifications = asyncHandler(async (req, res, next) => {
+    const userId = req.user._id.toString();
+    const organizationId = getOrganizationId(req.user);
+
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const unsubscribe = subscribeToUser(userId, ({ event, data }) => {
+        // Only this organization's notifications (a user id never spans organizations, but be explicit)
+        if (event === 'notification' && data && data.organization !== organizationId) return;
+        send(event, data);
+    });
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT_MS);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+
+    res.write('retry: 5000\n\n');
+    const unreadCount = await Notification.countDocuments({ userId, organization: organizationId, read: false });
+    send('unread_count', { unreadCount });
+});
+
 /**
  * @desc    Mark a notification as read
  * @route   PATCH /api/notifications/:id/read
@@ -59,9 +109,7 @@ exports.getNotifications = asyncHandler(async (req, res, next) => {
 exports.markAsRead = asyncHandler(async (req, res, next) => {
     const { id } = req.params;
     const userId = req.user._id.toString();
-    const organizationId = (req.user.organization && req.user.organization._id)
-        ? req.user.organization._id.toString()
-        : (req.user.organization && req.user.organization.toString ? req.user.organization.toString() : req.user.organization);
+    const organizationId = getOrganizationId(req.user);
 
     const notification = await Notification.findOne({
         _id: id,
@@ -76,6 +124,7 @@ exports.markAsRead = asyncHandler(async (req, res, next) => {
     notification.read = true;
     notification.readAt = new Date();
     await notification.save();
+    await publishUnreadCount(userId, organizationId);
 
     res.status(200).json({
         success: true,
@@ -91,14 +140,13 @@ exports.markAsRead = asyncHandler(async (req, res, next) => {
  */
 exports.markAllAsRead = asyncHandler(async (req, res, next) => {
     const userId = req.user._id.toString();
-    const organizationId = (req.user.organization && req.user.organization._id)
-        ? req.user.organization._id.toString()
-        : (req.user.organization && req.user.organization.toString ? req.user.organization.toString() : req.user.organization);
+    const organizationId = getOrganizationId(req.user);
 
     const result = await Notification.updateMany(
         { userId, organization: organizationId, read: false },
         { $set: { read: true, readAt: new Date() } }
     );
+    await publishUnreadCount(userId, organizationId);
 
     res.status(200).json({
         success: true,
@@ -106,3 +154,99 @@ exports.markAllAsRead = asyncHandler(async (req, res, next) => {
         modifiedCount: result.modifiedCount
     });
 });
+
+/**
+ * @desc    Get the logged-in user's notification channels (defaults merged with their overrides)
+ * @route   GET /api/notifications/preferences
+ * @access  Private
+ */
+exports.getPreferences = asyncHandler(async (req, res, next) => {
+    const preference = await NotificationPreference.findOne({ user: req.user._id.toString() }).lean();
+
+    res.status(200).json({
+        success: true,
+        data: {
+            ...buildEffectivePreferences(preference),
+            reminderEmailModes: REMINDER_EMAIL_MODES
+        }
+    });
+});
+
+/**
+ * @desc    Update which notification types are delivered in-app and/or by email
+ * @route   PUT /api/notifications/preferences
+ * @access  Private
+ * @body    { channels?: [{ type, inApp, email }], reminderEmailMode?: 'immediate' | 'digest', causeListEmail?: boolean }
+ */
+exports.updatePreferences = asyncHandler(async (req, res, next) => {
+    const userId = req.user._id.toString();
+    const { channels, reminderEmailMode, causeListEmail } = req.body;
+
+    const update = { organization: getOrganizationId(req.user) };
+
+    if (channels !== undefined) {
+        if (!Array.isArray(channels)) {
+            return next(new ErrorResponse('channels must be an array', 400));
+        }
+        const seen = new Set();
+        const sanitized = [];
+        for (const channel of channels) {
+            const type = channel && channel.type;
+            if (!NOTIFICATION_CHANNEL_DEFAULTS[type]) {
+                return next(new ErrorResponse(`Unknown notification type: ${type}`, 400));
+            }
+            if (seen.has(type)) {
+                return next(new ErrorResponse(`Notification type ${type} is listed more than once`, 400));
+            }
+            seen.add(type);
+            const defaults = NOTIFICATION_CHANNEL_DEFAULTS[type];
+            sanitized.push({
+                type,
+                inApp: typeof channel.inApp === 'boolean' ? channel.inApp : defaults.inApp,
+                email: typeof channel.email === 'boolean' ? channel.email : defaults.email
+            });
+        }
+        update.channels = sanitized;
+    }
+
+    if (reminderEmailMode !== undefined) {
+        if (!REMINDER_EMAIL_MODES.includes(reminderEmailMode)) {
+            return next(new ErrorResponse(`reminderEmailMode must be one of: ${REMINDER_EMAIL_MODES.join(', ')}`, 400));
+        }
+        update.reminderEmailMode = reminderEmailMode;
+    }
+
+    if (causeListEmail !== undefined) {
+        if (typeof causeListEmail !== 'boolean') {
+            return next(new ErrorResponse('causeListEmail must be true or false', 400));
+        }
+        update.causeListEmail = causeListEmail;
+    }
+
+    const preference = await NotificationPreference.findOneAndUpdate(
+        { user: userId },
+        { $set: update },
+        { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    ).lean();
+
+    res.status(200).json({
+        success: true,
+        message: 'Notification preferences updated successfully',
+        data: buildEffectivePreferences(preference)
+    });
+});
+
+/**
+ * @desc    Reset notification preferences to the defaults
+ * @route   DELETE /api/notifications/preferences
+ * @access  Private
+ */
+exports.resetPreferences = asyncHandler(async (req, res, next) => {
+    await NotificationPreference.deleteOne({ user: req.user._id.toString() });
+
+    res.status(200).json({
+        success: true,
+        message: 'Notification preferences reset to defaults',
+        data: buildEffectivePreferences(null)
+    });
+});
@@ -0,0 +1,129 @@
+// controllers/reminderPolicyController.js
+// Case stage reminder schedules: organization-wide policy (SUPER_ADMIN) and personal overrides
+
+const ReminderPolicy = require('../models/ReminderPolicy');
+const asyncHandler = require('../middleware/asyncHandler');
+const ErrorResponse = require('../utils/errorResponse');
+const { DEFAULT_REMINDER_POLICY, sanitizeReminderPolicyPayload } = require('../utils/reminderPolicyUtils');
+
+const toPolicyResponse = (policy, source) => ({
+    source, // 'user' | 'organization' | 'default'
+    offsetsDays: policy.offsetsDays,
+    followUpAfterDate: policy.followUpAfterDate,
+    countWorkingDays: policy.countWorkingDays === true,
+    rules: policy.rules || [],
+    ...(policy._id ? { id: policy._id, updatedAt: policy.updatedAt } : {})
+});
+
+const upsertPolicy = async ({ organizationId, user, userId, body }) => {
+    const { data, error } = sanitizeReminderPolicyPayload(body);
+    if (error) return { error };
+
+    let policy = await ReminderPolicy.findOne({ organization: organizationId, user });
+    if (!policy) {
+        policy = new ReminderPolicy({ organization: organizationId, user, createdBy: userId });
+    }
+    Object.assign(policy, data);
+    policy.updatedBy = userId;
+    await policy.save();
+    return { policy };
+};
+
+/**
+ * @desc    Get the organization reminder policy (defaults if none saved)
+ * @route   GET /api/reminder-policies/organization
+ * @access  Private (Requires 'read' permission on 'cases' module)
+ */
+exports.getOrganizationPolicy = asyncHandler(async (req, res, next) => {
+    const policy = await ReminderPolicy.findOne({ organization: req.user.organization, user: null }).lean();
+
+    res.status(200).json({
+        success: true,
+        data: policy ? toPolicyResponse(policy, 'organization') : toPolicyResponse(DEFAULT_REMINDER_POLICY, 'default')
+    });
+});
+
+/**
+ * @desc    Create or update the organization reminder policy
+ * @route   PUT /api/reminder-policies/organization
+ * @access  Private (SUPER_ADMIN only)
+ * @body    { offsetsDays: [10, 5, 1], followUpAfterDate: true, countWorkingDays?: false, rules: [{ courtPremises: 'High Court', offsetsDays: [10, 2] }] }
+ */
+exports.updateOrganizationPolicy = asyncHandler(async (req, res, next) => {
+    const { policy, error } = await upsertPolicy({
+        organizationId: req.user.organization,
+        user: null,
+        userId: req.user._id,
+        body: req.body
+    });
+    if (error) {
+        return next(new ErrorResponse(error, 400));
+    }
+
+    console.log('✅ Organization reminder policy updated:', { organization: req.user.organization, offsetsDays: policy.offsetsDays });
+
+    res.status(200).json({
+        success: true,
+        message: 'Reminder policy updated successfully',
+        data: toPolicyResponse(policy, 'organization')
+    });
+});
+
+/**
+ * @desc    Get the reminder policy that applies to the logged-in user
+ * @route   GET /api/reminder-policies/me
+ * @access  Private (Requires 'read' permission on 'cases' module)
+ */
+exports.getMyPolicy = asyncHandler(async (req, res, next) => {
+    const organizationId = req.user.organization;
+    const policies = await ReminderPolicy.find({
+        organization: organizationId,
+        user: { $in: [req.user._id, null] }
+    }).lean();
+
+    const own = policies.find((p) => p.user);
+    const organizationPolicy = policies.find((p) => !p.user);
+
+    let data = toPolicyResponse(DEFAULT_REMINDER_POLICY, 'default');
+    if (own) data = toPolicyResponse(own, 'user');
+    else if (organizationPolicy) data = toPolicyResponse(organizationPolicy, 'organization');
+
+    res.status(200).json({ success: true, data });
+});
+
+/**
+ * @desc    Create or update the logged-in user's personal reminder policy
+ * @route   PUT /api/reminder-policies/me
+ * @access  Private (Requires 'read' permission on 'cases' module)
+ */
+exports.updateMyPolicy = asyncHandler(async (req, res, next) => {
+    const { policy, error } = await upsertPolicy({
+        organizationId: req.user.organization,
+        user: req.user._id,
+        userId: req.user._id,
+        body: req.body
+    });
+    if (error) {
+        return next(new ErrorResponse(error, 400));
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Personal reminder policy updated successfully',
+        data: toPolicyResponse(policy, 'user')
+    });
+});
+
+/**
+ * @desc    Remove the logged-in user's personal policy (falls back to the organization policy)
+ * @route   DELETE /api/reminder-policies/me
+ * @access  Private (Requires 'read' permission on 'cases' module)
+ */
+exports.deleteMyPolicy = asyncHandler(async (req, res, next) => {
+    await ReminderPolicy.deleteOne({ organization: req.user.organization, user: req.user._id });
+
+    res.status(200).json({
+        success: true,
+        message: 'Personal reminder policy removed'
+    });
+});
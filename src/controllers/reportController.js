@@ -0,0 +1,176 @@
+// controllers/reportController.js
+// Operational reports built from case data (daily cause list as JSON, Excel or PDF; hearing outcomes and adjournments)
+
+const Case = require('../models/Case');
+const Organization = require('../models/Organization');
+const asyncHandler = require('../middleware/asyncHandler');
+const ErrorResponse = require('../utils/errorResponse');
+const { canAssignModule } = require('../utils/assigneeUtils');
+const { sendEncryptedJson } = require('../utils/responseEncryption');
+const { teamVisibilityFilter } = require('../utils/teamUtils');
+const { writeExcelToBuffer } = require('../utils/excelUtils');
+const { sendPdf, formatDateIN } = require('../utils/pdfUtils');
+const { startOfDay, endOfDay, parseLocalDate } = require('../utils/dateUtils');
+const { getCauseList, buildCauseListRows, CAUSE_LIST_EXCEL_SHEET, CAUSE_LIST_EXCEL_HEADERS } = require('../utils/causeList');
+const { renderCauseListPdf } = require('../utils/causeListPdf');
+
+const canViewAllCases = (userRole) => canAssignModule(userRole, 'cases');
+
+const CAUSE_LIST_FORMATS = ['json', 'excel', 'pdf'];
+const MAX_REPORT_CASES = 200;
+
+const toFileDate = (date) => formatDateIN(date).split('/').reverse().join('-');
+
+/**
+ * @desc    Cause list for a day: every stage listed on that date, grouped by court and by assigned advocate
+ * @route   GET /api/reports/cause-list
+ * @access  Private (Requires 'read' permission on 'cases' module)
+ * @query   date? (YYYY-MM-DD, default today), format? (json|excel|pdf), advocate? (user id), courtPremises?, download? (pdf: 'true' = attachment)
+ */
+exports.getCauseList = asyncHandler(async (req, res, next) => {
+    const { date: dateRaw, format = 'json', advocate, courtPremises, download } = req.query;
+
+    const date = dateRaw ? parseLocalDate(dateRaw) : new Date();
+    if (!date) {
+        return next(new ErrorResponse('Invalid date', 400));
+    }
+    if (!CAUSE_LIST_FORMATS.includes(format)) {
+        return next(new ErrorResponse(`format must be one of: ${CAUSE_LIST_FORMATS.join(', ')}`, 400));
+    }
+
+    // Same visibility rule as GET /api/cases: non-assignees only see their own and team cases
+    const canViewAll = canViewAllCases(req.userRole);
+
+    const causeList = await getCauseList({
+        organizationId: req.user.organization,
+        date,
+        assignedTo: advocate || undefined,
+        visibleTo: canViewAll ? undefined : req.user._id,
+        courtPremises
+    });
+
+    if (format === 'excel') {
+        const buffer = writeExcelToBuffer({
+            sheetName: CAUSE_LIST_EXCEL_SHEET,
+            headers: CAUSE_LIST_EXCEL_HEADERS,
+            rows: buildCauseListRows(causeList)
+        });
+
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', `attachment; filename="cause-list-${toFileDate(causeList.date)}.xlsx"`);
+        return res.status(200).send(buffer);
+    }
+
+    if (format === 'pdf') {
+        const organization = await Organization.findById(req.user.organization).select('companyName').lean();
+        const advocateGroup = advocate ? causeList.byAdvocate.find((g) => g.advocate) : null;
+        const pdf = await renderCauseListPdf(causeList, {
+            organizationName: organization ? organization.companyName : '',
+            advocateName: advocateGroup ? advocateGroup.advocate.name : ''
+        });
+        return sendPdf(res, pdf, `cause-list-${toFileDate(causeList.date)}.pdf`, { inline: download !== 'true' });
+    }
+
+    sendEncryptedJson(res, 200, {
+        success: true,
+        count: causeList.count,
+        data: causeList
+    });
+});
+
+/**
+ * @desc    Hearing outcomes and adjournments recorded on stages, with adjournment counts per reason, court and case
+ * @route   GET /api/reports/adjournments
+ * @access  Private (Requires 'read' permission on 'cases' module)
+ * @query   from?, to? (hearing dates, default: current calendar year), courtPremises?, caseId?, limit? (cases, default 50)
+ */
+exports.getAdjournmentReport = asyncHandler(async (req, res, next) => {
+    const { from, to, courtPremises, caseId } = req.query;
+    const year = new Date().getFullYear();
+    const fromRaw = from ? parseLocalDate(from) : new Date(year, 0, 1);
+    const toRaw = to ? parseLocalDate(to) : new Date(year, 11, 31);
+    if (!fromRaw || !toRaw) {
+        return next(new ErrorResponse('Invalid from/to date', 400));
+    }
+    const fromDate = startOfDay(fromRaw);
+    const toDate = endOfDay(toRaw);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_REPORT_CASES);
+
+    const hearingDate = { $gte: fromDate, $lte: toDate };
+    const match = {
+        organization: req.user.organization._id,
+        deletedAt: null,
+        'stages.hearingOutcome.hearingDate': hearingDate
+    };
+    if (courtPremises) match.courtPremises = courtPremises;
+    if (caseId) match._id = String(caseId);
+    if (!canViewAllCases(req.userRole)) match.$and = [teamVisibilityFilter(req.user._id)];
+
+    const adjourned = { $cond: [{ $eq: ['$stages.hearingOutcome.outcome', 'adjourned'] }, 1, 0] };
+
+    const [result] = await Case.aggregate([
+        { $match: match },
+        { $unwind: '$stages' },
+        { $match: { 'stages.hearingOutcome.hearingDate': hearingDate } },
+        {
+            $facet: {
+                byOutcome: [
+                    { $group: { _id: '$stages.hearingOutcome.outcome', count: { $sum: 1 } } },
+                    { $project: { _id: 0, outcome: '$_id', count: 1 } }
+                ],
+                byReason: [
+                    { $match: { 'stages.hearingOutcome.outcome': 'adjourned' } },
+                    { $group: { _id: '$stages.hearingOutcome.adjournmentReason', count: { $sum: 1 } } },
+                    { $sort: { count: -1 } },
+                    { $project: { _id: 0, reason: '$_id', count: 1 } }
+                ],
+                byCourt: [
+                    {
+                        $group: {
+                            _id: { courtPremises: '$courtPremises', courtName: '$courtName' },
+                            hearings: { $sum: 1 },
+                            adjourned: { $sum: adjourned }
+                        }
+                    },
+                    { $sort: { adjourned: -1, hearings: -1 } },
+                    { $project: { _id: 0, courtPremises: '$_id.courtPremises', courtName: '$_id.courtName', hearings: 1, adjourned: 1 } }
+                ],
+                byCase: [
+                    {
+                        $group: {
+                            _id: '$_id',
+                            caseNumber: { $first: '$caseNumber' },
+                            partyName: { $first: '$partyName' },
+                            courtPremises: { $first: '$courtPremises' },
+                            courtName: { $first: '$courtName' },
+                            hearings: { $sum: 1 },
+                            adjourned: { $sum: adjourned }
+                        }
+                    },
+                    { $match: { adjourned: { $gt: 0 } } },
+                    { $sort: { adjourned: -1, hearings: -1 } },
+                    { $limit: limit },
+                    { $project: { _id: 0, caseId: '$_id', caseNumber: 1, partyName: 1, courtPremises: 1, courtName: 1, hearings: 1, adjourned: 1 } }
+                ]
+            }
+        }
+    ]);
+
+    const withRate = (row) => ({ ...row, adjournmentRate: row.hearings ? Math.round((row.adjourned / row.hearings) * 1000) / 10 : 0 });
+    const outcomes = Object.fromEntries(Case.HEARING_OUTCOMES.map((o) => [o, 0]));
+    for (const row of result.byOutcome) outcomes[row.outcome] = row.count;
+    const hearings = Object.values(outcomes).reduce((sum, n) => sum + n, 0);
+
+    sendEncryptedJson(res, 200, {
+        success: true,
+        from: fromDate,
+        to: toDate,
+        data: {
+            totals: withRate({ hearings, adjourned: outcomes.adjourned }),
+            byOutcome: outcomes,
+            byReason: result.byReason,
+            byCourt: result.byCourt.map(withRate),
+            byCase: result.byCase.map(withRate)
+        }
+    });
+});
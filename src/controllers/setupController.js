@@ -221,7 +221,7 @@ exports.initializeSetup = asyncHandler(async (req, res, next) => {
     console.log('📦 Active modules found:', activeModules.map(m => m.name));
     
     // Fallback: if no modules exist (e.g. DB was freshly dropped), use default module names
-    const DEFAULT_MODULE_NAMES = ['client', 'cases', 'role', 'user'];
+    const DEFAULT_MODULE_NAMES = ['client', 'cases', 'role', 'user', 'invoice'];
     if (activeModules.length === 0) {
         console.log('⚠️ No modules in DB, using default module names for SUPER_ADMIN permissions');
         activeModules = DEFAULT_MODULE_NAMES.map(name => ({ name }));
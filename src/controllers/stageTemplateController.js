@@ -0,0 +1,176 @@
+// controllers/stageTemplateController.js
+// Stage workflow templates per case type (SUPER_ADMIN manages, everyone with case access can read)
+
+const StageTemplate = require('../models/StageTemplate');
+const Case = require('../models/Case');
+const asyncHandler = require('../middleware/asyncHandler');
+const ErrorResponse = require('../utils/errorResponse');
+const { escapeRegex } = require('../utils/regexUtils');
+const { sanitizeStageTemplatePayload, resolveCanonicalStage } = require('../utils/stageTemplateUtils');
+
+/**
+ * Map existing stages of the template's case type onto it.
+ * Stages already mapped to a stage that is still in the template keep their mapping (manual choices survive);
+ * unmapped stages and stages whose canonical stage was removed are re-matched by name.
+ * Uses direct updates so the derived field does not flood the case audit trail.
+ * @returns {Promise<number>} Number of stage rows changed
+ */
+const reclassifyCaseStages = async (template) => {
+    const templateNames = new Set(template.stages.map((s) => s.name));
+    const cases = await Case.find({
+        organization: template.organization,
+        caseType: { $regex: `^${escapeRegex(template.caseType)}$`, $options: 'i' },
+        deletedAt: null,
+        'stages.0': { $exists: true }
+    }).select('_id stages._id stages.stageName stages.canonicalStage').lean();
+
+    let changed = 0;
+    for (const caseDoc of cases) {
+        const set = {};
+        const arrayFilters = [];
+        for (const stage of caseDoc.stages) {
+            if (stage.canonicalStage && templateNames.has(stage.canonicalStage)) continue;
+            const canonicalStage = resolveCanonicalStage(template, stage.stageName);
+            if ((stage.canonicalStage || null) !== canonicalStage) {
+                // Matched by stage id, not position: stages added or removed since the read are left alone
+                const key = `s${arrayFilters.length}`;
+                set[`stages.$[${key}].canonicalStage`] = canonicalStage;
+                arrayFilters.push({ [`${key}._id`]: stage._id });
+            }
+        }
+        if (arrayFilters.length > 0) {
+            await Case.updateOne({ _id: caseDoc._id }, { $set: set }, { arrayFilters });
+            changed += arrayFilters.length;
+        }
+    }
+    return changed;
+};
+
+const findTemplate = (req) => StageTemplate.findOne({ _id: req.params.id, organization: req.user.organization });
+
+const isDuplicateKeyError = (err) => err && err.code === 11000;
+
+/**
+ * @desc    List the organization's stage templates
+ * @route   GET /api/stage-templates
+ * @access  Private (Requires 'read' permission on 'cases' module)
+ */
+exports.getStageTemplates = asyncHandler(async (req, res, next) => {
+    const templates = await StageTemplate.find({ organization: req.user.organization })
+        .sort({ caseType: 1 })
+        .lean();
+
+    res.status(200).json({
+        success: true,
+        count: templates.length,
+        data: templates
+    });
+});
+
+/**
+ * @desc    Get one stage template
+ * @route   GET /api/stage-templates/:id
+ * @access  Private (Requires 'read' permission on 'cases' module)
+ */
+exports.getStageTemplate = asyncHandler(async (req, res, next) => {
+    const template = await findTemplate(req).lean();
+    if (!template) {
+        return next(new ErrorResponse('Stage template not found', 404));
+    }
+
+    res.status(200).json({ success: true, data: template });
+});
+
+/**
+ * @desc    Create a stage template for a case type and map existing stages of that type onto it
+ * @route   POST /api/stage-templates
+ * @access  Private (SUPER_ADMIN only)
+ * @body    { caseType: 'Civil Suit', stages: ['Filing', { name: 'Evidence', aliases: ['Evd.', 'PW cross'] }, ...] }
+ */
+exports.createStageTemplate = asyncHandler(async (req, res, next) => {
+    const { data, error } = sanitizeStageTemplatePayload(req.body);
+    if (error) {
+        return next(new ErrorResponse(error, 400));
+    }
+
+    let template;
+    try {
+        template = await StageTemplate.create({
+            ...data,
+            organization: req.user.organization,
+            createdBy: req.user._id
+        });
+    } catch (err) {
+        if (isDuplicateKeyError(err)) {
+            return next(new ErrorResponse(`A stage template for "${data.caseType}" already exists`, 400));
+        }
+        throw err;
+    }
+
+    const reclassified = await reclassifyCaseStages(template);
+
+    console.log('✅ Stage template created:', { id: template._id, caseType: template.caseType, stages: template.stages.length, reclassified });
+
+    res.status(201).json({
+        success: true,
+        message: 'Stage template created successfully',
+        reclassified,
+        data: template
+    });
+});
+
+/**
+ * @desc    Update a stage template (caseType and/or stages); existing stages are re-mapped
+ * @route   PUT /api/stage-templates/:id
+ * @access  Private (SUPER_ADMIN only)
+ */
+exports.updateStageTemplate = asyncHandler(async (req, res, next) => {
+    const template = await findTemplate(req);
+    if (!template) {
+        return next(new ErrorResponse('Stage template not found', 404));
+    }
+
+    const { data, error } = sanitizeStageTemplatePayload(req.body, { partial: true });
+    if (error) {
+        return next(new ErrorResponse(error, 400));
+    }
+
+    Object.assign(template, data);
+    template.updatedBy = req.user._id;
+    try {
+        await template.save();
+    } catch (err) {
+        if (isDuplicateKeyError(err)) {
+            return next(new ErrorResponse(`A stage template for "${template.caseType}" already exists`, 400));
+        }
+        throw err;
+    }
+
+    const reclassified = await reclassifyCaseStages(template);
+
+    res.status(200).json({
+        success: true,
+        message: 'Stage template updated successfully',
+        reclassified,
+        data: template
+    });
+});
+
+/**
+ * @desc    Delete a stage template (stages keep their canonical names; new stages become free text)
+ * @route   DELETE /api/stage-templates/:id
+ * @access  Private (SUPER_ADMIN only)
+ */
+exports.deleteStageTemplate = asyncHandler(async (req, res, next) => {
+    const template = await findTemplate(req);
+    if (!template) {
+        return next(new ErrorResponse('Stage template not found', 404));
+    }
+
+    await template.deleteOne();
+
+    res.status(200).json({
+        success: true,
+        message: 'Stage template deleted successfully'
+    });
+});
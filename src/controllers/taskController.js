@@ -0,0 +1,534 @@
+// controllers/taskController.js
+// Tasks on cases and stages: CRUD, checklist, "my tasks" and assignment notifications (visibility follows cases)
+
+const Task = require('../models/Task');
+const Case = require('../models/Case');
+const User = require('../models/User');
+const asyncHandler = require('../middleware/asyncHandler');
+const ErrorResponse = require('../utils/errorResponse');
+const { canAssignModule } = require('../utils/assigneeUtils');
+const { isTeamMember, teamVisibilityFilter } = require('../utils/teamUtils');
+const { sendEncryptedJson } = require('../utils/responseEncryption');
+const { dispatchNotification } = require('../utils/notificationDispatcher');
+const { escapeRegex } = require('../utils/regexUtils');
+const { startOfDay } = require('../utils/dateUtils');
+
+// Same rule as cases: assignees (and SUPER_ADMIN) see every task
+const canViewAllCases = (userRole) => canAssignModule(userRole, 'cases');
+const PRIORITIES = Task.PRIORITIES;
+const STATUSES = Task.STATUSES;
+const OPEN_STATUSES = ['todo', 'in_progress'];
+const TASK_USER_SELECT = 'firstName lastName email';
+
+const parseDueDate = (value) => {
+    if (value === null || value === '') return { value: null };
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return { error: new ErrorResponse('Invalid dueDate', 400) };
+    return { value: date };
+};
+
+/**
+ * Load a case the current user may work with (same visibility rule as getCase).
+ * @returns {Promise<{ caseDoc?: Object, error?: ErrorResponse }>}
+ */
+const loadAccessibleCase = async (req, caseId) => {
+    if (!caseId) {
+        return { error: new ErrorResponse('case is required', 400) };
+    }
+    const caseDoc = await Case.findOne({
+        _id: caseId,
+        organization: req.user.organization,
+        deletedAt: null
+    }).select('_id caseNumber partyName assignedTo team.user stages._id stages.stageName');
+
+    if (!caseDoc) {
+        return { error: new ErrorResponse('Case not found', 404) };
+    }
+    if (!canViewAllCases(req.userRole) && !isTeamMember(caseDoc, req.user._id)) {
+        return { error: new ErrorResponse('You do not have permission to access this case', 403) };
+    }
+    return { caseDoc };
+};
+
+/**
+ * A task is visible to case assignees, its assignee, and the assignee and team of its case.
+ * @returns {Promise<{ task?: Object, error?: ErrorResponse }>}
+ */
+const loadAccessibleTask = async (req) => {
+    const task = await Task.findOne({ _id: req.params.id, organization: req.user.organization });
+    if (!task) {
+        return { error: new ErrorResponse('Task not found', 404) };
+    }
+    if (!canViewAllCases(req.userRole) && String(task.assignedTo) !== String(req.user._id)) {
+        const caseDoc = await Case.findOne({ _id: task.case, organization: req.user.organization }).select('assignedTo team.user').lean();
+        if (!caseDoc || !isTeamMember(caseDoc, req.user._id)) {
+            return { error: new ErrorResponse('You do not have permission to access this task', 403) };
+        }
+    }
+    return { task };
+};
+
+/**
+ * Validate a task assignee: an approved user of the organization. Without assignee permission on cases,
+ * users can only assign tasks to themselves or to the case's assignee/team.
+ * @param {Object} caseDoc - The task's case (needs assignedTo and team.user)
+ * @returns {Promise<{ userId?: string|null, error?: ErrorResponse }>}
+ */
+const resolveAssignee = async (req, assignedTo, caseDoc) => {
+    if (assignedTo === null || assignedTo === '') return { userId: null };
+    if (String(assignedTo) !== String(req.user._id) && !canViewAllCases(req.userRole) && !isTeamMember(caseDoc, assignedTo)) {
+        return { error: new ErrorResponse('You can only assign tasks to yourself or to members of the case team', 403) };
+    }
+    const user = await User.findOne({ _id: assignedTo, organization: req.user.organization }).select('_id status').lean();
+    if (!user || user.status === 'terminated') {
+        return { error: new ErrorResponse('Assignee not found', 404) };
+    }
+    return { userId: String(user._id) };
+};
+
+const sanitizeChecklist = (items) => (Array.isArray(items) ? items : [])
+    .map((item) => (typeof item === 'string' ? { text: item } : item))
+    .filter((item) => item && String(item.text || '').trim() !== '')
+    .map((item) => ({ text: String(item.text).trim(), done: item.done === true }));
+
+const notifyTaskAssigned = async (task, caseDoc, actorId) => {
+    if (!task.assignedTo || String(task.assignedTo) === String(actorId)) return;
+    try {
+        const caseLabel = caseDoc.caseNumber || caseDoc._id;
+        const due = task.dueDate ? ` (due ${task.dueDate.toISOString().slice(0, 10)})` : '';
+        await dispatchNotification({
+            userId: task.assignedTo,
+            organization: task.organization,
+            type: 'task_assigned',
+            title: 'New task assigned',
+            message: `${caseLabel} - ${task.title}${due}`,
+            relatedEntityType: 'task',
+            relatedEntityId: task._id.toString(),
+            createdBy: actorId
+        });
+    } catch (err) {
+        console.error('⚠️ Failed to create task assignment notification:', err.message);
+    }
+};
+
+/**
+ * Visibility filter for task lists.
+ */
+const buildVisibilityFilter = async (req) => {
+    if (canViewAllCases(req.userRole)) return null;
+    const assignedCaseIds = await Case.find({ organization: req.user.organization, deletedAt: null, ...teamVisibilityFilter(req.user._id) })
+        .distinct('_id');
+    return { $or: [{ assignedTo: req.user._id }, { case: { $in: assignedCaseIds } }] };
+};
+
+const populateTask = (query) => query
+    .populate('case', 'caseNumber partyName courtName')
+    .populate('assignedTo', TASK_USER_SELECT)
+    .populate('createdBy', TASK_USER_SELECT);
+
+/**
+ * @desc    Create a task on a case
+ * @route   POST /api/tasks
+ * @access  Private (Requires 'create' permission on 'cases' module)
+ * @body    case, stageId?, title, description?, dueDate?, assignedTo? (default current user), priority?, checklist? (strings or { text, done })
+ */
+exports.createTask = asyncHandler(async (req, res, next) => {
+    const { case: caseId, stageId, title, description, dueDate, assignedTo, priority, checklist } = req.body;
+
+    const { caseDoc, error } = await loadAccessibleCase(req, caseId);
+    if (error) return next(error);
+
+    if (stageId && !caseDoc.stages.id(stageId)) {
+        return next(new ErrorResponse('Case stage not found', 404));
+    }
+    if (priority !== undefined && !PRIORITIES.includes(priority)) {
+        return next(new ErrorResponse(`priority must be one of: ${PRIORITIES.join(', ')}`, 400));
+    }
+
+    let parsedDueDate = null;
+    if (dueDate !== undefined) {
+        const parsed = parseDueDate(dueDate);
+        if (parsed.error) return next(parsed.error);
+        parsedDueDate = parsed.value;
+    }
+
+    const { userId: assigneeId, error: assigneeError } = await resolveAssignee(req, assignedTo !== undefined ? assignedTo : req.user._id, caseDoc);
+    if (assigneeError) return next(assigneeError);
+
+    const task = await Task.create({
+        organization: req.user.organization,
+        case: caseDoc._id,
+        stageId: stageId || null,
+        title,
+        description: description || '',
+        dueDate: parsedDueDate,
+        assignedTo: assigneeId,
+        priority: priority || 'medium',
+        checklist: sanitizeChecklist(checklist),
+        createdBy: req.user._id
+    });
+
+    await notifyTaskAssigned(task, caseDoc, req.user._id);
+    const populated = await populateTask(Task.findById(task._id));
+    res.status(201).json({
+        success: true,
+        message: 'Task created successfully',
+        data: populated
+    });
+});
+
+/**
+ * @desc    List tasks the user can see
+ * @route   GET /api/tasks
+ * @access  Private (Requires 'read' permission on 'cases' module)
+ * @query   case, stageId, assignedTo, status (comma-separated), priority, overdue=true, dueFrom, dueTo, search, page, limit, sortBy, sortOrder
+ */
+exports.getTasks = asyncHandler(async (req, res, next) => {
+    const {
+        case: caseId,
+        stageId,
+        assignedTo,
+        status,
+        priority,
+        overdue,
+        dueFrom,
+        dueTo,
+        search,
+        page = 1,
+        limit = 20,
+        sortBy = 'dueDate',
+        sortOrder = 'asc'
+    } = req.query;
+
+    const query = { organization: req.user.organization };
+    const and = [];
+
+    if (caseId) query.case = String(caseId);
+    if (stageId) query.stageId = String(stageId);
+    if (assignedTo) query.assignedTo = assignedTo === 'none' ? null : String(assignedTo);
+    if (status) {
+        const statuses = String(status).split(',').map((s) => s.trim()).filter(Boolean);
+        const invalid = statuses.find((s) => !STATUSES.includes(s));
+        if (invalid) return next(new ErrorResponse(`status must be one of: ${STATUSES.join(', ')}`, 400));
+        query.status = { $in: statuses };
+    }
+    if (priority) {
+        if (!PRIORITIES.includes(priority)) {
+            return next(new ErrorResponse(`priority must be one of: ${PRIORITIES.join(', ')}`, 400));
+        }
+        query.priority = priority;
+    }
+    if (dueFrom || dueTo) {
+        query.dueDate = {};
+        if (dueFrom) {
+            const from = new Date(dueFrom);
+            if (isNaN(from.getTime())) return next(new ErrorResponse('Invalid dueFrom date', 400));
+            query.dueDate.$gte = from;
+        }
+        if (dueTo) {
+            const to = new Date(dueTo);
+            if (isNaN(to.getTime())) return next(new ErrorResponse('Invalid dueTo date', 400));
+            if (/^\d{4}-\d{2}-\d{2}$/.test(String(dueTo))) to.setHours(23, 59, 59, 999);
+            query.dueDate.$lte = to;
+        }
+    }
+    if (overdue === 'true') {
+        and.push({ status: { $in: OPEN_STATUSES } }, { dueDate: { $ne: null, $lt: startOfDay(new Date()) } });
+    }
+    if (search) {
+        const pattern = new RegExp(escapeRegex(String(search)), 'i');
+        and.push({ $or: [{ title: pattern }, { description: pattern }, { 'checklist.text': pattern }] });
+    }
+
+    // Visibility rule: own tasks and tasks on own cases unless the user has assignee permission on cases
+    const visibility = await buildVisibilityFilter(req);
+    if (visibility) and.push(visibility);
+    if (and.length) query.$and = and;
+
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.min(200, Math.max(1, parseInt(limit, 10) || 20));
+    const skip = (pageNum - 1) * limitNum;
+
+    const [tasks, total] = await Promise.all([
+        populateTask(Task.find(query))
+            .sort({ [sortBy]: sortOrder === 'desc' ? -1 : 1, createdAt: -1 })
+            .skip(skip)
+            .limit(limitNum),
+        Task.countDocuments(query)
+    ]);
+
+    sendEncryptedJson(res, 200, {
+        success: true,
+        count: tasks.length,
+        total,
+        page: pageNum,
+        pages: Math.ceil(total / limitNum),
+        data: tasks.map((t) => t.toObject())
+    });
+});
+
+/**
+ * @desc    Tasks assigned to the current user, grouped for a to-do view
+ * @route   GET /api/tasks/my
+ * @access  Private (Requires 'read' permission on 'cases' module)
+ * @query   includeDone=true (also return tasks completed in the last 7 days)
+ */
+exports.getMyTasks = asyncHandler(async (req, res) => {
+    const today = startOfDay(new Date());
+    const tomorrow = new Date(today.getTime() + 24 * 60 * 60 * 1000);
+    const nextWeek = new Date(today.getTime() + 7 * 24 * 60 * 60 * 1000);
+
+    const statuses = req.query.includeDone === 'true' ? [...OPEN_STATUSES, 'done'] : OPEN_STATUSES;
+    const tasks = await populateTask(Task.find({
+        organization: req.user.organization,
+        assignedTo: req.user._id,
+        status: { $in: statuses },
+        $or: [{ status: { $ne: 'done' } }, { completedAt: { $gte: new Date(today.getTime() - 7 * 24 * 60 * 60 * 1000) } }]
+    })).sort({ dueDate: 1, priority: -1, createdAt: 1 });
+
+    const groups = { overdue: [], today: [], upcoming: [], later: [], noDueDate: [], done: [] };
+    for (const task of tasks) {
+        const data = task.toObject();
+        if (task.status === 'done') groups.done.push(data);
+        else if (!task.dueDate) groups.noDueDate.push(data);
+        else if (task.dueDate < today) groups.overdue.push(data);
+        else if (task.dueDate < tomorrow) groups.today.push(data);
+        else if (task.dueDate < nextWeek) groups.upcoming.push(data);
+        else groups.later.push(data);
+    }
+
+    sendEncryptedJson(res, 200, {
+        success: true,
+        count: tasks.length,
+        counts: Object.fromEntries(Object.entries(groups).map(([key, list]) => [key, list.length])),
+        data: groups
+    });
+});
+
+/**
+ * @desc    Get single task
+ * @route   GET /api/tasks/:id
+ * @access  Private (Requires 'read' permission on 'cases' module)
+ */
+exports.getTask = asyncHandler(async (req, res, next) => {
+    const { task, error } = await loadAccessibleTask(req);
+    if (error) return next(error);
+
+    await task.populate([
+        { path: 'case', select: 'caseNumber partyName courtName stages._id stages.stageName stages.nextDate' },
+        { path: 'assignedTo', select: TASK_USER_SELECT },
+        { path: 'createdBy', select: TASK_USER_SELECT },
+        { path: 'completedBy', select: TASK_USER_SELECT },
+        { path: 'checklist.doneBy', select: TASK_USER_SELECT }
+    ]);
+
+    const data = task.toObject();
+    const stage = data.stageId && data.case && Array.isArray(data.case.stages)
+        ? data.case.stages.find((s) => String(s._id) === data.stageId)
+        : null;
+    data.stage = stage || null;
+    if (data.case) delete data.case.stages;
+
+    sendEncryptedJson(res, 200, { success: true, data });
+});
+
+/**
+ * @desc    Update a task
+ * @route   PUT /api/tasks/:id
+ * @access  Private (Requires 'update' permission on 'cases' module)
+ * @body    title?, description?, dueDate?, assignedTo?, priority?, status?, stageId?, checklist? (replaces the list)
+ */
+exports.updateTask = asyncHandler(async (req, res, next) => {
+    const { task, error } = await loadAccessibleTask(req);
+    if (error) return next(error);
+
+    const { title, description, dueDate, assignedTo, priority, status, stageId, checklist } = req.body;
+    const previousAssignee = task.assignedTo ? String(task.assignedTo) : null;
+
+    if (title !== undefined) task.title = title;
+    if (description !== undefined) task.description = description || '';
+    if (dueDate !== undefined) {
+        const parsed = parseDueDate(dueDate);
+        if (parsed.error) return next(parsed.error);
+        task.dueDate = parsed.value;
+    }
+    if (priority !== undefined) {
+        if (!PRIORITIES.includes(priority)) {
+            return next(new ErrorResponse(`priority must be one of: ${PRIORITIES.join(', ')}`, 400));
+        }
+        task.priority = priority;
+    }
+    if (status !== undefined) {
+        if (!STATUSES.includes(status)) {
+            return next(new ErrorResponse(`status must be one of: ${STATUSES.join(', ')}`, 400));
+        }
+        task.status = status;
+    }
+    if (stageId !== undefined) {
+        if (stageId) {
+            const caseDoc = await Case.findOne({ _id: task.case, organization: task.organization }).select('stages._id').lean();
+            if (!caseDoc || !(caseDoc.stages || []).some((s) => String(s._id) === String(stageId))) {
+                return next(new ErrorResponse('Case stage not found', 404));
+            }
+        }
+        task.stageId = stageId || null;
+    }
+    if (checklist !== undefined) task.checklist = sanitizeChecklist(checklist);
+    if (assignedTo !== undefined && String(assignedTo || '') !== String(previousAssignee || '')) {
+        const caseDoc = await Case.findOne({ _id: task.case, organization: task.organization }).select('assignedTo team.user').lean();
+        const { userId, error: assigneeError } = await resolveAssignee(req, assignedTo, caseDoc);
+        if (assigneeError) return next(assigneeError);
+        task.assignedTo = userId;
+    }
+
+    task.updatedBy = req.user._id;
+    await task.save();
+
+    if (task.assignedTo && String(task.assignedTo) !== previousAssignee) {
+        const caseDoc = await Case.findById(task.case).select('caseNumber').lean();
+        await notifyTaskAssigned(task, caseDoc || { _id: task.case }, req.user._id);
+    }
+
+    const populated = await populateTask(Task.findById(task._id));
+    res.status(200).json({
+        success: true,
+        message: 'Task updated successfully',
+        data: populated
+    });
+});
+
+/**
+ * @desc    Change task status (assignee can always do this)
+ * @route   PATCH /api/tasks/:id/status
+ * @access  Private (Requires 'read' permission on 'cases' module)
+ * @body    status
+ */
+exports.updateTaskStatus = asyncHandler(async (req, res, next) => {
+    const { task, error } = await loadAccessibleTask(req);
+    if (error) return next(error);
+
+    const { status } = req.body;
+    if (!STATUSES.includes(status)) {
+        return next(new ErrorResponse(`status must be one of: ${STATUSES.join(', ')}`, 400));
+    }
+
+    task.status = status;
+    task.updatedBy = req.user._id;
+    await task.save();
+
+    res.status(200).json({
+        success: true,
+        message: `Task marked as ${status.replace('_', ' ')}`,
+        data: task
+    });
+});
+
+/**
+ * @desc    Add a checklist item
+ * @route   POST /api/tasks/:id/checklist
+ * @access  Private (Requires 'read' permission on 'cases' module)
+ * @body    text
+ */
+exports.addChecklistItem = asyncHandler(async (req, res, next) => {
+    const { task, error } = await loadAccessibleTask(req);
+    if (error) return next(error);
+
+    const [item] = sanitizeChecklist([{ text: req.body.text }]);
+    if (!item) {
+        return next(new ErrorResponse('text is required', 400));
+    }
+
+    task.checklist.push(item);
+    task.updatedBy = req.user._id;
+    await task.save();
+
+    res.status(201).json({
+        success: true,
+        message: 'Checklist item added',
+        data: task
+    });
+});
+
+/**
+ * @desc    Tick/untick or rename a checklist item
+ * @route   PATCH /api/tasks/:id/checklist/:itemId
+ * @access  Private (Requires 'read' permission on 'cases' module)
+ * @body    done?, text?
+ */
+exports.updateChecklistItem = asyncHandler(async (req, res, next) => {
+    const { task, error } = await loadAccessibleTask(req);
+    if (error) return next(error);
+
+    const item = task.checklist.id(req.params.itemId);
+    if (!item) {
+        return next(new ErrorResponse('Checklist item not found', 404));
+    }
+
+    const { done, text } = req.body;
+    if (text !== undefined) {
+        if (!String(text || '').trim()) return next(new ErrorResponse('text cannot be empty', 400));
+        item.text = String(text).trim();
+    }
+    if (done !== undefined) {
+        const isDone = done === true || done === 'true';
+        if (isDone !== item.done) {
+            item.done = isDone;
+            item.doneAt = isDone ? new Date() : null;
+            item.doneBy = isDone ? req.user._id : null;
+        }
+    }
+
+    task.updatedBy = req.user._id;
+    await task.save();
+
+    res.status(200).json({
+        success: true,
+        message: 'Checklist item updated',
+        data: task
+    });
+});
+
+/**
+ * @desc    Remove a checklist item
+ * @route   DELETE /api/tasks/:id/checklist/:itemId
+ * @access  Private (Requires 'read' permission on 'cases' module)
+ */
+exports.deleteChecklistItem = asyncHandler(async (req, res, next) => {
+    const { task, error } = await loadAccessibleTask(req);
+    if (error) return next(error);
+
+    const item = task.checklist.id(req.params.itemId);
+    if (!item) {
+        return next(new ErrorResponse('Checklist item not found', 404));
+    }
+
+    item.deleteOne();
+    task.updatedBy = req.user._id;
+    await task.save();
+
+    res.status(200).json({
+        success: true,
+        message: 'Checklist item removed',
+        data: task
+    });
+});
+
+/**
+ * @desc    Delete task (soft delete)
+ * @route   DELETE /api/tasks/:id
+ * @access  Private (Requires 'delete' permission on 'cases' module)
+ */
+exports.deleteTask = asyncHandler(async (req, res, next) => {
+    const { task, error } = await loadAccessibleTask(req);
+    if (error) return next(error);
+
+    task.deletedAt = new Date();
+    task.deletedBy = req.user._id;
+    task.updatedBy = req.user._id;
+    await task.save();
+
+    res.status(200).json({
+        success: true,
+        message: 'Task deleted successfully'
+    });
+});
@@ -0,0 +1,433 @@
+// controllers/timeEntryController.js
+// Time tracking against cases: start/stop timers, manual entries, billable-hours rollups and Excel export
+
+const TimeEntry = require('../models/TimeEntry');
+const Case = require('../models/Case');
+const User = require('../models/User');
+const asyncHandler = require('../middleware/asyncHandler');
+const ErrorResponse = require('../utils/errorResponse');
+const { canAssignModule } = require('../utils/assigneeUtils');
+const { isTeamMember } = require('../utils/teamUtils');
+const { sendEncryptedJson } = require('../utils/responseEncryption');
+const { writeExcelToBuffer } = require('../utils/excelUtils');
+const { ROLLUP_GROUPS, getTimeRollup } = require('../utils/timeRollups');
+
+// Case assignees (and SUPER_ADMIN) see everyone's time; others only their own
+const canViewAllCases = (userRole) => canAssignModule(userRole, 'cases');
+const ACTIVITY_TYPES = TimeEntry.ACTIVITY_TYPES;
+
+const parseDate = (value, endOfDay) => {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return null;
+    if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(String(value))) {
+        date.setHours(23, 59, 59, 999);
+    }
+    return date;
+};
+
+const parseBoolean = (value, fallback) => {
+    if (value === undefined || value === null || value === '') return fallback;
+    return value === true || value === 'true';
+};
+
+/**
+ * Validate the case (and stage) a time entry is logged against, with the getCase visibility rule.
+ * @returns {Promise<{ caseDoc?: Object, error?: ErrorResponse }>}
+ */
+const loadCaseForEntry = async (req, caseId, stageId) => {
+    if (!caseId) {
+        return { error: new ErrorResponse('case is required', 400) };
+    }
+    const caseDoc = await Case.findOne({
+        _id: caseId,
+        organization: req.user.organization,
+        deletedAt: null
+    }).select('_id assignedTo team.user stages._id');
+
+    if (!caseDoc) {
+        return { error: new ErrorResponse('Case not found', 404) };
+    }
+    if (!canViewAllCases(req.userRole) && !isTeamMember(caseDoc, req.user._id)) {
+        return { error: new ErrorResponse('You do not have permission to log time on this case', 403) };
+    }
+    if (stageId && !caseDoc.stages.id(stageId)) {
+        return { error: new ErrorResponse('Case stage not found', 404) };
+    }
+    return { caseDoc };
+};
+
+// Entry rate: explicit hourlyRate (case assignees only), else the entry user's current rate
+const resolveHourlyRate = async (req, requestedRate, userId = req.user._id) => {
+    if (requestedRate !== undefined && requestedRate !== null && requestedRate !== '' && canViewAllCases(req.userRole)) {
+        return Number(requestedRate);
+    }
+    const user = await User.findById(userId).select('hourlyRate').lean();
+    return user && user.hourlyRate != null ? user.hourlyRate : null;
+};
+
+const loadEditableEntry = async (req) => {
+    const entry = await TimeEntry.findOne({ _id: req.params.id, organization: req.user.organization });
+    if (!entry) {
+        return { error: new ErrorResponse('Time entry not found', 404) };
+    }
+    if (String(entry.user) !== String(req.user._id) && !canViewAllCases(req.userRole)) {
+        return { error: new ErrorResponse('You can only change your own time entries', 403) };
+    }
+    return { entry };
+};
+
+/**
+ * Shared rollup query parsing: from/to, case, client, user; restricted to own time without case assignee permission.
+ * @returns {{ options?: Object, error?: ErrorResponse }}
+ */
+const parseRollupQuery = (req) => {
+    const { by } = req.params;
+    if (!ROLLUP_GROUPS.includes(by)) {
+        return { error: new ErrorResponse(`Rollups are available by: ${ROLLUP_GROUPS.join(', ')}`, 400) };
+    }
+    const { from, to, case: caseId, client, user } = req.query;
+    const options = { organizationId: req.user.organization._id, by, caseId, clientId: client, userId: user };
+
+    if (from) {
+        options.from = parseDate(from, false);
+        if (!options.from) return { error: new ErrorResponse('Invalid from date', 400) };
+    }
+    if (to) {
+        options.to = parseDate(to, true);
+        if (!options.to) return { error: new ErrorResponse('Invalid to date', 400) };
+    }
+    if (!canViewAllCases(req.userRole)) {
+        options.userId = req.user._id;
+    }
+    return { options };
+};
+
+/**
+ * @desc    Start a timer on a case (one running timer per user)
+ * @route   POST /api/time-entries/timer/start
+ * @access  Private (Requires 'read' permission on 'cases' module)
+ * @body    case, stageId?, activityType?, description?, billable?, hourlyRate?
+ */
+exports.startTimer = asyncHandler(async (req, res, next) => {
+    const { case: caseId, stageId, activityType, description, billable, hourlyRate } = req.body;
+
+    const { error } = await loadCaseForEntry(req, caseId, stageId);
+    if (error) return next(error);
+
+    const running = await TimeEntry.findOne({ user: req.user._id, source: 'timer', endedAt: null });
+    if (running) {
+        return next(new ErrorResponse('You already have a running timer. Stop it before starting another.', 409));
+    }
+
+    const entry = await TimeEntry.create({
+        organization: req.user.organization,
+        case: caseId,
+        stageId: stageId || null,
+        user: req.user._id,
+        activityType: activityType || 'other',
+        description: description || '',
+        startedAt: new Date(),
+        source: 'timer',
+        billable: parseBoolean(billable, true),
+        hourlyRate: await resolveHourlyRate(req, hourlyRate),
+        createdBy: req.user._id
+    });
+
+    res.status(201).json({
+        success: true,
+        message: 'Timer started',
+        data: entry.toObject({ virtuals: true })
+    });
+});
+
+/**
+ * @desc    Stop the current user's running timer
+ * @route   POST /api/time-entries/timer/stop
+ * @access  Private (Requires 'read' permission on 'cases' module)
+ * @body    description? (replaces the description set at start)
+ */
+exports.stopTimer = asyncHandler(async (req, res, next) => {
+    const entry = await TimeEntry.findOne({ user: req.user._id, source: 'timer', endedAt: null });
+    if (!entry) {
+        return next(new ErrorResponse('No running timer', 404));
+    }
+
+    entry.endedAt = new Date();
+    if (req.body && req.body.description !== undefined) entry.description = req.body.description;
+    entry.updatedBy = req.user._id;
+    await entry.save();
+
+    res.status(200).json({
+        success: true,
+        message: `Timer stopped (${entry.durationMinutes} min)`,
+        data: entry.toObject({ virtuals: true })
+    });
+});
+
+/**
+ * @desc    Get the current user's running timer (data is null when none)
+ * @route   GET /api/time-entries/timer
+ * @access  Private (Requires 'read' permission on 'cases' module)
+ */
+exports.getRunningTimer = asyncHandler(async (req, res) => {
+    const entry = await TimeEntry.findOne({ user: req.user._id, source: 'timer', endedAt: null })
+        .populate('case', 'caseNumber partyName');
+
+    res.status(200).json({
+        success: true,
+        data: entry ? entry.toObject({ virtuals: true }) : null
+    });
+});
+
+/**
+ * @desc    Log time manually
+ * @route   POST /api/time-entries
+ * @access  Private (Requires 'read' permission on 'cases' module)
+ * @body    case, stageId?, activityType?, description?, startedAt, endedAt | durationMinutes, billable?, hourlyRate?, user? (case assignees may log for others)
+ */
+exports.createTimeEntry = asyncHandler(async (req, res, next) => {
+    const { case: caseId, stageId, activityType, description, startedAt, endedAt, durationMinutes, billable, hourlyRate, user } = req.body;
+
+    const { error } = await loadCaseForEntry(req, caseId, stageId);
+    if (error) return next(error);
+
+    let entryUserId = req.user._id;
+    if (user && String(user) !== String(req.user._id)) {
+        if (!canViewAllCases(req.userRole)) {
+            return next(new ErrorResponse('You can only log your own time', 403));
+        }
+        const target = await User.findOne({ _id: user, organization: req.user.organization }).select('_id').lean();
+        if (!target) return next(new ErrorResponse('User not found', 404));
+        entryUserId = target._id;
+    }
+
+    const start = startedAt ? parseDate(startedAt, false) : null;
+    if (!start) return next(new ErrorResponse('A valid startedAt is required', 400));
+
+    let end;
+    if (endedAt) {
+        end = parseDate(endedAt, false);
+        if (!end) return next(new ErrorResponse('Invalid endedAt', 400));
+    } else {
+        const minutes = Number(durationMinutes);
+        if (!Number.isFinite(minutes) || minutes <= 0) {
+            return next(new ErrorResponse('Provide endedAt or a positive durationMinutes', 400));
+        }
+        end = new Date(start.getTime() + Math.round(minutes) * 60000);
+    }
+
+    const entry = await TimeEntry.create({
+        organization: req.user.organization,
+        case: caseId,
+        stageId: stageId || null,
+        user: entryUserId,
+        activityType: activityType || 'other',
+        description: description || '',
+        startedAt: start,
+        endedAt: end,
+        source: 'manual',
+        billable: parseBoolean(billable, true),
+        hourlyRate: await resolveHourlyRate(req, hourlyRate, entryUserId),
+        createdBy: req.user._id
+    });
+
+    res.status(201).json({
+        success: true,
+        message: 'Time entry logged',
+        data: entry
+    });
+});
+
+/**
+ * @desc    List time entries (own entries unless the user has assignee permission on cases)
+ * @route   GET /api/time-entries
+ * @access  Private (Requires 'read' permission on 'cases' module)
+ * @query   case, stageId, user, activityType, billable, from, to, page, limit
+ */
+exports.getTimeEntries = asyncHandler(async (req, res, next) => {
+    const { case: caseId, stageId, user, activityType, billable, from, to, page = 1, limit = 20 } = req.query;
+    const query = { organization: req.user.organization };
+
+    if (caseId) query.case = String(caseId);
+    if (stageId) query.stageId = String(stageId);
+    if (user) query.user = String(user);
+    if (activityType) {
+        if (!ACTIVITY_TYPES.includes(activityType)) {
+            return next(new ErrorResponse(`activityType must be one of: ${ACTIVITY_TYPES.join(', ')}`, 400));
+        }
+        query.activityType = activityType;
+    }
+    if (billable !== undefined) query.billable = billable === 'true';
+    if (from || to) {
+        query.startedAt = {};
+        if (from) {
+            const fromDate = parseDate(from, false);
+            if (!fromDate) return next(new ErrorResponse('Invalid from date', 400));
+            query.startedAt.$gte = fromDate;
+        }
+        if (to) {
+            const toDate = parseDate(to, true);
+            if (!toDate) return next(new ErrorResponse('Invalid to date', 400));
+            query.startedAt.$lte = toDate;
+        }
+    }
+
+    // Visibility rule: only own time without assignee permission on cases
+    if (!canViewAllCases(req.userRole)) {
+        query.user = req.user._id;
+    }
+
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.min(200, Math.max(1, parseInt(limit, 10) || 20));
+    const skip = (pageNum - 1) * limitNum;
+
+    const [entries, total] = await Promise.all([
+        TimeEntry.find(query)
+            .populate('case', 'caseNumber partyName')
+            .populate('user', 'firstName lastName email userType')
+            .sort({ startedAt: -1 })
+            .skip(skip)
+            .limit(limitNum)
+            .lean({ virtuals: true }),
+        TimeEntry.countDocuments(query)
+    ]);
+
+    sendEncryptedJson(res, 200, {
+        success: true,
+        count: entries.length,
+        total,
+        page: pageNum,
+        pages: Math.ceil(total / limitNum),
+        data: entries
+    });
+});
+
+/**
+ * @desc    Update a time entry (owner, or users with assignee permission on cases)
+ * @route   PUT /api/time-entries/:id
+ * @access  Private (Requires 'read' permission on 'cases' module)
+ */
+exports.updateTimeEntry = asyncHandler(async (req, res, next) => {
+    const { entry, error } = await loadEditableEntry(req);
+    if (error) return next(error);
+
+    const { stageId, activityType, description, startedAt, endedAt, durationMinutes, billable, hourlyRate } = req.body;
+
+    if (stageId !== undefined) {
+        const { error: caseError } = await loadCaseForEntry(req, entry.case, stageId);
+        if (caseError) return next(caseError);
+        entry.stageId = stageId || null;
+    }
+    if (activityType !== undefined) entry.activityType = activityType;
+    if (description !== undefined) entry.description = description;
+    if (billable !== undefined) entry.billable = parseBoolean(billable, entry.billable);
+    if (hourlyRate !== undefined) {
+        if (!canViewAllCases(req.userRole)) {
+            return next(new ErrorResponse('You do not have permission to change the hourly rate', 403));
+        }
+        entry.hourlyRate = hourlyRate === null || hourlyRate === '' ? null : Number(hourlyRate);
+    }
+    if (startedAt !== undefined) {
+        const parsed = parseDate(startedAt, false);
+        if (!parsed) return next(new ErrorResponse('Invalid startedAt', 400));
+        entry.startedAt = parsed;
+    }
+    if (endedAt !== undefined || durationMinutes !== undefined) {
+        if (!entry.endedAt) {
+            return next(new ErrorResponse('Stop the timer before changing its end time', 400));
+        }
+        if (endedAt !== undefined) {
+            const parsed = parseDate(endedAt, false);
+            if (!parsed) return next(new ErrorResponse('Invalid endedAt', 400));
+            entry.endedAt = parsed;
+        } else {
+            const minutes = Number(durationMinutes);
+            if (!Number.isFinite(minutes) || minutes <= 0) {
+                return next(new ErrorResponse('durationMinutes must be a positive number', 400));
+            }
+            entry.endedAt = new Date(entry.startedAt.getTime() + Math.round(minutes) * 60000);
+        }
+    }
+
+    entry.updatedBy = req.user._id;
+    await entry.save();
+
+    res.status(200).json({
+        success: true,
+        message: 'Time entry updated',
+        data: entry
+    });
+});
+
+/**
+ * @desc    Delete a time entry (soft delete; also discards a running timer)
+ * @route   DELETE /api/time-entries/:id
+ * @access  Private (Requires 'read' permission on 'cases' module)
+ */
+exports.deleteTimeEntry = asyncHandler(async (req, res, next) => {
+    const { entry, error } = await loadEditableEntry(req);
+    if (error) return next(error);
+
+    entry.deletedAt = new Date();
+    entry.deletedBy = req.user._id;
+    entry.updatedBy = req.user._id;
+    await entry.save();
+
+    res.status(200).json({
+        success: true,
+        message: 'Time entry deleted'
+    });
+});
+
+/**
+ * @desc    Hours and billable amounts per case, client or user for a date range
+ * @route   GET /api/time-entries/rollups/:by (by = case | client | user)
+ * @access  Private (Requires 'read' permission on 'cases' module; own time only without assignee permission)
+ * @query   from, to, case, client, user
+ */
+exports.getTimeRollups = asyncHandler(async (req, res, next) => {
+    const { options, error } = parseRollupQuery(req);
+    if (error) return next(error);
+
+    const { rows, totals } = await getTimeRollup(options);
+
+    sendEncryptedJson(res, 200, {
+        success: true,
+        by: options.by,
+        from: options.from || null,
+        to: options.to || null,
+        totals,
+        count: rows.length,
+        data: rows
+    });
+});
+
+/**
+ * @desc    Export a rollup to Excel
+ * @route   GET /api/time-entries/rollups/:by/excel
+ * @access  Private (Requires 'read' permission on 'cases' module; own time only without assignee permission)
+ * @query   from, to, case, client, user
+ */
+exports.exportTimeRollupToExcel = asyncHandler(async (req, res, next) => {
+    const { options, error } = parseRollupQuery(req);
+    if (error) return next(error);
+
+    const { rows } = await getTimeRollup(options);
+
+    const labelHeaders = {
+        case: ['case', 'caseNumber', 'partyName'],
+        client: ['client', 'name', 'companyName'],
+        user: ['user', 'name', 'email', 'userType', 'hourlyRate']
+    }[options.by];
+    const headers = [...labelHeaders, 'entryCount', 'totalHours', 'billableHours', 'nonBillableHours', 'billableAmount'];
+
+    const buffer = writeExcelToBuffer({
+        sheetName: `Time by ${options.by}`,
+        headers,
+        rows
+    });
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="time-by-${options.by}.xlsx"`);
+    res.status(200).send(buffer);
+});
@@ -1,12 +1,15 @@
 // controllers/uploadController.js
-// Generic image upload to Cloudinary (max 1 MB). Use anywhere — profile, Aadhar, documents, etc.
+// Image upload (max 1 MB) for files attached to a record afterwards, e.g. a client's Aadhar card.
+// Files are stored privately; the response carries a token to attach the upload and a short-lived preview URL.
 
-const cloudinary = require('../config/cloudinary');
 const asyncHandler = require('../middleware/asyncHandler');
 const ErrorResponse = require('../utils/errorResponse');
+const { storeUploadedFile } = require('../utils/fileVersions');
+const { createUploadToken } = require('../utils/signedFileUrls');
 
 /**
- * @desc    Upload image to Cloudinary (max 1 MB)
+ * @desc    Upload an image (max 1 MB). Send the returned uploadToken (or url) as aadharImageUploadToken
+ *          (or aadharImageUrl) when creating/updating the client.
  * @route   POST /api/upload
  * @access  Private
  * @body    multipart/form-data with field "file", "image", or "aadharImage"
@@ -16,23 +19,18 @@ exports.uploadAadharImage = asyncHandler(async (req, res, next) => {
         return next(new ErrorResponse('No image uploaded. Send multipart/form-data with field "file", "image", or "aadharImage" (max 1 MB)', 400));
     }
 
-    const dataUri = `data:${req.file.mimetype};base64,${req.file.buffer.toString('base64')}`;
-
-    const result = await cloudinary.uploader.upload(dataUri, {
-        folder: 'casesnap/uploads',
-        resource_type: 'image',
-        allowed_formats: ['jpg', 'jpeg', 'png', 'webp']
-    });
-
-    const url = result.secure_url || result.url;
-    const size = result.bytes ?? req.file.size ?? null;
+    const organizationId = req.user.organization?._id || req.user.organization;
+    const stored = await storeUploadedFile(req.file, `uploads/${organizationId}`);
+    const { uploadToken, url, expiresAt } = createUploadToken(req, stored);
 
     res.status(200).json({
         success: true,
         data: {
             url,
-            size,
-            filename: result.public_id,
+            uploadToken,
+            expiresAt,
+            size: stored.size ?? req.file.size ?? null,
+            filename: stored.storageKey,
             originalName: req.file.originalname
         }
     });
@@ -746,7 +746,7 @@ exports.getUser = asyncHandler(async (req, res, next) => {
 exports.updateUser = asyncHandler(async (req, res, next) => {
     const { id } = req.params;
     const organizationId = req.user.organization;
-    const { firstName, lastName, email, phone, roleId, userType, salary, status } = req.body;
+    const { firstName, lastName, email, phone, roleId, userType, salary, hourlyRate, status } = req.body;
 
     const user = await User.findOne({
         _id: id,
@@ -774,6 +774,12 @@ exports.updateUser = asyncHandler(async (req, res, next) => {
     if (phone !== undefined) user.phone = phone;
     if (userType !== undefined) user.userType = userType;
     if (salary !== undefined) user.salary = salary;
+    if (hourlyRate !== undefined) {
+        if (hourlyRate !== null && hourlyRate !== '' && (isNaN(hourlyRate) || Number(hourlyRate) < 0)) {
+            return next(new ErrorResponse('Hourly rate must be a non-negative number', 400));
+        }
+        user.hourlyRate = hourlyRate === null || hourlyRate === '' ? null : Number(hourlyRate);
+    }
     if (roleId !== undefined) {
         // Validate role exists and belongs to organization
         const role = await Role.findOne({
@@ -0,0 +1,36 @@
+// middleware/aadharUpload.js
+// Aadhar card image upload (single JPG/PNG/WebP, max 1 MB) shared by the upload and client routes
+
+const multer = require('multer');
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 1 * 1024 * 1024 }, // 1 MB
+    fileFilter: (req, file, cb) => {
+        const allowed = ['image/jpeg', 'image/jpg', 'image/pjpeg', 'image/png', 'image/webp'];
+        if (allowed.includes(file.mimetype)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Only JPG, JPEG, PNG and WebP images are allowed for Aadhar card (max 1 MB)'), false);
+        }
+    }
+});
+
+const normalizeAadharFile = (req, res, next) => {
+    if (req.file) return next();
+    if (req.files) {
+        const f = req.files.aadharImage?.[0] || req.files.image?.[0] || req.files.file?.[0];
+        if (f) req.file = f;
+    }
+    next();
+};
+
+// Accept common field names so frontend can use "file", "image", or "aadharImage"; the file ends up on req.file
+exports.aadharUpload = [
+    upload.fields([
+        { name: 'aadharImage', maxCount: 1 },
+        { name: 'image', maxCount: 1 },
+        { name: 'file', maxCount: 1 }
+    ]),
+    normalizeAadharFile
+];
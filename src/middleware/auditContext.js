@@ -0,0 +1,9 @@
+// middleware/auditContext.js
+// Keeps the current request reachable from Mongoose hooks so audit entries know who made the change
+
+const { runWithAuditContext } = require('../utils/auditTrail');
+
+// Mount before the routes; protect sets req.user later and the audit hooks read it lazily
+exports.auditContext = (req, res, next) => {
+    runWithAuditContext({ req }, next);
+};
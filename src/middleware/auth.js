@@ -101,6 +101,14 @@ exports.protect = async (req, res, next) => {
     }
 };
 
+// Accept the JWT as ?token= for clients that cannot send headers (EventSource). Use before protect.
+exports.tokenFromQuery = (req, res, next) => {
+    if (!req.headers.authorization && typeof req.query.token === 'string' && req.query.token) {
+        req.headers.authorization = `Bearer ${req.query.token}`;
+    }
+    next();
+};
+
 // Grant access to specific roles
 exports.authorize = (...roles) => {
     return (req, res, next) => {
@@ -0,0 +1,88 @@
+// models/AuditLog.js
+// Field-level change history for clients, cases, roles and users (written by utils/auditTrail, never edited)
+
+const mongoose = require('mongoose');
+const { generateAuditLogId } = require('../utils/idGenerator');
+
+const AuditChangeSchema = new mongoose.Schema({
+    // Dotted path; array items with an _id use it as the segment, e.g. stages.<stageId>.nextDate
+    path: {
+        type: String,
+        required: true
+    },
+    before: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    after: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    }
+}, { _id: false });
+
+const AuditLogSchema = new mongoose.Schema({
+    _id: {
+        type: String,
+        default: generateAuditLogId
+    },
+    organization: {
+        type: String,
+        ref: 'Organization',
+        default: null,
+        index: true
+    },
+    entityType: {
+        type: String,
+        enum: ['client', 'case', 'role', 'user'],
+        required: true
+    },
+    entityId: {
+        type: String,
+        required: true
+    },
+    // Human-readable name at the time of the change (case number, client name, role name, user email)
+    entityLabel: {
+        type: String,
+        trim: true,
+        default: null
+    },
+    action: {
+        type: String,
+        enum: ['create', 'update', 'delete', 'restore'],
+        required: true,
+        index: true
+    },
+    changes: {
+        type: [AuditChangeSchema],
+        default: []
+    },
+    // null when the change was made by a background job
+    actor: {
+        type: String,
+        ref: 'User',
+        default: null
+    },
+    actorType: {
+        type: String,
+        enum: ['admin', 'employee', 'system'],
+        default: 'system'
+    },
+    route: {
+        type: String,
+        trim: true,
+        default: null
+    },
+    ipAddress: {
+        type: String,
+        trim: true,
+        default: null
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+AuditLogSchema.index({ organization: 1, entityType: 1, entityId: 1, createdAt: -1 });
+AuditLogSchema.index({ organization: 1, actor: 1, createdAt: -1 });
+AuditLogSchema.index({ organization: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
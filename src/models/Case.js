@@ -3,9 +3,90 @@
 
 const mongoose = require('mongoose');
 const { generateCaseId, generateCaseNumber } = require('../utils/idGenerator');
+const { auditPlugin } = require('../utils/auditTrail');
+const TeamMemberSchema = require('./schemas/TeamMemberSchema');
+const ConflictOverrideSchema = require('./schemas/ConflictOverrideSchema');
 
 // Static enums - can be expanded later
 const COURT_PREMISES_ENUM = ['District Court', 'High Court', 'Supreme Court', 'Tribunal', 'Other'];
+const CASE_OUTCOMES = ['allowed', 'dismissed', 'settled', 'withdrawn', 'transferred'];
+const CASE_RELATION_TYPES = ['appeal_of', 'revision_of', 'connected_with', 'transferred_from'];
+const CASE_PARTY_ROLES = ['petitioner', 'respondent', 'opposing_counsel', 'judge'];
+const HEARING_OUTCOMES = ['heard', 'adjourned', 'part_heard', 'order_reserved'];
+const ADJOURNMENT_REASONS = [
+    'counsel_unavailable',
+    'opposing_counsel_unavailable',
+    'court_not_sitting',
+    'judge_on_leave',
+    'party_absent',
+    'witness_absent',
+    'documents_pending',
+    'time_sought',
+    'settlement_talks',
+    'other'
+];
+
+const CaseStageReminderSchema = new mongoose.Schema({
+    // before = offsetDays before nextDate; after = follow-up once nextDate has passed
+    kind: {
+        type: String,
+        enum: ['before', 'after'],
+        required: true
+    },
+    offsetDays: {
+        type: Number,
+        default: null
+    },
+    sentAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+/** What happened on a stage's hearing date; the matter then continues in `nextStage` */
+const HearingOutcomeSchema = new mongoose.Schema({
+    outcome: {
+        type: String,
+        enum: {
+            values: HEARING_OUTCOMES,
+            message: `Hearing outcome must be one of: ${HEARING_OUTCOMES.join(', ')}`
+        },
+        required: [true, 'Hearing outcome is required']
+    },
+    // The stage's nextDate when the outcome was recorded
+    hearingDate: {
+        type: Date,
+        required: true
+    },
+    adjournmentReason: {
+        type: String,
+        enum: {
+            values: [...ADJOURNMENT_REASONS, null],
+            message: `Adjournment reason must be one of: ${ADJOURNMENT_REASONS.join(', ')}`
+        },
+        default: null
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [2000, 'Outcome notes cannot exceed 2000 characters'],
+        default: ''
+    },
+    // Stage created from this outcome (same case)
+    nextStage: {
+        type: String,
+        default: null
+    },
+    recordedBy: {
+        type: String,
+        ref: 'User',
+        required: true
+    },
+    recordedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
 
 const CaseStageSchema = new mongoose.Schema({
     stageName: {
@@ -14,6 +95,12 @@ const CaseStageSchema = new mongoose.Schema({
         trim: true,
         maxlength: [150, 'Stage name cannot exceed 150 characters']
     },
+    /** Template stage this row maps to (see StageTemplate); null for free-text stages outside the template */
+    canonicalStage: {
+        type: String,
+        trim: true,
+        default: null
+    },
     todaySummary: {
         type: String,
         trim: true,
@@ -42,11 +129,27 @@ const CaseStageSchema = new mongoose.Schema({
         type: Date,
         default: null
     },
+    /** Incremented whenever nextDate changes; used as the ICS SEQUENCE so calendar clients pick up reschedules */
+    rescheduleCount: {
+        type: Number,
+        default: 0
+    },
+    /** Recorded once the hearing on nextDate is over; stops the follow-up reminder */
+    hearingOutcome: {
+        type: HearingOutcomeSchema,
+        default: null
+    },
+    /** Which reminders have fired for the current nextDate (cleared when nextDate changes) */
+    remindersSent: {
+        type: [CaseStageReminderSchema],
+        default: []
+    },
+    // Legacy fixed 5/2/1-day flags; migrated into remindersSent by the reminder job, no longer written
     reminderMeta: {
-        before5DaysSentAt: { type: Date, default: null },
-        before2DaysSentAt: { type: Date, default: null },
-        before1DaySentAt: { type: Date, default: null },
-        afterDateSentAt: { type: Date, default: null }
+        before5DaysSentAt: { type: Date, default: undefined },
+        before2DaysSentAt: { type: Date, default: undefined },
+        before1DaySentAt: { type: Date, default: undefined },
+        afterDateSentAt: { type: Date, default: undefined }
     },
     createdBy: {
         type: String,
@@ -60,6 +163,224 @@ const CaseStageSchema = new mongoose.Schema({
     }
 }, { timestamps: true });
 
+/** A person or body on the case: parties, opposing counsel and the presiding judge/bench */
+const CasePartySchema = new mongoose.Schema({
+    role: {
+        type: String,
+        enum: {
+            values: CASE_PARTY_ROLES,
+            message: `Party role must be one of: ${CASE_PARTY_ROLES.join(', ')}`
+        },
+        required: [true, 'Party role is required']
+    },
+    name: {
+        type: String,
+        required: [true, 'Party name is required'],
+        trim: true,
+        maxlength: [200, 'Party name cannot exceed 200 characters']
+    },
+    // Opposing counsel: Bar Council enrolment number (e.g. D/1234/2010)
+    barEnrolmentNumber: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        maxlength: [50, 'Bar enrolment number cannot exceed 50 characters'],
+        default: null
+    },
+    // Opposing counsel: which side they appear for
+    representing: {
+        type: String,
+        enum: ['petitioner', 'respondent', null],
+        default: null
+    },
+    // Judge: e.g. "Justice", "Bench No. 3", "Principal District Judge"
+    designation: {
+        type: String,
+        trim: true,
+        maxlength: [150, 'Designation cannot exceed 150 characters'],
+        default: ''
+    },
+    phone: {
+        type: String,
+        trim: true,
+        maxlength: [20, 'Phone cannot exceed 20 characters'],
+        default: ''
+    },
+    email: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        maxlength: [150, 'Email cannot exceed 150 characters'],
+        default: ''
+    },
+    address: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Address cannot exceed 500 characters'],
+        default: ''
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Party notes cannot exceed 1000 characters'],
+        default: ''
+    }
+}, { timestamps: true });
+
+/** Link from this case to another one, e.g. this High Court appeal is appeal_of the District Court suit */
+const CaseRelationSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: {
+            values: CASE_RELATION_TYPES,
+            message: `Relation type must be one of: ${CASE_RELATION_TYPES.join(', ')}`
+        },
+        required: [true, 'Relation type is required']
+    },
+    case: {
+        type: String,
+        ref: 'Case',
+        required: [true, 'Related case is required']
+    },
+    note: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Relation note cannot exceed 500 characters'],
+        default: ''
+    },
+    createdBy: {
+        type: String,
+        ref: 'User',
+        required: true
+    }
+}, { timestamps: true });
+
+/** How a disposed case ended; set by the close action, cleared on reopen */
+const CaseClosureSchema = new mongoose.Schema({
+    outcome: {
+        type: String,
+        enum: {
+            values: CASE_OUTCOMES,
+            message: `Outcome must be one of: ${CASE_OUTCOMES.join(', ')}`
+        },
+        required: [true, 'Outcome is required']
+    },
+    judgmentDate: {
+        type: Date,
+        required: [true, 'Judgment date is required']
+    },
+    // Optional CaseDocument (usually category "order") holding the judgment/final order
+    orderDocument: {
+        type: String,
+        ref: 'CaseDocument',
+        default: null
+    },
+    remarks: {
+        type: String,
+        trim: true,
+        maxlength: [2000, 'Closure remarks cannot exceed 2000 characters'],
+        default: ''
+    },
+    closedAt: {
+        type: Date,
+        default: Date.now
+    },
+    closedBy: {
+        type: String,
+        ref: 'User',
+        required: true
+    }
+}, { _id: false });
+
+const LIMITATION_STATUSES = ['open', 'filed', 'not_pursued'];
+
+/**
+ * Deadline for the next proceeding against a judgment/order of this case (appeal, revision, SLP...).
+ * periodDays and excludeCertifiedCopyTime are copied from the limitation rule when set, so later rule edits
+ * do not move a computed deadline; deadline and excludedDays are derived (see utils/limitationUtils).
+ */
+const CaseLimitationSchema = new mongoose.Schema({
+    proceedingType: {
+        type: String,
+        required: [true, 'Proceeding type is required'],
+        trim: true,
+        maxlength: [150, 'Proceeding type cannot exceed 150 characters']
+    },
+    periodDays: {
+        type: Number,
+        required: true,
+        min: [1, 'Limitation period must be at least 1 day']
+    },
+    excludeCertifiedCopyTime: {
+        type: Boolean,
+        default: true
+    },
+    // Date of the judgment/order the period runs from
+    fromDate: {
+        type: Date,
+        required: [true, 'Judgment or order date is required']
+    },
+    certifiedCopyAppliedOn: {
+        type: Date,
+        default: null
+    },
+    certifiedCopyReadyOn: {
+        type: Date,
+        default: null
+    },
+    excludedDays: {
+        type: Number,
+        default: 0
+    },
+    deadline: {
+        type: Date,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: {
+            values: LIMITATION_STATUSES,
+            message: `Limitation status must be one of: ${LIMITATION_STATUSES.join(', ')}`
+        },
+        default: 'open'
+    },
+    filedOn: {
+        type: Date,
+        default: null
+    },
+    // The appeal/revision case once it is filed
+    filedCase: {
+        type: String,
+        ref: 'Case',
+        default: null
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Limitation notes cannot exceed 1000 characters'],
+        default: ''
+    },
+    alertDays: {
+        type: [Number],
+        default: [30, 15, 7, 3, 1, 0]
+    },
+    /** Escalating alerts already sent for the current deadline (offsetDays < 0 = deadline passed) */
+    alertsSent: {
+        type: [{
+            deadline: Date,
+            offsetDays: Number,
+            sentAt: Date,
+            _id: false
+        }],
+        default: []
+    },
+    setBy: {
+        type: String,
+        ref: 'User',
+        default: null
+    }
+}, { _id: false, timestamps: true });
+
 const CaseSchema = new mongoose.Schema({
     _id: {
         type: String,
@@ -85,6 +406,11 @@ const CaseSchema = new mongoose.Schema({
         maxlength: [200, 'Party name cannot exceed 200 characters']
     },
     stages: [CaseStageSchema],
+    /** Structured parties; partyName stays the short title shown in lists */
+    parties: {
+        type: [CasePartySchema],
+        default: []
+    },
     courtName: {
         type: String,
         trim: true
@@ -119,19 +445,43 @@ const CaseSchema = new mongoose.Schema({
         ref: 'User',
         required: false
     },
+    /** Everyone working on the matter besides (or including) assignedTo; all members can see the record */
+    team: {
+        type: [TeamMemberSchema],
+        default: []
+    },
     // Status
     status: {
         type: String,
-        enum: ['active', 'inactive', 'archived'],
+        // disposed = decided/closed through the closure flow (see closure)
+        enum: ['active', 'inactive', 'archived', 'disposed'],
         default: 'active',
         index: true
     },
+    closure: {
+        type: CaseClosureSchema,
+        default: null
+    },
+    limitation: {
+        type: CaseLimitationSchema,
+        default: null
+    },
+    /** Outgoing links only; the other case sees the inverse through getCaseRelationGraph */
+    relatedCases: {
+        type: [CaseRelationSchema],
+        default: []
+    },
     // Notes
     notes: {
         type: String,
         trim: true,
         maxlength: [2000, 'Notes cannot exceed 2000 characters']
     },
+    // Set when created despite a high-confidence conflict-of-interest hit (conflict check mode require_override)
+    conflictOverride: {
+        type: ConflictOverrideSchema,
+        default: null
+    },
     // Soft Delete
     deletedAt: {
         type: Date,
@@ -161,7 +511,14 @@ const CaseSchema = new mongoose.Schema({
 CaseSchema.index({ organization: 1, status: 1 });
 CaseSchema.index({ organization: 1, caseNumber: 1 });
 CaseSchema.index({ organization: 1, status: 1, 'stages.nextDate': 1 });
+CaseSchema.index({ organization: 1, 'closure.outcome': 1 });
+CaseSchema.index({ 'relatedCases.case': 1 });
+CaseSchema.index({ organization: 1, 'limitation.status': 1, 'limitation.deadline': 1 });
+CaseSchema.index({ organization: 1, 'stages.hearingOutcome.hearingDate': 1 });
+CaseSchema.index({ organization: 1, 'parties.role': 1, 'parties.name': 1 });
+CaseSchema.index({ organization: 1, 'parties.barEnrolmentNumber': 1 });
 CaseSchema.index({ assignedTo: 1 });
+CaseSchema.index({ 'team.user': 1 });
 CaseSchema.index({ deletedAt: 1 });
 
 // Prevent querying deleted cases by default
@@ -172,4 +529,18 @@ CaseSchema.pre(/^find/, function(next) {
     next();
 });
 
+// Audit trail, including stage edits (reminder bookkeeping is not recorded)
+CaseSchema.plugin(auditPlugin, {
+    entityType: 'case',
+    label: (c) => c.caseNumber || c.partyName,
+    exclude: ['remindersSent', 'reminderMeta', 'alertsSent']
+});
+
+CaseSchema.statics.OUTCOMES = CASE_OUTCOMES;
+CaseSchema.statics.RELATION_TYPES = CASE_RELATION_TYPES;
+CaseSchema.statics.LIMITATION_STATUSES = LIMITATION_STATUSES;
+CaseSchema.statics.PARTY_ROLES = CASE_PARTY_ROLES;
+CaseSchema.statics.HEARING_OUTCOMES = HEARING_OUTCOMES;
+CaseSchema.statics.ADJOURNMENT_REASONS = ADJOURNMENT_REASONS;
+
 module.exports = mongoose.model('Case', CaseSchema);
@@ -0,0 +1,119 @@
+// models/CaseDocument.js
+// Files (petitions, orders, evidence, vakalatnama) attached to a case or to one of its stages, with version history
+
+const mongoose = require('mongoose');
+const { generateCaseDocumentId } = require('../utils/idGenerator');
+const FileVersionSchema = require('./schemas/FileVersionSchema');
+
+const CASE_DOCUMENT_CATEGORIES = ['petition', 'order', 'evidence', 'vakalatnama'];
+
+const CaseDocumentSchema = new mongoose.Schema({
+    _id: {
+        type: String,
+        default: generateCaseDocumentId
+    },
+    organization: {
+        type: String,
+        ref: 'Organization',
+        required: [true, 'Document must belong to an organization'],
+        index: true
+    },
+    case: {
+        type: String,
+        ref: 'Case',
+        required: [true, 'Document must belong to a case'],
+        index: true
+    },
+    // Optional: _id of a stage in Case.stages
+    stageId: {
+        type: String,
+        default: null
+    },
+    category: {
+        type: String,
+        enum: {
+            values: CASE_DOCUMENT_CATEGORIES,
+            message: `Category must be one of: ${CASE_DOCUMENT_CATEGORIES.join(', ')}`
+        },
+        required: [true, 'Document category is required'],
+        index: true
+    },
+    title: {
+        type: String,
+        trim: true,
+        required: [true, 'Document title is required'],
+        maxlength: [200, 'Title cannot exceed 200 characters']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Description cannot exceed 1000 characters'],
+        default: ''
+    },
+    // Date on the document itself (e.g. date of the order), not the upload date
+    documentDate: {
+        type: Date,
+        default: null
+    },
+    // Current version's file details (copied from versions for listing)
+    originalName: {
+        type: String,
+        trim: true,
+        required: true
+    },
+    mimeType: {
+        type: String,
+        required: true
+    },
+    size: {
+        type: Number,
+        default: 0
+    },
+    currentVersion: {
+        type: Number,
+        default: 1
+    },
+    // Every uploaded revision; re-uploading adds one and keeps the old files
+    versions: {
+        type: [FileVersionSchema],
+        default: []
+    },
+    // Soft Delete
+    deletedAt: {
+        type: Date,
+        default: null
+    },
+    deletedBy: {
+        type: String,
+        ref: 'User',
+        default: null
+    },
+    // Created/Updated by
+    createdBy: {
+        type: String,
+        ref: 'User',
+        required: true
+    },
+    updatedBy: {
+        type: String,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+CaseDocumentSchema.index({ organization: 1, case: 1, createdAt: -1 });
+CaseDocumentSchema.index({ case: 1, stageId: 1 });
+
+// Prevent querying deleted documents by default
+CaseDocumentSchema.pre(/^find/, function(next) {
+    if (this.getOptions().includeDeleted !== true) {
+        this.where({ deletedAt: null });
+    }
+    next();
+});
+
+CaseDocumentSchema.statics.CATEGORIES = CASE_DOCUMENT_CATEGORIES;
+
+module.exports = mongoose.model('CaseDocument', CaseDocumentSchema);
@@ -0,0 +1,126 @@
+// models/CaseExpense.js
+// Expenses and disbursements paid on a case (court fees, stamp paper, notary, travel), optionally recoverable from the client
+
+const mongoose = require('mongoose');
+const { generateCaseExpenseId } = require('../utils/idGenerator');
+const FileVersionSchema = require('./schemas/FileVersionSchema');
+
+const CASE_EXPENSE_CATEGORIES = ['court_fee', 'stamp_paper', 'notary', 'travel', 'photocopy', 'courier', 'other'];
+
+const CaseExpenseSchema = new mongoose.Schema({
+    _id: {
+        type: String,
+        default: generateCaseExpenseId
+    },
+    organization: {
+        type: String,
+        ref: 'Organization',
+        required: [true, 'Expense must belong to an organization'],
+        index: true
+    },
+    case: {
+        type: String,
+        ref: 'Case',
+        required: [true, 'Expense must belong to a case'],
+        index: true
+    },
+    // Client the expense is recovered from (one of the case's clients)
+    client: {
+        type: String,
+        ref: 'Client',
+        default: null,
+        index: true
+    },
+    category: {
+        type: String,
+        enum: {
+            values: CASE_EXPENSE_CATEGORIES,
+            message: `Category must be one of: ${CASE_EXPENSE_CATEGORIES.join(', ')}`
+        },
+        required: [true, 'Expense category is required']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Description cannot exceed 500 characters'],
+        default: ''
+    },
+    amount: {
+        type: Number,
+        required: [true, 'Expense amount is required'],
+        min: [0.01, 'Expense amount must be greater than zero']
+    },
+    expenseDate: {
+        type: Date,
+        required: true,
+        default: Date.now
+    },
+    // User who paid out of pocket / on behalf of the firm
+    paidBy: {
+        type: String,
+        ref: 'User',
+        required: [true, 'Paid by is required']
+    },
+    // Recoverable from the client (a disbursement) vs absorbed by the firm
+    recoverable: {
+        type: Boolean,
+        default: true
+    },
+    // Set when the client has reimbursed a recoverable expense
+    recoveredAt: {
+        type: Date,
+        default: null
+    },
+    recoveredBy: {
+        type: String,
+        ref: 'User',
+        default: null
+    },
+    // Receipt scans; re-uploading adds a version (0 = no receipt)
+    receiptCurrentVersion: {
+        type: Number,
+        default: 0
+    },
+    receiptVersions: {
+        type: [FileVersionSchema],
+        default: []
+    },
+    // Soft Delete
+    deletedAt: {
+        type: Date,
+        default: null
+    },
+    deletedBy: {
+        type: String,
+        ref: 'User',
+        default: null
+    },
+    // Created/Updated by
+    createdBy: {
+        type: String,
+        ref: 'User',
+        required: true
+    },
+    updatedBy: {
+        type: String,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+CaseExpenseSchema.index({ organization: 1, case: 1, expenseDate: -1 });
+CaseExpenseSchema.index({ organization: 1, client: 1, recoverable: 1, recoveredAt: 1 });
+
+// Prevent querying deleted expenses by default
+CaseExpenseSchema.pre(/^find/, function(next) {
+    if (this.getOptions().includeDeleted !== true) {
+        this.where({ deletedAt: null });
+    }
+    next();
+});
+
+CaseExpenseSchema.statics.CATEGORIES = CASE_EXPENSE_CATEGORIES;
+
+module.exports = mongoose.model('CaseExpense', CaseExpenseSchema);
@@ -3,6 +3,10 @@
 
 const mongoose = require('mongoose');
 const { generateClientId } = require('../utils/idGenerator');
+const { auditPlugin } = require('../utils/auditTrail');
+const FileVersionSchema = require('./schemas/FileVersionSchema');
+const TeamMemberSchema = require('./schemas/TeamMemberSchema');
+const ConflictOverrideSchema = require('./schemas/ConflictOverrideSchema');
 
 const ClientSchema = new mongoose.Schema({
     _id: {
@@ -92,12 +96,22 @@ const ClientSchema = new mongoose.Schema({
         type: String,
         match: [/^\d{12}$/, 'Aadhar card number must be 12 digits']
     },
-    // Aadhar card image (URL from upload API)
+    // Legacy Aadhar image URL (public). New uploads are stored privately in aadharImageVersions.
     aadharImageUrl: {
         type: String,
         required: false,
         trim: true
     },
+    // Every uploaded Aadhar image; downloaded through signed API URLs only (0 = none uploaded)
+    aadharImageCurrentVersion: {
+        type: Number,
+        default: 0
+    },
+    aadharImageVersions: {
+        type: [FileVersionSchema],
+        default: [],
+        select: false
+    },
     panCardNumber: {
         type: String,
         match: [/^[A-Z]{5}[0-9]{4}[A-Z]{1}$/, 'PAN card number must be in valid format']
@@ -121,6 +135,11 @@ const ClientSchema = new mongoose.Schema({
         ref: 'User',
         required: false
     },
+    /** Everyone working on the matter besides (or including) assignedTo; all members can see the record */
+    team: {
+        type: [TeamMemberSchema],
+        default: []
+    },
     // Status
     status: {
         type: String,
@@ -135,6 +154,11 @@ const ClientSchema = new mongoose.Schema({
         trim: true,
         maxlength: [1000, 'Notes cannot exceed 1000 characters']
     },
+    // Set when created despite a high-confidence conflict-of-interest hit (conflict check mode require_override)
+    conflictOverride: {
+        type: ConflictOverrideSchema,
+        default: null
+    },
     // Soft Delete
     deletedAt: {
         type: Date,
@@ -165,6 +189,7 @@ ClientSchema.index({ organization: 1, status: 1 });
 ClientSchema.index({ organization: 1, email: 1 });
 ClientSchema.index({ organization: 1, phone: 1 });
 ClientSchema.index({ assignedTo: 1 });
+ClientSchema.index({ 'team.user': 1 });
 ClientSchema.index({ deletedAt: 1 });
 
 // Virtual for full name
@@ -184,4 +209,12 @@ ClientSchema.pre(/^find/, function(next) {
     next();
 });
 
+// Audit trail (identity document numbers are recorded masked)
+ClientSchema.plugin(auditPlugin, {
+    entityType: 'client',
+    label: (c) => `${c.firstName} ${c.lastName}`,
+    mask: ['aadharCardNumber', 'panCardNumber'],
+    exclude: ['aadharImageVersions']
+});
+
 module.exports = mongoose.model('Client', ClientSchema);
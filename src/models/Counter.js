@@ -0,0 +1,48 @@
+// models/Counter.js
+// Per-organization sequences (e.g. invoice numbers per financial year), incremented atomically
+
+const mongoose = require('mongoose');
+const { generateCounterId } = require('../utils/idGenerator');
+
+const CounterSchema = new mongoose.Schema({
+    _id: {
+        type: String,
+        default: generateCounterId
+    },
+    organization: {
+        type: String,
+        ref: 'Organization',
+        required: true
+    },
+    // e.g. invoice:2026-27
+    key: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    seq: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+CounterSchema.index({ organization: 1, key: 1 }, { unique: true });
+
+/**
+ * Atomically increment and return the next value of a sequence.
+ * @param {string} organizationId
+ * @param {string} key
+ * @returns {Promise<number>}
+ */
+CounterSchema.statics.next = async function(organizationId, key) {
+    const counter = await this.findOneAndUpdate(
+        { organization: String(organizationId), key },
+        { $inc: { seq: 1 }, $setOnInsert: { _id: generateCounterId() } },
+        { new: true, upsert: true }
+    ).lean();
+    return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', CounterSchema);
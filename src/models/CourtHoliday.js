@@ -0,0 +1,97 @@
+// models/CourtHoliday.js
+// Court holidays, vacations and closures per organization; optionally limited to a court premises and/or court name
+
+const mongoose = require('mongoose');
+const { generateCourtHolidayId } = require('../utils/idGenerator');
+const Case = require('./Case');
+const { startOfDay } = require('../utils/dateUtils');
+
+const HOLIDAY_KINDS = ['holiday', 'vacation', 'closure'];
+const COURT_PREMISES_ENUM = Case.schema.path('courtPremises').enumValues;
+
+const CourtHolidaySchema = new mongoose.Schema({
+    _id: {
+        type: String,
+        default: generateCourtHolidayId
+    },
+    organization: {
+        type: String,
+        ref: 'Organization',
+        required: [true, 'Court holiday must belong to an organization'],
+        index: true
+    },
+    name: {
+        type: String,
+        required: [true, 'Holiday name is required'],
+        trim: true,
+        maxlength: [150, 'Holiday name cannot exceed 150 characters']
+    },
+    // vacation: regular benches do not sit (vacation benches take urgent matters only)
+    kind: {
+        type: String,
+        enum: {
+            values: HOLIDAY_KINDS,
+            message: `Holiday kind must be one of: ${HOLIDAY_KINDS.join(', ')}`
+        },
+        default: 'holiday'
+    },
+    startDate: {
+        type: Date,
+        required: [true, 'Start date is required']
+    },
+    // Inclusive; same as startDate for a single day
+    endDate: {
+        type: Date,
+        default: null
+    },
+    // null = every premises
+    courtPremises: {
+        type: String,
+        enum: {
+            values: [...COURT_PREMISES_ENUM, null],
+            message: `Court premises must be one of: ${COURT_PREMISES_ENUM.join(', ')}`
+        },
+        default: null
+    },
+    // null = every court (of the premises); matched case-insensitively against Case.courtName
+    courtName: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Court name cannot exceed 200 characters'],
+        default: null
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Notes cannot exceed 500 characters'],
+        default: ''
+    },
+    createdBy: {
+        type: String,
+        ref: 'User',
+        required: true
+    },
+    updatedBy: {
+        type: String,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+CourtHolidaySchema.index({ organization: 1, startDate: 1, endDate: 1 });
+
+CourtHolidaySchema.pre('validate', function(next) {
+    if (this.startDate) this.startDate = startOfDay(this.startDate);
+    this.endDate = this.endDate ? startOfDay(this.endDate) : this.startDate;
+    if (this.courtName === '') this.courtName = null;
+    if (this.startDate && this.endDate && this.endDate < this.startDate) {
+        this.invalidate('endDate', 'End date cannot be before start date');
+    }
+    next();
+});
+
+CourtHolidaySchema.statics.KINDS = HOLIDAY_KINDS;
+
+module.exports = mongoose.model('CourtHoliday', CourtHolidaySchema);
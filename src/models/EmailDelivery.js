@@ -0,0 +1,77 @@
+// models/EmailDelivery.js
+// Ledger of outgoing notification, reminder and digest emails. dedupeKey is claimed before sending so a restart never re-sends.
+
+const mongoose = require('mongoose');
+const { generateEmailDeliveryId } = require('../utils/idGenerator');
+
+const EmailDeliverySchema = new mongoose.Schema({
+    _id: {
+        type: String,
+        default: generateEmailDeliveryId
+    },
+    organization: {
+        type: String,
+        ref: 'Organization',
+        required: true,
+        index: true
+    },
+    user: {
+        type: String,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    kind: {
+        type: String,
+        enum: ['notification', 'case_stage_reminder', 'case_stage_digest', 'cause_list'],
+        required: true
+    },
+    // e.g. notification:<notificationId>, reminder:<caseId>:<stageId>:<nextDate>:before:5 digest:<userId>:<YYYY-MM-DD> or cause-list:<userId>:<YYYY-MM-DD>
+    dedupeKey: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    to: {
+        type: String,
+        trim: true,
+        lowercase: true
+    },
+    subject: {
+        type: String,
+        trim: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'sent', 'failed'],
+        default: 'pending',
+        index: true
+    },
+    error: {
+        type: String,
+        default: null
+    },
+    messageId: {
+        type: String,
+        default: null
+    },
+    relatedEntityType: {
+        type: String,
+        trim: true,
+        enum: ['client', 'case', 'task', null],
+        default: null
+    },
+    relatedEntityId: {
+        type: String,
+        trim: true,
+        default: null
+    },
+    sentAt: {
+        type: Date,
+        default: null
+    }
+}, { timestamps: true });
+
+EmailDeliverySchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('EmailDelivery', EmailDeliverySchema);
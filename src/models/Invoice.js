@@ -0,0 +1,237 @@
+// models/Invoice.js
+// Client invoices with line items, GST (CGST+SGST within the state, IGST across states) and partial payments
+
+const mongoose = require('mongoose');
+const { generateInvoiceId } = require('../utils/idGenerator');
+const { applyInvoiceTotals } = require('../utils/invoiceUtils');
+
+const LineItemSchema = new mongoose.Schema({
+    description: {
+        type: String,
+        required: [true, 'Line item description is required'],
+        trim: true,
+        maxlength: [300, 'Line item description cannot exceed 300 characters']
+    },
+    sacCode: {
+        type: String,
+        trim: true,
+        default: null
+    },
+    quantity: {
+        type: Number,
+        default: 1,
+        min: [0, 'Quantity cannot be negative']
+    },
+    rate: {
+        type: Number,
+        required: [true, 'Line item rate is required'],
+        min: [0, 'Rate cannot be negative']
+    },
+    // quantity × rate, rounded to paise (computed)
+    amount: {
+        type: Number,
+        default: 0
+    }
+});
+
+const PaymentSchema = new mongoose.Schema({
+    amount: {
+        type: Number,
+        required: [true, 'Payment amount is required'],
+        min: [0.01, 'Payment amount must be greater than zero']
+    },
+    paidOn: {
+        type: Date,
+        required: true,
+        default: Date.now
+    },
+    method: {
+        type: String,
+        enum: ['cash', 'upi', 'bank_transfer', 'cheque', 'card', 'other'],
+        default: 'other'
+    },
+    reference: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Payment reference cannot exceed 100 characters'],
+        default: ''
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Payment notes cannot exceed 500 characters'],
+        default: ''
+    },
+    recordedBy: {
+        type: String,
+        ref: 'User',
+        required: true
+    },
+    recordedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Snapshot of a party's billing details when the invoice is issued
+const PartySnapshotSchema = new mongoose.Schema({
+    name: { type: String, trim: true, default: '' },
+    address: { type: String, trim: true, default: '' },
+    state: { type: String, trim: true, default: '' },
+    gstin: { type: String, trim: true, uppercase: true, default: null },
+    email: { type: String, trim: true, default: null },
+    phone: { type: String, trim: true, default: null }
+}, { _id: false });
+
+const InvoiceSchema = new mongoose.Schema({
+    _id: {
+        type: String,
+        default: generateInvoiceId
+    },
+    organization: {
+        type: String,
+        ref: 'Organization',
+        required: [true, 'Invoice must belong to an organization'],
+        index: true
+    },
+    client: {
+        type: String,
+        ref: 'Client',
+        required: [true, 'Invoice must belong to a client'],
+        index: true
+    },
+    case: {
+        type: String,
+        ref: 'Case',
+        default: null,
+        index: true
+    },
+    // Assigned when the invoice is issued (drafts have none), e.g. INV/2026-27/0007
+    invoiceNumber: {
+        type: String,
+        trim: true,
+        default: null
+    },
+    invoiceDate: {
+        type: Date,
+        required: true,
+        default: Date.now
+    },
+    dueDate: {
+        type: Date,
+        default: null
+    },
+    supplier: {
+        type: PartySnapshotSchema,
+        default: () => ({})
+    },
+    billTo: {
+        type: PartySnapshotSchema,
+        default: () => ({})
+    },
+    lineItems: {
+        type: [LineItemSchema],
+        validate: {
+            validator: (items) => Array.isArray(items) && items.length > 0,
+            message: 'An invoice needs at least one line item'
+        }
+    },
+    gstRate: {
+        type: Number,
+        min: [0, 'GST rate cannot be negative'],
+        max: [28, 'GST rate cannot exceed 28%'],
+        default: 18
+    },
+    // intra_state: CGST + SGST (client in the firm's state); inter_state: IGST
+    taxType: {
+        type: String,
+        enum: ['intra_state', 'inter_state'],
+        default: 'intra_state'
+    },
+    // Computed in pre('validate') from line items, gstRate, taxType and payments
+    subtotal: { type: Number, default: 0 },
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 },
+    taxTotal: { type: Number, default: 0 },
+    total: { type: Number, default: 0 },
+    amountPaid: { type: Number, default: 0 },
+    balanceDue: { type: Number, default: 0 },
+    payments: {
+        type: [PaymentSchema],
+        default: []
+    },
+    // issued / partially_paid / paid follow the payments automatically
+    status: {
+        type: String,
+        enum: ['draft', 'issued', 'partially_paid', 'paid', 'cancelled'],
+        default: 'draft',
+        index: true
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [2000, 'Notes cannot exceed 2000 characters'],
+        default: ''
+    },
+    cancelledAt: {
+        type: Date,
+        default: null
+    },
+    cancelledBy: {
+        type: String,
+        ref: 'User',
+        default: null
+    },
+    cancellationReason: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Cancellation reason cannot exceed 500 characters'],
+        default: ''
+    },
+    // Soft Delete (drafts only)
+    deletedAt: {
+        type: Date,
+        default: null
+    },
+    deletedBy: {
+        type: String,
+        ref: 'User',
+        default: null
+    },
+    // Created/Updated by
+    createdBy: {
+        type: String,
+        ref: 'User',
+        required: true
+    },
+    updatedBy: {
+        type: String,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+InvoiceSchema.index(
+    { organization: 1, invoiceNumber: 1 },
+    { unique: true, partialFilterExpression: { invoiceNumber: { $type: 'string' } } }
+);
+InvoiceSchema.index({ organization: 1, client: 1, status: 1 });
+InvoiceSchema.index({ organization: 1, invoiceDate: -1 });
+
+InvoiceSchema.pre('validate', function(next) {
+    applyInvoiceTotals(this);
+    next();
+});
+
+// Prevent querying deleted invoices by default
+InvoiceSchema.pre(/^find/, function(next) {
+    if (this.getOptions().includeDeleted !== true) {
+        this.where({ deletedAt: null });
+    }
+    next();
+});
+
+module.exports = mongoose.model('Invoice', InvoiceSchema);
@@ -0,0 +1,94 @@
+// models/LimitationRule.js
+// Statutory limitation period per proceeding type for an organization (e.g. Appeal to High Court: 90 days)
+
+const mongoose = require('mongoose');
+const { generateLimitationRuleId } = require('../utils/idGenerator');
+
+const MAX_PERIOD_DAYS = 3650;
+const MAX_ALERT_DAYS = 10;
+
+/** Built-in periods used until the organization defines its own rule for the proceeding type */
+const DEFAULT_LIMITATION_RULES = Object.freeze([
+    { proceedingType: 'Appeal to District Court', periodDays: 30, description: 'Limitation Act, Art. 116(b)' },
+    { proceedingType: 'Appeal to High Court', periodDays: 90, description: 'Limitation Act, Art. 116(a)' },
+    { proceedingType: 'Letters Patent Appeal', periodDays: 30, description: 'Limitation Act, Art. 117' },
+    { proceedingType: 'Special Leave Petition', periodDays: 90, description: 'Supreme Court Rules, Order XXII' },
+    { proceedingType: 'Review Petition', periodDays: 30, description: 'Limitation Act, Art. 124' },
+    { proceedingType: 'Civil Revision', periodDays: 90, description: 'Limitation Act, Art. 131' },
+    { proceedingType: 'Criminal Appeal to Sessions Court', periodDays: 30, description: 'Limitation Act, Art. 115(b)(ii)' },
+    { proceedingType: 'Criminal Appeal to High Court', periodDays: 60, description: 'Limitation Act, Art. 115(b)(i)' }
+]);
+
+const LimitationRuleSchema = new mongoose.Schema({
+    _id: {
+        type: String,
+        default: generateLimitationRuleId
+    },
+    organization: {
+        type: String,
+        ref: 'Organization',
+        required: [true, 'Limitation rule must belong to an organization'],
+        index: true
+    },
+    proceedingType: {
+        type: String,
+        required: [true, 'Proceeding type is required'],
+        trim: true,
+        maxlength: [150, 'Proceeding type cannot exceed 150 characters']
+    },
+    proceedingKey: {
+        type: String,
+        required: true
+    },
+    periodDays: {
+        type: Number,
+        required: [true, 'Limitation period is required'],
+        min: [1, 'Limitation period must be at least 1 day'],
+        max: [MAX_PERIOD_DAYS, `Limitation period cannot exceed ${MAX_PERIOD_DAYS} days`]
+    },
+    // Section 12(2): time requisite for obtaining a certified copy of the judgment/order is excluded
+    excludeCertifiedCopyTime: {
+        type: Boolean,
+        default: true
+    },
+    /** Days before the deadline on which to alert; alerts widen to team leads and case assignees as it nears */
+    alertDays: {
+        type: [Number],
+        default: [30, 15, 7, 3, 1, 0],
+        validate: {
+            validator: (days) => Array.isArray(days) && days.length <= MAX_ALERT_DAYS
+                && days.every((d) => Number.isInteger(d) && d >= 0 && d <= 365),
+            message: `Alert days must be up to ${MAX_ALERT_DAYS} whole numbers of days between 0 and 365`
+        }
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Description cannot exceed 500 characters'],
+        default: ''
+    },
+    createdBy: {
+        type: String,
+        ref: 'User',
+        required: true
+    },
+    updatedBy: {
+        type: String,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+LimitationRuleSchema.index({ organization: 1, proceedingKey: 1 }, { unique: true });
+
+LimitationRuleSchema.pre('validate', function(next) {
+    this.proceedingKey = String(this.proceedingType || '').trim().toLowerCase();
+    next();
+});
+
+LimitationRuleSchema.statics.DEFAULT_RULES = DEFAULT_LIMITATION_RULES;
+LimitationRuleSchema.statics.MAX_PERIOD_DAYS = MAX_PERIOD_DAYS;
+
+module.exports = mongoose.model('LimitationRule', LimitationRuleSchema);
@@ -27,8 +27,18 @@ const NotificationSchema = new mongoose.Schema({
         trim: true,
         enum: [
             'client_created',
+            'client_bulk_imported',
             'case_created',
+            'case_bulk_imported',
             'case_stage_needs_confirmation',
+            'case_stage_reminder',
+            'task_assigned',
+            'task_overdue',
+            'limitation_deadline',
+            'team_member_added',
+            'team_member_removed',
+            'team_role_changed',
+            // Legacy fixed-offset reminder types (kept for existing notifications)
             'case_stage_reminder_5_days',
             'case_stage_reminder_2_days',
             'case_stage_reminder_1_day',
@@ -50,7 +60,7 @@ const NotificationSchema = new mongoose.Schema({
     relatedEntityType: {
         type: String,
         trim: true,
-        enum: ['client', 'case'],
+        enum: ['client', 'case', 'task'],
         default: 'client'
     },
     relatedEntityId: {
@@ -0,0 +1,72 @@
+// models/NotificationPreference.js
+// Per-user choice of which notification types are delivered, and on which channel (in-app, email)
+
+const mongoose = require('mongoose');
+const Notification = require('./Notification');
+const { generateNotificationPreferenceId } = require('../utils/idGenerator');
+
+const NOTIFICATION_TYPE_ENUM = Notification.schema.path('type').enumValues;
+
+const ChannelPreferenceSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        required: true,
+        enum: NOTIFICATION_TYPE_ENUM
+    },
+    inApp: {
+        type: Boolean,
+        default: true
+    },
+    email: {
+        type: Boolean,
+        default: false
+    }
+}, { _id: false });
+
+const NotificationPreferenceSchema = new mongoose.Schema({
+    _id: {
+        type: String,
+        default: generateNotificationPreferenceId
+    },
+    user: {
+        type: String,
+        ref: 'User',
+        required: true,
+        unique: true
+    },
+    organization: {
+        type: String,
+        ref: 'Organization',
+        required: true,
+        index: true
+    },
+    // Only types listed here differ from the defaults in utils/notificationDispatcher
+    channels: {
+        type: [ChannelPreferenceSchema],
+        default: [],
+        validate: {
+            validator: function(channels) {
+                const types = channels.map((c) => c.type);
+                return types.length === new Set(types).size;
+            },
+            message: 'Each notification type can only appear once in preferences'
+        }
+    },
+    // Hearing reminder emails: one per reminder, or a single daily digest of the next few days
+    reminderEmailMode: {
+        type: String,
+        enum: ['immediate', 'digest'],
+        default: 'immediate',
+        index: true
+    },
+    // Evening email with the next day's cause list (the user's assigned matters, PDF attached)
+    causeListEmail: {
+        type: Boolean,
+        default: false,
+        index: true
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('NotificationPreference', NotificationPreferenceSchema);
@@ -100,6 +100,83 @@ const OrganizationSchema = new mongoose.Schema({
         type: Date,
         default: null
     },
+    // GST registration of the firm, printed on invoices
+    gstin: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        match: [/^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/, 'Please enter a valid 15-character GSTIN'],
+        default: null
+    },
+    // Defaults for new invoices (see utils/invoiceUtils)
+    invoiceSettings: {
+        prefix: {
+            type: String,
+            trim: true,
+            uppercase: true,
+            maxlength: [10, 'Invoice prefix cannot exceed 10 characters'],
+            default: 'INV'
+        },
+        defaultGstRate: {
+            type: Number,
+            min: [0, 'GST rate cannot be negative'],
+            max: [28, 'GST rate cannot exceed 28%'],
+            default: 18
+        },
+        // Payment terms: due date = invoice date + this many days
+        defaultDueDays: {
+            type: Number,
+            min: [0, 'Due days cannot be negative'],
+            max: [365, 'Due days cannot exceed 365'],
+            default: 15
+        },
+        // SAC for legal services
+        sacCode: {
+            type: String,
+            trim: true,
+            default: '998212'
+        }
+    },
+    // Conflict-of-interest check when clients and cases are created (see utils/conflictCheck)
+    conflictCheckSettings: {
+        // off: no check; warn: create and report hits; require_override: refuse high-confidence hits
+        // unless an override reason is given (recorded on the record); block: refuse high-confidence hits
+        mode: {
+            type: String,
+            enum: {
+                values: ['off', 'warn', 'require_override', 'block'],
+                message: 'Conflict check mode must be one of: off, warn, require_override, block'
+            },
+            default: 'warn'
+        },
+        // Hits scoring at or above this (0-100) are high-confidence conflicts
+        threshold: {
+            type: Number,
+            min: [50, 'Conflict threshold cannot be below 50'],
+            max: [100, 'Conflict threshold cannot exceed 100'],
+            default: 85
+        }
+    },
+    // Court working days (holidays and vacations are CourtHoliday records)
+    courtCalendarSettings: {
+        // Days of the week courts do not sit (0 = Sunday ... 6 = Saturday)
+        weeklyOffDays: {
+            type: [Number],
+            default: [0],
+            validate: {
+                validator: (days) => Array.isArray(days) && days.length < 7 && new Set(days).size === days.length
+                    && days.every((d) => Number.isInteger(d) && d >= 0 && d <= 6),
+                message: 'Weekly off days must be distinct days of the week between 0 (Sunday) and 6 (Saturday)'
+            }
+        }
+    },
+    // Secret token for the organization-wide ICS hearing feed (GET /api/calendar/ics/organization/:token.ics)
+    calendarFeedToken: {
+        type: String,
+        select: false,
+        index: true,
+        sparse: true
+    },
     // Reference to the super admin user (exactly ONE per organization)
     superAdmin: {
         type: String,
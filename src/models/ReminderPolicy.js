@@ -0,0 +1,90 @@
+// models/ReminderPolicy.js
+// Case stage reminder schedule per organization (user = null) or per user (overrides organization policy)
+
+const mongoose = require('mongoose');
+const { generateReminderPolicyId } = require('../utils/idGenerator');
+
+const MAX_OFFSET_DAYS = 365;
+const MAX_OFFSETS = 10;
+
+const offsetsValidator = {
+    validator: function(offsets) {
+        if (!Array.isArray(offsets) || offsets.length > MAX_OFFSETS) return false;
+        return offsets.every((o) => Number.isInteger(o) && o >= 0 && o <= MAX_OFFSET_DAYS);
+    },
+    message: `Reminder offsets must be up to ${MAX_OFFSETS} whole numbers of days between 0 and ${MAX_OFFSET_DAYS}`
+};
+
+/** Overrides the default offsets for matching cases (e.g. High Court matters get a 10-day reminder) */
+const ReminderRuleSchema = new mongoose.Schema({
+    courtPremises: {
+        type: String,
+        trim: true,
+        default: null
+    },
+    caseType: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Case type cannot exceed 100 characters'],
+        default: null
+    },
+    offsetsDays: {
+        type: [Number],
+        validate: offsetsValidator
+    }
+}, { _id: false });
+
+const ReminderPolicySchema = new mongoose.Schema({
+    _id: {
+        type: String,
+        default: generateReminderPolicyId
+    },
+    organization: {
+        type: String,
+        ref: 'Organization',
+        required: [true, 'Reminder policy must belong to an organization'],
+        index: true
+    },
+    // null = organization-wide policy; set = personal policy for this user
+    user: {
+        type: String,
+        ref: 'User',
+        default: null
+    },
+    /** Days before nextDate on which to remind (0 = on the hearing day) */
+    offsetsDays: {
+        type: [Number],
+        default: [5, 2, 1],
+        validate: offsetsValidator
+    },
+    /** Count offsets in court working days (skips weekly offs, holidays and vacations; see utils/courtCalendar) */
+    countWorkingDays: {
+        type: Boolean,
+        default: false
+    },
+    /** Send one "update next stage details" follow-up once nextDate has passed */
+    followUpAfterDate: {
+        type: Boolean,
+        default: true
+    },
+    rules: {
+        type: [ReminderRuleSchema],
+        default: []
+    },
+    createdBy: {
+        type: String,
+        ref: 'User',
+        required: true
+    },
+    updatedBy: {
+        type: String,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+ReminderPolicySchema.index({ organization: 1, user: 1 }, { unique: true });
+
+module.exports = mongoose.model('ReminderPolicy', ReminderPolicySchema);
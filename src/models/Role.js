@@ -3,6 +3,7 @@
 
 const mongoose = require('mongoose');
 const { generateRoleId } = require('../utils/idGenerator');
+const { auditPlugin } = require('../utils/auditTrail');
 
 const PermissionSchema = new mongoose.Schema({
     module: {
@@ -112,4 +113,10 @@ RoleSchema.methods.canManageRole = function(targetRole) {
     return this.priority < targetRole.priority;
 };
 
+// Audit trail
+RoleSchema.plugin(auditPlugin, {
+    entityType: 'role',
+    label: (r) => r.name
+});
+
 module.exports = mongoose.model('Role', RoleSchema);
@@ -0,0 +1,81 @@
+// models/StageTemplate.js
+// Ordered stage workflow per case type for an organization (e.g. Civil Suit: Filing → Summons → ... → Judgment)
+
+const mongoose = require('mongoose');
+const { generateStageTemplateId } = require('../utils/idGenerator');
+
+const MAX_TEMPLATE_STAGES = 50;
+
+/** One canonical stage; aliases catch the free-text spellings already in use ("evidence stage", "Evd.") */
+const TemplateStageSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Stage name is required'],
+        trim: true,
+        maxlength: [150, 'Stage name cannot exceed 150 characters']
+    },
+    aliases: {
+        type: [String],
+        default: []
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Stage description cannot exceed 500 characters'],
+        default: ''
+    }
+}, { _id: false });
+
+const StageTemplateSchema = new mongoose.Schema({
+    _id: {
+        type: String,
+        default: generateStageTemplateId
+    },
+    organization: {
+        type: String,
+        ref: 'Organization',
+        required: [true, 'Stage template must belong to an organization'],
+        index: true
+    },
+    // Matched case-insensitively against Case.caseType
+    caseType: {
+        type: String,
+        required: [true, 'Case type is required'],
+        trim: true,
+        maxlength: [100, 'Case type cannot exceed 100 characters']
+    },
+    caseTypeKey: {
+        type: String,
+        required: true
+    },
+    stages: {
+        type: [TemplateStageSchema],
+        validate: {
+            validator: (stages) => Array.isArray(stages) && stages.length > 0 && stages.length <= MAX_TEMPLATE_STAGES,
+            message: `A stage template needs between 1 and ${MAX_TEMPLATE_STAGES} stages`
+        }
+    },
+    createdBy: {
+        type: String,
+        ref: 'User',
+        required: true
+    },
+    updatedBy: {
+        type: String,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+StageTemplateSchema.index({ organization: 1, caseTypeKey: 1 }, { unique: true });
+
+StageTemplateSchema.pre('validate', function(next) {
+    this.caseTypeKey = String(this.caseType || '').trim().toLowerCase();
+    next();
+});
+
+StageTemplateSchema.statics.MAX_STAGES = MAX_TEMPLATE_STAGES;
+
+module.exports = mongoose.model('StageTemplate', StageTemplateSchema);
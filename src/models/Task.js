@@ -0,0 +1,179 @@
+// models/Task.js
+// Assignable work items on a case (optionally a stage), e.g. hearing preparation split into tasks with a checklist
+
+const mongoose = require('mongoose');
+const { generateTaskId } = require('../utils/idGenerator');
+
+const TASK_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+const TASK_STATUSES = ['todo', 'in_progress', 'done', 'cancelled'];
+
+const ChecklistItemSchema = new mongoose.Schema({
+    text: {
+        type: String,
+        required: [true, 'Checklist item text is required'],
+        trim: true,
+        maxlength: [300, 'Checklist item cannot exceed 300 characters']
+    },
+    done: {
+        type: Boolean,
+        default: false
+    },
+    doneAt: {
+        type: Date,
+        default: null
+    },
+    doneBy: {
+        type: String,
+        ref: 'User',
+        default: null
+    }
+});
+
+const TaskSchema = new mongoose.Schema({
+    _id: {
+        type: String,
+        default: generateTaskId
+    },
+    organization: {
+        type: String,
+        ref: 'Organization',
+        required: [true, 'Task must belong to an organization'],
+        index: true
+    },
+    case: {
+        type: String,
+        ref: 'Case',
+        required: [true, 'Task must belong to a case'],
+        index: true
+    },
+    // Optional: _id of a stage in Case.stages
+    stageId: {
+        type: String,
+        default: null
+    },
+    title: {
+        type: String,
+        required: [true, 'Task title is required'],
+        trim: true,
+        maxlength: [200, 'Title cannot exceed 200 characters']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [2000, 'Description cannot exceed 2000 characters'],
+        default: ''
+    },
+    dueDate: {
+        type: Date,
+        default: null
+    },
+    assignedTo: {
+        type: String,
+        ref: 'User',
+        default: null,
+        index: true
+    },
+    priority: {
+        type: String,
+        enum: {
+            values: TASK_PRIORITIES,
+            message: `Priority must be one of: ${TASK_PRIORITIES.join(', ')}`
+        },
+        default: 'medium'
+    },
+    status: {
+        type: String,
+        enum: {
+            values: TASK_STATUSES,
+            message: `Status must be one of: ${TASK_STATUSES.join(', ')}`
+        },
+        default: 'todo',
+        index: true
+    },
+    checklist: {
+        type: [ChecklistItemSchema],
+        default: []
+    },
+    completedAt: {
+        type: Date,
+        default: null
+    },
+    completedBy: {
+        type: String,
+        ref: 'User',
+        default: null
+    },
+    // Due date the overdue reminder was sent for (changing dueDate re-arms the reminder)
+    overdueNotifiedFor: {
+        type: Date,
+        default: null
+    },
+    // Soft Delete
+    deletedAt: {
+        type: Date,
+        default: null
+    },
+    deletedBy: {
+        type: String,
+        ref: 'User',
+        default: null
+    },
+    // Created/Updated by
+    createdBy: {
+        type: String,
+        ref: 'User',
+        required: true
+    },
+    updatedBy: {
+        type: String,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+TaskSchema.index({ organization: 1, assignedTo: 1, status: 1, dueDate: 1 });
+TaskSchema.index({ organization: 1, case: 1, stageId: 1 });
+TaskSchema.index({ status: 1, dueDate: 1, deletedAt: 1 });
+
+TaskSchema.virtual('isOverdue').get(function() {
+    if (!this.dueDate || this.status === 'done' || this.status === 'cancelled') return false;
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    return this.dueDate < today;
+});
+
+TaskSchema.virtual('checklistProgress').get(function() {
+    const items = this.checklist || [];
+    return { done: items.filter((i) => i.done).length, total: items.length };
+});
+
+// Track completion when the status changes
+TaskSchema.pre('save', function(next) {
+    if (this.isModified('status')) {
+        if (this.status === 'done') {
+            if (!this.completedAt) this.completedAt = new Date();
+            if (!this.completedBy) this.completedBy = this.updatedBy || this.createdBy;
+        } else {
+            this.completedAt = null;
+            this.completedBy = null;
+        }
+    }
+    next();
+});
+
+// Prevent querying deleted tasks by default
+TaskSchema.pre(/^find/, function(next) {
+    if (this.getOptions().includeDeleted !== true) {
+        this.where({ deletedAt: null });
+    }
+    next();
+});
+
+TaskSchema.statics.PRIORITIES = TASK_PRIORITIES;
+TaskSchema.statics.STATUSES = TASK_STATUSES;
+
+module.exports = mongoose.model('Task', TaskSchema);
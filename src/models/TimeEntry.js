@@ -0,0 +1,149 @@
+// models/TimeEntry.js
+// Time logged by a user against a case (and optionally a stage): running timers and manual entries
+
+const mongoose = require('mongoose');
+const { generateTimeEntryId } = require('../utils/idGenerator');
+
+const TIME_ACTIVITY_TYPES = ['drafting', 'hearing', 'research', 'client_meeting', 'travel', 'other'];
+
+const TimeEntrySchema = new mongoose.Schema({
+    _id: {
+        type: String,
+        default: generateTimeEntryId
+    },
+    organization: {
+        type: String,
+        ref: 'Organization',
+        required: [true, 'Time entry must belong to an organization'],
+        index: true
+    },
+    case: {
+        type: String,
+        ref: 'Case',
+        required: [true, 'Time entry must belong to a case'],
+        index: true
+    },
+    // Optional: _id of a stage in Case.stages
+    stageId: {
+        type: String,
+        default: null
+    },
+    // Whose time this is
+    user: {
+        type: String,
+        ref: 'User',
+        required: [true, 'Time entry must belong to a user']
+    },
+    activityType: {
+        type: String,
+        enum: {
+            values: TIME_ACTIVITY_TYPES,
+            message: `Activity type must be one of: ${TIME_ACTIVITY_TYPES.join(', ')}`
+        },
+        default: 'other'
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Description cannot exceed 1000 characters'],
+        default: ''
+    },
+    startedAt: {
+        type: Date,
+        required: [true, 'Start time is required']
+    },
+    // null while the timer is running
+    endedAt: {
+        type: Date,
+        default: null
+    },
+    // Computed from startedAt/endedAt
+    durationMinutes: {
+        type: Number,
+        min: [0, 'Duration cannot be negative'],
+        default: 0
+    },
+    // timer: started/stopped through the API; manual: entered after the fact
+    source: {
+        type: String,
+        enum: ['timer', 'manual'],
+        default: 'manual'
+    },
+    billable: {
+        type: Boolean,
+        default: true
+    },
+    // User's hourly rate when the entry was logged (null = no rate set)
+    hourlyRate: {
+        type: Number,
+        min: [0, 'Hourly rate cannot be negative'],
+        default: null
+    },
+    // durationMinutes / 60 × hourlyRate for billable entries, else 0 (computed)
+    amount: {
+        type: Number,
+        default: 0
+    },
+    // Soft Delete
+    deletedAt: {
+        type: Date,
+        default: null
+    },
+    deletedBy: {
+        type: String,
+        ref: 'User',
+        default: null
+    },
+    // Created/Updated by
+    createdBy: {
+        type: String,
+        ref: 'User',
+        required: true
+    },
+    updatedBy: {
+        type: String,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+TimeEntrySchema.index({ organization: 1, user: 1, startedAt: -1 });
+TimeEntrySchema.index({ organization: 1, case: 1, startedAt: -1 });
+// At most one running timer per user
+TimeEntrySchema.index(
+    { user: 1 },
+    { unique: true, partialFilterExpression: { endedAt: null, deletedAt: null, source: 'timer' } }
+);
+
+TimeEntrySchema.virtual('isRunning').get(function() {
+    return this.source === 'timer' && !this.endedAt;
+});
+
+TimeEntrySchema.pre('validate', function(next) {
+    if (this.endedAt) {
+        if (this.endedAt < this.startedAt) {
+            this.invalidate('endedAt', 'End time cannot be before start time');
+        } else {
+            this.durationMinutes = Math.round((this.endedAt - this.startedAt) / 60000);
+        }
+    }
+    const rate = Number(this.hourlyRate) || 0;
+    this.amount = this.billable && this.endedAt
+        ? Math.round((this.durationMinutes / 60) * rate * 100) / 100
+        : 0;
+    next();
+});
+
+// Prevent querying deleted entries by default
+TimeEntrySchema.pre(/^find/, function(next) {
+    if (this.getOptions().includeDeleted !== true) {
+        this.where({ deletedAt: null });
+    }
+    next();
+});
+
+TimeEntrySchema.statics.ACTIVITY_TYPES = TIME_ACTIVITY_TYPES;
+
+module.exports = mongoose.model('TimeEntry', TimeEntrySchema);
@@ -5,6 +5,7 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const { generateUserId } = require('../utils/idGenerator');
+const { auditPlugin } = require('../utils/auditTrail');
 
 const UserSchema = new mongoose.Schema({
     _id: {
@@ -86,6 +87,13 @@ const UserSchema = new mongoose.Schema({
     invitationExpires: {
         type: Date
     },
+    // Secret token for the read-only ICS hearing feed (GET /api/calendar/ics/user/:token.ics)
+    calendarFeedToken: {
+        type: String,
+        select: false,
+        index: true,
+        sparse: true
+    },
     // Store who invited this user (for authorization)
     invitedBy: {
         type: String,
@@ -106,6 +114,12 @@ const UserSchema = new mongoose.Schema({
         default: 0,
         min: [0, 'Salary cannot be negative']
     },
+    // Billing rate per hour for time entries (null = not billed)
+    hourlyRate: {
+        type: Number,
+        default: null,
+        min: [0, 'Hourly rate cannot be negative']
+    },
     // User status: pending (invited/registered but not approved), approved (can login), inactive, terminated
     status: {
         type: String,
@@ -160,4 +174,11 @@ UserSchema.methods.getResetPasswordToken = function() {
     return resetToken;
 };
 
+// Audit trail (credentials and tokens are never recorded)
+UserSchema.plugin(auditPlugin, {
+    entityType: 'user',
+    label: (u) => u.email,
+    exclude: ['password', 'resetPasswordToken', 'resetPasswordExpire', 'invitationToken', 'calendarFeedToken']
+});
+
 module.exports = mongoose.model('User', UserSchema);
\ No newline at end of file
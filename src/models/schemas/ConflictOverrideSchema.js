@@ -0,0 +1,65 @@
+// models/schemas/ConflictOverrideSchema.js
+// Recorded when a client or case is created despite a high-confidence conflict-of-interest hit
+
+const mongoose = require('mongoose');
+
+const ConflictHitSnapshotSchema = new mongoose.Schema({
+    source: {
+        type: String,
+        enum: ['client', 'case_party'],
+        required: true
+    },
+    // Client id or case id of the hit
+    refId: {
+        type: String,
+        required: true
+    },
+    name: {
+        type: String,
+        trim: true
+    },
+    caseNumber: {
+        type: String,
+        default: null
+    },
+    role: {
+        type: String,
+        default: null
+    },
+    score: {
+        type: Number,
+        min: 0,
+        max: 100
+    },
+    matchedOn: {
+        type: [String],
+        default: []
+    }
+}, { _id: false });
+
+const ConflictOverrideSchema = new mongoose.Schema({
+    reason: {
+        type: String,
+        trim: true,
+        required: [true, 'An override reason is required'],
+        maxlength: [1000, 'Override reason cannot exceed 1000 characters']
+    },
+    overriddenBy: {
+        type: String,
+        ref: 'User',
+        required: true
+    },
+    overriddenAt: {
+        type: Date,
+        default: Date.now
+    },
+    threshold: {
+        type: Number
+    },
+    hits: {
+        type: [ConflictHitSnapshotSchema],
+        default: []
+    }
+}, { _id: false });
+
+module.exports = ConflictOverrideSchema;
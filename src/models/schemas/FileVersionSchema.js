@@ -0,0 +1,49 @@
+// models/schemas/FileVersionSchema.js
+// One stored revision of a file (case documents, client Aadhar images). Re-uploading adds a version; old ones are kept.
+
+const mongoose = require('mongoose');
+
+const FileVersionSchema = new mongoose.Schema({
+    version: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    originalName: {
+        type: String,
+        trim: true,
+        required: true
+    },
+    mimeType: {
+        type: String,
+        required: true
+    },
+    size: {
+        type: Number,
+        default: 0
+    },
+    // Where the file lives (see utils/storage); meta holds driver-specific details
+    storageDriver: {
+        type: String,
+        required: true
+    },
+    storageKey: {
+        type: String,
+        required: true
+    },
+    storageMeta: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    uploadedBy: {
+        type: String,
+        ref: 'User',
+        default: null
+    },
+    uploadedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+module.exports = FileVersionSchema;
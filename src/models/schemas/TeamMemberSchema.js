@@ -0,0 +1,35 @@
+// models/schemas/TeamMemberSchema.js
+// One member of a case or client team (lead advocate, associate, support staff). Members can see the record.
+
+const mongoose = require('mongoose');
+
+const TEAM_ROLES = ['lead', 'associate', 'support'];
+
+const TeamMemberSchema = new mongoose.Schema({
+    user: {
+        type: String,
+        ref: 'User',
+        required: [true, 'Team member user is required']
+    },
+    role: {
+        type: String,
+        enum: {
+            values: TEAM_ROLES,
+            message: `Team role must be one of: ${TEAM_ROLES.join(', ')}`
+        },
+        default: 'associate'
+    },
+    addedAt: {
+        type: Date,
+        default: Date.now
+    },
+    addedBy: {
+        type: String,
+        ref: 'User',
+        default: null
+    }
+}, { _id: false });
+
+TeamMemberSchema.statics.ROLES = TEAM_ROLES;
+
+module.exports = TeamMemberSchema;
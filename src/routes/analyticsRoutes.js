@@ -0,0 +1,31 @@
+// routes/analyticsRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const {
+    getAnalyticsOverview,
+    getCasesPerMonth,
+    getCaseload,
+    getCasesBreakdown,
+    getCaseAge,
+    getHearingsPerWeek,
+    getClientsByStatus,
+    getFees
+} = require('../controllers/analyticsController');
+
+const { protect } = require('../middleware/auth');
+const { loadUserRole, checkPermission } = require('../middleware/rbac');
+
+router.use(protect);
+router.use(loadUserRole);
+
+router.get('/', checkPermission('cases', 'read'), checkPermission('client', 'read'), getAnalyticsOverview);
+router.get('/cases/monthly', checkPermission('cases', 'read'), getCasesPerMonth);
+router.get('/cases/caseload', checkPermission('cases', 'read'), getCaseload);
+router.get('/cases/breakdown', checkPermission('cases', 'read'), getCasesBreakdown);
+router.get('/cases/age', checkPermission('cases', 'read'), getCaseAge);
+router.get('/hearings/weekly', checkPermission('cases', 'read'), getHearingsPerWeek);
+router.get('/clients/status', checkPermission('client', 'read'), getClientsByStatus);
+router.get('/fees', checkPermission('client', 'read'), getFees);
+
+module.exports = router;
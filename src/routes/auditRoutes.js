@@ -0,0 +1,16 @@
+// routes/auditRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const { getAuditLogs } = require('../controllers/auditController');
+
+const { protect } = require('../middleware/auth');
+const { loadUserRole, isSuperAdmin } = require('../middleware/rbac');
+
+router.use(protect);
+router.use(loadUserRole);
+router.use(isSuperAdmin);
+
+router.get('/', getAuditLogs);
+
+module.exports = router;
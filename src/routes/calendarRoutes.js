@@ -0,0 +1,35 @@
+// routes/calendarRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const {
+    getCalendarEvents,
+    getCalendarFeeds,
+    regenerateUserFeed,
+    revokeUserFeed,
+    regenerateOrganizationFeed,
+    revokeOrganizationFeed,
+    getUserIcsFeed,
+    getOrganizationIcsFeed
+} = require('../controllers/calendarController');
+
+const { protect } = require('../middleware/auth');
+const { loadUserRole, checkPermission, isSuperAdmin } = require('../middleware/rbac');
+
+// Public ICS feeds (calendar apps cannot send a Bearer token; the secret token is the credential)
+router.get('/ics/user/:token.ics', getUserIcsFeed);
+router.get('/ics/organization/:token.ics', getOrganizationIcsFeed);
+
+router.use(protect);
+router.use(loadUserRole);
+
+router.get('/', checkPermission('cases', 'read'), getCalendarEvents);
+
+// Feed URL management
+router.get('/feeds', checkPermission('cases', 'read'), getCalendarFeeds);
+router.post('/feeds/user', checkPermission('cases', 'read'), regenerateUserFeed);
+router.delete('/feeds/user', checkPermission('cases', 'read'), revokeUserFeed);
+router.post('/feeds/organization', isSuperAdmin, regenerateOrganizationFeed);
+router.delete('/feeds/organization', isSuperAdmin, revokeOrganizationFeed);
+
+module.exports = router;
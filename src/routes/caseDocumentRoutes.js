@@ -0,0 +1,47 @@
+// routes/caseDocumentRoutes.js
+// Mounted by caseRoutes at /api/cases/:id/documents (protect and loadUserRole already applied)
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const multer = require('multer');
+const {
+    uploadCaseDocument,
+    uploadCaseDocumentVersion,
+    getCaseDocuments,
+    getCaseDocumentVersions,
+    getCaseDocumentDownloadUrl,
+    downloadCaseDocument,
+    deleteCaseDocument
+} = require('../controllers/caseDocumentController');
+
+const { checkPermission } = require('../middleware/rbac');
+
+const MAX_DOCUMENT_SIZE_MB = parseInt(process.env.CASE_DOCUMENT_MAX_SIZE_MB, 10) || 20;
+
+const documentUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_DOCUMENT_SIZE_MB * 1024 * 1024 },
+    fileFilter: (req, file, cb) => {
+        const allowed = [
+            'application/pdf',
+            'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+            'image/jpeg',
+            'image/jpg',
+            'image/pjpeg',
+            'image/png',
+            'image/webp'
+        ];
+        if (allowed.includes(file.mimetype)) cb(null, true);
+        else cb(new Error(`Only PDF, DOCX, JPG, PNG and WebP files are allowed (max ${MAX_DOCUMENT_SIZE_MB} MB)`), false);
+    }
+});
+
+router.get('/', checkPermission('cases', 'read'), getCaseDocuments);
+router.post('/', checkPermission('cases', 'update'), documentUpload.single('file'), uploadCaseDocument);
+router.get('/:documentId/versions', checkPermission('cases', 'read'), getCaseDocumentVersions);
+router.post('/:documentId/versions', checkPermission('cases', 'update'), documentUpload.single('file'), uploadCaseDocumentVersion);
+router.get('/:documentId/download-url', checkPermission('cases', 'read'), getCaseDocumentDownloadUrl);
+router.get('/:documentId/download', checkPermission('cases', 'read'), downloadCaseDocument);
+router.delete('/:documentId', checkPermission('cases', 'update'), deleteCaseDocument);
+
+module.exports = router;
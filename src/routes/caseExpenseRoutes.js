@@ -0,0 +1,39 @@
+// routes/caseExpenseRoutes.js
+// Mounted by caseRoutes at /api/cases/:id/expenses (protect and loadUserRole already applied)
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const multer = require('multer');
+const {
+    createCaseExpense,
+    getCaseExpenses,
+    updateCaseExpense,
+    setCaseExpenseRecovered,
+    uploadCaseExpenseReceipt,
+    getCaseExpenseReceiptUrl,
+    deleteCaseExpense
+} = require('../controllers/caseExpenseController');
+
+const { checkPermission } = require('../middleware/rbac');
+
+const MAX_RECEIPT_SIZE_MB = 5;
+
+const receiptUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_RECEIPT_SIZE_MB * 1024 * 1024 },
+    fileFilter: (req, file, cb) => {
+        const allowed = ['application/pdf', 'image/jpeg', 'image/jpg', 'image/pjpeg', 'image/png', 'image/webp'];
+        if (allowed.includes(file.mimetype)) cb(null, true);
+        else cb(new Error(`Only PDF, JPG, PNG and WebP receipts are allowed (max ${MAX_RECEIPT_SIZE_MB} MB)`), false);
+    }
+});
+
+router.get('/', checkPermission('cases', 'read'), getCaseExpenses);
+router.post('/', checkPermission('cases', 'update'), receiptUpload.single('receipt'), createCaseExpense);
+router.put('/:expenseId', checkPermission('cases', 'update'), updateCaseExpense);
+router.patch('/:expenseId/recovered', checkPermission('cases', 'update'), setCaseExpenseRecovered);
+router.post('/:expenseId/receipt', checkPermission('cases', 'update'), receiptUpload.single('receipt'), uploadCaseExpenseReceipt);
+router.get('/:expenseId/receipt/download-url', checkPermission('cases', 'read'), getCaseExpenseReceiptUrl);
+router.delete('/:expenseId', checkPermission('cases', 'update'), deleteCaseExpense);
+
+module.exports = router;
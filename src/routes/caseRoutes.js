@@ -7,20 +7,38 @@ const {
     createCase,
     getCases,
     getCaseAssignees,
+    getCaseStageSummary,
     getCase,
+    getCaseTimeline,
+    getRelatedCases,
+    addRelatedCase,
+    removeRelatedCase,
+    searchCaseParties,
+    addCaseParty,
+    updateCaseParty,
+    removeCaseParty,
     addCaseStage,
     updateCaseStage,
     confirmCaseStage,
+    recordHearingOutcome,
     updateCase,
+    updateCaseTeam,
     deleteCase,
     restoreCase,
     archiveCase,
     unarchiveCase,
+    closeCase,
+    reopenCase,
+    setCaseLimitation,
+    clearCaseLimitation,
+    getLimitationDeadlines,
     downloadCaseExcelTemplate,
     exportCasesToExcel,
     importCasesFromExcel,
     previewCasesExcelImport
 } = require('../controllers/caseController');
+const caseDocumentRoutes = require('./caseDocumentRoutes');
+const caseExpenseRoutes = require('./caseExpenseRoutes');
 
 const { protect } = require('../middleware/auth');
 const { loadUserRole, checkPermission } = require('../middleware/rbac');
@@ -53,6 +71,9 @@ const normalizeExcelFile = (req, res, next) => {
 router.post('/', checkPermission('cases', 'create'), createCase);
 router.get('/', checkPermission('cases', 'read'), getCases);
 router.get('/assignees', checkPermission('cases', 'read'), getCaseAssignees);
+router.get('/stage-summary', checkPermission('cases', 'read'), getCaseStageSummary);
+router.get('/parties/search', checkPermission('cases', 'read'), searchCaseParties);
+router.get('/limitation-deadlines', checkPermission('cases', 'read'), getLimitationDeadlines);
 
 // Excel import/export
 router.get('/excel/template', checkPermission('cases', 'read'), downloadCaseExcelTemplate);
@@ -69,14 +90,29 @@ router.post('/excel/import', checkPermission('cases', 'create'), excelUpload.fie
 ]), normalizeExcelFile, importCasesFromExcel);
 
 router.get('/:id', checkPermission('cases', 'read'), getCase);
+router.get('/:id/timeline', checkPermission('cases', 'read'), getCaseTimeline);
+router.get('/:id/related', checkPermission('cases', 'read'), getRelatedCases);
+router.post('/:id/related', checkPermission('cases', 'update'), addRelatedCase);
+router.delete('/:id/related/:linkId', checkPermission('cases', 'update'), removeRelatedCase);
+router.post('/:id/parties', checkPermission('cases', 'update'), addCaseParty);
+router.put('/:id/parties/:partyId', checkPermission('cases', 'update'), updateCaseParty);
+router.delete('/:id/parties/:partyId', checkPermission('cases', 'update'), removeCaseParty);
+router.use('/:id/documents', caseDocumentRoutes);
+router.use('/:id/expenses', caseExpenseRoutes);
 router.post('/:id/stages', checkPermission('cases', 'update'), addCaseStage);
 router.put('/:id/stages/:stageId', checkPermission('cases', 'update'), updateCaseStage);
 router.patch('/:id/stages/:stageId/confirm', checkPermission('cases', 'update'), confirmCaseStage);
+router.post('/:id/stages/:stageId/outcome', checkPermission('cases', 'update'), recordHearingOutcome);
 router.put('/:id', checkPermission('cases', 'update'), updateCase);
+router.put('/:id/team', checkPermission('cases', 'update'), updateCaseTeam);
 router.delete('/:id', checkPermission('cases', 'delete'), deleteCase);
 
 router.put('/:id/restore', checkPermission('cases', 'update'), restoreCase);
 router.put('/:id/archive', checkPermission('cases', 'update'), archiveCase);
 router.put('/:id/unarchive', checkPermission('cases', 'update'), unarchiveCase);
+router.put('/:id/close', checkPermission('cases', 'update'), closeCase);
+router.put('/:id/reopen', checkPermission('cases', 'update'), reopenCase);
+router.put('/:id/limitation', checkPermission('cases', 'update'), setCaseLimitation);
+router.delete('/:id/limitation', checkPermission('cases', 'update'), clearCaseLimitation);
 
 module.exports = router;
@@ -8,6 +8,7 @@ const {
     getClients,
     getClient,
     updateClient,
+    updateClientTeam,
     deleteClient,
     restoreClient,
     archiveClient,
@@ -15,11 +16,16 @@ const {
     downloadClientExcelTemplate,
     exportClientsToExcel,
     importClientsFromExcel,
-    previewClientsExcelImport
+    previewClientsExcelImport,
+    uploadClientAadharImage,
+    getClientAadharImageVersions,
+    getClientAadharImageUrl,
+    getClientFeeMemoPdf
 } = require('../controllers/clientController');
 
 const { protect } = require('../middleware/auth');
 const { loadUserRole, checkPermission } = require('../middleware/rbac');
+const { aadharUpload } = require('../middleware/aadharUpload');
 
 // All routes require authentication and role loading
 router.use(protect);
@@ -66,7 +72,9 @@ router.post('/excel/import', checkPermission('client', 'create'), excelUpload.fi
 ]), normalizeExcelFile, importClientsFromExcel);
 
 router.get('/:id', checkPermission('client', 'read'), getClient);
+router.get('/:id/fee-memo.pdf', checkPermission('client', 'read'), getClientFeeMemoPdf);
 router.put('/:id', checkPermission('client', 'update'), updateClient);
+router.put('/:id/team', checkPermission('client', 'update'), updateClientTeam);
 router.delete('/:id', checkPermission('client', 'delete'), deleteClient);
 
 // Additional routes
@@ -74,4 +82,9 @@ router.put('/:id/restore', checkPermission('client', 'update'), restoreClient);
 router.put('/:id/archive', checkPermission('client', 'update'), archiveClient);
 router.put('/:id/unarchive', checkPermission('client', 'update'), unarchiveClient);
 
+// Versioned Aadhar image (downloads only through signed URLs)
+router.post('/:id/aadhar-image', checkPermission('client', 'update'), aadharUpload, uploadClientAadharImage);
+router.get('/:id/aadhar-image/versions', checkPermission('client', 'read'), getClientAadharImageVersions);
+router.get('/:id/aadhar-image/download-url', checkPermission('client', 'read'), getClientAadharImageUrl);
+
 module.exports = router;
@@ -0,0 +1,21 @@
+// routes/conflictCheckRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const {
+    checkConflicts,
+    getConflictSettings,
+    updateConflictSettings
+} = require('../controllers/conflictCheckController');
+
+const { protect } = require('../middleware/auth');
+const { loadUserRole, checkPermission, isSuperAdmin } = require('../middleware/rbac');
+
+router.use(protect);
+router.use(loadUserRole);
+
+router.get('/settings', checkPermission('client', 'read'), getConflictSettings);
+router.put('/settings', isSuperAdmin, updateConflictSettings);
+router.post('/', checkPermission('client', 'read'), checkConflicts);
+
+module.exports = router;
@@ -0,0 +1,62 @@
+// routes/courtHolidayRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const {
+    getCourtHolidays,
+    checkCourtDate,
+    createCourtHoliday,
+    updateCourtHoliday,
+    deleteCourtHoliday,
+    getCourtCalendarSettings,
+    updateCourtCalendarSettings,
+    downloadCourtHolidayExcelTemplate,
+    importCourtHolidaysFromExcel
+} = require('../controllers/courtHolidayController');
+
+const { protect } = require('../middleware/auth');
+const { loadUserRole, checkPermission, isSuperAdmin } = require('../middleware/rbac');
+
+router.use(protect);
+router.use(loadUserRole);
+
+const excelUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 5 * 1024 * 1024 }, // 5 MB
+    fileFilter: (req, file, cb) => {
+        const allowed = [
+            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            'application/vnd.ms-excel'
+        ];
+        if (allowed.includes(file.mimetype)) cb(null, true);
+        else cb(new Error('Only Excel files (.xlsx/.xls) are allowed'), false);
+    }
+});
+
+const normalizeExcelFile = (req, res, next) => {
+    if (req.file) return next();
+    if (req.files) {
+        const f = req.files.file?.[0] || req.files.excel?.[0] || req.files.upload?.[0];
+        if (f) req.file = f;
+    }
+    next();
+};
+
+// Fixed paths before /:id
+router.get('/', checkPermission('cases', 'read'), getCourtHolidays);
+router.post('/', isSuperAdmin, createCourtHoliday);
+router.get('/check', checkPermission('cases', 'read'), checkCourtDate);
+router.get('/settings', checkPermission('cases', 'read'), getCourtCalendarSettings);
+router.put('/settings', isSuperAdmin, updateCourtCalendarSettings);
+router.get('/excel/template', checkPermission('cases', 'read'), downloadCourtHolidayExcelTemplate);
+router.post('/excel/import', isSuperAdmin, excelUpload.fields([
+    { name: 'file', maxCount: 1 },
+    { name: 'excel', maxCount: 1 },
+    { name: 'upload', maxCount: 1 }
+]), normalizeExcelFile, importCourtHolidaysFromExcel);
+
+router.put('/:id', isSuperAdmin, updateCourtHoliday);
+router.delete('/:id', isSuperAdmin, deleteCourtHoliday);
+
+module.exports = router;
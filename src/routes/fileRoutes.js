@@ -0,0 +1,11 @@
+// routes/fileRoutes.js
+// Signed file links. No protect: the link itself is the credential and the controller re-checks permissions.
+
+const express = require('express');
+const router = express.Router();
+const { downloadSignedFile, downloadPendingUpload } = require('../controllers/fileController');
+
+router.get('/download/:token', downloadSignedFile);
+router.get('/uploads/:token', downloadPendingUpload);
+
+module.exports = router;
@@ -0,0 +1,40 @@
+// routes/invoiceRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const {
+    createInvoice,
+    getInvoices,
+    getInvoice,
+    updateInvoice,
+    issueDraftInvoice,
+    addPayment,
+    removePayment,
+    cancelInvoice,
+    deleteInvoice,
+    getInvoiceSettings,
+    updateInvoiceSettings
+} = require('../controllers/invoiceController');
+
+const { protect } = require('../middleware/auth');
+const { loadUserRole, checkPermission, isSuperAdmin } = require('../middleware/rbac');
+
+// All routes require authentication and role loading
+router.use(protect);
+router.use(loadUserRole);
+
+// Organization billing settings (before /:id)
+router.get('/settings', isSuperAdmin, getInvoiceSettings);
+router.put('/settings', isSuperAdmin, updateInvoiceSettings);
+
+router.post('/', checkPermission('invoice', 'create'), createInvoice);
+router.get('/', checkPermission('invoice', 'read'), getInvoices);
+router.get('/:id', checkPermission('invoice', 'read'), getInvoice);
+router.put('/:id', checkPermission('invoice', 'update'), updateInvoice);
+router.patch('/:id/issue', checkPermission('invoice', 'update'), issueDraftInvoice);
+router.patch('/:id/cancel', checkPermission('invoice', 'update'), cancelInvoice);
+router.post('/:id/payments', checkPermission('invoice', 'update'), addPayment);
+router.delete('/:id/payments/:paymentId', checkPermission('invoice', 'update'), removePayment);
+router.delete('/:id', checkPermission('invoice', 'delete'), deleteInvoice);
+
+module.exports = router;
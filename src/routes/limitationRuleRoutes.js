@@ -0,0 +1,23 @@
+// routes/limitationRuleRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const {
+    getLimitationRules,
+    createLimitationRule,
+    updateLimitationRule,
+    deleteLimitationRule
+} = require('../controllers/limitationRuleController');
+
+const { protect } = require('../middleware/auth');
+const { loadUserRole, checkPermission, isSuperAdmin } = require('../middleware/rbac');
+
+router.use(protect);
+router.use(loadUserRole);
+
+router.get('/', checkPermission('cases', 'read'), getLimitationRules);
+router.post('/', isSuperAdmin, createLimitationRule);
+router.put('/:id', isSuperAdmin, updateLimitationRule);
+router.delete('/:id', isSuperAdmin, deleteLimitationRule);
+
+module.exports = router;
@@ -2,12 +2,26 @@
 
 const express = require('express');
 const router = express.Router();
-const { getNotifications, markAsRead, markAllAsRead } = require('../controllers/notificationController');
-const { protect } = require('../middleware/auth');
+const {
+    getNotifications,
+    markAsRead,
+    markAllAsRead,
+    streamNotifications,
+    getPreferences,
+    updatePreferences,
+    resetPreferences
+} = require('../controllers/notificationController');
+const { protect, tokenFromQuery } = require('../middleware/auth');
+
+// EventSource cannot send an Authorization header, so the stream also accepts ?token=
+router.get('/stream', tokenFromQuery, protect, streamNotifications);
 
 router.use(protect);
 
 router.get('/', getNotifications);
+router.get('/preferences', getPreferences);
+router.put('/preferences', updatePreferences);
+router.delete('/preferences', resetPreferences);
 router.patch('/read-all', markAllAsRead);
 router.patch('/:id/read', markAsRead);
 
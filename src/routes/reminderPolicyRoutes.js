@@ -0,0 +1,26 @@
+// routes/reminderPolicyRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const {
+    getOrganizationPolicy,
+    updateOrganizationPolicy,
+    getMyPolicy,
+    updateMyPolicy,
+    deleteMyPolicy
+} = require('../controllers/reminderPolicyController');
+
+const { protect } = require('../middleware/auth');
+const { loadUserRole, checkPermission, isSuperAdmin } = require('../middleware/rbac');
+
+router.use(protect);
+router.use(loadUserRole);
+
+router.get('/organization', checkPermission('cases', 'read'), getOrganizationPolicy);
+router.put('/organization', isSuperAdmin, updateOrganizationPolicy);
+
+router.get('/me', checkPermission('cases', 'read'), getMyPolicy);
+router.put('/me', checkPermission('cases', 'read'), updateMyPolicy);
+router.delete('/me', checkPermission('cases', 'read'), deleteMyPolicy);
+
+module.exports = router;
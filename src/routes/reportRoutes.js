@@ -0,0 +1,16 @@
+// routes/reportRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const { getCauseList, getAdjournmentReport } = require('../controllers/reportController');
+
+const { protect } = require('../middleware/auth');
+const { loadUserRole, checkPermission } = require('../middleware/rbac');
+
+router.use(protect);
+router.use(loadUserRole);
+
+router.get('/cause-list', checkPermission('cases', 'read'), getCauseList);
+router.get('/adjournments', checkPermission('cases', 'read'), getAdjournmentReport);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+// routes/stageTemplateRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const {
+    getStageTemplates,
+    getStageTemplate,
+    createStageTemplate,
+    updateStageTemplate,
+    deleteStageTemplate
+} = require('../controllers/stageTemplateController');
+
+const { protect } = require('../middleware/auth');
+const { loadUserRole, checkPermission, isSuperAdmin } = require('../middleware/rbac');
+
+router.use(protect);
+router.use(loadUserRole);
+
+router.get('/', checkPermission('cases', 'read'), getStageTemplates);
+router.post('/', isSuperAdmin, createStageTemplate);
+router.get('/:id', checkPermission('cases', 'read'), getStageTemplate);
+router.put('/:id', isSuperAdmin, updateStageTemplate);
+router.delete('/:id', isSuperAdmin, deleteStageTemplate);
+
+module.exports = router;
@@ -0,0 +1,40 @@
+// routes/taskRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const {
+    createTask,
+    getTasks,
+    getMyTasks,
+    getTask,
+    updateTask,
+    updateTaskStatus,
+    addChecklistItem,
+    updateChecklistItem,
+    deleteChecklistItem,
+    deleteTask
+} = require('../controllers/taskController');
+
+const { protect } = require('../middleware/auth');
+const { loadUserRole, checkPermission } = require('../middleware/rbac');
+
+// All routes require authentication and role loading
+router.use(protect);
+router.use(loadUserRole);
+
+// My tasks (before /:id)
+router.get('/my', checkPermission('cases', 'read'), getMyTasks);
+
+router.post('/', checkPermission('cases', 'create'), createTask);
+router.get('/', checkPermission('cases', 'read'), getTasks);
+router.get('/:id', checkPermission('cases', 'read'), getTask);
+router.put('/:id', checkPermission('cases', 'update'), updateTask);
+router.delete('/:id', checkPermission('cases', 'delete'), deleteTask);
+
+// Status and checklist: anyone who can see the task can work it
+router.patch('/:id/status', checkPermission('cases', 'read'), updateTaskStatus);
+router.post('/:id/checklist', checkPermission('cases', 'read'), addChecklistItem);
+router.patch('/:id/checklist/:itemId', checkPermission('cases', 'read'), updateChecklistItem);
+router.delete('/:id/checklist/:itemId', checkPermission('cases', 'read'), deleteChecklistItem);
+
+module.exports = router;
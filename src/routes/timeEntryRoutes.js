@@ -0,0 +1,41 @@
+// routes/timeEntryRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const {
+    startTimer,
+    stopTimer,
+    getRunningTimer,
+    createTimeEntry,
+    getTimeEntries,
+    updateTimeEntry,
+    deleteTimeEntry,
+    getTimeRollups,
+    exportTimeRollupToExcel
+} = require('../controllers/timeEntryController');
+
+const { protect } = require('../middleware/auth');
+const { loadUserRole, checkPermission } = require('../middleware/rbac');
+
+// All routes require authentication and role loading
+router.use(protect);
+router.use(loadUserRole);
+
+// Time is logged against cases the user can see
+router.use(checkPermission('cases', 'read'));
+
+// Timer
+router.get('/timer', getRunningTimer);
+router.post('/timer/start', startTimer);
+router.post('/timer/stop', stopTimer);
+
+// Rollups (before /:id)
+router.get('/rollups/:by', getTimeRollups);
+router.get('/rollups/:by/excel', exportTimeRollupToExcel);
+
+router.post('/', createTimeEntry);
+router.get('/', getTimeEntries);
+router.put('/:id', updateTimeEntry);
+router.delete('/:id', deleteTimeEntry);
+
+module.exports = router;
@@ -0,0 +1,331 @@
+// utils/analyticsUtils.js
+// Practice analytics: aggregation pipelines over cases, clients and invoices of one organization.
+// Every function takes { organizationId, from?, to?, visibleTo? }; visibleTo limits the figures to that user's
+// own and team records (same visibility rule as the case and client lists).
+
+const Case = require('../models/Case');
+const Client = require('../models/Client');
+const Invoice = require('../models/Invoice');
+const User = require('../models/User');
+const { teamVisibilityFilter } = require('./teamUtils');
+const { roundMoney } = require('./invoiceUtils');
+const { MS_PER_DAY, startOfDay } = require('./dateUtils');
+
+const DEFAULT_TREND_MONTHS = 12;
+const DEFAULT_HEARING_WEEKS = 8;
+// Months and days are bucketed in the server's time zone, the same day boundaries as the reminder job
+const TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+const BILLED_INVOICE_STATUSES = ['issued', 'partially_paid', 'paid'];
+const OPEN_CASE_STATUSES = ['active', 'inactive'];
+
+const pad2 = (n) => String(n).padStart(2, '0');
+const toMonthKey = (date) => `${date.getFullYear()}-${pad2(date.getMonth() + 1)}`;
+const fromDayKey = (key) => {
+    const [y, m, d] = key.split('-').map(Number);
+    return new Date(y, m - 1, d);
+};
+
+const toDays = (ms) => Math.round((ms / MS_PER_DAY) * 10) / 10;
+
+/** { $gte, $lte } for the given bounds, or null when neither is set */
+const dateCondition = (from, to) => {
+    const condition = {};
+    if (from) condition.$gte = from;
+    if (to) condition.$lte = to;
+    return Object.keys(condition).length > 0 ? condition : null;
+};
+
+/** Organization, not deleted, visible to the user; createdAt within the range when one is given */
+const scopeMatch = ({ organizationId, visibleTo, from, to }, { dated = true } = {}) => {
+    const match = { organization: String(organizationId), deletedAt: null };
+    if (visibleTo) match.$and = [teamVisibilityFilter(visibleTo)];
+    const createdAt = dated ? dateCondition(from, to) : null;
+    if (createdAt) match.createdAt = createdAt;
+    return match;
+};
+
+const userName = (user) => (user ? `${user.firstName || ''} ${user.lastName || ''}`.trim() || user.email : null);
+
+/**
+ * Cases opened (createdAt) and closed (closure.closedAt) per month.
+ * Defaults to the last DEFAULT_TREND_MONTHS months; months without activity are included with zeros.
+ * @returns {Promise<Array<{ month: string, opened: number, closed: number }>>} month as YYYY-MM
+ */
+const getCaseMonthlyTrend = async ({ organizationId, visibleTo, from, to }) => {
+    const end = to || new Date();
+    const start = from || new Date(end.getFullYear(), end.getMonth() - (DEFAULT_TREND_MONTHS - 1), 1);
+    const range = { $gte: start, $lte: end };
+    const monthOf = (field) => ({ $dateToString: { format: '%Y-%m', date: field, timezone: TIME_ZONE } });
+
+    const [result] = await Case.aggregate([
+        { $match: scopeMatch({ organizationId, visibleTo }, { dated: false }) },
+        {
+            $facet: {
+                opened: [
+                    { $match: { createdAt: range } },
+                    { $group: { _id: monthOf('$createdAt'), count: { $sum: 1 } } }
+                ],
+                closed: [
+                    { $match: { 'closure.closedAt': range } },
+                    { $group: { _id: monthOf('$closure.closedAt'), count: { $sum: 1 } } }
+                ]
+            }
+        }
+    ]);
+
+    const opened = new Map(result.opened.map((r) => [r._id, r.count]));
+    const closed = new Map(result.closed.map((r) => [r._id, r.count]));
+    const months = [];
+    for (let d = new Date(start.getFullYear(), start.getMonth(), 1); d <= end; d.setMonth(d.getMonth() + 1)) {
+        const month = toMonthKey(d);
+        months.push({ month, opened: opened.get(month) || 0, closed: closed.get(month) || 0 });
+    }
+    return months;
+};
+
+/**
+ * Active cases per assigned advocate (unassigned cases under advocate null), largest caseload first.
+ * @returns {Promise<Array<{ advocate: Object|null, activeCases: number, withUpcomingHearing: number }>>}
+ */
+const getAdvocateCaseload = async (scope) => {
+    const today = startOfDay(new Date());
+
+    const rows = await Case.aggregate([
+        { $match: { ...scopeMatch(scope), status: 'active' } },
+        {
+            $group: {
+                _id: { $ifNull: ['$assignedTo', null] },
+                activeCases: { $sum: 1 },
+                withUpcomingHearing: {
+                    $sum: { $cond: [{ $gte: [{ $max: '$stages.nextDate' }, today] }, 1, 0] }
+                }
+            }
+        },
+        { $lookup: { from: User.collection.name, localField: '_id', foreignField: '_id', as: 'advocate' } },
+        { $sort: { activeCases: -1 } }
+    ]);
+
+    return rows.map((r) => {
+        const user = r.advocate[0];
+        return {
+            advocate: r._id ? { _id: r._id, name: userName(user), email: user ? user.email : null } : null,
+            activeCases: r.activeCases,
+            withUpcomingHearing: r.withUpcomingHearing
+        };
+    });
+};
+
+/**
+ * Case counts by caseType, courtPremises and status (cases opened in the range, or all).
+ * @returns {Promise<{ byCaseType: Object[], byCourtPremises: Object[], byStatus: Object }>}
+ */
+const getCaseBreakdown = async (scope) => {
+    const countBy = (field) => [
+        {
+            $group: {
+                _id: { $ifNull: [field, null] },
+                total: { $sum: 1 },
+                active: { $sum: { $cond: [{ $eq: ['$status', 'active'] }, 1, 0] } },
+                disposed: { $sum: { $cond: [{ $eq: ['$status', 'disposed'] }, 1, 0] } }
+            }
+        },
+        { $sort: { total: -1 } }
+    ];
+
+    const [result] = await Case.aggregate([
+        { $match: scopeMatch(scope) },
+        {
+            $facet: {
+                byCaseType: countBy('$caseType'),
+                byCourtPremises: countBy('$courtPremises'),
+                byStatus: [{ $group: { _id: '$status', count: { $sum: 1 } } }]
+            }
+        }
+    ]);
+
+    const byStatus = Object.fromEntries(Case.schema.path('status').enumValues.map((s) => [s, 0]));
+    for (const row of result.byStatus) byStatus[row._id] = row.count;
+
+    return {
+        byCaseType: result.byCaseType.map(({ _id, ...counts }) => ({ caseType: _id, ...counts })),
+        byCourtPremises: result.byCourtPremises.map(({ _id, ...counts }) => ({ courtPremises: _id, ...counts })),
+        byStatus
+    };
+};
+
+/**
+ * Average case age in days: open cases (active/inactive) as of today, disposed cases from opening to closure.
+ * @returns {Promise<{ open: Object, disposed: Object, openByCaseType: Object[] }>}
+ */
+const getCaseAgeStats = async (scope) => {
+    const now = new Date();
+    const openMatch = { status: { $in: OPEN_CASE_STATUSES } };
+    const ageOf = (end) => ({ $subtract: [end, '$createdAt'] });
+
+    const [result] = await Case.aggregate([
+        { $match: scopeMatch(scope) },
+        {
+            $facet: {
+                open: [
+                    { $match: openMatch },
+                    { $group: { _id: null, count: { $sum: 1 }, averageMs: { $avg: ageOf(now) }, oldestMs: { $max: ageOf(now) } } }
+                ],
+                disposed: [
+                    { $match: { status: 'disposed', 'closure.closedAt': { $ne: null } } },
+                    { $group: { _id: null, count: { $sum: 1 }, averageMs: { $avg: ageOf('$closure.closedAt') } } }
+                ],
+                openByCaseType: [
+                    { $match: openMatch },
+                    { $group: { _id: '$caseType', count: { $sum: 1 }, averageMs: { $avg: ageOf(now) } } },
+                    { $sort: { averageMs: -1 } }
+                ]
+            }
+        }
+    ]);
+
+    const open = result.open[0];
+    const disposed = result.disposed[0];
+    return {
+        open: {
+            count: open ? open.count : 0,
+            averageDays: open ? toDays(open.averageMs) : 0,
+            oldestDays: open ? toDays(open.oldestMs) : 0
+        },
+        disposed: {
+            count: disposed ? disposed.count : 0,
+            averageDays: disposed ? toDays(disposed.averageMs) : 0
+        },
+        openByCaseType: result.openByCaseType.map((r) => ({ caseType: r._id, count: r.count, averageDays: toDays(r.averageMs) }))
+    };
+};
+
+/**
+ * Hearings (stage nextDate on active cases) per week, weeks starting Monday.
+ * The range is over hearing dates and defaults to today .. DEFAULT_HEARING_WEEKS weeks ahead.
+ * @returns {Promise<Array<{ weekStart: Date, weekEnd: Date, hearings: number, cases: number }>>}
+ */
+const getWeeklyHearingLoad = async ({ organizationId, visibleTo, from, to }) => {
+    const start = startOfDay(from || new Date());
+    const end = to || new Date(start.getTime() + DEFAULT_HEARING_WEEKS * 7 * MS_PER_DAY - 1);
+    const range = { $gte: start, $lte: end };
+
+    const days = await Case.aggregate([
+        { $match: { ...scopeMatch({ organizationId, visibleTo }, { dated: false }), status: 'active', 'stages.nextDate': range } },
+        { $unwind: '$stages' },
+        { $match: { 'stages.nextDate': range } },
+        {
+            $group: {
+                _id: { $dateToString: { format: '%Y-%m-%d', date: '$stages.nextDate', timezone: TIME_ZONE } },
+                hearings: { $sum: 1 },
+                cases: { $addToSet: '$_id' }
+            }
+        }
+    ]);
+
+    // Monday on or before the range start
+    const firstWeek = new Date(start);
+    firstWeek.setDate(firstWeek.getDate() - ((firstWeek.getDay() + 6) % 7));
+    const weeks = [];
+    for (let d = firstWeek; d <= end; d = new Date(d.getFullYear(), d.getMonth(), d.getDate() + 7)) {
+        weeks.push({ weekStart: d, weekEnd: new Date(d.getFullYear(), d.getMonth(), d.getDate() + 6), hearings: 0, cases: new Set() });
+    }
+    for (const day of days) {
+        const date = fromDayKey(day._id);
+        const week = weeks.find((w) => date >= w.weekStart && date <= w.weekEnd);
+        if (!week) continue;
+        week.hearings += day.hearings;
+        day.cases.forEach((id) => week.cases.add(String(id)));
+    }
+    return weeks.map((w) => ({ ...w, cases: w.cases.size }));
+};
+
+/**
+ * Client counts by status (clients created in the range, or all).
+ * @returns {Promise<{ total: number, byStatus: Object }>}
+ */
+const getClientStatusCounts = async (scope) => {
+    const rows = await Client.aggregate([
+        { $match: scopeMatch(scope) },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    const byStatus = Object.fromEntries(Client.schema.path('status').enumValues.map((s) => [s, 0]));
+    for (const row of rows) byStatus[row._id] = row.count;
+    return {
+        total: rows.reduce((sum, r) => sum + r.count, 0),
+        byStatus
+    };
+};
+
+/**
+ * Fee totals: agreed client fees (clients created in the range), billed invoices (invoiceDate in the range)
+ * and payments received (paidOn in the range). Cancelled and draft invoices are not counted.
+ * @returns {Promise<{ agreedFees: Object, invoiced: Object, collected: Object }>}
+ */
+const getFeeTotals = async ({ organizationId, visibleTo, from, to }) => {
+    const range = dateCondition(from, to);
+    const invoiceMatch = { organization: String(organizationId), deletedAt: null, status: { $in: BILLED_INVOICE_STATUSES } };
+    if (visibleTo) {
+        invoiceMatch.client = {
+            $in: await Client.find({ organization: String(organizationId), ...teamVisibilityFilter(visibleTo) })
+                .setOptions({ includeDeleted: true })
+                .distinct('_id')
+        };
+    }
+
+    const [[agreed], [invoiced], [collected]] = await Promise.all([
+        Client.aggregate([
+            { $match: scopeMatch({ organizationId, visibleTo, from, to }) },
+            { $group: { _id: null, clients: { $sum: 1 }, total: { $sum: '$fees' } } }
+        ]),
+        Invoice.aggregate([
+            { $match: range ? { ...invoiceMatch, invoiceDate: range } : invoiceMatch },
+            {
+                $group: {
+                    _id: null,
+                    invoiceCount: { $sum: 1 },
+                    subtotal: { $sum: '$subtotal' },
+                    tax: { $sum: '$taxTotal' },
+                    total: { $sum: '$total' },
+                    paid: { $sum: '$amountPaid' },
+                    outstanding: { $sum: '$balanceDue' }
+                }
+            }
+        ]),
+        Invoice.aggregate([
+            { $match: invoiceMatch },
+            { $unwind: '$payments' },
+            ...(range ? [{ $match: { 'payments.paidOn': range } }] : []),
+            { $group: { _id: null, paymentCount: { $sum: 1 }, total: { $sum: '$payments.amount' } } }
+        ])
+    ]);
+
+    return {
+        agreedFees: {
+            clients: agreed ? agreed.clients : 0,
+            total: roundMoney(agreed ? agreed.total : 0)
+        },
+        invoiced: {
+            invoiceCount: invoiced ? invoiced.invoiceCount : 0,
+            subtotal: roundMoney(invoiced ? invoiced.subtotal : 0),
+            tax: roundMoney(invoiced ? invoiced.tax : 0),
+            total: roundMoney(invoiced ? invoiced.total : 0),
+            paid: roundMoney(invoiced ? invoiced.paid : 0),
+            outstanding: roundMoney(invoiced ? invoiced.outstanding : 0)
+        },
+        collected: {
+            paymentCount: collected ? collected.paymentCount : 0,
+            total: roundMoney(collected ? collected.total : 0)
+        }
+    };
+};
+
+module.exports = {
+    getCaseMonthlyTrend,
+    getAdvocateCaseload,
+    getCaseBreakdown,
+    getCaseAgeStats,
+    getWeeklyHearingLoad,
+    getClientStatusCounts,
+    getFeeTotals
+};
@@ -0,0 +1,228 @@
+// utils/auditTrail.js
+// Mongoose plugin that writes an AuditLog entry with field-level before/after values whenever an
+// audited document is created, saved, updated through findOneAndUpdate, or deleted.
+
+const { AsyncLocalStorage } = require('async_hooks');
+const AuditLog = require('../models/AuditLog');
+
+const auditStorage = new AsyncLocalStorage();
+
+// Never worth recording on any model
+const ALWAYS_IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+/**
+ * Run fn with an audit context (used by middleware/auditContext for every request).
+ * @param {{ req?: Object }} store
+ * @param {Function} fn
+ */
+const runWithAuditContext = (store, fn) => auditStorage.run(store, fn);
+
+/**
+ * Who is making the current change, from the request in the audit context.
+ * Background jobs have no request and are recorded as 'system'.
+ */
+const getCurrentActor = () => {
+    const store = auditStorage.getStore();
+    const req = store && store.req;
+    if (!req) {
+        return { actor: null, actorType: 'system', route: null, ipAddress: null };
+    }
+    return {
+        actor: req.user ? String(req.user._id) : null,
+        actorType: req.user ? (req.userType === 'employee' ? 'employee' : 'admin') : 'system',
+        route: `${req.method} ${(req.originalUrl || req.url || '').split('?')[0]}`,
+        ipAddress: req.ip || null
+    };
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Arrays of subdocuments (e.g. case stages) are compared item by item using _id
+const isKeyedArray = (arr) => arr.every((item) => isPlainObject(item) && item._id != null);
+
+// Dates become ISO strings and ObjectIds strings, so before/after compare and store consistently
+const toPlain = (value) => (value == null ? null : JSON.parse(JSON.stringify(value)));
+
+const maskValue = (value) => {
+    if (value == null || value === '') return value;
+    const text = String(value);
+    return text.length <= 4 ? '****' : `****${text.slice(-4)}`;
+};
+
+/**
+ * Field-level differences between two plain objects.
+ * @param {Object|null} before
+ * @param {Object|null} after
+ * @param {{ exclude?: string[], mask?: string[] }} [options] - Field names (at any depth) to skip or mask
+ * @returns {Array<{ path: string, before: *, after: * }>}
+ */
+const diffDocuments = (before, after, options = {}) => {
+    const ignored = new Set([...ALWAYS_IGNORED_FIELDS, ...(options.exclude || [])]);
+    const masked = new Set(options.mask || []);
+    const changes = [];
+
+    const walk = (a, b, path, field) => {
+        // A populated reference compared to its id is not a change
+        if (typeof a === 'string' && isPlainObject(b) && b._id != null) b = String(b._id);
+        if (typeof b === 'string' && isPlainObject(a) && a._id != null) a = String(a._id);
+        // Created or removed documents: diff their subdocument arrays item by item too
+        if (a == null && Array.isArray(b) && b.length && isKeyedArray(b)) a = [];
+        if (b == null && Array.isArray(a) && a.length && isKeyedArray(a)) b = [];
+
+        if (isPlainObject(a) && isPlainObject(b)) {
+            const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+            for (const key of keys) {
+                if (ignored.has(key)) continue;
+                walk(a[key], b[key], path ? `${path}.${key}` : key, key);
+            }
+            return;
+        }
+
+        if (Array.isArray(a) && Array.isArray(b) && (a.length || b.length) && isKeyedArray(a) && isKeyedArray(b)) {
+            const beforeById = new Map(a.map((item) => [String(item._id), item]));
+            const afterById = new Map(b.map((item) => [String(item._id), item]));
+            const ids = new Set([...beforeById.keys(), ...afterById.keys()]);
+            for (const id of ids) {
+                walk(beforeById.get(id) ?? null, afterById.get(id) ?? null, `${path}.${id}`, field);
+            }
+            return;
+        }
+
+        // A whole subdocument added or removed: record its fields individually
+        if ((a == null && isPlainObject(b)) || (isPlainObject(a) && b == null)) {
+            walk(a || {}, b || {}, path, field);
+            return;
+        }
+
+        const beforeValue = a === undefined ? null : a;
+        const afterValue = b === undefined ? null : b;
+        if (JSON.stringify(beforeValue) === JSON.stringify(afterValue)) return;
+
+        changes.push({
+            path,
+            before: masked.has(field) ? maskValue(beforeValue) : beforeValue,
+            after: masked.has(field) ? maskValue(afterValue) : afterValue
+        });
+    };
+
+    walk(before || {}, after || {}, '', null);
+    return changes;
+};
+
+const resolveAction = (changes, fallback) => {
+    const deletedAtChange = changes.find((c) => c.path === 'deletedAt');
+    if (deletedAtChange && !deletedAtChange.before && deletedAtChange.after) return 'delete';
+    if (deletedAtChange && deletedAtChange.before && !deletedAtChange.after) return 'restore';
+    return fallback;
+};
+
+const writeAuditLog = async ({ entityType, label, before, after, action, actorInfo, diffOptions }) => {
+    try {
+        const changes = diffDocuments(before, after, diffOptions);
+        if (changes.length === 0) return;
+
+        const current = after || before;
+        const organization = current.organization && current.organization._id
+            ? current.organization._id
+            : current.organization;
+
+        await AuditLog.create({
+            organization: organization ? String(organization) : null,
+            entityType,
+            entityId: String(current._id),
+            entityLabel: label ? (label(current) || null) : null,
+            action: action === 'update' ? resolveAction(changes, action) : action,
+            changes,
+            ...(actorInfo || getCurrentActor())
+        });
+    } catch (err) {
+        console.error(`⚠️ Failed to write audit log for ${entityType}:`, err.message);
+    }
+};
+
+/**
+ * Audit plugin. Apply in the model file before mongoose.model():
+ *   ClientSchema.plugin(auditPlugin, { entityType: 'client', label: (c) => `${c.firstName} ${c.lastName}` });
+ * Set doc.$locals.auditActor = { actor, actorType } to attribute a save made outside a request.
+ * @param {mongoose.Schema} schema
+ * @param {Object} options
+ * @param {string} options.entityType - AuditLog.entityType
+ * @param {Function} [options.label] - (plainDoc) => display label stored with each entry
+ * @param {string[]} [options.exclude] - Field names never recorded (secrets, bookkeeping)
+ * @param {string[]} [options.mask] - Field names recorded with all but the last 4 characters hidden
+ */
+const auditPlugin = (schema, options) => {
+    const { entityType, label } = options;
+    const diffOptions = { exclude: options.exclude || [], mask: options.mask || [] };
+    const toAuditObject = (doc) => toPlain(doc.toObject({ depopulate: true, virtuals: false, getters: false }));
+    const loadSnapshot = (model, filter) => model.findOne(filter).setOptions({ includeDeleted: true }).lean();
+
+    schema.pre('save', async function() {
+        this.$locals.auditActorInfo = this.$locals.auditActor
+            ? { route: null, ipAddress: null, ...this.$locals.auditActor }
+            : getCurrentActor();
+        this.$locals.auditWasNew = this.isNew;
+        this.$locals.auditBefore = null;
+        if (!this.isNew && this.isModified()) {
+            this.$locals.auditBefore = toPlain(await loadSnapshot(this.constructor, { _id: this._id }));
+        }
+    });
+
+    schema.post('save', async function(doc) {
+        const wasNew = doc.$locals.auditWasNew;
+        const before = doc.$locals.auditBefore;
+        if (!wasNew && !before) return;
+
+        await writeAuditLog({
+            entityType,
+            label,
+            before: wasNew ? null : before,
+            after: toAuditObject(doc),
+            action: wasNew ? 'create' : 'update',
+            actorInfo: doc.$locals.auditActorInfo,
+            diffOptions
+        });
+    });
+
+    schema.pre('findOneAndUpdate', async function() {
+        this._auditActorInfo = getCurrentActor();
+        this._auditBefore = toPlain(await loadSnapshot(this.model, this.getFilter()));
+    });
+
+    schema.post('findOneAndUpdate', async function() {
+        if (!this._auditBefore) return;
+        const after = toPlain(await loadSnapshot(this.model, { _id: this._auditBefore._id }));
+        await writeAuditLog({
+            entityType,
+            label,
+            before: this._auditBefore,
+            after,
+            action: 'update',
+            actorInfo: this._auditActorInfo,
+            diffOptions
+        });
+    });
+
+    schema.pre('deleteOne', { document: true, query: false }, function() {
+        this.$locals.auditActorInfo = getCurrentActor();
+    });
+
+    schema.post('deleteOne', { document: true, query: false }, async function(doc) {
+        await writeAuditLog({
+            entityType,
+            label,
+            before: toAuditObject(doc),
+            after: null,
+            action: 'delete',
+            actorInfo: doc.$locals.auditActorInfo,
+            diffOptions
+        });
+    });
+};
+
+module.exports = {
+    auditPlugin,
+    runWithAuditContext,
+    getCurrentActor,
+    diffDocuments
+};
@@ -0,0 +1,197 @@
+// utils/calendarUtils.js
+// Hearing calendar helpers: collect upcoming stage hearings and serialize them as iCalendar (RFC 5545)
+
+const Case = require('../models/Case');
+const { teamVisibilityFilter } = require('./teamUtils');
+const { MS_PER_DAY } = require('./dateUtils');
+
+const ICS_PRODID = '-//CaseSnap//Hearing Calendar//EN';
+const ICS_UID_DOMAIN = 'casesnap';
+const ICS_MAX_LINE_LENGTH = 75;
+
+/**
+ * Stable event UID for a case stage hearing. Stays the same when nextDate is rescheduled,
+ * so subscribed calendars update the existing event instead of adding a new one.
+ * @param {string} caseId
+ * @param {string} stageId
+ * @returns {string}
+ */
+const buildHearingUid = (caseId, stageId) => `${caseId}-${stageId}@${ICS_UID_DOMAIN}`;
+
+/**
+ * Find stage hearings (stages with a nextDate) in a date range for an organization.
+ * @param {Object} options
+ * @param {string} options.organizationId
+ * @param {Date} options.from - inclusive
+ * @param {Date} options.to - inclusive
+ * @param {string} [options.assignedTo] - restrict to cases assigned to this user
+ * @param {string} [options.visibleTo] - restrict to cases this user is assigned to or on the team of (visibility rule)
+ * @param {string} [options.courtPremises]
+ * @returns {Promise<Object[]>} Events sorted by date
+ */
+const getHearingEvents = async ({ organizationId, from, to, assignedTo, visibleTo, courtPremises }) => {
+    const query = {
+        organization: organizationId,
+        status: 'active',
+        deletedAt: null,
+        stages: { $elemMatch: { nextDate: { $gte: from, $lte: to } } }
+    };
+    if (assignedTo) query.assignedTo = assignedTo;
+    if (visibleTo) query.$and = [teamVisibilityFilter(visibleTo)];
+    if (courtPremises) query.courtPremises = courtPremises;
+
+    const cases = await Case.find(query)
+        .select('caseNumber caseType partyName parties courtName courtPremises assignedTo stages')
+        .populate('assignedTo', 'firstName lastName email')
+        .populate('stages.confirmedBy', '_id firstName lastName email')
+        .lean();
+
+    const events = [];
+    for (const c of cases) {
+        for (const stage of c.stages || []) {
+            if (!stage.nextDate) continue;
+            const date = new Date(stage.nextDate);
+            if (date < from || date > to) continue;
+
+            events.push({
+                uid: buildHearingUid(c._id, stage._id),
+                caseId: c._id,
+                caseNumber: c.caseNumber,
+                caseType: c.caseType,
+                partyName: c.partyName,
+                parties: c.parties || [],
+                courtName: c.courtName || '',
+                courtPremises: c.courtPremises || '',
+                assignedTo: c.assignedTo || null,
+                stageId: stage._id.toString(),
+                stageName: stage.stageName,
+                date,
+                purpose: stage.nextDatePurpose || '',
+                preparation: stage.nextDatePreparation || '',
+                confirmedBy: stage.confirmedBy || null,
+                sequence: stage.rescheduleCount || 0,
+                updatedAt: stage.updatedAt || null
+            });
+        }
+    }
+
+    events.sort((a, b) => a.date - b.date);
+    return events;
+};
+
+/**
+ * Parse ?from=&to= query params. Defaults to today .. today + defaultDays.
+ * @returns {{ from: Date, to: Date } | { error: string }}
+ */
+const parseDateRange = (fromRaw, toRaw, defaultDays = 30) => {
+    const from = fromRaw ? new Date(fromRaw) : new Date();
+    if (Number.isNaN(from.getTime())) return { error: 'Invalid from date' };
+    if (!fromRaw) from.setHours(0, 0, 0, 0);
+
+    const to = toRaw ? new Date(toRaw) : new Date(from.getTime() + defaultDays * MS_PER_DAY);
+    if (Number.isNaN(to.getTime())) return { error: 'Invalid to date' };
+    if (!toRaw) to.setHours(23, 59, 59, 999);
+
+    if (to < from) return { error: 'to date must be on or after from date' };
+    return { from, to };
+};
+
+// ---- iCalendar serialization ----
+
+const pad2 = (n) => String(n).padStart(2, '0');
+
+/** Local calendar date as YYYYMMDD (hearings are all-day events, same day boundary as the reminder job) */
+const formatIcsDate = (date) => {
+    const d = new Date(date);
+    return `${d.getFullYear()}${pad2(d.getMonth() + 1)}${pad2(d.getDate())}`;
+};
+
+/** UTC timestamp as YYYYMMDDTHHMMSSZ */
+const formatIcsDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const escapeIcsText = (value) => String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/** Fold content lines longer than 75 octets (RFC 5545 §3.1) */
+const foldIcsLine = (line) => {
+    if (Buffer.byteLength(line, 'utf8') <= ICS_MAX_LINE_LENGTH) return line;
+    const parts = [];
+    let current = '';
+    for (const ch of line) {
+        const limit = parts.length === 0 ? ICS_MAX_LINE_LENGTH : ICS_MAX_LINE_LENGTH - 1;
+        if (Buffer.byteLength(current + ch, 'utf8') > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += ch;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+const buildHearingVevent = (event, dtstamp) => {
+    const nextDay = new Date(event.date);
+    nextDay.setDate(nextDay.getDate() + 1);
+
+    const caseLabel = event.caseNumber || event.caseId;
+    const descriptionParts = [
+        `Case: ${caseLabel}`,
+        `Case type: ${event.caseType || ''}`,
+        `Stage: ${event.stageName}`
+    ];
+    if (event.purpose) descriptionParts.push(`Purpose: ${event.purpose}`);
+    if (event.preparation) descriptionParts.push(`Preparation: ${event.preparation}`);
+    const location = [event.courtName, event.courtPremises].filter(Boolean).join(', ');
+
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${event.uid}`,
+        `DTSTAMP:${formatIcsDateTime(dtstamp)}`,
+        `DTSTART;VALUE=DATE:${formatIcsDate(event.date)}`,
+        `DTEND;VALUE=DATE:${formatIcsDate(nextDay)}`,
+        `SEQUENCE:${event.sequence || 0}`,
+        `SUMMARY:${escapeIcsText(`Hearing: ${caseLabel} - ${event.partyName}`)}`,
+        `DESCRIPTION:${escapeIcsText(descriptionParts.join('\n'))}`
+    ];
+    if (location) lines.push(`LOCATION:${escapeIcsText(location)}`);
+    if (event.updatedAt) lines.push(`LAST-MODIFIED:${formatIcsDateTime(event.updatedAt)}`);
+    lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+    return lines;
+};
+
+/**
+ * Serialize hearing events into an iCalendar document.
+ * @param {Object} options
+ * @param {string} options.name - Calendar display name (X-WR-CALNAME)
+ * @param {Object[]} options.events - From getHearingEvents
+ * @returns {string}
+ */
+const buildHearingsIcs = ({ name, events }) => {
+    const dtstamp = new Date();
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${ICS_PRODID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeIcsText(name)}`,
+        'REFRESH-INTERVAL;VALUE=DURATION:PT6H',
+        'X-PUBLISHED-TTL:PT6H'
+    ];
+    for (const event of events) {
+        lines.push(...buildHearingVevent(event, dtstamp));
+    }
+    lines.push('END:VCALENDAR');
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+    buildHearingUid,
+    getHearingEvents,
+    parseDateRange,
+    buildHearingsIcs,
+    escapeIcsText
+};
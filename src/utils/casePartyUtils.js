@@ -0,0 +1,134 @@
+// utils/casePartyUtils.js
+// Structured case parties (petitioners, respondents, opposing counsel, judges): validation and cross-case filters
+
+const Case = require('../models/Case');
+const { containsPattern } = require('./regexUtils');
+
+const PARTY_ROLES = Case.PARTY_ROLES;
+const PARTY_FIELDS = ['name', 'barEnrolmentNumber', 'representing', 'designation', 'phone', 'email', 'address', 'notes'];
+const MAX_PARTIES = 100;
+
+/**
+ * Validate one party from a request body.
+ * @param {Object} raw - { role, name, barEnrolmentNumber, representing, designation, phone, email, address, notes }
+ * @param {{ partial?: boolean }} [options] - partial: role/name may be omitted (updates)
+ * @returns {{ data: Object } | { error: string }}
+ */
+const sanitizePartyPayload = (raw = {}, { partial = false } = {}) => {
+    const data = {};
+
+    if (raw.role !== undefined || !partial) {
+        if (!PARTY_ROLES.includes(raw.role)) {
+            return { error: `Party role must be one of: ${PARTY_ROLES.join(', ')}` };
+        }
+        data.role = raw.role;
+    }
+    if (raw.name !== undefined || !partial) {
+        const name = raw.name ? String(raw.name).trim() : '';
+        if (!name) return { error: 'Party name is required' };
+        data.name = name;
+    }
+
+    for (const field of PARTY_FIELDS) {
+        if (field === 'name' || raw[field] === undefined) continue;
+        const value = raw[field] === null ? '' : String(raw[field]).trim();
+        data[field] = value;
+    }
+    if (data.barEnrolmentNumber !== undefined) data.barEnrolmentNumber = data.barEnrolmentNumber || null;
+    if (data.representing !== undefined) {
+        data.representing = data.representing || null;
+        if (data.representing && !['petitioner', 'respondent'].includes(data.representing)) {
+            return { error: "representing must be 'petitioner' or 'respondent'" };
+        }
+    }
+    if (data.email && !/^\S+@\S+\.\S+$/.test(data.email)) {
+        return { error: `Invalid email for party "${data.name || raw.name || ''}"` };
+    }
+
+    return { data };
+};
+
+/**
+ * Validate a list of parties (e.g. on case creation).
+ * @returns {{ parties: Object[] } | { error: string }}
+ */
+const sanitizePartyList = (list) => {
+    if (list === undefined || list === null) return { parties: [] };
+    if (!Array.isArray(list)) return { error: 'parties must be an array' };
+    if (list.length > MAX_PARTIES) return { error: `A case can have at most ${MAX_PARTIES} parties` };
+    const parties = [];
+    for (const raw of list) {
+        const { data, error } = sanitizePartyPayload(raw);
+        if (error) return { error };
+        parties.push(data);
+    }
+    return { parties };
+};
+
+/**
+ * Case query conditions for the party filters shared by getCases and the Excel export.
+ * Each filter is a case-insensitive "contains" match on the party name; opposingCounsel also matches the bar enrolment number.
+ * @param {Object} params - { party, petitioner, respondent, opposingCounsel, judge }
+ * @returns {Object[]} Conditions to put under $and (empty when no filter is given)
+ */
+const buildPartyFilterConditions = ({ party, petitioner, respondent, opposingCounsel, judge } = {}) => {
+    const conditions = [];
+    const byRole = (role, value) => ({ parties: { $elemMatch: { role, name: containsPattern(value) } } });
+
+    if (party && String(party).trim()) {
+        conditions.push({ 'parties.name': containsPattern(party) });
+    }
+    if (petitioner && String(petitioner).trim()) conditions.push(byRole('petitioner', petitioner));
+    if (respondent && String(respondent).trim()) conditions.push(byRole('respondent', respondent));
+    if (judge && String(judge).trim()) conditions.push(byRole('judge', judge));
+    if (opposingCounsel && String(opposingCounsel).trim()) {
+        conditions.push({
+            parties: {
+                $elemMatch: {
+                    role: 'opposing_counsel',
+                    $or: [
+                        { name: containsPattern(opposingCounsel) },
+                        { barEnrolmentNumber: String(opposingCounsel).trim().toUpperCase() }
+                    ]
+                }
+            }
+        });
+    }
+    return conditions;
+};
+
+/**
+ * Parties to carry over to a related case (appeal/revision/transfer): the litigants and counsel, not the bench.
+ */
+const copyablePartiesFrom = (caseDoc) => (caseDoc.parties || [])
+    .filter((p) => p.role !== 'judge')
+    .map((p) => {
+        const copy = { role: p.role };
+        for (const field of PARTY_FIELDS) {
+            if (p[field] !== undefined && p[field] !== null) copy[field] = p[field];
+        }
+        return copy;
+    });
+
+/**
+ * Parties on the other side of a matter, for the conflict check.
+ * The side opposing counsel represents is the opposing side; without that, every petitioner and respondent is checked.
+ */
+const opposingPartiesOf = (parties = []) => {
+    const opposingSides = new Set(parties
+        .filter((p) => p.role === 'opposing_counsel' && p.representing)
+        .map((p) => p.representing));
+    return parties.filter((p) => (opposingSides.size > 0
+        ? opposingSides.has(p.role)
+        : ['petitioner', 'respondent'].includes(p.role)));
+};
+
+module.exports = {
+    PARTY_ROLES,
+    MAX_PARTIES,
+    sanitizePartyPayload,
+    sanitizePartyList,
+    buildPartyFilterConditions,
+    copyablePartiesFrom,
+    opposingPartiesOf
+};
@@ -0,0 +1,107 @@
+// utils/caseRelations.js
+// Relationship graph between cases (appeals, revisions, connected and transferred matters)
+
+const Case = require('../models/Case');
+
+const RELATION_TYPES = Case.RELATION_TYPES;
+
+/** How an outgoing link reads from the other case's side */
+const INVERSE_RELATION_LABELS = Object.freeze({
+    appeal_of: 'appealed_in',
+    revision_of: 'revised_in',
+    connected_with: 'connected_with',
+    transferred_from: 'transferred_to'
+});
+
+const MAX_GRAPH_CASES = 50;
+const GRAPH_CASE_SELECT = 'caseNumber caseType partyName courtName courtPremises status closure.outcome closure.judgmentDate assignedTo team.user relatedCases organization';
+
+/**
+ * Walk the relationship graph from one case in both directions (cases it links to and cases linking to it).
+ * Stops after MAX_GRAPH_CASES cases; `truncated` is set when it does.
+ * @param {Object} caseDoc - Root case (needs _id, organization)
+ * @param {{ canViewCase?: (c: Object) => boolean }} [options] - Cases the user cannot open come back with restricted: true and no details
+ * @returns {Promise<{ rootId: string, nodes: Object[], edges: Object[], related: Object[], truncated: boolean }>}
+ */
+const getCaseRelationGraph = async (caseDoc, { canViewCase = () => true } = {}) => {
+    const organizationId = String(caseDoc.organization?._id || caseDoc.organization);
+    const rootId = String(caseDoc._id);
+
+    const casesById = new Map();
+    const edges = new Map();
+    const expanded = new Set();
+    let frontier = [rootId];
+    let truncated = false;
+
+    while (frontier.length > 0 && !truncated) {
+        const batch = frontier.filter((id) => !expanded.has(id));
+        if (batch.length === 0) break;
+        batch.forEach((id) => expanded.add(id));
+
+        // The batch itself plus every case linking to it
+        const found = await Case.find({
+            organization: organizationId,
+            deletedAt: null,
+            $or: [{ _id: { $in: batch } }, { 'relatedCases.case': { $in: batch } }]
+        }).select(GRAPH_CASE_SELECT).lean();
+
+        const next = new Set();
+        for (const c of found) {
+            const id = String(c._id);
+            if (!casesById.has(id)) {
+                if (casesById.size >= MAX_GRAPH_CASES) {
+                    truncated = true;
+                    break;
+                }
+                casesById.set(id, c);
+            }
+            if (!expanded.has(id)) next.add(id);
+            for (const rel of c.relatedCases || []) {
+                edges.set(String(rel._id), {
+                    linkId: String(rel._id),
+                    from: id,
+                    to: String(rel.case),
+                    type: rel.type,
+                    note: rel.note || '',
+                    createdAt: rel.createdAt || null
+                });
+                if (batch.includes(id) && !expanded.has(String(rel.case))) next.add(String(rel.case));
+            }
+        }
+        frontier = [...next];
+    }
+
+    const toNode = (c) => (canViewCase(c)
+        ? {
+            _id: String(c._id),
+            caseNumber: c.caseNumber,
+            caseType: c.caseType,
+            partyName: c.partyName,
+            courtName: c.courtName || null,
+            courtPremises: c.courtPremises || null,
+            status: c.status,
+            outcome: c.closure ? c.closure.outcome : null,
+            judgmentDate: c.closure ? c.closure.judgmentDate : null,
+            restricted: false
+        }
+        : { _id: String(c._id), restricted: true });
+
+    const nodes = [...casesById.values()].map(toNode);
+    const nodeById = new Map(nodes.map((n) => [n._id, n]));
+    const graphEdges = [...edges.values()].filter((e) => nodeById.has(e.from) && nodeById.has(e.to));
+
+    // Direct relations of the root, read from its side
+    const related = graphEdges
+        .filter((e) => e.from === rootId || e.to === rootId)
+        .map((e) => (e.from === rootId
+            ? { linkId: e.linkId, relation: e.type, direction: 'outgoing', note: e.note, case: nodeById.get(e.to) }
+            : { linkId: e.linkId, relation: INVERSE_RELATION_LABELS[e.type], direction: 'incoming', note: e.note, case: nodeById.get(e.from) }));
+
+    return { rootId, nodes, edges: graphEdges, related, truncated };
+};
+
+module.exports = {
+    RELATION_TYPES,
+    INVERSE_RELATION_LABELS,
+    getCaseRelationGraph
+};
@@ -1,69 +1,199 @@
 const Case = require('../models/Case');
-const Notification = require('../models/Notification');
+const Task = require('../models/Task');
+const { createReminderPolicyResolver } = require('./reminderPolicyUtils');
+const { createDispatchContext, dispatchNotification } = require('./notificationDispatcher');
+const { buildReminderEmailOptions, runHearingDigest, runCauseListEmails } = require('./reminderEmailDelivery');
+const { getAssigneeUserIdsForModule } = require('./assigneeUtils');
+const { findDueLimitationAlert, limitationAlertEscalation } = require('./limitationUtils');
+const { createCourtCalendar } = require('./courtCalendar');
+const { startOfDay, getDayDiff } = require('./dateUtils');
 
-const MS_PER_DAY = 24 * 60 * 60 * 1000;
 const POLL_INTERVAL_MS = 6 * 60 * 60 * 1000;
 
-const startOfDay = (date) => {
-    const d = new Date(date);
-    d.setHours(0, 0, 0, 0);
-    return d;
-};
-
-const getDayDiff = (fromDate, toDate) => {
-    const from = startOfDay(fromDate).getTime();
-    const to = startOfDay(toDate).getTime();
-    return Math.round((to - from) / MS_PER_DAY);
-};
-
-const buildReminderPayload = (dayDiff) => {
-    if (dayDiff === 5) {
-        return {
-            type: 'case_stage_reminder_5_days',
-            title: 'Case hearing in 5 days'
-        };
-    }
-    if (dayDiff === 2) {
-        return {
-            type: 'case_stage_reminder_2_days',
-            title: 'Case hearing in 2 days'
-        };
-    }
-    if (dayDiff === 1) {
-        return {
-            type: 'case_stage_reminder_1_day',
-            title: 'Case hearing tomorrow'
-        };
-    }
+const buildReminderPayload = (dayDiff, workingDays = false) => {
     if (dayDiff < 0) {
         return {
             type: 'case_stage_followup_after_date',
             title: 'Update next stage details'
         };
     }
-    return null;
+    let title = `Case hearing in ${dayDiff} ${workingDays ? 'working ' : ''}days`;
+    if (dayDiff === 0) title = 'Case hearing today';
+    if (dayDiff === 1) title = 'Case hearing tomorrow';
+    return {
+        type: 'case_stage_reminder',
+        title
+    };
 };
 
-const wasReminderAlreadySent = (dayDiff, reminderMeta = {}) => {
-    if (dayDiff === 5) return Boolean(reminderMeta.before5DaysSentAt);
-    if (dayDiff === 2) return Boolean(reminderMeta.before2DaysSentAt);
-    if (dayDiff === 1) return Boolean(reminderMeta.before1DaySentAt);
-    if (dayDiff < 0) return Boolean(reminderMeta.afterDateSentAt);
+/**
+ * Convert legacy fixed reminderMeta flags into remindersSent records (one-time, per stage).
+ * @returns {boolean} true if the stage was changed
+ */
+const migrateLegacyReminderMeta = (stage) => {
+    const legacy = stage.reminderMeta || {};
+    const legacyRecords = [
+        [legacy.before5DaysSentAt, 'before', 5],
+        [legacy.before2DaysSentAt, 'before', 2],
+        [legacy.before1DaySentAt, 'before', 1],
+        [legacy.afterDateSentAt, 'after', null]
+    ].filter(([sentAt]) => sentAt);
+    if (legacyRecords.length === 0) return false;
+
+    for (const [sentAt, kind, offsetDays] of legacyRecords) {
+        stage.remindersSent.push({ kind, offsetDays, sentAt });
+    }
+    stage.reminderMeta = undefined;
     return true;
 };
 
-const markReminderSent = (dayDiff, reminderMeta = {}) => {
-    const now = new Date();
-    if (dayDiff === 5) reminderMeta.before5DaysSentAt = now;
-    if (dayDiff === 2) reminderMeta.before2DaysSentAt = now;
-    if (dayDiff === 1) reminderMeta.before1DaySentAt = now;
-    if (dayDiff < 0) reminderMeta.afterDateSentAt = now;
-    return reminderMeta;
+/**
+ * Decide which reminder (if any) is due for a stage today.
+ * Before the hearing: the nearest offset at or above dayDiff, unless that offset (or a closer one) already fired.
+ * Offsets missed while the job was not running collapse into a single catch-up reminder.
+ * @param {number} dayDiff - Days (calendar or working, per schedule) from today until nextDate (negative once passed)
+ * @param {{ offsetsDays: number[], followUpAfterDate: boolean }} schedule
+ * @param {Array} remindersSent
+ * @returns {{ kind: string, offsetDays: number|null } | null}
+ */
+const findDueReminder = (dayDiff, schedule, remindersSent = []) => {
+    if (dayDiff < 0) {
+        if (!schedule.followUpAfterDate) return null;
+        const alreadySent = remindersSent.some((r) => r.kind === 'after');
+        return alreadySent ? null : { kind: 'after', offsetDays: null };
+    }
+
+    const candidates = (schedule.offsetsDays || []).filter((o) => o >= dayDiff).sort((a, b) => a - b);
+    if (candidates.length === 0) return null;
+    const nearest = candidates[0];
+
+    const alreadySent = remindersSent.some((r) => r.kind === 'before' && r.offsetDays <= nearest);
+    return alreadySent ? null : { kind: 'before', offsetDays: nearest };
+};
+
+/**
+ * Notify assignees (or creators) of open tasks whose due date has passed.
+ * Each due date is notified once; moving the due date re-arms the reminder.
+ * @param {Date} today
+ * @param {Object} dispatchContext
+ * @returns {Promise<number>} Number of tasks notified
+ */
+const notifyOverdueTasks = async (today, dispatchContext) => {
+    const overdue = {
+        status: { $in: ['todo', 'in_progress'] },
+        dueDate: { $ne: null, $lt: startOfDay(today) },
+        deletedAt: null
+    };
+    // Like hearing reminders, only cases that are still running (deleted, disposed and archived cases are quiet)
+    const caseIds = await Task.distinct('case', overdue);
+    if (caseIds.length === 0) return 0;
+    const liveCaseIds = await Case.find({ _id: { $in: caseIds }, status: 'active', deletedAt: null }).distinct('_id');
+
+    const tasks = await Task.find({ ...overdue, case: { $in: liveCaseIds } }).populate('case', 'caseNumber');
+
+    let notified = 0;
+    for (const task of tasks) {
+        if (task.overdueNotifiedFor && task.overdueNotifiedFor.getTime() === task.dueDate.getTime()) continue;
+
+        const recipientId = task.assignedTo || task.createdBy;
+        const caseLabel = task.case ? (task.case.caseNumber || task.case._id) : '';
+        const daysOverdue = getDayDiff(task.dueDate, today);
+
+        await dispatchNotification({
+            userId: recipientId,
+            organization: task.organization,
+            type: 'task_overdue',
+            title: 'Task overdue',
+            message: `${caseLabel} - ${task.title} (${daysOverdue} day${daysOverdue === 1 ? '' : 's'} overdue)`.trim(),
+            relatedEntityType: 'task',
+            relatedEntityId: task._id.toString(),
+            createdBy: task.createdBy
+        }, { context: dispatchContext });
+
+        task.overdueNotifiedFor = task.dueDate;
+        await task.save();
+        notified += 1;
+    }
+    return notified;
+};
+
+const buildLimitationAlertTitle = (offsetDays, proceedingType) => {
+    if (offsetDays < 0) return `Limitation expired: ${proceedingType}`;
+    if (offsetDays === 0) return `Limitation expires today: ${proceedingType}`;
+    if (offsetDays === 1) return `Limitation expires tomorrow: ${proceedingType}`;
+    return `Limitation expires in ${offsetDays} days: ${proceedingType}`;
+};
+
+/**
+ * Escalating alerts for open limitation deadlines (see limitationUtils.limitationAlertEscalation for who gets them).
+ * Unlike hearing reminders this includes disposed and archived cases: the appeal clock runs after disposal.
+ * @param {Date} today
+ * @param {Object} dispatchContext
+ * @returns {Promise<number>} Number of cases alerted
+ */
+const notifyLimitationDeadlines = async (today, dispatchContext) => {
+    const cases = await Case.find({
+        deletedAt: null,
+        'limitation.status': 'open',
+        'limitation.deadline': { $ne: null }
+    }).select('_id caseNumber partyName organization assignedTo createdBy team limitation').lean();
+
+    const assigneesByOrg = new Map();
+    let alerted = 0;
+    for (const caseDoc of cases) {
+        const { limitation } = caseDoc;
+        const daysRemaining = getDayDiff(today, limitation.deadline);
+        const due = findDueLimitationAlert(daysRemaining, limitation);
+        if (!due) continue;
+
+        const escalation = limitationAlertEscalation(due.offsetDays);
+        const recipients = new Set();
+        if (caseDoc.assignedTo) recipients.add(String(caseDoc.assignedTo));
+        for (const member of caseDoc.team || []) {
+            if (member.role === 'lead' && (escalation.teamLeads || !caseDoc.assignedTo)) recipients.add(String(member.user));
+        }
+        if (escalation.caseAssignees) {
+            const orgId = String(caseDoc.organization);
+            if (!assigneesByOrg.has(orgId)) assigneesByOrg.set(orgId, await getAssigneeUserIdsForModule(orgId, 'cases'));
+            assigneesByOrg.get(orgId).forEach((id) => recipients.add(String(id)));
+        }
+        if (recipients.size === 0 && caseDoc.createdBy) recipients.add(String(caseDoc.createdBy));
+
+        const caseLabel = caseDoc.caseNumber || caseDoc._id;
+        const deadlineText = new Date(limitation.deadline).toDateString();
+        const pendingCopy = limitation.excludeCertifiedCopyTime && limitation.certifiedCopyAppliedOn && !limitation.certifiedCopyReadyOn
+            ? ' Certified copy awaited; update its ready date to extend the deadline.'
+            : '';
+
+        for (const userId of recipients) {
+            await dispatchNotification({
+                userId,
+                organization: caseDoc.organization,
+                type: 'limitation_deadline',
+                title: buildLimitationAlertTitle(due.offsetDays, limitation.proceedingType),
+                message: `${caseLabel} (${caseDoc.partyName}) - last day ${deadlineText}.${pendingCopy}`.trim(),
+                relatedEntityType: 'case',
+                relatedEntityId: caseDoc._id.toString(),
+                createdBy: caseDoc.createdBy
+            }, { context: dispatchContext });
+        }
+
+        await Case.updateOne(
+            { _id: caseDoc._id },
+            { $push: { 'limitation.alertsSent': { deadline: limitation.deadline, offsetDays: due.offsetDays, sentAt: new Date() } } }
+        );
+        alerted += 1;
+    }
+    return alerted;
 };
 
 const runCaseStageReminderCycle = async () => {
     const today = new Date();
+    const policyResolver = createReminderPolicyResolver();
+    const courtCalendar = createCourtCalendar();
+    const dispatchContext = createDispatchContext();
 
+    // Disposed, archived and inactive cases get no reminders
     const activeCases = await Case.find({
         status: 'active',
         deletedAt: null,
@@ -75,24 +205,28 @@ const runCaseStageReminderCycle = async () => {
         const stages = Array.isArray(caseDoc.stages) ? caseDoc.stages : [];
 
         for (const stage of stages) {
-            if (!stage.nextDate) continue;
-
-            const dayDiff = getDayDiff(today, stage.nextDate);
-            const reminder = buildReminderPayload(dayDiff);
-            if (!reminder) continue;
+            // Once the hearing outcome is recorded the matter continues in the next stage
+            if (!stage.nextDate || stage.hearingOutcome) continue;
 
-            const reminderMeta = stage.reminderMeta || {};
-            if (wasReminderAlreadySent(dayDiff, reminderMeta)) continue;
+            if (migrateLegacyReminderMeta(stage)) caseChanged = true;
 
             const recipientId = stage.confirmedBy || caseDoc.assignedTo;
             if (!recipientId) continue;
 
+            const schedule = await policyResolver.resolve(caseDoc.organization, recipientId, caseDoc);
+            const dayDiff = schedule.countWorkingDays
+                ? await courtCalendar.workingDayDiff(caseDoc.organization, today, stage.nextDate, caseDoc)
+                : getDayDiff(today, stage.nextDate);
+            const due = findDueReminder(dayDiff, schedule, stage.remindersSent);
+            if (!due) continue;
+
+            const reminder = buildReminderPayload(dayDiff, schedule.countWorkingDays);
             const caseLabel = caseDoc.caseNumber || caseDoc._id;
             const prepText = stage.nextDatePreparation
                 ? ` Preparation: ${stage.nextDatePreparation}`
                 : '';
 
-            await Notification.create({
+            await dispatchNotification({
                 userId: recipientId,
                 organization: caseDoc.organization,
                 type: reminder.type,
@@ -101,9 +235,12 @@ const runCaseStageReminderCycle = async () => {
                 relatedEntityType: 'case',
                 relatedEntityId: caseDoc._id.toString(),
                 createdBy: stage.createdBy || caseDoc.createdBy
+            }, {
+                context: dispatchContext,
+                ...buildReminderEmailOptions({ caseDoc, stage, due, title: reminder.title })
             });
 
-            stage.reminderMeta = markReminderSent(dayDiff, reminderMeta);
+            stage.remindersSent.push({ kind: due.kind, offsetDays: due.offsetDays, sentAt: new Date() });
             caseChanged = true;
         }
 
@@ -111,6 +248,30 @@ const runCaseStageReminderCycle = async () => {
             await caseDoc.save();
         }
     }
+
+    try {
+        await notifyOverdueTasks(today, dispatchContext);
+    } catch (err) {
+        console.error('⚠️ Overdue task reminders failed:', err.message);
+    }
+
+    try {
+        await notifyLimitationDeadlines(today, dispatchContext);
+    } catch (err) {
+        console.error('⚠️ Limitation deadline alerts failed:', err.message);
+    }
+
+    try {
+        await runHearingDigest(today, dispatchContext);
+    } catch (err) {
+        console.error('⚠️ Hearing digest emails failed:', err.message);
+    }
+
+    try {
+        await runCauseListEmails(today, dispatchContext);
+    } catch (err) {
+        console.error('⚠️ Cause list emails failed:', err.message);
+    }
 };
 
 const startCaseStageReminderJob = () => {
@@ -133,5 +294,8 @@ const startCaseStageReminderJob = () => {
 
 module.exports = {
     startCaseStageReminderJob,
-    runCaseStageReminderCycle
+    runCaseStageReminderCycle,
+    notifyOverdueTasks,
+    notifyLimitationDeadlines,
+    findDueReminder
 };
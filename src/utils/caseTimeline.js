@@ -0,0 +1,219 @@
+// utils/caseTimeline.js
+// Human-readable case activity timeline built from the case's AuditLog entries
+
+const AuditLog = require('../models/AuditLog');
+const User = require('../models/User');
+const Client = require('../models/Client');
+
+const STAGE_PATH = /^stages\.([^.]+)\.(.+)$/;
+const RELATION_PATH = /^relatedCases\.([^.]+)\.case$/;
+
+const fullName = (u) => (u ? `${u.firstName || ''} ${u.lastName || ''}`.trim() || u.email || null : null);
+
+/**
+ * Group a log entry's stage changes by stage id: { [stageId]: { [field]: { before, after } } }
+ */
+const groupStageChanges = (changes) => {
+    const stages = {};
+    for (const change of changes) {
+        const match = STAGE_PATH.exec(change.path);
+        if (!match) continue;
+        const [, stageId, field] = match;
+        if (!stages[stageId]) stages[stageId] = {};
+        stages[stageId][field] = { before: change.before, after: change.after };
+    }
+    return stages;
+};
+
+/**
+ * Turn one audit entry into zero or more typed timeline events (in the order they happened within the save).
+ * @param {Object} log - AuditLog (lean, actor populated)
+ * @param {Map<string, string>} stageNames - stageId -> latest known stage name (updated as entries are read)
+ */
+const eventsFromLog = (log, stageNames) => {
+    const events = [];
+    const base = {
+        at: log.createdAt,
+        actor: log.actor && log.actor._id
+            ? { _id: log.actor._id, name: fullName(log.actor) }
+            : (log.actor ? { _id: log.actor, name: null } : null),
+        auditLogId: log._id
+    };
+    const push = (type, details = {}) => events.push({ ...base, type, ...details });
+    const byPath = new Map(log.changes.map((c) => [c.path, c]));
+
+    if (log.action === 'create') push('case_created');
+    if (log.action === 'delete') push('case_deleted');
+    if (log.action === 'restore') push('case_restored');
+
+    const assignment = byPath.get('assignedTo');
+    if (assignment) {
+        push('assignment_changed', { from: assignment.before, to: assignment.after });
+    }
+
+    const clients = byPath.get('clients');
+    if (clients) {
+        const before = (clients.before || []).map(String);
+        const after = (clients.after || []).map(String);
+        after.filter((id) => !before.includes(id)).forEach((clientId) => push('client_linked', { clientId }));
+        before.filter((id) => !after.includes(id)).forEach((clientId) => push('client_unlinked', { clientId }));
+    }
+
+    const team = byPath.get('team');
+    if (team && log.action !== 'create') {
+        push('team_changed', { from: team.before || [], to: team.after || [] });
+    }
+
+    const status = byPath.get('status');
+    const outcome = byPath.get('closure.outcome');
+    if (status && log.action !== 'create') {
+        if (status.after === 'archived') push('case_archived');
+        else if (status.before === 'archived') push('case_unarchived', { status: status.after });
+        else if (status.after === 'disposed') push('case_disposed', { outcome: outcome ? outcome.after : null });
+        else if (status.before === 'disposed') push('case_reopened', { status: status.after });
+        else push('status_changed', { from: status.before, to: status.after });
+    } else if (outcome && outcome.before && outcome.after) {
+        push('outcome_changed', { from: outcome.before, to: outcome.after });
+    }
+
+    const deadline = byPath.get('limitation.deadline');
+    const limitationStatus = byPath.get('limitation.status');
+    if (deadline && deadline.after) {
+        const proceeding = byPath.get('limitation.proceedingType');
+        push('limitation_deadline_set', { from: deadline.before || null, to: deadline.after, proceedingType: proceeding ? proceeding.after : null });
+    } else if (deadline && deadline.before) {
+        push('limitation_deadline_removed', { deadline: deadline.before });
+    }
+    if (limitationStatus && limitationStatus.before && limitationStatus.after && limitationStatus.after !== 'open') {
+        push('limitation_closed', { status: limitationStatus.after });
+    } else if (limitationStatus && limitationStatus.before && limitationStatus.before !== 'open' && limitationStatus.after === 'open') {
+        push('limitation_reopened', { from: limitationStatus.before });
+    }
+
+    for (const change of log.changes) {
+        const link = RELATION_PATH.exec(change.path);
+        if (!link) continue;
+        const relation = byPath.get(`relatedCases.${link[1]}.type`);
+        if (!change.before && change.after) {
+            push('case_linked', { linkId: link[1], relation: relation ? relation.after : null, relatedCaseId: change.after });
+        } else if (change.before && !change.after) {
+            push('case_unlinked', { linkId: link[1], relation: relation ? relation.before : null, relatedCaseId: change.before });
+        }
+    }
+
+    const stageChanges = groupStageChanges(log.changes);
+    for (const [stageId, fields] of Object.entries(stageChanges)) {
+        const name = fields.stageName && fields.stageName.after;
+        if (name) stageNames.set(stageId, name);
+        const stageName = stageNames.get(stageId) || (fields.stageName && fields.stageName.before) || null;
+        const added = fields.stageName && !fields.stageName.before && fields.stageName.after;
+        const removed = fields.stageName && fields.stageName.before && !fields.stageName.after;
+
+        if (added) {
+            push('stage_added', {
+                stageId,
+                stageName,
+                nextDate: fields.nextDate ? fields.nextDate.after : null,
+                confirmedBy: fields.confirmedBy ? fields.confirmedBy.after : null
+            });
+            continue;
+        }
+        if (removed) {
+            push('stage_removed', { stageId, stageName });
+            continue;
+        }
+        if (fields.nextDate && fields.nextDate.before && fields.nextDate.after) {
+            push('hearing_rescheduled', { stageId, stageName, from: fields.nextDate.before, to: fields.nextDate.after });
+        } else if (fields.nextDate && fields.nextDate.after) {
+            push('hearing_scheduled', { stageId, stageName, to: fields.nextDate.after });
+        }
+        if (fields.confirmedBy && fields.confirmedBy.after && fields.confirmedBy.before) {
+            push('stage_confirmer_changed', { stageId, stageName, from: fields.confirmedBy.before, to: fields.confirmedBy.after });
+        }
+        if (fields.confirmedAt && !fields.confirmedAt.before && fields.confirmedAt.after) {
+            push('stage_confirmed', { stageId, stageName, confirmedAt: fields.confirmedAt.after });
+        }
+        const hearingOutcome = fields['hearingOutcome.outcome'];
+        if (hearingOutcome && hearingOutcome.after) {
+            push('hearing_outcome_recorded', {
+                stageId,
+                stageName,
+                outcome: hearingOutcome.after,
+                hearingDate: fields['hearingOutcome.hearingDate'] ? fields['hearingOutcome.hearingDate'].after : null,
+                adjournmentReason: fields['hearingOutcome.adjournmentReason'] ? fields['hearingOutcome.adjournmentReason'].after : null
+            });
+        }
+    }
+
+    return events;
+};
+
+/**
+ * Build the ordered timeline for a case.
+ * Cases created before the audit trail existed get a single case_created event from the case record itself.
+ * @param {Object} caseDoc - Lean or hydrated case
+ * @param {{ order?: 'asc'|'desc' }} [options]
+ * @returns {Promise<Object[]>} Events: { type, at, actor: { _id, name } | null, ...details }
+ */
+const buildCaseTimeline = async (caseDoc, options = {}) => {
+    const logs = await AuditLog.find({
+        organization: String(caseDoc.organization),
+        entityType: 'case',
+        entityId: String(caseDoc._id)
+    })
+        .populate('actor', 'firstName lastName email')
+        .sort({ createdAt: 1, _id: 1 })
+        .lean();
+
+    const stageNames = new Map((caseDoc.stages || []).map((s) => [String(s._id), s.stageName]));
+    const events = [];
+    for (const log of logs) events.push(...eventsFromLog(log, stageNames));
+
+    if (!logs.some((log) => log.action === 'create')) {
+        const creator = caseDoc.createdBy
+            ? await User.findById(caseDoc.createdBy._id || caseDoc.createdBy).select('firstName lastName email').lean()
+            : null;
+        events.unshift({
+            type: 'case_created',
+            at: caseDoc.createdAt,
+            actor: creator ? { _id: creator._id, name: fullName(creator) } : null,
+            auditLogId: null
+        });
+    }
+
+    // Resolve user and client ids in event details to display names
+    const userIds = new Set();
+    const clientIds = new Set();
+    for (const e of events) {
+        if (e.type === 'assignment_changed' || e.type === 'stage_confirmer_changed') {
+            if (e.from) userIds.add(String(e.from));
+            if (e.to) userIds.add(String(e.to));
+        }
+        if (e.type === 'stage_added' && e.confirmedBy) userIds.add(String(e.confirmedBy));
+        if (e.clientId) clientIds.add(String(e.clientId));
+    }
+    const [users, clients] = await Promise.all([
+        userIds.size ? User.find({ _id: { $in: [...userIds] } }).select('firstName lastName email').lean() : [],
+        clientIds.size
+            ? Client.find({ _id: { $in: [...clientIds] } }).setOptions({ includeDeleted: true }).select('firstName lastName').lean()
+            : []
+    ]);
+    const userById = new Map(users.map((u) => [String(u._id), { _id: u._id, name: fullName(u) }]));
+    const clientById = new Map(clients.map((c) => [String(c._id), `${c.firstName} ${c.lastName}`]));
+    const userRef = (id) => (id ? userById.get(String(id)) || { _id: id, name: null } : null);
+
+    for (const e of events) {
+        if (e.type === 'assignment_changed' || e.type === 'stage_confirmer_changed') {
+            e.from = userRef(e.from);
+            e.to = userRef(e.to);
+        }
+        if (e.type === 'stage_added') e.confirmedBy = userRef(e.confirmedBy);
+        if (e.clientId) e.clientName = clientById.get(String(e.clientId)) || null;
+    }
+
+    return options.order === 'desc' ? events.reverse() : events;
+};
+
+module.exports = {
+    buildCaseTimeline
+};
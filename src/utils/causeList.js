@@ -0,0 +1,133 @@
+// utils/causeList.js
+// Daily cause list: the matters listed on a date (stage nextDate), grouped by court and by assigned advocate
+
+const { getHearingEvents } = require('./calendarUtils');
+const { startOfDay, endOfDay } = require('./dateUtils');
+
+const CAUSE_LIST_EXCEL_SHEET = 'Cause List';
+const CAUSE_LIST_EXCEL_HEADERS = [
+    'Court Premises',
+    'Court',
+    'Advocate',
+    'Case Number',
+    'Case Type',
+    'Party Name',
+    'Petitioners',
+    'Respondents',
+    'Opposing Counsel',
+    'Stage',
+    'Purpose',
+    'Preparation'
+];
+
+const userName = (user) => (user ? `${user.firstName || ''} ${user.lastName || ''}`.trim() : '');
+
+const partyNames = (parties, role) => parties.filter((p) => p.role === role).map((p) => p.name);
+
+const courtLabel = (court) => [court.courtName, court.courtPremises].filter(Boolean).join(', ') || 'Court not set';
+
+const byCaseNumber = (a, b) => String(a.caseNumber || '').localeCompare(String(b.caseNumber || ''), undefined, { numeric: true });
+
+/** One cause list entry per listed stage */
+const toMatter = (event) => ({
+    caseId: event.caseId,
+    caseNumber: event.caseNumber,
+    caseType: event.caseType,
+    partyName: event.partyName,
+    petitioners: partyNames(event.parties, 'petitioner'),
+    respondents: partyNames(event.parties, 'respondent'),
+    opposingCounsel: partyNames(event.parties, 'opposing_counsel'),
+    courtPremises: event.courtPremises,
+    courtName: event.courtName,
+    advocate: event.assignedTo
+        ? { _id: event.assignedTo._id, name: userName(event.assignedTo), email: event.assignedTo.email }
+        : null,
+    stageId: event.stageId,
+    stageName: event.stageName,
+    date: event.date,
+    purpose: event.purpose,
+    preparation: event.preparation
+});
+
+/**
+ * Group matters by a key, keeping the first matter's group fields; groups and their matters are sorted.
+ * @returns {Object[]} [{ ...groupFields, count, matters }]
+ */
+const groupMatters = (matters, keyOf, fieldsOf, labelOf) => {
+    const groups = new Map();
+    for (const matter of matters) {
+        const key = keyOf(matter);
+        if (!groups.has(key)) groups.set(key, { ...fieldsOf(matter), count: 0, matters: [] });
+        const group = groups.get(key);
+        group.count += 1;
+        group.matters.push(matter);
+    }
+    return [...groups.values()]
+        .map((group) => ({ ...group, matters: group.matters.sort(byCaseNumber) }))
+        .sort((a, b) => labelOf(a).localeCompare(labelOf(b)));
+};
+
+/**
+ * Cause list for one day.
+ * @param {Object} options
+ * @param {string} options.organizationId
+ * @param {Date} options.date - any time on the day
+ * @param {string} [options.assignedTo] - only this advocate's matters
+ * @param {string} [options.visibleTo] - only cases this user is assigned to or on the team of (visibility rule)
+ * @param {string} [options.courtPremises]
+ * @returns {Promise<{ date: Date, count: number, byCourt: Object[], byAdvocate: Object[] }>}
+ */
+const getCauseList = async ({ organizationId, date, assignedTo, visibleTo, courtPremises }) => {
+    const day = startOfDay(date);
+    const events = await getHearingEvents({
+        organizationId,
+        from: day,
+        to: endOfDay(day),
+        assignedTo,
+        visibleTo,
+        courtPremises
+    });
+    const matters = events.map(toMatter);
+
+    return {
+        date: day,
+        count: matters.length,
+        byCourt: groupMatters(
+            matters,
+            (m) => `${m.courtPremises}|${String(m.courtName).trim().toLowerCase()}`,
+            (m) => ({ courtPremises: m.courtPremises, courtName: m.courtName }),
+            courtLabel
+        ),
+        byAdvocate: groupMatters(
+            matters,
+            (m) => (m.advocate ? String(m.advocate._id) : ''),
+            (m) => ({ advocate: m.advocate }),
+            // Unassigned matters go last
+            (g) => (g.advocate ? `0${g.advocate.name}` : '1')
+        )
+    };
+};
+
+/** Flat rows for the Excel download (CAUSE_LIST_EXCEL_HEADERS), court by court */
+const buildCauseListRows = (causeList) => causeList.byCourt.flatMap((group) => group.matters.map((m) => ({
+    'Court Premises': m.courtPremises,
+    Court: m.courtName,
+    Advocate: m.advocate ? m.advocate.name : 'Unassigned',
+    'Case Number': m.caseNumber || '',
+    'Case Type': m.caseType || '',
+    'Party Name': m.partyName || '',
+    Petitioners: m.petitioners.join(', '),
+    Respondents: m.respondents.join(', '),
+    'Opposing Counsel': m.opposingCounsel.join(', '),
+    Stage: m.stageName || '',
+    Purpose: m.purpose,
+    Preparation: m.preparation
+})));
+
+module.exports = {
+    CAUSE_LIST_EXCEL_SHEET,
+    CAUSE_LIST_EXCEL_HEADERS,
+    courtLabel,
+    getCauseList,
+    buildCauseListRows
+};
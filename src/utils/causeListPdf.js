@@ -0,0 +1,79 @@
+// utils/causeListPdf.js
+// Printable cause list: one section per court, matters in case number order with advocate, stage, purpose and preparation
+
+const { renderPdfToBuffer, formatDateIN } = require('./pdfUtils');
+const { courtLabel } = require('./causeList');
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const ensureSpace = (doc, height) => {
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) doc.addPage();
+};
+
+const drawHeader = (doc, causeList, { organizationName, advocateName }) => {
+    doc.font('Helvetica-Bold').fontSize(16).text(organizationName || '', { align: 'center' });
+    doc.font('Helvetica-Bold').fontSize(13)
+        .text(`CAUSE LIST - ${WEEKDAY_NAMES[causeList.date.getDay()]}, ${formatDateIN(causeList.date)}`, { align: 'center' });
+    doc.font('Helvetica').fontSize(9)
+        .text(`${advocateName ? `Advocate: ${advocateName}   ` : ''}Matters listed: ${causeList.count}`, { align: 'center' });
+
+    doc.moveDown(0.5);
+    const y = doc.y;
+    doc.moveTo(doc.page.margins.left, y).lineTo(doc.page.width - doc.page.margins.right, y).lineWidth(1).stroke();
+    doc.moveDown(0.8);
+};
+
+const drawMatter = (doc, matter, index) => {
+    const left = doc.page.margins.left;
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const parties = matter.petitioners.length || matter.respondents.length
+        ? `${matter.petitioners.join(', ') || '-'} vs ${matter.respondents.join(', ') || '-'}`
+        : matter.partyName || '';
+    const lines = [
+        ['Stage', [matter.stageName, matter.purpose].filter(Boolean).join(' - ')],
+        ['Advocate', matter.advocate ? matter.advocate.name : 'Unassigned'],
+        ['Opposing counsel', matter.opposingCounsel.join(', ')],
+        ['Preparation', matter.preparation]
+    ].filter(([, value]) => value);
+
+    doc.font('Helvetica').fontSize(9);
+    const bodyHeight = lines.reduce((h, [label, value]) => h + doc.heightOfString(`${label}: ${value}`, { width: width - 25 }), 0);
+    ensureSpace(doc, bodyHeight + 30);
+
+    doc.font('Helvetica-Bold').fontSize(10)
+        .text(`${index + 1}. ${[matter.caseNumber, matter.caseType].filter(Boolean).join(' / ') || matter.caseId}`, left, doc.y, { width });
+    if (parties) doc.font('Helvetica').fontSize(10).text(parties, left + 15, doc.y, { width: width - 15 });
+    for (const [label, value] of lines) {
+        doc.font('Helvetica-Bold').fontSize(9).text(`${label}: `, left + 15, doc.y, { continued: true, width: width - 15 });
+        doc.font('Helvetica').text(value);
+    }
+    doc.x = left;
+    doc.moveDown(0.6);
+};
+
+/**
+ * Cause list PDF.
+ * @param {Object} causeList - From getCauseList()
+ * @param {{ organizationName?: string, advocateName?: string }} [options] - advocateName for a single advocate's list
+ * @returns {Promise<Buffer>}
+ */
+const renderCauseListPdf = (causeList, { organizationName = '', advocateName = '' } = {}) => renderPdfToBuffer((doc) => {
+    drawHeader(doc, causeList, { organizationName, advocateName });
+
+    if (causeList.count === 0) {
+        doc.font('Helvetica').fontSize(11).text('No matters are listed on this date.', { align: 'center' });
+        return;
+    }
+
+    for (const court of causeList.byCourt) {
+        ensureSpace(doc, 60);
+        doc.font('Helvetica-Bold').fontSize(12).text(`${courtLabel(court)} (${court.count})`, doc.page.margins.left);
+        doc.moveDown(0.4);
+        court.matters.forEach((matter, i) => drawMatter(doc, matter, i));
+        doc.moveDown(0.4);
+    }
+}, { info: { Title: `Cause list ${formatDateIN(causeList.date)}` } });
+
+module.exports = {
+    renderCauseListPdf
+};
@@ -0,0 +1,359 @@
+// utils/conflictCheck.js
+// Conflict-of-interest check: fuzzy-match a proposed client or opposing party against the organization's
+// clients (names, company names, phones, email, PAN/Aadhar) and the parties recorded on its cases
+
+const Client = require('../models/Client');
+const Case = require('../models/Case');
+const Organization = require('../models/Organization');
+const { escapeRegex } = require('./regexUtils');
+const { opposingPartiesOf } = require('./casePartyUtils');
+
+const CONFLICT_MODES = ['off', 'warn', 'require_override', 'block'];
+const HIT_SOURCES = ['client', 'case_party'];
+const DEFAULT_SETTINGS = Object.freeze({ mode: 'warn', threshold: 85 });
+
+/** Hits below this score are dropped; between this and MEDIUM_SCORE they are "low" */
+const MIN_SCORE = 50;
+const MEDIUM_SCORE = 65;
+const MAX_CANDIDATES = 500;
+const MAX_HITS = 25;
+
+// Titles and company suffixes that should not make two names look different (or alike)
+const IGNORED_NAME_TOKENS = new Set([
+    'mr', 'mrs', 'ms', 'miss', 'dr', 'shri', 'sri', 'smt', 'kumari', 'km', 'adv', 'advocate', 'messrs',
+    'pvt', 'private', 'ltd', 'limited', 'llp', 'inc', 'co', 'company', 'corp', 'corporation', 'the'
+]);
+
+const normalizeName = (value) => (value ? String(value) : '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter((t) => t && !IGNORED_NAME_TOKENS.has(t))
+    .join(' ');
+
+const normalizePhone = (value) => {
+    const digits = value ? String(value).replace(/\D/g, '') : '';
+    return digits.length >= 10 ? digits.slice(-10) : null;
+};
+
+const normalizeEmail = (value) => (value && String(value).trim() ? String(value).trim().toLowerCase() : null);
+const normalizePan = (value) => (value && String(value).trim() ? String(value).trim().toUpperCase() : null);
+const normalizeAadhar = (value) => {
+    const digits = value ? String(value).replace(/\D/g, '') : '';
+    return digits.length === 12 ? digits : null;
+};
+
+const levenshtein = (a, b) => {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+    let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const curr = [i];
+        for (let j = 1; j <= b.length; j++) {
+            curr[j] = Math.min(
+                prev[j] + 1,
+                curr[j - 1] + 1,
+                prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        prev = curr;
+    }
+    return prev[b.length];
+};
+
+const stringSimilarity = (a, b) => {
+    const maxLen = Math.max(a.length, b.length);
+    return maxLen === 0 ? 0 : 1 - levenshtein(a, b) / maxLen;
+};
+
+/**
+ * Similarity of two names in [0, 1], tolerant of typos, word order and a missing middle name/surname.
+ * @returns {number}
+ */
+const nameSimilarity = (a, b) => {
+    const na = normalizeName(a);
+    const nb = normalizeName(b);
+    if (!na || !nb) return 0;
+    if (na === nb) return 1;
+
+    const ta = na.split(' ');
+    const tb = nb.split(' ');
+    const sortedScore = stringSimilarity([...ta].sort().join(' '), [...tb].sort().join(' '));
+
+    // Token match: every word of the shorter name has a close word in the longer one
+    const [shorter, longer] = ta.length <= tb.length ? [ta, tb] : [tb, ta];
+    if (shorter.length < 2) return sortedScore;
+    const avgBest = shorter
+        .map((t) => Math.max(...longer.map((u) => stringSimilarity(t, u))))
+        .reduce((sum, s) => sum + s, 0) / shorter.length;
+    const tokenScore = avgBest * (0.85 + 0.15 * (shorter.length / longer.length));
+
+    return Math.max(sortedScore, tokenScore);
+};
+
+/**
+ * Normalize a proposed client / opposing party.
+ * @param {Object} raw - { name | firstName + lastName, companyName, phone, alternatePhone, email, panCardNumber, aadharCardNumber, label? }
+ * @returns {Object|null} null when there is nothing to match on
+ */
+const normalizeSubject = (raw = {}) => {
+    const name = raw.name
+        ? String(raw.name).trim()
+        : [raw.firstName, raw.lastName].filter(Boolean).map((v) => String(v).trim()).join(' ');
+    const subject = {
+        label: raw.label || name || raw.companyName || null,
+        names: [name, raw.companyName].map(normalizeName).filter(Boolean),
+        phones: [raw.phone, raw.alternatePhone].map(normalizePhone).filter(Boolean),
+        email: normalizeEmail(raw.email),
+        pan: normalizePan(raw.panCardNumber),
+        aadhar: normalizeAadhar(raw.aadharCardNumber)
+    };
+    const hasAny = subject.names.length || subject.phones.length || subject.email || subject.pan || subject.aadhar;
+    return hasAny ? subject : null;
+};
+
+/** Regexes that narrow candidates to records sharing a word prefix with the subject's names */
+const namePrefixPatterns = (subject) => {
+    const prefixes = new Set();
+    for (const name of subject.names) {
+        for (const token of name.split(' ')) {
+            if (token.length >= 3) prefixes.add(token.slice(0, 3));
+        }
+    }
+    return [...prefixes].map((p) => new RegExp(`(^|\\s)${escapeRegex(p)}`, 'i'));
+};
+
+const confidenceFor = (score, threshold) => {
+    if (score >= threshold) return 'high';
+    if (score >= MEDIUM_SCORE) return 'medium';
+    return 'low';
+};
+
+/**
+ * Combine signals: the strongest one sets the score, each further signal adds 5 (max 100).
+ * Identity numbers are conclusive, contact details strong, names depend on similarity.
+ */
+const scoreCandidate = (subject, candidate) => {
+    const signals = [];
+
+    if (subject.pan && candidate.pan && subject.pan === candidate.pan) signals.push(['pan', 100]);
+    if (subject.aadhar && candidate.aadhar && subject.aadhar === candidate.aadhar) signals.push(['aadhar', 100]);
+    if (subject.phones.some((p) => candidate.phones.includes(p))) signals.push(['phone', 90]);
+    if (subject.email && candidate.email && subject.email === candidate.email) signals.push(['email', 85]);
+
+    for (const [field, value] of candidate.names) {
+        const similarity = Math.max(0, ...subject.names.map((n) => nameSimilarity(n, value)));
+        if (similarity >= 0.75) {
+            signals.push([field, Math.round(similarity * (field === 'companyName' ? 85 : 90))]);
+        }
+    }
+
+    if (signals.length === 0) return null;
+    const matchedOn = [...new Set(signals.map(([field]) => field))];
+    const best = Math.max(...signals.map(([, score]) => score));
+    return { score: Math.min(100, best + 5 * (matchedOn.length - 1)), matchedOn };
+};
+
+const findClientCandidates = (organizationId, subject, excludeClientIds) => {
+    const or = namePrefixPatterns(subject).flatMap((re) => [
+        { firstName: re }, { lastName: re }, { companyName: re }
+    ]);
+    if (subject.phones.length) or.push({ phone: { $in: subject.phones } }, { alternatePhone: { $in: subject.phones } });
+    if (subject.email) or.push({ email: subject.email });
+    if (subject.pan) or.push({ panCardNumber: subject.pan });
+    if (subject.aadhar) or.push({ aadharCardNumber: subject.aadhar });
+    if (or.length === 0) return [];
+
+    const query = { organization: organizationId, deletedAt: null, $or: or };
+    if (excludeClientIds.length) query._id = { $nin: excludeClientIds };
+
+    return Client.find(query)
+        .select('firstName lastName companyName phone alternatePhone email panCardNumber aadharCardNumber status')
+        .limit(MAX_CANDIDATES)
+        .lean();
+};
+
+/**
+ * Parties we act against on the organization's cases (side-aware, see opposingPartiesOf).
+ * Our own side, opposing counsel and the bench are never conflicts.
+ */
+const findPartyCandidates = async (organizationId, subject, excludeCaseId) => {
+    const or = namePrefixPatterns(subject).map((re) => ({ 'parties.name': re }));
+    if (subject.phones.length) or.push({ 'parties.phone': { $in: subject.phones } });
+    if (subject.email) or.push({ 'parties.email': subject.email });
+    if (or.length === 0) return [];
+
+    const query = { organization: organizationId, deletedAt: null, $or: or };
+    if (excludeCaseId) query._id = { $ne: String(excludeCaseId) };
+
+    const cases = await Case.find(query)
+        .select('caseNumber status parties')
+        .limit(MAX_CANDIDATES)
+        .lean();
+
+    return cases.flatMap((c) => opposingPartiesOf(c.parties || []).map((p) => ({
+        _id: c._id,
+        caseNumber: c.caseNumber,
+        status: c.status,
+        role: p.role,
+        name: p.name,
+        phone: p.phone,
+        email: p.email
+    })));
+};
+
+/**
+ * Run the conflict check for one or more proposed parties.
+ * @param {string|Object} organizationId - Id or the (populated) organization document
+ * @param {Object[]} subjects - Proposed clients / opposing parties (see normalizeSubject)
+ * @param {Object} [options]
+ * @param {number} [options.threshold] - High-confidence score (defaults to the organization setting)
+ * @param {string[]} [options.excludeClientIds] - Clients that are not conflicts (e.g. the new case's own clients)
+ * @param {string} [options.excludeCaseId]
+ * @param {string[]} [options.conflictSources] - Hit sources that count as a conflict (all hits are returned either way)
+ * @returns {Promise<{ threshold: number, checked: number, hits: Object[], highestScore: number, conflict: boolean }>}
+ */
+const runConflictCheck = async (organizationId, subjects, {
+    threshold,
+    excludeClientIds = [],
+    excludeCaseId = null,
+    conflictSources = HIT_SOURCES
+} = {}) => {
+    // req.user.organization is populated; candidate queries need the plain id
+    const orgId = String(organizationId?._id || organizationId);
+    const effectiveThreshold = threshold || (await getConflictCheckSettings(orgId)).threshold;
+    const normalized = subjects.map(normalizeSubject).filter(Boolean);
+    const excluded = excludeClientIds.map(String);
+    const hits = [];
+
+    for (const subject of normalized) {
+        const [clients, parties] = await Promise.all([
+            findClientCandidates(orgId, subject, excluded),
+            findPartyCandidates(orgId, subject, excludeCaseId)
+        ]);
+
+        for (const c of clients) {
+            const result = scoreCandidate(subject, {
+                names: [['name', `${c.firstName} ${c.lastName}`], ['companyName', c.companyName]].filter(([, v]) => v),
+                phones: [c.phone, c.alternatePhone].map(normalizePhone).filter(Boolean),
+                email: normalizeEmail(c.email),
+                pan: normalizePan(c.panCardNumber),
+                aadhar: normalizeAadhar(c.aadharCardNumber)
+            });
+            if (!result || result.score < MIN_SCORE) continue;
+            hits.push({
+                source: 'client',
+                refId: String(c._id),
+                name: `${c.firstName} ${c.lastName}`,
+                companyName: c.companyName || null,
+                status: c.status,
+                subject: subject.label,
+                ...result
+            });
+        }
+
+        for (const p of parties) {
+            const result = scoreCandidate(subject, {
+                names: [['name', p.name]],
+                phones: [normalizePhone(p.phone)].filter(Boolean),
+                email: normalizeEmail(p.email)
+            });
+            if (!result || result.score < MIN_SCORE) continue;
+            hits.push({
+                source: 'case_party',
+                refId: String(p._id),
+                name: p.name,
+                caseNumber: p.caseNumber,
+                role: p.role,
+                status: p.status,
+                subject: subject.label,
+                ...result
+            });
+        }
+    }
+
+    hits.sort((a, b) => b.score - a.score);
+    const topHits = hits.slice(0, MAX_HITS).map((h) => ({ ...h, confidence: confidenceFor(h.score, effectiveThreshold) }));
+    const highestScore = topHits.length ? topHits[0].score : 0;
+
+    return {
+        threshold: effectiveThreshold,
+        checked: normalized.length,
+        hits: topHits,
+        highestScore,
+        conflict: topHits.some((h) => h.confidence === 'high' && conflictSources.includes(h.source))
+    };
+};
+
+/**
+ * @param {string} organizationId
+ * @returns {Promise<{ mode: string, threshold: number }>}
+ */
+const getConflictCheckSettings = async (organizationId) => {
+    const organization = await Organization.findById(organizationId).select('conflictCheckSettings').lean();
+    const settings = (organization && organization.conflictCheckSettings) || {};
+    return {
+        mode: settings.mode || DEFAULT_SETTINGS.mode,
+        threshold: settings.threshold || DEFAULT_SETTINGS.threshold
+    };
+};
+
+/**
+ * Apply the organization's conflict policy before creating a client or case.
+ * @param {Object} options
+ * @param {string|Object} options.organizationId - Id or the (populated) organization document
+ * @param {Object[]} options.subjects
+ * @param {{ reason?: string }} [options.override] - Explicit override from the request body
+ * @param {string} options.userId
+ * @param {string[]} [options.excludeClientIds]
+ * @param {string[]} [options.conflictSources] - see runConflictCheck
+ * @returns {Promise<{ result: Object|null, conflictOverride?: Object, error?: string }>}
+ *          error is set when creation must not proceed; result is the check (null when mode is off or nothing to check)
+ */
+const enforceConflictPolicy = async ({ organizationId, subjects, override, userId, excludeClientIds = [], conflictSources }) => {
+    const { mode, threshold } = await getConflictCheckSettings(organizationId);
+    if (mode === 'off' || subjects.length === 0) return { result: null };
+
+    const result = await runConflictCheck(organizationId, subjects, { threshold, excludeClientIds, conflictSources });
+    if (!result.conflict || mode === 'warn') return { result };
+
+    if (mode === 'block') {
+        return { result, error: 'Possible conflict of interest found. Creation is blocked by the organization\'s conflict policy.' };
+    }
+
+    const reason = override && override.reason ? String(override.reason).trim() : '';
+    if (!reason) {
+        return { result, error: 'Possible conflict of interest found. Resubmit with conflictOverride.reason to proceed.' };
+    }
+
+    return {
+        result,
+        conflictOverride: {
+            reason,
+            overriddenBy: String(userId),
+            overriddenAt: new Date(),
+            threshold,
+            hits: result.hits
+                .filter((h) => h.confidence === 'high' && (!conflictSources || conflictSources.includes(h.source)))
+                .map((h) => ({
+                    source: h.source,
+                    refId: h.refId,
+                    name: h.name,
+                    caseNumber: h.caseNumber || null,
+                    role: h.role || null,
+                    score: h.score,
+                    matchedOn: h.matchedOn
+                }))
+        }
+    };
+};
+
+module.exports = {
+    CONFLICT_MODES,
+    HIT_SOURCES,
+    nameSimilarity,
+    runConflictCheck,
+    getConflictCheckSettings,
+    enforceConflictPolicy
+};
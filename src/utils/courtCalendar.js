@@ -0,0 +1,126 @@
+// utils/courtCalendar.js
+// Court working days: weekly offs, holidays and vacations per organization and court; working-day counting
+
+const CourtHoliday = require('../models/CourtHoliday');
+const Organization = require('../models/Organization');
+const { startOfDay, addDays, getDayDiff } = require('./dateUtils');
+
+const DEFAULT_WEEKLY_OFF_DAYS = [0];
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+/** Safety bound for working-day walks (a long vacation plus weekly offs) */
+const MAX_SCAN_DAYS = 400;
+
+const normalizeCourtName = (value) => String(value || '').trim().toLowerCase();
+
+/**
+ * Whether a holiday record applies to a court (unset premises/name on the holiday = applies to all).
+ * @param {Object} holiday
+ * @param {{ courtPremises?: string, courtName?: string }} [court]
+ */
+const holidayAppliesToCourt = (holiday, court = {}) => {
+    if (holiday.courtPremises && holiday.courtPremises !== (court.courtPremises || null)) return false;
+    if (holiday.courtName && normalizeCourtName(holiday.courtName) !== normalizeCourtName(court.courtName)) return false;
+    return true;
+};
+
+/**
+ * Create a calendar that loads each organization's weekly offs and holidays once (per reminder cycle or request).
+ * Court arguments are any object with courtPremises/courtName, e.g. a case.
+ */
+const createCourtCalendar = () => {
+    const cache = new Map();
+
+    const load = async (organizationId) => {
+        const key = String(organizationId);
+        if (!cache.has(key)) {
+            const [organization, holidays] = await Promise.all([
+                Organization.findById(key).select('courtCalendarSettings').lean(),
+                CourtHoliday.find({ organization: key, endDate: { $gte: addDays(new Date(), -MAX_SCAN_DAYS) } })
+                    .select('name kind startDate endDate courtPremises courtName')
+                    .lean()
+            ]);
+            const weeklyOffDays = organization?.courtCalendarSettings?.weeklyOffDays;
+            cache.set(key, {
+                weeklyOffDays: Array.isArray(weeklyOffDays) ? weeklyOffDays : DEFAULT_WEEKLY_OFF_DAYS,
+                holidays
+            });
+        }
+        return cache.get(key);
+    };
+
+    /**
+     * Why the court does not sit on a date: [] when it is a working day.
+     * @returns {Promise<Array<{ kind: string, name: string, holidayId?: string }>>}
+     */
+    const getNonWorkingReasons = async (organizationId, date, court = {}) => {
+        const { weeklyOffDays, holidays } = await load(organizationId);
+        const day = startOfDay(date);
+        const reasons = [];
+        if (weeklyOffDays.includes(day.getDay())) {
+            reasons.push({ kind: 'weekly_off', name: WEEKDAY_NAMES[day.getDay()] });
+        }
+        for (const h of holidays) {
+            if (day >= h.startDate && day <= h.endDate && holidayAppliesToCourt(h, court)) {
+                reasons.push({ kind: h.kind, name: h.name, holidayId: String(h._id) });
+            }
+        }
+        return reasons;
+    };
+
+    const isWorkingDay = async (organizationId, date, court) => (await getNonWorkingReasons(organizationId, date, court)).length === 0;
+
+    /** First working day on or after a date (null if none within MAX_SCAN_DAYS) */
+    const nextWorkingDay = async (organizationId, date, court) => {
+        for (let i = 0; i <= MAX_SCAN_DAYS; i++) {
+            const day = addDays(date, i);
+            if (await isWorkingDay(organizationId, day, court)) return day;
+        }
+        return null;
+    };
+
+    /**
+     * Working days from one date to another: counts working days after `from` up to and including `to`.
+     * Same day = 0; when `to` is in the past the (negative) calendar difference is returned.
+     */
+    const workingDayDiff = async (organizationId, from, to, court) => {
+        const calendarDiff = getDayDiff(from, to);
+        if (calendarDiff <= 0) return calendarDiff;
+        if (calendarDiff > MAX_SCAN_DAYS) return calendarDiff;
+        let count = 0;
+        for (let i = 1; i <= calendarDiff; i++) {
+            if (await isWorkingDay(organizationId, addDays(from, i), court)) count += 1;
+        }
+        return count;
+    };
+
+    return { getNonWorkingReasons, isWorkingDay, nextWorkingDay, workingDayDiff };
+};
+
+/**
+ * Warning for a hearing date on which the court does not sit, or null.
+ * @param {Object} calendar - From createCourtCalendar()
+ * @param {string} organizationId
+ * @param {Date} date
+ * @param {{ courtPremises?: string, courtName?: string }} court
+ * @returns {Promise<{ date: Date, reasons: Object[], nextWorkingDay: Date|null, message: string } | null>}
+ */
+const checkHearingDate = async (calendar, organizationId, date, court) => {
+    if (!date) return null;
+    const reasons = await calendar.getNonWorkingReasons(organizationId, date, court);
+    if (reasons.length === 0) return null;
+    const nextDay = await calendar.nextWorkingDay(organizationId, date, court);
+    const label = reasons.map((r) => (r.kind === 'weekly_off' ? `${r.name} (weekly off)` : `${r.name} (${r.kind})`)).join(', ');
+    return {
+        date: startOfDay(date),
+        reasons,
+        nextWorkingDay: nextDay,
+        message: `${startOfDay(date).toDateString()} is not a working day for this court: ${label}`
+    };
+};
+
+module.exports = {
+    DEFAULT_WEEKLY_OFF_DAYS,
+    holidayAppliesToCourt,
+    createCourtCalendar,
+    checkHearingDate
+};
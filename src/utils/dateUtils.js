@@ -0,0 +1,52 @@
+// utils/dateUtils.js
+// Calendar-day helpers in the server's local time zone (day boundaries shared by reminders, limitation, court calendar and reports)
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const startOfDay = (date) => {
+    const d = new Date(date);
+    d.setHours(0, 0, 0, 0);
+    return d;
+};
+
+const endOfDay = (date) => {
+    const d = new Date(date);
+    d.setHours(23, 59, 59, 999);
+    return d;
+};
+
+/** Start of the day `days` calendar days after date (negative for earlier days) */
+const addDays = (date, days) => {
+    const d = startOfDay(date);
+    d.setDate(d.getDate() + days);
+    return d;
+};
+
+/** Whole calendar days from fromDate to toDate (negative when toDate is earlier) */
+const getDayDiff = (fromDate, toDate) => Math.round((startOfDay(toDate).getTime() - startOfDay(fromDate).getTime()) / MS_PER_DAY);
+
+/**
+ * Date from a query parameter: YYYY-MM-DD as a local calendar day (not shifted by the UTC offset), anything else as Date() parses it.
+ * @returns {Date|null} null when the value is not a date
+ */
+const parseLocalDate = (value) => {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+    const date = match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/** YYYY-MM-DD of the local calendar day */
+const toDateKey = (date) => {
+    const d = new Date(date);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+module.exports = {
+    MS_PER_DAY,
+    startOfDay,
+    endOfDay,
+    addDays,
+    getDayDiff,
+    parseLocalDate,
+    toDateKey
+};
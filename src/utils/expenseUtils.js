@@ -0,0 +1,45 @@
+// utils/expenseUtils.js
+// Case expense totals: outstanding disbursements recoverable from a client
+
+const CaseExpense = require('../models/CaseExpense');
+const { roundMoney } = require('./invoiceUtils');
+
+/**
+ * Recoverable expenses of a client, split into recovered and still outstanding.
+ * @param {string} organizationId
+ * @param {string} clientId
+ * @returns {Promise<{ expenseCount: number, recoverableTotal: number, recoveredTotal: number, outstanding: number }>}
+ */
+const getClientDisbursementSummary = async (organizationId, clientId) => {
+    const [summary] = await CaseExpense.aggregate([
+        {
+            $match: {
+                organization: String(organizationId),
+                client: String(clientId),
+                recoverable: true,
+                deletedAt: null
+            }
+        },
+        {
+            $group: {
+                _id: null,
+                expenseCount: { $sum: 1 },
+                recoverableTotal: { $sum: '$amount' },
+                recoveredTotal: { $sum: { $cond: [{ $ne: ['$recoveredAt', null] }, '$amount', 0] } }
+            }
+        }
+    ]);
+
+    const recoverableTotal = roundMoney(summary ? summary.recoverableTotal : 0);
+    const recoveredTotal = roundMoney(summary ? summary.recoveredTotal : 0);
+    return {
+        expenseCount: summary ? summary.expenseCount : 0,
+        recoverableTotal,
+        recoveredTotal,
+        outstanding: roundMoney(recoverableTotal - recoveredTotal)
+    };
+};
+
+module.exports = {
+    getClientDisbursementSummary
+};
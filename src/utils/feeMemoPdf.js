@@ -0,0 +1,237 @@
+// utils/feeMemoPdf.js
+// Fee memo and payment receipt PDFs for a client (letterhead from the organization, amount in words in Indian numbering)
+
+const { renderPdfToBuffer, formatRupees, formatDateIN } = require('./pdfUtils');
+const { amountInWords } = require('./invoiceUtils');
+
+const PAYMENT_METHOD_LABELS = {
+    cash: 'Cash',
+    upi: 'UPI',
+    bank_transfer: 'Bank transfer',
+    cheque: 'Cheque',
+    card: 'Card',
+    other: 'Other'
+};
+
+const joinAddress = (party) => [party.streetAddress, party.city, party.province, party.postalCode]
+    .filter(Boolean)
+    .join(', ');
+
+const clientName = (client) => `${client.firstName || ''} ${client.lastName || ''}`.trim();
+
+/** Letterhead: firm name, address, contact and GSTIN */
+const drawLetterhead = (doc, organization) => {
+    doc.font('Helvetica-Bold').fontSize(18).text(organization.companyName || '', { align: 'center' });
+    doc.font('Helvetica').fontSize(9);
+    const address = joinAddress(organization);
+    if (address) doc.text(address, { align: 'center' });
+    const contact = [organization.companyPhone && `Phone: ${organization.companyPhone}`, organization.companyEmail && `Email: ${organization.companyEmail}`]
+        .filter(Boolean)
+        .join('   ');
+    if (contact) doc.text(contact, { align: 'center' });
+    if (organization.gstin) doc.font('Helvetica-Bold').text(`GSTIN: ${organization.gstin}`, { align: 'center' });
+
+    doc.moveDown(0.5);
+    const y = doc.y;
+    doc.moveTo(doc.page.margins.left, y).lineTo(doc.page.width - doc.page.margins.right, y).lineWidth(1).stroke();
+    doc.moveDown(0.8);
+};
+
+const drawTitle = (doc, title, meta) => {
+    doc.font('Helvetica-Bold').fontSize(14).text(title, { align: 'center' });
+    doc.moveDown(0.5);
+
+    const left = doc.page.margins.left;
+    const right = doc.page.width - doc.page.margins.right;
+    doc.font('Helvetica').fontSize(10);
+    for (const [label, value] of meta) {
+        const y = doc.y;
+        doc.text(`${label}:`, right - 220, y, { width: 90 });
+        doc.text(value, right - 130, y, { width: 130, align: 'right' });
+    }
+    doc.x = left;
+    doc.moveDown(0.5);
+};
+
+const drawClientBlock = (doc, client, heading) => {
+    const left = doc.page.margins.left;
+    doc.font('Helvetica-Bold').fontSize(10).text(heading, left);
+    doc.font('Helvetica').fontSize(10);
+    doc.text(clientName(client));
+    if (client.companyName) doc.text(client.companyName);
+    const address = joinAddress(client);
+    if (address) doc.text(address, { width: 300 });
+    const contact = [client.phone && `Phone: ${client.phone}`, client.email && `Email: ${client.email}`].filter(Boolean).join('   ');
+    if (contact) doc.text(contact);
+    if (client.panCardNumber) doc.text(`PAN: ${client.panCardNumber}`);
+    doc.moveDown(1);
+};
+
+/** Line items table with GST rows and totals */
+const drawItemsTable = (doc, rows, totals) => {
+    const left = doc.page.margins.left;
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const columns = [
+        { label: '#', width: 25, align: 'left' },
+        { label: 'Description', width: width - 25 - 60 - 40 - 85 - 90, align: 'left' },
+        { label: 'SAC', width: 60, align: 'left' },
+        { label: 'Qty', width: 40, align: 'right' },
+        { label: 'Rate', width: 85, align: 'right' },
+        { label: 'Amount', width: 90, align: 'right' }
+    ];
+
+    const drawRow = (cells, font) => {
+        doc.font(font).fontSize(9);
+        const heights = cells.map((cell, i) => doc.heightOfString(String(cell), { width: columns[i].width - 6 }));
+        const rowHeight = Math.max(...heights) + 8;
+        if (doc.y + rowHeight > doc.page.height - doc.page.margins.bottom) doc.addPage();
+        const y = doc.y;
+        let x = left;
+        cells.forEach((cell, i) => {
+            doc.text(String(cell), x + 3, y + 4, { width: columns[i].width - 6, align: columns[i].align });
+            x += columns[i].width;
+        });
+        doc.moveTo(left, y + rowHeight).lineTo(left + width, y + rowHeight).lineWidth(0.5).stroke();
+        doc.x = left;
+        doc.y = y + rowHeight;
+    };
+
+    const headerTop = doc.y;
+    doc.moveTo(left, headerTop).lineTo(left + width, headerTop).lineWidth(0.5).stroke();
+    drawRow(columns.map((c) => c.label), 'Helvetica-Bold');
+    rows.forEach((row, i) => drawRow([
+        i + 1,
+        row.description,
+        row.sacCode || '',
+        row.quantity,
+        formatRupees(row.rate),
+        formatRupees(row.amount)
+    ], 'Helvetica'));
+
+    doc.moveDown(0.5);
+    for (const [label, value, bold] of totals) {
+        const y = doc.y;
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+        doc.text(label, left + width - 280, y, { width: 180, align: 'right' });
+        doc.text(value, left + width - 100, y, { width: 100, align: 'right' });
+    }
+    doc.x = left;
+    doc.moveDown(0.8);
+};
+
+const drawAmountInWords = (doc, amount) => {
+    doc.font('Helvetica-Bold').fontSize(10).text('Amount in words: ', doc.page.margins.left, doc.y, { continued: true });
+    doc.font('Helvetica').text(amountInWords(amount));
+    doc.moveDown(1);
+};
+
+const drawSignature = (doc, organization, notes) => {
+    const left = doc.page.margins.left;
+    const right = doc.page.width - doc.page.margins.right;
+    if (notes) {
+        doc.font('Helvetica-Bold').fontSize(9).text('Notes', left);
+        doc.font('Helvetica').fontSize(9).text(notes, { width: right - left });
+        doc.moveDown(1);
+    }
+    if (doc.y + 90 > doc.page.height - doc.page.margins.bottom) doc.addPage();
+    doc.moveDown(1);
+    doc.font('Helvetica-Bold').fontSize(10).text(`For ${organization.companyName || ''}`, right - 220, doc.y, { width: 220, align: 'right' });
+    doc.moveDown(3);
+    doc.font('Helvetica').fontSize(9).text('Authorised Signatory', right - 220, doc.y, { width: 220, align: 'right' });
+    doc.moveDown(2);
+    doc.fontSize(8).fillColor('#666666').text('This is a computer-generated document.', left, doc.y, { width: right - left, align: 'center' });
+    doc.fillColor('#000000');
+};
+
+/**
+ * Fee memo: the invoice's line items with GST, or the client's agreed fees when no invoice is given.
+ * @param {{ organization: Object, client: Object, invoice?: Object, caseDoc?: Object }} data - lean documents
+ * @returns {Promise<Buffer>}
+ */
+const renderFeeMemoPdf = ({ organization, client, invoice = null, caseDoc = null }) => renderPdfToBuffer((doc) => {
+    drawLetterhead(doc, organization);
+
+    const meta = [];
+    if (invoice) {
+        meta.push(['Memo No.', invoice.invoiceNumber || 'DRAFT']);
+        meta.push(['Date', formatDateIN(invoice.invoiceDate)]);
+        if (invoice.dueDate) meta.push(['Due Date', formatDateIN(invoice.dueDate)]);
+    } else {
+        meta.push(['Date', formatDateIN(new Date())]);
+    }
+    drawTitle(doc, invoice && invoice.status === 'draft' ? 'DRAFT FEE MEMO' : 'FEE MEMO', meta);
+    drawClientBlock(doc, client, 'Bill To');
+
+    if (caseDoc) {
+        doc.font('Helvetica').fontSize(10)
+            .text(`Matter: ${[caseDoc.caseNumber, caseDoc.partyName].filter(Boolean).join(' - ')}${caseDoc.courtName ? ` (${caseDoc.courtName})` : ''}`);
+        doc.moveDown(0.8);
+    }
+
+    let total;
+    if (invoice) {
+        const totals = [['Subtotal', formatRupees(invoice.subtotal)]];
+        if (invoice.taxType === 'inter_state') {
+            totals.push([`IGST @ ${invoice.gstRate}%`, formatRupees(invoice.igst)]);
+        } else {
+            totals.push([`CGST @ ${invoice.gstRate / 2}%`, formatRupees(invoice.cgst)]);
+            totals.push([`SGST @ ${invoice.gstRate / 2}%`, formatRupees(invoice.sgst)]);
+        }
+        totals.push(['Total', formatRupees(invoice.total), true]);
+        if (invoice.amountPaid > 0) {
+            totals.push(['Paid', formatRupees(invoice.amountPaid)]);
+            totals.push(['Balance Due', formatRupees(invoice.balanceDue), true]);
+        }
+        drawItemsTable(doc, invoice.lineItems, totals);
+        total = invoice.total;
+    } else {
+        total = Number(client.fees) || 0;
+        drawItemsTable(doc, [{ description: 'Professional fees', quantity: 1, rate: total, amount: total }], [['Total', formatRupees(total), true]]);
+    }
+
+    drawAmountInWords(doc, total);
+    drawSignature(doc, organization, invoice ? invoice.notes : '');
+}, { info: { Title: invoice && invoice.invoiceNumber ? `Fee memo ${invoice.invoiceNumber}` : 'Fee memo' } });
+
+/**
+ * Receipt for one payment recorded on an invoice.
+ * @param {{ organization: Object, client: Object, invoice: Object, payment: Object, receiptNumber: string }} data - lean documents
+ * @returns {Promise<Buffer>}
+ */
+const renderPaymentReceiptPdf = ({ organization, client, invoice, payment, receiptNumber }) => renderPdfToBuffer((doc) => {
+    drawLetterhead(doc, organization);
+    drawTitle(doc, 'PAYMENT RECEIPT', [
+        ['Receipt No.', receiptNumber],
+        ['Date', formatDateIN(payment.paidOn)]
+    ]);
+    drawClientBlock(doc, client, 'Received From');
+
+    const method = PAYMENT_METHOD_LABELS[payment.method] || payment.method;
+    doc.font('Helvetica').fontSize(11).text(
+        `Received with thanks from ${clientName(client)} the sum of ${formatRupees(payment.amount)} ` +
+        `by ${method}${payment.reference ? ` (Ref: ${payment.reference})` : ''} on ${formatDateIN(payment.paidOn)} ` +
+        `against fee memo ${invoice.invoiceNumber} dated ${formatDateIN(invoice.invoiceDate)}.`,
+        { lineGap: 3 }
+    );
+    doc.moveDown(1);
+    drawAmountInWords(doc, payment.amount);
+
+    const left = doc.page.margins.left;
+    for (const [label, value] of [
+        ['Memo total', formatRupees(invoice.total)],
+        ['Total received', formatRupees(invoice.amountPaid)],
+        ['Balance due', formatRupees(invoice.balanceDue)]
+    ]) {
+        const y = doc.y;
+        doc.font('Helvetica').fontSize(10).text(label, left, y, { width: 120 });
+        doc.text(value, left + 120, y, { width: 120, align: 'right' });
+    }
+    doc.x = left;
+
+    drawSignature(doc, organization, payment.notes);
+}, { info: { Title: `Receipt ${receiptNumber}` } });
+
+module.exports = {
+    renderFeeMemoPdf,
+    renderPaymentReceiptPdf
+};
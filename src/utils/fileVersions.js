@@ -0,0 +1,107 @@
+// utils/fileVersions.js
+// Helpers for versioned stored files (models/schemas/FileVersionSchema): store, list, pick and serve versions
+
+const { getStorageDriver } = require('./storage');
+
+/**
+ * Store an uploaded file with the default storage driver (private access).
+ * @param {{ buffer: Buffer, originalname: string, mimetype: string }} file - multer file
+ * @param {string} folder
+ * @returns {Promise<Object>} Version fields without version/uploadedBy/uploadedAt
+ */
+const storeUploadedFile = async (file, folder) => {
+    const driver = getStorageDriver();
+    const stored = await driver.save({
+        buffer: file.buffer,
+        originalName: file.originalname,
+        mimeType: file.mimetype,
+        folder
+    }, { access: 'private' });
+
+    return {
+        originalName: file.originalname,
+        mimeType: file.mimetype,
+        size: stored.size,
+        storageDriver: driver.name,
+        storageKey: stored.storageKey,
+        storageMeta: stored.meta || {}
+    };
+};
+
+/**
+ * Best-effort removal of stored files (never throws).
+ * @param {Object[]} versions
+ */
+const removeStoredVersions = async (versions) => {
+    for (const v of versions || []) {
+        try {
+            await getStorageDriver(v.storageDriver).remove({ storageKey: v.storageKey, meta: v.storageMeta });
+        } catch (err) {
+            console.error(`⚠️ Failed to remove stored file ${v.storageKey}:`, err.message);
+        }
+    }
+};
+
+/** Version list for API responses (newest first, storage internals omitted) */
+const toVersionList = (versions, currentVersion) => [...(versions || [])]
+    .sort((a, b) => b.version - a.version)
+    .map((v) => ({
+        version: v.version,
+        isCurrent: v.version === currentVersion,
+        originalName: v.originalName,
+        mimeType: v.mimeType,
+        size: v.size,
+        uploadedBy: v.uploadedBy || null,
+        uploadedAt: v.uploadedAt || null
+    }));
+
+/**
+ * Pick a version by number (query param) or the current one.
+ * @returns {Object|null|undefined} The version, null when none exist, undefined when the requested number is invalid
+ */
+const findVersion = (versions, requested, currentVersion) => {
+    if (!versions || versions.length === 0) return null;
+    const wanted = requested !== undefined && requested !== null && requested !== ''
+        ? parseInt(requested, 10)
+        : currentVersion;
+    if (!Number.isInteger(wanted)) return undefined;
+    return versions.find((v) => v.version === wanted);
+};
+
+// RFC 5987 filename so non-ASCII names survive the download
+const contentDisposition = (fileName) => {
+    const fallback = String(fileName || 'document').replace(/[^\x20-\x7E]|["\\]/g, '_');
+    return `attachment; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(fileName || 'document')}`;
+};
+
+/**
+ * Send a stored version: stream it, or redirect to the driver's own short-lived URL.
+ * @param {Object} res
+ * @param {Function} next
+ * @param {Object} version - FileVersion fields
+ */
+const sendStoredFile = async (res, next, version) => {
+    const download = await getStorageDriver(version.storageDriver).getDownload({
+        storageKey: version.storageKey,
+        meta: version.storageMeta
+    });
+
+    res.setHeader('Cache-Control', 'private, no-store');
+    if (download.url) {
+        return res.redirect(302, download.url);
+    }
+
+    res.setHeader('Content-Type', version.mimeType || 'application/octet-stream');
+    res.setHeader('Content-Disposition', contentDisposition(version.originalName));
+    if (download.size != null) res.setHeader('Content-Length', download.size);
+    download.stream.on('error', (err) => next(err));
+    download.stream.pipe(res);
+};
+
+module.exports = {
+    storeUploadedFile,
+    removeStoredVersions,
+    toVersionList,
+    findVersion,
+    sendStoredFile
+};
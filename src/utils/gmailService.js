@@ -488,10 +488,195 @@ const sendPasswordResetEmail = async ({ to, fullName, resetLink, organizationNam
     }
 };
 
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const formatHearingDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric'
+});
+
+// Shared transporter setup for notification emails; returns { transporter, fromEmail } or a failure result
+const createNotificationTransporter = () => {
+    const fromEmail = process.env.GMAIL_EMAIL || process.env.GMAIL_USER;
+    const password = process.env.GMAIL_APP_PASSWORD || process.env.GMAIL_PASSWORD;
+
+    if (!fromEmail || !password) {
+        return {
+            error: {
+                success: false,
+                message: 'Gmail service not configured. GMAIL_EMAIL and GMAIL_APP_PASSWORD are required.',
+                error: 'GMAIL_NOT_CONFIGURED'
+            }
+        };
+    }
+
+    try {
+        const transporter = nodemailer.createTransport({
+            service: 'gmail',
+            auth: {
+                user: fromEmail,
+                pass: password
+            }
+        });
+        return { transporter, fromEmail };
+    } catch (error) {
+        return {
+            error: {
+                success: false,
+                error: error.message,
+                errorCode: 'TRANSPORTER_ERROR'
+            }
+        };
+    }
+};
+
+const sendNotificationMail = async ({ to, organizationName, subject, html, text, attachments }) => {
+    const { transporter, fromEmail, error } = createNotificationTransporter();
+    if (error) return error;
+
+    try {
+        const info = await transporter.sendMail({
+            from: {
+                name: organizationName,
+                address: fromEmail
+            },
+            to,
+            subject,
+            html,
+            text,
+            ...(attachments ? { attachments } : {})
+        });
+        return { success: true, messageId: info.messageId };
+    } catch (err) {
+        return {
+            success: false,
+            error: err.message,
+            errorCode: 'GMAIL_ERROR'
+        };
+    }
+};
+
+const wrapNotificationHtml = (inner) => `
+            <div style="font-family: system-ui, sans-serif, Arial; font-size: 16px; background-color: #f8fafc; color: #0f172a; padding: 20px;">
+              <div style="max-width: 600px; margin: auto; padding: 40px; background-color: #ffffff; border-radius: 12px;">
+                ${inner}
+                <p style="font-size: 12px; color: #94a3b8; margin-top: 32px;">You can choose which notifications are emailed to you in your CaseSnap notification preferences.</p>
+              </div>
+            </div>
+        `;
+
+// Send a single case stage reminder email (hearing coming up / follow-up after date)
+const sendCaseReminderEmail = async ({ to, fullName, organizationName = 'CaseSnap', title, caseLabel, partyName, stageName, nextDate, purpose, preparation, caseLink }) => {
+    const subject = `${title}: ${caseLabel}`;
+    const rows = [
+        ['Case', `${caseLabel}${partyName ? ` (${partyName})` : ''}`],
+        ['Stage', stageName],
+        ['Date', nextDate ? formatHearingDate(nextDate) : ''],
+        ['Purpose', purpose],
+        ['Preparation', preparation]
+    ].filter(([, value]) => value);
+
+    const html = wrapNotificationHtml(`
+                <h2 style="margin-top: 0;">${escapeHtml(title)}</h2>
+                <p>Hello ${escapeHtml(fullName || 'User')},</p>
+                <table style="border-collapse: collapse; width: 100%;">
+                  ${rows.map(([label, value]) => `<tr><td style="padding: 6px 12px 6px 0; color: #64748b; vertical-align: top;">${label}</td><td style="padding: 6px 0;">${escapeHtml(value)}</td></tr>`).join('')}
+                </table>
+                ${caseLink ? `<div style="text-align: center; margin: 24px 0;"><a href="${escapeHtml(caseLink)}" target="_blank" style="display: inline-block; text-decoration: none; color: #1f2937; background-color: #facc15; padding: 12px 24px; border-radius: 8px; font-weight: 600;">Open case</a></div>` : ''}
+    `);
+    const text = `Hello ${fullName || 'User'},\n\n${title}\n\n${rows.map(([label, value]) => `${label}: ${value}`).join('\n')}${caseLink ? `\n\nOpen case: ${caseLink}` : ''}`;
+
+    return sendNotificationMail({ to, organizationName, subject, html, text });
+};
+
+// Send the daily digest of upcoming hearings ("your hearings for the next N days")
+const sendHearingDigestEmail = async ({ to, fullName, organizationName = 'CaseSnap', days, hearings = [] }) => {
+    const subject = `Your hearings for the next ${days} days (${hearings.length})`;
+
+    const htmlRows = hearings.map((h) => `
+                  <tr>
+                    <td style="padding: 8px 12px 8px 0; vertical-align: top; white-space: nowrap;">${escapeHtml(formatHearingDate(h.date))}</td>
+                    <td style="padding: 8px 0; vertical-align: top;">
+                      <strong>${escapeHtml(h.caseLabel)}</strong>${h.partyName ? ` - ${escapeHtml(h.partyName)}` : ''}<br/>
+                      <span style="color: #475569;">${escapeHtml(h.stageName)}${h.courtName ? ` · ${escapeHtml(h.courtName)}` : ''}</span>
+                      ${h.purpose ? `<br/><span style="color: #64748b; font-size: 14px;">Purpose: ${escapeHtml(h.purpose)}</span>` : ''}
+                      ${h.preparation ? `<br/><span style="color: #64748b; font-size: 14px;">Preparation: ${escapeHtml(h.preparation)}</span>` : ''}
+                    </td>
+                  </tr>`).join('');
+
+    const html = wrapNotificationHtml(`
+                <h2 style="margin-top: 0;">Your hearings for the next ${days} days</h2>
+                <p>Hello ${escapeHtml(fullName || 'User')},</p>
+                <table style="border-collapse: collapse; width: 100%;">${htmlRows}</table>
+    `);
+    const text = `Hello ${fullName || 'User'},\n\nYour hearings for the next ${days} days:\n\n${hearings.map((h) => [
+        `${formatHearingDate(h.date)} - ${h.caseLabel}${h.partyName ? ` (${h.partyName})` : ''}`,
+        `  ${h.stageName}${h.courtName ? `, ${h.courtName}` : ''}`,
+        h.purpose ? `  Purpose: ${h.purpose}` : null,
+        h.preparation ? `  Preparation: ${h.preparation}` : null
+    ].filter(Boolean).join('\n')).join('\n\n')}`;
+
+    return sendNotificationMail({ to, organizationName, subject, html, text });
+};
+
+// Send an advocate the next day's cause list (PDF attached)
+const sendCauseListEmail = async ({ to, fullName, organizationName = 'CaseSnap', date, matters = [], pdf, filename }) => {
+    const subject = `Cause list for ${formatHearingDate(date)} (${matters.length})`;
+
+    const htmlRows = matters.map((m) => `
+                  <tr>
+                    <td style="padding: 8px 0; vertical-align: top;">
+                      <strong>${escapeHtml(m.caseNumber || m.caseId)}</strong>${m.partyName ? ` - ${escapeHtml(m.partyName)}` : ''}<br/>
+                      <span style="color: #475569;">${escapeHtml(m.stageName)}${m.courtName ? ` · ${escapeHtml(m.courtName)}` : ''}</span>
+                      ${m.purpose ? `<br/><span style="color: #64748b; font-size: 14px;">Purpose: ${escapeHtml(m.purpose)}</span>` : ''}
+                      ${m.preparation ? `<br/><span style="color: #64748b; font-size: 14px;">Preparation: ${escapeHtml(m.preparation)}</span>` : ''}
+                    </td>
+                  </tr>`).join('');
+
+    const html = wrapNotificationHtml(`
+                <h2 style="margin-top: 0;">Your cause list for ${escapeHtml(formatHearingDate(date))}</h2>
+                <p>Hello ${escapeHtml(fullName || 'User')},</p>
+                <p>The printable cause list is attached.</p>
+                <table style="border-collapse: collapse; width: 100%;">${htmlRows}</table>
+    `);
+    const text = `Hello ${fullName || 'User'},\n\nYour cause list for ${formatHearingDate(date)}:\n\n${matters.map((m) => [
+        `${m.caseNumber || m.caseId}${m.partyName ? ` (${m.partyName})` : ''}`,
+        `  ${m.stageName}${m.courtName ? `, ${m.courtName}` : ''}`,
+        m.purpose ? `  Purpose: ${m.purpose}` : null,
+        m.preparation ? `  Preparation: ${m.preparation}` : null
+    ].filter(Boolean).join('\n')).join('\n\n')}`;
+
+    const attachments = pdf ? [{ filename, content: pdf, contentType: 'application/pdf' }] : undefined;
+    return sendNotificationMail({ to, organizationName, subject, html, text, attachments });
+};
+
+// Send a generic in-app notification by email (used by the notification dispatcher)
+const sendNotificationEmail = async ({ to, fullName, organizationName = 'CaseSnap', title, message, link }) => {
+    const html = wrapNotificationHtml(`
+                <h2 style="margin-top: 0;">${escapeHtml(title)}</h2>
+                <p>Hello ${escapeHtml(fullName || 'User')},</p>
+                ${message ? `<p style="color: #475569; line-height: 1.6;">${escapeHtml(message)}</p>` : ''}
+                ${link ? `<div style="text-align: center; margin: 24px 0;"><a href="${escapeHtml(link)}" target="_blank" style="display: inline-block; text-decoration: none; color: #1f2937; background-color: #facc15; padding: 12px 24px; border-radius: 8px; font-weight: 600;">View in CaseSnap</a></div>` : ''}
+    `);
+    const text = `Hello ${fullName || 'User'},\n\n${title}${message ? `\n\n${message}` : ''}${link ? `\n\nView in CaseSnap: ${link}` : ''}`;
+
+    return sendNotificationMail({ to, organizationName, subject: title, html, text });
+};
+
 module.exports = {
     initializeEmailService,
     sendEmployeeInvitation,
     sendUserInvitation,
     sendPasswordResetEmail,
+    sendCaseReminderEmail,
+    sendHearingDigestEmail,
+    sendCauseListEmail,
+    sendNotificationEmail,
     testEmailConnection
 };
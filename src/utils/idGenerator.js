@@ -88,6 +88,110 @@ const generateNotificationId = () => {
     return generateCustomId('notification');
 };
 
+/**
+ * Generate reminder policy ID
+ * @returns {String} reminderpolicy_xxxxx
+ */
+const generateReminderPolicyId = () => {
+    return generateCustomId('reminderpolicy');
+};
+
+/**
+ * Generate email delivery ID
+ * @returns {String} emaildelivery_xxxxx
+ */
+const generateEmailDeliveryId = () => {
+    return generateCustomId('emaildelivery');
+};
+
+/**
+ * Generate notification preference ID
+ * @returns {String} notificationpref_xxxxx
+ */
+const generateNotificationPreferenceId = () => {
+    return generateCustomId('notificationpref');
+};
+
+/**
+ * Generate audit log ID
+ * @returns {String} auditlog_xxxxx
+ */
+const generateAuditLogId = () => {
+    return generateCustomId('auditlog');
+};
+
+/**
+ * Generate case document ID
+ * @returns {String} casedocument_xxxxx
+ */
+const generateCaseDocumentId = () => {
+    return generateCustomId('casedocument');
+};
+
+/**
+ * Generate invoice ID
+ * @returns {String} invoice_xxxxx
+ */
+const generateInvoiceId = () => {
+    return generateCustomId('invoice');
+};
+
+/**
+ * Generate counter ID
+ * @returns {String} counter_xxxxx
+ */
+const generateCounterId = () => {
+    return generateCustomId('counter');
+};
+
+/**
+ * Generate Time entry ID
+ * @returns {String} time_xxxxx
+ */
+const generateTimeEntryId = () => {
+    return generateCustomId('time');
+};
+
+/**
+ * Generate Case expense ID
+ * @returns {String} expense_xxxxx
+ */
+const generateCaseExpenseId = () => {
+    return generateCustomId('expense');
+};
+
+/**
+ * Generate Task ID
+ * @returns {String} task_xxxxx
+ */
+const generateTaskId = () => {
+    return generateCustomId('task');
+};
+
+/**
+ * Generate Stage Template ID
+ * @returns {String} stgtpl_xxxxx
+ */
+const generateStageTemplateId = () => {
+    return generateCustomId('stgtpl');
+};
+
+/**
+ * Generate Limitation Rule ID
+ * @returns {String} limrule_xxxxx
+ */
+const generateLimitationRuleId = () => {
+    return generateCustomId('limrule');
+};
+
+/**
+ * Generate Court Holiday ID
+ * @returns {String} holiday_xxxxx
+ */
+const generateCourtHolidayId = () => {
+    return generateCustomId('holiday');
+};
+
 /**
  * Validate custom ID format
  * @param {String} id - ID to validate
@@ -111,6 +215,19 @@ module.exports = {
     generateCaseNumber,
     generateModuleId,
     generateNotificationId,
+    generateReminderPolicyId,
+    generateEmailDeliveryId,
+    generateNotificationPreferenceId,
+    generateAuditLogId,
+    generateCaseDocumentId,
+    generateInvoiceId,
+    generateCounterId,
+    generateTimeEntryId,
+    generateCaseExpenseId,
+    generateTaskId,
+    generateStageTemplateId,
+    generateLimitationRuleId,
+    generateCourtHolidayId,
     isValidCustomId,
     generateId: generateCustomId // Alias for Module model
 };
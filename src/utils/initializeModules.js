@@ -29,6 +29,11 @@ exports.initializeDefaultModules = async () => {
                 name: 'user',
                 displayName: 'User',
                 description: 'User management module'
+            },
+            {
+                name: 'invoice',
+                displayName: 'Invoice',
+                description: 'Client billing: invoices and payments'
             }
         ];
 
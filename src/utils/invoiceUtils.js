@@ -0,0 +1,182 @@
+// utils/invoiceUtils.js
+// Invoice arithmetic (GST split, totals, payment status), numbering, amounts in words and client balance summaries
+
+const Counter = require('../models/Counter');
+const { MS_PER_DAY } = require('./dateUtils');
+
+/** Round to paise */
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const normalizeState = (state) => String(state || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * CGST+SGST when the client is in the firm's state, IGST otherwise. Unknown client state is treated as intra-state.
+ * @param {string} organizationState
+ * @param {string} clientState
+ * @returns {'intra_state'|'inter_state'}
+ */
+const resolveTaxType = (organizationState, clientState) => {
+    if (!normalizeState(clientState) || !normalizeState(organizationState)) return 'intra_state';
+    return normalizeState(organizationState) === normalizeState(clientState) ? 'intra_state' : 'inter_state';
+};
+
+/**
+ * Recompute line amounts, GST, totals, amount paid, balance and payment status on an invoice document.
+ * Called from Invoice pre('validate') so stored amounts can never drift from the line items and payments.
+ * @param {Object} invoice - Invoice document (mutated)
+ */
+const applyInvoiceTotals = (invoice) => {
+    let subtotal = 0;
+    for (const item of invoice.lineItems || []) {
+        item.amount = roundMoney((Number(item.quantity) || 0) * (Number(item.rate) || 0));
+        subtotal += item.amount;
+    }
+    subtotal = roundMoney(subtotal);
+
+    const rate = Number(invoice.gstRate) || 0;
+    if (invoice.taxType === 'inter_state') {
+        invoice.igst = roundMoney(subtotal * rate / 100);
+        invoice.cgst = 0;
+        invoice.sgst = 0;
+    } else {
+        invoice.cgst = roundMoney(subtotal * rate / 200);
+        invoice.sgst = roundMoney(subtotal * rate / 200);
+        invoice.igst = 0;
+    }
+
+    invoice.subtotal = subtotal;
+    invoice.taxTotal = roundMoney(invoice.cgst + invoice.sgst + invoice.igst);
+    invoice.total = roundMoney(subtotal + invoice.taxTotal);
+    invoice.amountPaid = roundMoney((invoice.payments || []).reduce((sum, p) => sum + (Number(p.amount) || 0), 0));
+    invoice.balanceDue = roundMoney(Math.max(0, invoice.total - invoice.amountPaid));
+
+    if (invoice.status !== 'draft' && invoice.status !== 'cancelled') {
+        if (invoice.amountPaid <= 0) invoice.status = 'issued';
+        else if (invoice.balanceDue > 0) invoice.status = 'partially_paid';
+        else invoice.status = 'paid';
+    }
+};
+
+const ONES = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+    'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+const twoDigitsInWords = (n) => (n < 20 ? ONES[n] : `${TENS[Math.floor(n / 10)]}${n % 10 ? `-${ONES[n % 10]}` : ''}`);
+
+// Whole number in the Indian system: crore, lakh, thousand, hundred
+const integerInWords = (n) => {
+    if (n === 0) return '';
+    if (n >= 10000000) {
+        return [integerInWords(Math.floor(n / 10000000)), 'Crore', integerInWords(n % 10000000)].filter(Boolean).join(' ');
+    }
+    const parts = [];
+    const lakhs = Math.floor(n / 100000);
+    const thousands = Math.floor((n % 100000) / 1000);
+    const hundreds = Math.floor((n % 1000) / 100);
+    const rest = n % 100;
+    if (lakhs) parts.push(`${twoDigitsInWords(lakhs)} Lakh`);
+    if (thousands) parts.push(`${twoDigitsInWords(thousands)} Thousand`);
+    if (hundreds) parts.push(`${ONES[hundreds]} Hundred`);
+    if (rest) parts.push(twoDigitsInWords(rest));
+    return parts.join(' ');
+};
+
+/**
+ * Rupee amount in words using Indian numbering, as printed on fee memos and receipts.
+ * e.g. 1234567.5 → "Rupees Twelve Lakh Thirty-Four Thousand Five Hundred Sixty-Seven and Fifty Paise Only"
+ * @param {number} amount
+ * @returns {string}
+ */
+const amountInWords = (amount) => {
+    const paiseTotal = Math.round(Math.abs(Number(amount) || 0) * 100);
+    const rupees = Math.floor(paiseTotal / 100);
+    const paise = paiseTotal % 100;
+
+    let words = `Rupees ${integerInWords(rupees) || 'Zero'}`;
+    if (paise) words += ` and ${twoDigitsInWords(paise)} Paise`;
+    return `${words} Only`;
+};
+
+/**
+ * Indian financial year label for a date, e.g. 2026-27 for 18 Oct 2026
+ */
+const getFinancialYear = (date = new Date()) => {
+    const d = new Date(date);
+    const startYear = d.getMonth() >= 3 ? d.getFullYear() : d.getFullYear() - 1;
+    return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+/**
+ * Next invoice number for the organization, sequential within each financial year: PREFIX/2026-27/0001
+ * @param {string} organizationId
+ * @param {string} prefix
+ * @param {Date} invoiceDate
+ * @returns {Promise<string>}
+ */
+const generateInvoiceNumber = async (organizationId, prefix, invoiceDate) => {
+    const financialYear = getFinancialYear(invoiceDate);
+    const seq = await Counter.next(organizationId, `invoice:${financialYear}`);
+    return `${prefix || 'INV'}/${financialYear}/${String(seq).padStart(4, '0')}`;
+};
+
+/** Default due date from the organization's payment terms */
+const computeDueDate = (invoiceDate, dueDays) => new Date(new Date(invoiceDate).getTime() + (Number(dueDays) || 0) * MS_PER_DAY);
+
+/**
+ * Billing totals for one client: issued (non-draft, non-cancelled) invoices only.
+ * @param {string} organizationId
+ * @param {string} clientId
+ * @returns {Promise<{ invoiceCount: number, totalInvoiced: number, totalPaid: number, outstanding: number, overdue: number, overdueCount: number }>}
+ */
+const getClientBillingSummary = async (organizationId, clientId) => {
+    // Required here: models/Invoice requires this module for applyInvoiceTotals
+    const Invoice = require('../models/Invoice');
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    const [summary] = await Invoice.aggregate([
+        {
+            $match: {
+                organization: String(organizationId),
+                client: String(clientId),
+                deletedAt: null,
+                status: { $in: ['issued', 'partially_paid', 'paid'] }
+            }
+        },
+        {
+            $group: {
+                _id: null,
+                invoiceCount: { $sum: 1 },
+                totalInvoiced: { $sum: '$total' },
+                totalPaid: { $sum: '$amountPaid' },
+                outstanding: { $sum: '$balanceDue' },
+                overdue: {
+                    $sum: { $cond: [{ $and: [{ $gt: ['$balanceDue', 0] }, { $lt: ['$dueDate', today] }] }, '$balanceDue', 0] }
+                },
+                overdueCount: {
+                    $sum: { $cond: [{ $and: [{ $gt: ['$balanceDue', 0] }, { $lt: ['$dueDate', today] }] }, 1, 0] }
+                }
+            }
+        }
+    ]);
+
+    return {
+        invoiceCount: summary ? summary.invoiceCount : 0,
+        totalInvoiced: roundMoney(summary ? summary.totalInvoiced : 0),
+        totalPaid: roundMoney(summary ? summary.totalPaid : 0),
+        outstanding: roundMoney(summary ? summary.outstanding : 0),
+        overdue: roundMoney(summary ? summary.overdue : 0),
+        overdueCount: summary ? summary.overdueCount : 0
+    };
+};
+
+module.exports = {
+    roundMoney,
+    resolveTaxType,
+    applyInvoiceTotals,
+    amountInWords,
+    getFinancialYear,
+    generateInvoiceNumber,
+    computeDueDate,
+    getClientBillingSummary
+};
@@ -0,0 +1,332 @@
+// utils/limitationUtils.js
+// Limitation periods: rule lookup (organization rule → built-in default), deadline computation and alert schedule
+
+const Case = require('../models/Case');
+const LimitationRule = require('../models/LimitationRule');
+const { startOfDay, addDays, getDayDiff } = require('./dateUtils');
+
+const DEFAULT_ALERT_DAYS = [30, 15, 7, 3, 1, 0];
+
+const normalizeProceedingKey = (value) => String(value || '').trim().toLowerCase();
+
+const parseOptionalDate = (value) => {
+    if (value === null || value === '') return { value: null };
+    const d = new Date(value);
+    return Number.isNaN(d.getTime()) ? { error: true } : { value: d };
+};
+
+/**
+ * Normalize alert days input to unique whole days, largest first.
+ * @returns {{ days: number[] } | { error: string }}
+ */
+const normalizeAlertDays = (raw) => {
+    const list = Array.isArray(raw) ? raw : String(raw ?? '').split(',').filter((v) => v.trim() !== '');
+    const days = [];
+    for (const v of list) {
+        const n = Number(v);
+        if (!Number.isInteger(n) || n < 0 || n > 365) {
+            return { error: `Invalid alert day "${v}". Use whole days between 0 and 365.` };
+        }
+        if (!days.includes(n)) days.push(n);
+    }
+    if (days.length > 10) return { error: 'A limitation rule can have at most 10 alert days' };
+    return { days: days.sort((a, b) => b - a) };
+};
+
+/**
+ * Validate a limitation rule request body.
+ * @param {Object} body - { proceedingType, periodDays, excludeCertifiedCopyTime, alertDays, description }
+ * @param {{ partial?: boolean }} [options]
+ * @returns {{ data: Object } | { error: string }}
+ */
+const sanitizeLimitationRulePayload = (body = {}, { partial = false } = {}) => {
+    const data = {};
+
+    if (body.proceedingType !== undefined || !partial) {
+        const proceedingType = body.proceedingType ? String(body.proceedingType).trim() : '';
+        if (!proceedingType) return { error: 'Proceeding type is required' };
+        data.proceedingType = proceedingType;
+    }
+    if (body.periodDays !== undefined || !partial) {
+        const periodDays = Number(body.periodDays);
+        if (!Number.isInteger(periodDays) || periodDays < 1 || periodDays > LimitationRule.MAX_PERIOD_DAYS) {
+            return { error: `periodDays must be a whole number of days between 1 and ${LimitationRule.MAX_PERIOD_DAYS}` };
+        }
+        data.periodDays = periodDays;
+    }
+    if (body.excludeCertifiedCopyTime !== undefined) {
+        data.excludeCertifiedCopyTime = body.excludeCertifiedCopyTime === true || body.excludeCertifiedCopyTime === 'true';
+    }
+    if (body.alertDays !== undefined) {
+        const result = normalizeAlertDays(body.alertDays);
+        if (result.error) return { error: result.error };
+        data.alertDays = result.days;
+    }
+    if (body.description !== undefined) {
+        data.description = body.description ? String(body.description).trim() : '';
+    }
+
+    return { data };
+};
+
+const defaultRuleFor = (rule) => ({
+    ...rule,
+    _id: null,
+    proceedingKey: normalizeProceedingKey(rule.proceedingType),
+    excludeCertifiedCopyTime: true,
+    alertDays: [...DEFAULT_ALERT_DAYS],
+    isDefault: true
+});
+
+/**
+ * The organization's rules plus the built-in defaults it has not overridden (isDefault: true).
+ * @param {string} organizationId
+ * @returns {Promise<Object[]>}
+ */
+const listLimitationRules = async (organizationId) => {
+    const rules = await LimitationRule.find({ organization: organizationId }).sort({ proceedingType: 1 }).lean();
+    const own = new Set(rules.map((r) => r.proceedingKey));
+    const defaults = LimitationRule.DEFAULT_RULES
+        .filter((r) => !own.has(normalizeProceedingKey(r.proceedingType)))
+        .map(defaultRuleFor);
+    return [...rules.map((r) => ({ ...r, isDefault: false })), ...defaults]
+        .sort((a, b) => a.proceedingType.localeCompare(b.proceedingType));
+};
+
+/**
+ * Rule for a proceeding type: the organization's own rule, else the built-in default, else null.
+ * @param {string} organizationId
+ * @param {string} proceedingType
+ * @returns {Promise<Object|null>}
+ */
+const findLimitationRule = async (organizationId, proceedingType) => {
+    const key = normalizeProceedingKey(proceedingType);
+    if (!key) return null;
+    const rule = await LimitationRule.findOne({ organization: organizationId, proceedingKey: key }).lean();
+    if (rule) return { ...rule, isDefault: false };
+    const fallback = LimitationRule.DEFAULT_RULES.find((r) => normalizeProceedingKey(r.proceedingType) === key);
+    return fallback ? defaultRuleFor(fallback) : null;
+};
+
+/**
+ * Compute the last day to file. The period runs from the day after the judgment/order (s.12(1)).
+ * Time taken to obtain a certified copy (application to the day it is ready) is added when the rule excludes it
+ * and the copy was applied for within the period. While the copy is still awaited the deadline does not include
+ * that time yet, so it errs on the early side.
+ * @returns {{ deadline: Date, excludedDays: number, certifiedCopyPending: boolean }}
+ */
+const computeLimitationDeadline = ({ fromDate, periodDays, excludeCertifiedCopyTime = true, certifiedCopyAppliedOn = null, certifiedCopyReadyOn = null }) => {
+    const baseDeadline = addDays(fromDate, periodDays);
+    let excludedDays = 0;
+    let certifiedCopyPending = false;
+
+    if (excludeCertifiedCopyTime && certifiedCopyAppliedOn && startOfDay(certifiedCopyAppliedOn) <= baseDeadline) {
+        if (certifiedCopyReadyOn) {
+            excludedDays = Math.max(0, getDayDiff(certifiedCopyAppliedOn, certifiedCopyReadyOn));
+        } else {
+            certifiedCopyPending = true;
+        }
+    }
+
+    return { deadline: addDays(baseDeadline, excludedDays), excludedDays, certifiedCopyPending };
+};
+
+/**
+ * Build the case limitation from a request body, on top of the current one (if any).
+ * @param {Object} options
+ * @param {string} options.organizationId
+ * @param {Object|null} options.current - Existing case.limitation
+ * @param {Object} options.body - { proceedingType, fromDate, periodDays, certifiedCopyAppliedOn, certifiedCopyReadyOn, status, filedOn, notes }
+ * @param {Date|null} [options.fallbackFromDate] - Used when no fromDate is given or stored (e.g. the closure judgment date)
+ * @param {string} options.userId
+ * @returns {Promise<{ limitation: Object } | { error: string }>}
+ */
+const buildCaseLimitation = async ({ organizationId, current = null, body = {}, fallbackFromDate = null, userId }) => {
+    const base = current ? (typeof current.toObject === 'function' ? current.toObject() : { ...current }) : {};
+
+    const proceedingType = body.proceedingType !== undefined ? String(body.proceedingType || '').trim() : base.proceedingType;
+    if (!proceedingType) return { error: 'Proceeding type is required' };
+
+    const typeChanged = !current || normalizeProceedingKey(proceedingType) !== normalizeProceedingKey(base.proceedingType);
+    let periodDays = base.periodDays;
+    let excludeCertifiedCopyTime = base.excludeCertifiedCopyTime !== false;
+    let alertDays = base.alertDays || DEFAULT_ALERT_DAYS;
+    if (typeChanged) {
+        const rule = await findLimitationRule(organizationId, proceedingType);
+        if (rule) {
+            periodDays = rule.periodDays;
+            excludeCertifiedCopyTime = rule.excludeCertifiedCopyTime !== false;
+            alertDays = rule.alertDays && rule.alertDays.length ? rule.alertDays : DEFAULT_ALERT_DAYS;
+        } else if (body.periodDays === undefined) {
+            return { error: `No limitation rule for "${proceedingType}". Add one or give periodDays.` };
+        }
+    }
+    if (body.periodDays !== undefined) {
+        periodDays = Number(body.periodDays);
+        if (!Number.isInteger(periodDays) || periodDays < 1 || periodDays > LimitationRule.MAX_PERIOD_DAYS) {
+            return { error: `periodDays must be a whole number of days between 1 and ${LimitationRule.MAX_PERIOD_DAYS}` };
+        }
+    }
+
+    const dates = {};
+    for (const field of ['fromDate', 'certifiedCopyAppliedOn', 'certifiedCopyReadyOn', 'filedOn']) {
+        if (body[field] === undefined) {
+            dates[field] = base[field] || null;
+            continue;
+        }
+        const parsed = parseOptionalDate(body[field]);
+        if (parsed.error) return { error: `Invalid ${field}` };
+        dates[field] = parsed.value;
+    }
+    if (!dates.fromDate) dates.fromDate = fallbackFromDate || null;
+    if (!dates.fromDate) return { error: 'Judgment or order date (fromDate) is required' };
+    if (dates.certifiedCopyAppliedOn && startOfDay(dates.certifiedCopyAppliedOn) < startOfDay(dates.fromDate)) {
+        return { error: 'Certified copy cannot be applied for before the judgment/order date' };
+    }
+    if (dates.certifiedCopyReadyOn && !dates.certifiedCopyAppliedOn) {
+        return { error: 'certifiedCopyAppliedOn is required when certifiedCopyReadyOn is given' };
+    }
+    if (dates.certifiedCopyReadyOn && dates.certifiedCopyReadyOn < dates.certifiedCopyAppliedOn) {
+        return { error: 'Certified copy ready date cannot be before the application date' };
+    }
+
+    const status = body.status !== undefined ? body.status : (base.status || 'open');
+    if (!['open', 'filed', 'not_pursued'].includes(status)) {
+        return { error: 'Limitation status must be one of: open, filed, not_pursued' };
+    }
+
+    const { deadline, excludedDays } = computeLimitationDeadline({
+        fromDate: dates.fromDate,
+        periodDays,
+        excludeCertifiedCopyTime,
+        certifiedCopyAppliedOn: dates.certifiedCopyAppliedOn,
+        certifiedCopyReadyOn: dates.certifiedCopyReadyOn
+    });
+
+    return {
+        limitation: {
+            proceedingType,
+            periodDays,
+            excludeCertifiedCopyTime,
+            fromDate: dates.fromDate,
+            certifiedCopyAppliedOn: dates.certifiedCopyAppliedOn,
+            certifiedCopyReadyOn: dates.certifiedCopyReadyOn,
+            excludedDays,
+            deadline,
+            status,
+            filedOn: status === 'filed' ? (dates.filedOn || new Date()) : null,
+            filedCase: status === 'filed' ? (base.filedCase || null) : null,
+            notes: body.notes !== undefined ? String(body.notes || '').trim() : (base.notes || ''),
+            alertDays,
+            alertsSent: base.alertsSent || [],
+            setBy: userId ? String(userId) : (base.setBy || null)
+        }
+    };
+};
+
+/**
+ * Limitation as returned by the API: adds daysRemaining, certifiedCopyPending and an urgency band for open deadlines.
+ * @param {Object|null} limitation
+ * @param {Date} [today]
+ * @returns {Object|null}
+ */
+const describeLimitation = (limitation, today = new Date()) => {
+    if (!limitation) return null;
+    const plain = typeof limitation.toObject === 'function' ? limitation.toObject() : { ...limitation };
+    const { alertsSent, ...rest } = plain;
+    const certifiedCopyPending = Boolean(rest.excludeCertifiedCopyTime && rest.certifiedCopyAppliedOn && !rest.certifiedCopyReadyOn);
+
+    if (rest.status !== 'open') {
+        return { ...rest, certifiedCopyPending, daysRemaining: null, urgency: null };
+    }
+
+    const daysRemaining = getDayDiff(today, rest.deadline);
+    let urgency = 'ok';
+    if (daysRemaining < 0) urgency = 'expired';
+    else if (daysRemaining <= 3) urgency = 'critical';
+    else if (daysRemaining <= 15) urgency = 'warning';
+
+    return { ...rest, certifiedCopyPending, daysRemaining, urgency };
+};
+
+/**
+ * Decide which limitation alert (if any) is due today; mirrors the hearing reminder schedule.
+ * Alerts are tracked per deadline, so a recomputed deadline re-arms them.
+ * @param {number} daysRemaining - Negative once the deadline has passed
+ * @param {Object} limitation - Needs deadline, alertDays, alertsSent
+ * @returns {{ offsetDays: number } | null} offsetDays -1 = deadline passed (sent once)
+ */
+const findDueLimitationAlert = (daysRemaining, limitation) => {
+    const deadlineTime = new Date(limitation.deadline).getTime();
+    const sent = (limitation.alertsSent || []).filter((a) => a.deadline && new Date(a.deadline).getTime() === deadlineTime);
+
+    if (daysRemaining < 0) {
+        return sent.some((a) => a.offsetDays < 0) ? null : { offsetDays: -1 };
+    }
+
+    const candidates = (limitation.alertDays || DEFAULT_ALERT_DAYS).filter((d) => d >= daysRemaining).sort((a, b) => a - b);
+    if (candidates.length === 0) return null;
+    const nearest = candidates[0];
+
+    return sent.some((a) => a.offsetDays >= 0 && a.offsetDays <= nearest) ? null : { offsetDays: nearest };
+};
+
+/**
+ * Who is alerted at each stage: the assignee first; team leads from a week out; every case assignee of the
+ * organization (partners/managers) from the last day and once the deadline has passed.
+ * @param {number} offsetDays
+ * @returns {{ teamLeads: boolean, caseAssignees: boolean }}
+ */
+const limitationAlertEscalation = (offsetDays) => ({
+    teamLeads: offsetDays <= 7,
+    caseAssignees: offsetDays <= 1
+});
+
+/**
+ * Mark the open limitation of a challenged case as met by the appeal/revision filed against it.
+ * Saved through the document so the change is audited and shows on the case timeline.
+ * @param {string} challengedCaseId
+ * @param {string} filedCaseId - The appeal/revision
+ * @param {string} userId
+ */
+const markLimitationFiled = async (challengedCaseId, filedCaseId, userId) => {
+    const caseDoc = await Case.findOne({ _id: challengedCaseId, 'limitation.status': 'open' });
+    if (!caseDoc) return;
+    caseDoc.limitation.status = 'filed';
+    caseDoc.limitation.filedOn = new Date();
+    caseDoc.limitation.filedCase = filedCaseId;
+    caseDoc.updatedBy = userId;
+    await caseDoc.save();
+};
+
+/**
+ * Undo markLimitationFiled when the appeal/revision link is removed: the deadline runs again.
+ * Limitations closed by hand (or by another filing) are left alone.
+ */
+const reopenLimitationFiledBy = async (challengedCaseId, filedCaseId, userId) => {
+    const caseDoc = await Case.findOne({
+        _id: challengedCaseId,
+        'limitation.status': 'filed',
+        'limitation.filedCase': String(filedCaseId)
+    });
+    if (!caseDoc) return;
+    caseDoc.limitation.status = 'open';
+    caseDoc.limitation.filedOn = null;
+    caseDoc.limitation.filedCase = null;
+    caseDoc.updatedBy = userId;
+    await caseDoc.save();
+};
+
+module.exports = {
+    DEFAULT_ALERT_DAYS,
+    sanitizeLimitationRulePayload,
+    listLimitationRules,
+    findLimitationRule,
+    computeLimitationDeadline,
+    buildCaseLimitation,
+    describeLimitation,
+    findDueLimitationAlert,
+    limitationAlertEscalation,
+    markLimitationFiled,
+    reopenLimitationFiledBy
+};
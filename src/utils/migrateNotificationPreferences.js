@@ -0,0 +1,48 @@
+// utils/migrateNotificationPreferences.js
+// Move the retired User.reminderEmailDelivery setting into NotificationPreference (runs at startup, once per user)
+
+const User = require('../models/User');
+const NotificationPreference = require('../models/NotificationPreference');
+
+// reminderEmailDelivery 'none' turned off every case stage reminder email
+const REMINDER_EMAIL_TYPES = ['case_stage_reminder', 'case_stage_followup_after_date'];
+
+/**
+ * Map reminderEmailDelivery 'digest' to reminderEmailMode 'digest' and 'none' to email off for the reminder types,
+ * then remove the old field. Users who already saved notification preferences keep them.
+ * Called during application startup
+ */
+exports.migrateReminderEmailDelivery = async () => {
+    try {
+        // The field is no longer in the User schema: read and clear it on the collection
+        const users = await User.collection
+            .find({ reminderEmailDelivery: { $exists: true } }, { projection: { organization: 1, reminderEmailDelivery: 1 } })
+            .toArray();
+        if (users.length === 0) return;
+
+        let migrated = 0;
+        for (const user of users) {
+            const mode = user.reminderEmailDelivery;
+            const userId = String(user._id);
+
+            if ((mode === 'digest' || mode === 'none') && user.organization
+                && !(await NotificationPreference.exists({ user: userId }))) {
+                await NotificationPreference.create({
+                    user: userId,
+                    organization: String(user.organization),
+                    reminderEmailMode: mode === 'digest' ? 'digest' : 'immediate',
+                    channels: mode === 'none'
+                        ? REMINDER_EMAIL_TYPES.map((type) => ({ type, inApp: true, email: false }))
+                        : []
+                });
+                migrated += 1;
+            }
+
+            await User.collection.updateOne({ _id: user._id }, { $unset: { reminderEmailDelivery: '' } });
+        }
+
+        console.log(`✅ Reminder email delivery moved to notification preferences (${migrated} of ${users.length} users)`);
+    } catch (error) {
+        console.error('❌ Error migrating reminder email delivery:', error.message);
+    }
+};
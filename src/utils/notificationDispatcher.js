@@ -0,0 +1,242 @@
+// utils/notificationDispatcher.js
+// Single entry point for creating notifications. Applies each recipient's NotificationPreference
+// (in-app / email per type), pushes in-app notifications to open streams, and records emails in
+// EmailDelivery so they are never sent twice.
+
+const Notification = require('../models/Notification');
+const NotificationPreference = require('../models/NotificationPreference');
+const EmailDelivery = require('../models/EmailDelivery');
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const { generateCustomId } = require('./idGenerator');
+const { sendNotificationEmail } = require('./gmailService');
+const { publishToUser } = require('./notificationPubSub');
+
+/** Channel defaults for every configurable notification type (used when the user has not chosen) */
+const NOTIFICATION_CHANNEL_DEFAULTS = Object.freeze({
+    client_created: { inApp: true, email: false },
+    client_bulk_imported: { inApp: true, email: false },
+    case_created: { inApp: true, email: false },
+    case_bulk_imported: { inApp: true, email: false },
+    case_stage_needs_confirmation: { inApp: true, email: false },
+    case_stage_reminder: { inApp: true, email: true },
+    case_stage_followup_after_date: { inApp: true, email: true },
+    task_assigned: { inApp: true, email: false },
+    task_overdue: { inApp: true, email: true },
+    limitation_deadline: { inApp: true, email: true },
+    team_member_added: { inApp: true, email: true },
+    team_member_removed: { inApp: true, email: false },
+    team_role_changed: { inApp: true, email: false }
+});
+
+/** Types whose emails are replaced by the daily hearing digest when reminderEmailMode is 'digest' */
+const DIGEST_NOTIFICATION_TYPES = ['case_stage_reminder'];
+
+/**
+ * Effective channels for one type given a (possibly missing) preference document.
+ * @returns {{ inApp: boolean, email: boolean }}
+ */
+const resolveChannels = (preference, type) => {
+    const defaults = NOTIFICATION_CHANNEL_DEFAULTS[type] || { inApp: true, email: false };
+    const override = preference && Array.isArray(preference.channels)
+        ? preference.channels.find((c) => c.type === type)
+        : null;
+    return {
+        inApp: override ? override.inApp !== false : defaults.inApp,
+        email: override ? override.email === true : defaults.email
+    };
+};
+
+/**
+ * All configurable types with effective channels, for the preferences API.
+ */
+const buildEffectivePreferences = (preference) => ({
+    reminderEmailMode: (preference && preference.reminderEmailMode) || 'immediate',
+    causeListEmail: Boolean(preference && preference.causeListEmail),
+    channels: Object.keys(NOTIFICATION_CHANNEL_DEFAULTS).map((type) => ({
+        type,
+        ...resolveChannels(preference, type)
+    }))
+});
+
+/**
+ * Insert the delivery record; returns null if this dedupeKey was already claimed (already sent or in flight).
+ */
+const claimEmailDelivery = async (record) => {
+    try {
+        return await EmailDelivery.create({ ...record, status: 'pending' });
+    } catch (err) {
+        if (err.code === 11000) return null;
+        throw err;
+    }
+};
+
+const completeEmailDelivery = async (delivery, result) => {
+    delivery.status = result && result.success ? 'sent' : 'failed';
+    delivery.messageId = result && result.messageId ? result.messageId : null;
+    delivery.error = result && !result.success ? (result.error || result.message || 'Email not sent') : null;
+    delivery.sentAt = result && result.success ? new Date() : null;
+    await delivery.save();
+};
+
+/**
+ * Per-request / per-job-cycle cache of users, organization names and preferences.
+ */
+const createDispatchContext = () => {
+    const users = new Map();
+    const organizationNames = new Map();
+    const preferences = new Map();
+
+    return {
+        getUser: async (userId) => {
+            const key = String(userId);
+            if (!users.has(key)) {
+                const user = await User.findById(key).select('email firstName lastName status organization').lean();
+                users.set(key, user || null);
+            }
+            return users.get(key);
+        },
+        getOrganizationName: async (organizationId) => {
+            // Controllers pass req.user.organization, which protect populates
+            const key = String(organizationId?._id || organizationId);
+            if (!organizationNames.has(key)) {
+                const org = await Organization.findById(key).select('companyName').lean();
+                organizationNames.set(key, (org && org.companyName) || 'CaseSnap');
+            }
+            return organizationNames.get(key);
+        },
+        getPreference: async (userId) => {
+            const key = String(userId);
+            if (!preferences.has(key)) {
+                const pref = await NotificationPreference.findOne({ user: key }).lean();
+                preferences.set(key, pref || null);
+            }
+            return preferences.get(key);
+        }
+    };
+};
+
+const buildEntityLink = (relatedEntityType, relatedEntityId) => {
+    if (!relatedEntityId) return null;
+    const base = process.env.FRONTEND_URL || 'http://localhost:3000';
+    if (relatedEntityType === 'case') return `${base}/cases/${relatedEntityId}`;
+    if (relatedEntityType === 'client') return `${base}/clients/${relatedEntityId}`;
+    if (relatedEntityType === 'task') return `${base}/tasks/${relatedEntityId}`;
+    return null;
+};
+
+/**
+ * Push the user's current unread count to their open notification streams.
+ * @param {string} userId
+ * @param {string} organizationId
+ */
+const publishUnreadCount = async (userId, organizationId) => {
+    const unreadCount = await Notification.countDocuments({ userId: String(userId), organization: organizationId, read: false });
+    await publishToUser(userId, 'unread_count', { unreadCount });
+};
+
+/**
+ * Deliver one notification to one user according to their preferences.
+ * @param {Object} payload - Notification fields: userId, organization, type, title, message, relatedEntityType, relatedEntityId, createdBy
+ * @param {Object} [options]
+ * @param {Object} [options.context] - From createDispatchContext() to share lookups across many dispatches
+ * @param {string} [options.emailDedupeKey] - Stable key so a retried dispatch never emails twice (defaults to the notification id)
+ * @param {string} [options.emailKind] - EmailDelivery.kind (default 'notification')
+ * @param {Function} [options.sendEmail] - async ({ user, organizationName }) => result; defaults to the generic notification email
+ * @returns {Promise<{ notification: Object|null, channels: { inApp: boolean, email: boolean }, emailed: boolean }>}
+ */
+const dispatchNotification = async (payload, options = {}) => {
+    const context = options.context || createDispatchContext();
+    const userId = String(payload.userId);
+    const preference = await context.getPreference(userId);
+    const channels = resolveChannels(preference, payload.type);
+
+    let notification = null;
+    if (channels.inApp) {
+        notification = await Notification.create({ ...payload, userId });
+        try {
+            await publishToUser(userId, 'notification', notification.toObject());
+            await publishUnreadCount(userId, payload.organization);
+        } catch (err) {
+            console.error('⚠️ Failed to push notification to stream:', err.message);
+        }
+    }
+
+    let emailed = false;
+    const digestReplacesEmail = DIGEST_NOTIFICATION_TYPES.includes(payload.type)
+        && preference && preference.reminderEmailMode === 'digest';
+
+    if (channels.email && !digestReplacesEmail) {
+        try {
+            emailed = await sendEmailForNotification(payload, notification, context, options);
+        } catch (err) {
+            console.error('⚠️ Failed to email notification:', err.message);
+        }
+    }
+
+    return { notification, channels, emailed };
+};
+
+const sendEmailForNotification = async (payload, notification, context, options) => {
+    const user = await context.getUser(payload.userId);
+    if (!user || !user.email || user.status === 'terminated') return false;
+
+    const dedupeKey = options.emailDedupeKey
+        || (notification ? `notification:${notification._id}` : generateCustomId('notification-email'));
+
+    const delivery = await claimEmailDelivery({
+        organization: payload.organization,
+        user: user._id,
+        kind: options.emailKind || 'notification',
+        dedupeKey,
+        to: user.email,
+        subject: payload.title,
+        relatedEntityType: payload.relatedEntityType || null,
+        relatedEntityId: payload.relatedEntityId || null
+    });
+    if (!delivery) return false;
+
+    const organizationName = await context.getOrganizationName(payload.organization);
+    const result = options.sendEmail
+        ? await options.sendEmail({ user, organizationName })
+        : await sendNotificationEmail({
+            to: user.email,
+            fullName: `${user.firstName} ${user.lastName}`,
+            organizationName,
+            title: payload.title,
+            message: payload.message,
+            link: buildEntityLink(payload.relatedEntityType, payload.relatedEntityId)
+        });
+    await completeEmailDelivery(delivery, result);
+    return Boolean(result && result.success);
+};
+
+/**
+ * Dispatch the same notification to several users (e.g. all assignees). Returns how many were delivered in-app.
+ * @param {string[]} userIds
+ * @param {Object} payload - Notification fields without userId
+ * @param {Object} [options] - Same as dispatchNotification (a shared context is created if omitted)
+ * @returns {Promise<number>}
+ */
+const dispatchNotificationToUsers = async (userIds, payload, options = {}) => {
+    const context = options.context || createDispatchContext();
+    let delivered = 0;
+    for (const userId of userIds) {
+        const { notification } = await dispatchNotification({ ...payload, userId }, { ...options, context });
+        if (notification) delivered++;
+    }
+    return delivered;
+};
+
+module.exports = {
+    NOTIFICATION_CHANNEL_DEFAULTS,
+    DIGEST_NOTIFICATION_TYPES,
+    resolveChannels,
+    buildEffectivePreferences,
+    claimEmailDelivery,
+    completeEmailDelivery,
+    createDispatchContext,
+    publishUnreadCount,
+    dispatchNotification,
+    dispatchNotificationToUsers
+};
@@ -0,0 +1,101 @@
+// utils/notificationPubSub.js
+// Fan-out of real-time notification events to SSE connections. Events travel over a pluggable
+// pub/sub adapter (in-process by default) so several server processes can share one broker.
+
+const { EventEmitter } = require('events');
+
+const NOTIFICATION_CHANNEL = 'casesnap:notifications';
+
+/**
+ * Default adapter: delivers only to connections held by this process.
+ * A multi-process adapter (Redis, NATS, Mongo change streams...) must expose the same two methods:
+ *   publish(channel, message)  -> void | Promise<void>   (message is a JSON string)
+ *   subscribe(channel, handler) -> void | Promise<void>  (handler receives the JSON string)
+ */
+const createInProcessPubSub = () => {
+    const emitter = new EventEmitter();
+    emitter.setMaxListeners(0);
+    return {
+        name: 'in-process',
+        publish: (channel, message) => {
+            emitter.emit(channel, message);
+        },
+        subscribe: (channel, handler) => {
+            emitter.on(channel, handler);
+        }
+    };
+};
+
+// Local subscribers per user (one per open SSE connection)
+const localListeners = new EventEmitter();
+localListeners.setMaxListeners(0);
+
+let adapter = null;
+
+const handleChannelMessage = (message) => {
+    try {
+        const { userId, event, data } = JSON.parse(message);
+        if (userId) localListeners.emit(String(userId), { event, data });
+    } catch (err) {
+        console.error('⚠️ Ignoring malformed notification event:', err.message);
+    }
+};
+
+const attachAdapter = (nextAdapter) => {
+    adapter = nextAdapter;
+    Promise.resolve(adapter.subscribe(NOTIFICATION_CHANNEL, handleChannelMessage)).catch((err) => {
+        console.error(`❌ Failed to subscribe to notification pub/sub (${adapter.name || 'custom'}):`, err.message);
+    });
+};
+
+const getAdapter = () => {
+    if (!adapter) attachAdapter(createInProcessPubSub());
+    return adapter;
+};
+
+/**
+ * Replace the pub/sub adapter. Call once at startup, before any connection subscribes.
+ * @param {{ name?: string, publish: Function, subscribe: Function }} nextAdapter
+ */
+const setNotificationPubSub = (nextAdapter) => {
+    if (!nextAdapter || typeof nextAdapter.publish !== 'function' || typeof nextAdapter.subscribe !== 'function') {
+        throw new Error('Notification pub/sub adapter must implement publish(channel, message) and subscribe(channel, handler)');
+    }
+    attachAdapter(nextAdapter);
+    console.log(`✅ Notification pub/sub: ${nextAdapter.name || 'custom'}`);
+};
+
+/**
+ * Publish an event for one user; every process holding a stream for that user delivers it.
+ * Failures are logged, never thrown, so a broker outage cannot break the request that created the notification.
+ * @param {string} userId
+ * @param {string} event - SSE event name, e.g. 'notification' or 'unread_count'
+ * @param {Object} data
+ */
+const publishToUser = async (userId, event, data) => {
+    try {
+        await getAdapter().publish(NOTIFICATION_CHANNEL, JSON.stringify({ userId: String(userId), event, data }));
+    } catch (err) {
+        console.error('⚠️ Failed to publish notification event:', err.message);
+    }
+};
+
+/**
+ * Listen for events addressed to one user on this process.
+ * @param {string} userId
+ * @param {Function} handler - ({ event, data }) => void
+ * @returns {Function} unsubscribe
+ */
+const subscribeToUser = (userId, handler) => {
+    getAdapter();
+    const key = String(userId);
+    localListeners.on(key, handler);
+    return () => localListeners.off(key, handler);
+};
+
+module.exports = {
+    createInProcessPubSub,
+    setNotificationPubSub,
+    publishToUser,
+    subscribeToUser
+};
@@ -0,0 +1,63 @@
+// utils/pdfUtils.js
+// Server-side PDF helpers (pdfkit, rendered in-process; no external rendering service)
+
+const PDFDocument = require('pdfkit');
+
+const rupeeFormatter = new Intl.NumberFormat('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+/**
+ * Amount with Indian digit grouping, e.g. Rs. 12,34,567.50
+ * (the built-in PDF fonts have no ₹ glyph, so the prefix is "Rs.")
+ */
+const formatRupees = (amount) => `Rs. ${rupeeFormatter.format(Number(amount) || 0)}`;
+
+/** Date as DD/MM/YYYY, or '' */
+const formatDateIN = (date) => {
+    if (!date) return '';
+    const d = new Date(date);
+    if (isNaN(d.getTime())) return '';
+    return `${String(d.getDate()).padStart(2, '0')}/${String(d.getMonth() + 1).padStart(2, '0')}/${d.getFullYear()}`;
+};
+
+/**
+ * Render a PDF into a Buffer.
+ * @param {(doc: PDFKit.PDFDocument) => void} draw - Draws the content (synchronously)
+ * @param {Object} [options] - pdfkit document options (size, margins, layout, info)
+ * @returns {Promise<Buffer>}
+ */
+const renderPdfToBuffer = (draw, options = {}) => new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, ...options });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+        draw(doc);
+        doc.end();
+    } catch (err) {
+        reject(err);
+    }
+});
+
+/**
+ * Send a rendered PDF.
+ * @param {import('express').Response} res
+ * @param {Buffer} buffer
+ * @param {string} filename
+ * @param {{ inline?: boolean }} [options]
+ */
+const sendPdf = (res, buffer, filename, { inline = true } = {}) => {
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `${inline ? 'inline' : 'attachment'}; filename="${filename.replace(/[^\w.-]/g, '_')}"`);
+    res.setHeader('Content-Length', buffer.length);
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.status(200).send(buffer);
+};
+
+module.exports = {
+    formatRupees,
+    formatDateIN,
+    renderPdfToBuffer,
+    sendPdf
+};
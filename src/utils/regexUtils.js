@@ -0,0 +1,12 @@
+// utils/regexUtils.js
+// Safe regular expressions from user input (search filters and exact case-insensitive matches)
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/** Case-insensitive "contains" match for user input */
+const containsPattern = (value) => new RegExp(escapeRegex(String(value).trim()), 'i');
+
+module.exports = {
+    escapeRegex,
+    containsPattern
+};
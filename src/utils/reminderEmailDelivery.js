@@ -0,0 +1,204 @@
+// utils/reminderEmailDelivery.js
+// Email content for case stage reminders (sent through the notification dispatcher), the daily hearing digest
+// and the evening cause list.
+// Every email claims a unique EmailDelivery.dedupeKey before it is sent, so restarts never send twice.
+
+const Case = require('../models/Case');
+const User = require('../models/User');
+const NotificationPreference = require('../models/NotificationPreference');
+const { sendCaseReminderEmail, sendHearingDigestEmail, sendCauseListEmail } = require('./gmailService');
+const { resolveChannels, claimEmailDelivery, completeEmailDelivery, createDispatchContext } = require('./notificationDispatcher');
+const { getCauseList } = require('./causeList');
+const { renderCauseListPdf } = require('./causeListPdf');
+const { MS_PER_DAY, startOfDay, toDateKey } = require('./dateUtils');
+
+const DIGEST_DAYS = parseInt(process.env.REMINDER_DIGEST_DAYS, 10) || 3;
+// Local hour after which the daily digest goes out (the job polls every few hours)
+const DIGEST_HOUR = parseInt(process.env.REMINDER_DIGEST_HOUR, 10) || 7;
+// Local hour after which the next day's cause list goes out
+const CAUSE_LIST_HOUR = parseInt(process.env.REMINDER_CAUSE_LIST_HOUR, 10) || 18;
+
+const buildCaseLink = (caseId) => `${process.env.FRONTEND_URL || 'http://localhost:3000'}/cases/${caseId}`;
+
+/**
+ * Dispatcher options that email a reminder with hearing details instead of the generic notification email.
+ * The dedupe key includes nextDate, so rescheduling allows the reminder to be emailed again.
+ * @param {Object} params
+ * @param {Object} params.caseDoc
+ * @param {Object} params.stage
+ * @param {{ kind: string, offsetDays: number|null }} params.due
+ * @param {string} params.title
+ * @returns {{ emailDedupeKey: string, emailKind: string, sendEmail: Function }}
+ */
+const buildReminderEmailOptions = ({ caseDoc, stage, due, title }) => ({
+    emailDedupeKey: [
+        'reminder',
+        caseDoc._id,
+        stage._id,
+        new Date(stage.nextDate).toISOString(),
+        due.kind,
+        due.offsetDays ?? ''
+    ].join(':'),
+    emailKind: 'case_stage_reminder',
+    sendEmail: ({ user, organizationName }) => sendCaseReminderEmail({
+        to: user.email,
+        fullName: `${user.firstName} ${user.lastName}`,
+        organizationName,
+        title,
+        caseLabel: caseDoc.caseNumber || caseDoc._id,
+        partyName: caseDoc.partyName,
+        stageName: stage.stageName,
+        nextDate: stage.nextDate,
+        purpose: stage.nextDatePurpose,
+        preparation: stage.nextDatePreparation,
+        caseLink: buildCaseLink(caseDoc._id)
+    })
+});
+
+/**
+ * Send today's digest to every user whose reminderEmailMode is 'digest' (once per user per day).
+ * @param {Date} now
+ * @param {Object} [context] - From createDispatchContext()
+ */
+const runHearingDigest = async (now = new Date(), context = createDispatchContext()) => {
+    if (now.getHours() < DIGEST_HOUR) return;
+
+    const from = startOfDay(now);
+    const to = new Date(from.getTime() + DIGEST_DAYS * MS_PER_DAY);
+    const dateKey = toDateKey(now);
+
+    const digestPreferences = await NotificationPreference.find({ reminderEmailMode: 'digest' }).lean();
+    const digestUserIds = digestPreferences
+        .filter((p) => resolveChannels(p, 'case_stage_reminder').email)
+        .map((p) => p.user);
+    if (digestUserIds.length === 0) return;
+
+    const digestUsers = await User.find({ _id: { $in: digestUserIds }, status: 'approved' })
+        .select('email firstName lastName organization')
+        .lean();
+
+    for (const user of digestUsers) {
+        if (!user.email) continue;
+
+        // Same recipient as the reminders the digest replaces: the stage's confirmer, else the case assignee
+        const nextDate = { $gte: from, $lt: to };
+        const cases = await Case.find({
+            organization: user.organization,
+            status: 'active',
+            deletedAt: null,
+            $or: [
+                { stages: { $elemMatch: { confirmedBy: user._id, nextDate } } },
+                { assignedTo: user._id, stages: { $elemMatch: { confirmedBy: null, nextDate } } }
+            ]
+        })
+            .select('caseNumber partyName courtName assignedTo stages')
+            .lean();
+
+        const hearings = [];
+        for (const c of cases) {
+            for (const stage of c.stages || []) {
+                if (String(stage.confirmedBy || c.assignedTo) !== String(user._id) || !stage.nextDate) continue;
+                const date = new Date(stage.nextDate);
+                if (date < from || date >= to) continue;
+                hearings.push({
+                    date,
+                    caseLabel: c.caseNumber || c._id,
+                    partyName: c.partyName,
+                    courtName: c.courtName,
+                    stageName: stage.stageName,
+                    purpose: stage.nextDatePurpose,
+                    preparation: stage.nextDatePreparation
+                });
+            }
+        }
+        if (hearings.length === 0) continue;
+        hearings.sort((a, b) => a.date - b.date);
+
+        const delivery = await claimEmailDelivery({
+            organization: user.organization,
+            user: user._id,
+            kind: 'case_stage_digest',
+            dedupeKey: `digest:${user._id}:${dateKey}`,
+            to: user.email,
+            subject: `Your hearings for the next ${DIGEST_DAYS} days (${hearings.length})`
+        });
+        if (!delivery) continue;
+
+        const result = await sendHearingDigestEmail({
+            to: user.email,
+            fullName: `${user.firstName} ${user.lastName}`,
+            organizationName: await context.getOrganizationName(user.organization),
+            days: DIGEST_DAYS,
+            hearings
+        });
+        await completeEmailDelivery(delivery, result);
+    }
+};
+
+/**
+ * Email tomorrow's cause list to every user who opted in (causeListEmail), covering the matters assigned to them.
+ * Once per user per listing date; users with nothing listed get no email.
+ * @param {Date} now
+ * @param {Object} [context] - From createDispatchContext()
+ */
+const runCauseListEmails = async (now = new Date(), context = createDispatchContext()) => {
+    if (now.getHours() < CAUSE_LIST_HOUR) return;
+
+    const listingDate = startOfDay(now);
+    listingDate.setDate(listingDate.getDate() + 1);
+    const dateKey = toDateKey(listingDate);
+
+    const preferences = await NotificationPreference.find({ causeListEmail: true }).select('user').lean();
+    if (preferences.length === 0) return;
+
+    const users = await User.find({ _id: { $in: preferences.map((p) => p.user) }, status: 'approved' })
+        .select('email firstName lastName organization')
+        .lean();
+
+    for (const user of users) {
+        if (!user.email) continue;
+
+        try {
+            const causeList = await getCauseList({ organizationId: user.organization, date: listingDate, assignedTo: user._id });
+            if (causeList.count === 0) continue;
+
+            const delivery = await claimEmailDelivery({
+                organization: user.organization,
+                user: user._id,
+                kind: 'cause_list',
+                dedupeKey: `cause-list:${user._id}:${dateKey}`,
+                to: user.email,
+                subject: `Cause list for ${dateKey} (${causeList.count})`
+            });
+            if (!delivery) continue;
+
+            // The claim is taken: a failed render or send is recorded on it, not left pending
+            let result;
+            try {
+                const fullName = `${user.firstName} ${user.lastName}`;
+                const organizationName = await context.getOrganizationName(user.organization);
+                const pdf = await renderCauseListPdf(causeList, { organizationName, advocateName: fullName });
+                result = await sendCauseListEmail({
+                    to: user.email,
+                    fullName,
+                    organizationName,
+                    date: listingDate,
+                    matters: causeList.byCourt.flatMap((g) => g.matters),
+                    pdf,
+                    filename: `cause-list-${dateKey}.pdf`
+                });
+            } catch (err) {
+                result = { success: false, error: err.message };
+            }
+            await completeEmailDelivery(delivery, result);
+        } catch (err) {
+            console.error(`⚠️ Cause list email for user ${user._id} failed:`, err.message);
+        }
+    }
+};
+
+module.exports = {
+    buildReminderEmailOptions,
+    runHearingDigest,
+    runCauseListEmails
+};
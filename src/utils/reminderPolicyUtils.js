@@ -0,0 +1,139 @@
+// utils/reminderPolicyUtils.js
+// Resolve which reminder offsets apply to a case stage (user policy → organization policy → defaults)
+
+const ReminderPolicy = require('../models/ReminderPolicy');
+const Case = require('../models/Case');
+
+const COURT_PREMISES_ENUM = Case.schema?.path('courtPremises')?.enumValues || [];
+
+/** Used when neither the user nor the organization has a policy (previous hard-coded behaviour) */
+const DEFAULT_REMINDER_POLICY = Object.freeze({
+    offsetsDays: [5, 2, 1],
+    followUpAfterDate: true,
+    countWorkingDays: false,
+    rules: []
+});
+
+/**
+ * Normalize offsets input to unique whole days, largest first.
+ * @param {*} raw - Array (or comma-separated string) of day offsets
+ * @returns {{ offsets: number[] } | { error: string }}
+ */
+const normalizeOffsets = (raw) => {
+    const list = Array.isArray(raw) ? raw : String(raw ?? '').split(',').filter((v) => v.trim() !== '');
+    const offsets = [];
+    for (const v of list) {
+        const n = Number(v);
+        if (!Number.isInteger(n) || n < 0 || n > 365) {
+            return { error: `Invalid reminder offset "${v}". Use whole days between 0 and 365.` };
+        }
+        if (!offsets.includes(n)) offsets.push(n);
+    }
+    if (offsets.length > 10) {
+        return { error: 'A reminder policy can have at most 10 offsets' };
+    }
+    return { offsets: offsets.sort((a, b) => b - a) };
+};
+
+/**
+ * Validate and normalize a reminder policy request body.
+ * @param {Object} body - { offsetsDays, followUpAfterDate, countWorkingDays, rules: [{ courtPremises, caseType, offsetsDays }] }
+ * @returns {{ data: Object } | { error: string }}
+ */
+const sanitizeReminderPolicyPayload = (body = {}) => {
+    const data = {};
+
+    if (body.offsetsDays !== undefined) {
+        const result = normalizeOffsets(body.offsetsDays);
+        if (result.error) return { error: result.error };
+        data.offsetsDays = result.offsets;
+    }
+
+    if (body.followUpAfterDate !== undefined) {
+        data.followUpAfterDate = body.followUpAfterDate === true || body.followUpAfterDate === 'true';
+    }
+
+    if (body.countWorkingDays !== undefined) {
+        data.countWorkingDays = body.countWorkingDays === true || body.countWorkingDays === 'true';
+    }
+
+    if (body.rules !== undefined) {
+        if (!Array.isArray(body.rules)) return { error: 'rules must be an array' };
+        data.rules = [];
+        for (const rule of body.rules) {
+            const courtPremises = rule && rule.courtPremises ? String(rule.courtPremises).trim() : null;
+            const caseType = rule && rule.caseType ? String(rule.caseType).trim() : null;
+            if (!courtPremises && !caseType) {
+                return { error: 'Each reminder rule needs a courtPremises or caseType to match' };
+            }
+            if (courtPremises && COURT_PREMISES_ENUM.length > 0 && !COURT_PREMISES_ENUM.includes(courtPremises)) {
+                return { error: `courtPremises must be one of: ${COURT_PREMISES_ENUM.join(', ')}` };
+            }
+            const result = normalizeOffsets(rule.offsetsDays);
+            if (result.error) return { error: result.error };
+            data.rules.push({ courtPremises, caseType, offsetsDays: result.offsets });
+        }
+    }
+
+    return { data };
+};
+
+const ruleMatchesCase = (rule, caseDoc) => {
+    if (rule.courtPremises && rule.courtPremises !== caseDoc.courtPremises) return false;
+    if (rule.caseType && String(rule.caseType).toLowerCase() !== String(caseDoc.caseType || '').toLowerCase()) return false;
+    return true;
+};
+
+/**
+ * Pick the schedule for one case from a policy: first matching rule wins, else the policy offsets.
+ * @returns {{ offsetsDays: number[], followUpAfterDate: boolean, countWorkingDays: boolean }}
+ */
+const selectScheduleForCase = (policy, caseDoc) => {
+    const effective = policy || DEFAULT_REMINDER_POLICY;
+    const rule = (effective.rules || []).find((r) => ruleMatchesCase(r, caseDoc));
+    const offsetsDays = rule ? rule.offsetsDays : effective.offsetsDays;
+    return {
+        offsetsDays: Array.isArray(offsetsDays) ? offsetsDays : DEFAULT_REMINDER_POLICY.offsetsDays,
+        followUpAfterDate: effective.followUpAfterDate !== false,
+        countWorkingDays: effective.countWorkingDays === true
+    };
+};
+
+/**
+ * Create a resolver that loads each organization's policies once per reminder cycle.
+ * @returns {{ resolve: (organizationId: string, userId: string, caseDoc: Object) => Promise<{ offsetsDays: number[], followUpAfterDate: boolean, countWorkingDays: boolean }> }}
+ */
+const createReminderPolicyResolver = () => {
+    const cache = new Map();
+
+    const loadOrganizationPolicies = async (organizationId) => {
+        const key = String(organizationId);
+        if (!cache.has(key)) {
+            const policies = await ReminderPolicy.find({ organization: key }).lean();
+            const byUser = new Map();
+            let organizationPolicy = null;
+            for (const p of policies) {
+                if (p.user) byUser.set(String(p.user), p);
+                else organizationPolicy = p;
+            }
+            cache.set(key, { organizationPolicy, byUser });
+        }
+        return cache.get(key);
+    };
+
+    return {
+        resolve: async (organizationId, userId, caseDoc) => {
+            const { organizationPolicy, byUser } = await loadOrganizationPolicies(organizationId);
+            const policy = (userId && byUser.get(String(userId))) || organizationPolicy;
+            return selectScheduleForCase(policy, caseDoc);
+        }
+    };
+};
+
+module.exports = {
+    DEFAULT_REMINDER_POLICY,
+    normalizeOffsets,
+    sanitizeReminderPolicyPayload,
+    selectScheduleForCase,
+    createReminderPolicyResolver
+};
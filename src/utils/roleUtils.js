@@ -87,7 +87,7 @@ exports.getEffectivePermissionsForRole = async (role) => {
     const isSuperAdmin = role.priority === 1 && role.isSystemRole === true;
     if (isSuperAdmin) {
         const moduleNames = await exports.getActiveModules();
-        const DEFAULT_MODULES = ['client', 'cases', 'role', 'user'];
+        const DEFAULT_MODULES = ['client', 'cases', 'role', 'user', 'invoice'];
         const modules = moduleNames.length > 0 ? moduleNames : DEFAULT_MODULES;
         return modules.map(name => {
             const baseActions = ['create', 'read', 'update', 'delete'];
@@ -0,0 +1,89 @@
+// utils/signedFileUrls.js
+// Short-lived signed links for downloading stored files through the API (GET /api/files/...).
+// A link only names the file and the user it was issued to; permissions are checked again on every use.
+//   FILE_URL_SECRET (defaults to JWT_SECRET), FILE_URL_TTL_SECONDS (default 300)
+
+const jwt = require('jsonwebtoken');
+
+const DOWNLOAD_TTL_SECONDS = parseInt(process.env.FILE_URL_TTL_SECONDS, 10) || 5 * 60;
+// Uploads are attached to a record after the form is submitted, so their token lives longer
+const UPLOAD_TTL_SECONDS = 60 * 60;
+
+const getSecret = () => process.env.FILE_URL_SECRET || process.env.JWT_SECRET;
+
+const getApiBaseUrl = (req) => (process.env.API_BASE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+
+/**
+ * Signed download link for one version of a stored file.
+ * @param {Object} req - Current request (for the API base URL)
+ * @param {{ kind: 'case_document'|'client_aadhar'|'expense_receipt', id: string, version: number, userId: string, organizationId: string }} target
+ * @returns {{ url: string, expiresAt: Date }}
+ */
+const createSignedDownloadUrl = (req, { kind, id, version, userId, organizationId }) => {
+    const token = jwt.sign(
+        { purpose: 'file_download', kind, id: String(id), v: version, u: String(userId), o: String(organizationId) },
+        getSecret(),
+        { expiresIn: DOWNLOAD_TTL_SECONDS }
+    );
+    return {
+        url: `${getApiBaseUrl(req)}/api/files/download/${token}`,
+        expiresAt: new Date(Date.now() + DOWNLOAD_TTL_SECONDS * 1000)
+    };
+};
+
+/**
+ * Token for a file uploaded but not yet attached to a record (e.g. Aadhar image before the client is saved).
+ * @param {Object} req
+ * @param {Object} file - Stored file fields (originalName, mimeType, size, storageDriver, storageKey, storageMeta)
+ * @returns {{ uploadToken: string, url: string, expiresAt: Date }}
+ */
+const createUploadToken = (req, file) => {
+    const uploadToken = jwt.sign(
+        {
+            purpose: 'file_upload',
+            u: String(req.user._id),
+            o: String(req.user.organization?._id || req.user.organization),
+            f: file
+        },
+        getSecret(),
+        { expiresIn: UPLOAD_TTL_SECONDS }
+    );
+    return {
+        uploadToken,
+        url: `${getApiBaseUrl(req)}/api/files/uploads/${uploadToken}`,
+        expiresAt: new Date(Date.now() + UPLOAD_TTL_SECONDS * 1000)
+    };
+};
+
+/**
+ * Verify a token issued above. Returns the payload, or null if invalid, expired or for another purpose.
+ * @param {string} token
+ * @param {'file_download'|'file_upload'} purpose
+ */
+const verifyFileToken = (token, purpose) => {
+    try {
+        const payload = jwt.verify(String(token || ''), getSecret());
+        return payload && payload.purpose === purpose ? payload : null;
+    } catch (err) {
+        return null;
+    }
+};
+
+/**
+ * Accepts either a bare upload token or the preview URL returned by the upload API
+ * (so clients that send the URL back as aadharImageUrl keep working).
+ * @returns {string|null}
+ */
+const extractUploadToken = (value) => {
+    if (!value || typeof value !== 'string') return null;
+    const match = value.match(/\/api\/files\/uploads\/([^/?#]+)/);
+    const token = match ? match[1] : value;
+    return verifyFileToken(token, 'file_upload') ? token : null;
+};
+
+module.exports = {
+    createSignedDownloadUrl,
+    createUploadToken,
+    verifyFileToken,
+    extractUploadToken
+};
@@ -0,0 +1,151 @@
+// utils/stageTemplateUtils.js
+// Match free-text case stages to an organization's stage template and suggest the next stage
+
+const StageTemplate = require('../models/StageTemplate');
+
+/**
+ * Comparison key for stage names: case, punctuation and a trailing "stage" are ignored,
+ * so "Evidence", "evidence stage" and "EVIDENCE." all match.
+ * @param {string} name
+ * @returns {string}
+ */
+const normalizeStageKey = (name) => String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/\s+stage$/, '');
+
+/**
+ * Validate and normalize a stage template request body.
+ * @param {Object} body - { caseType, stages: [{ name, aliases, description }] | ['Filing', 'Summons', ...] }
+ * @param {{ partial?: boolean }} [options] - partial: caseType/stages may be omitted (updates)
+ * @returns {{ data: Object } | { error: string }}
+ */
+const sanitizeStageTemplatePayload = (body = {}, { partial = false } = {}) => {
+    const data = {};
+
+    if (body.caseType !== undefined || !partial) {
+        const caseType = body.caseType ? String(body.caseType).trim() : '';
+        if (!caseType) return { error: 'caseType is required' };
+        data.caseType = caseType;
+    }
+
+    if (body.stages !== undefined || !partial) {
+        if (!Array.isArray(body.stages) || body.stages.length === 0) {
+            return { error: 'stages must be a non-empty array' };
+        }
+        if (body.stages.length > StageTemplate.MAX_STAGES) {
+            return { error: `A stage template can have at most ${StageTemplate.MAX_STAGES} stages` };
+        }
+
+        const seen = new Map();
+        data.stages = [];
+        for (const raw of body.stages) {
+            const entry = typeof raw === 'string' ? { name: raw } : (raw || {});
+            const name = entry.name ? String(entry.name).trim() : '';
+            if (!name) return { error: 'Each template stage needs a name' };
+
+            const aliasList = Array.isArray(entry.aliases)
+                ? entry.aliases
+                : String(entry.aliases ?? '').split(',');
+            const aliases = [...new Set(aliasList.map((a) => String(a).trim()).filter(Boolean))];
+
+            // A name or alias may only point to one canonical stage
+            for (const label of [name, ...aliases]) {
+                const key = normalizeStageKey(label);
+                if (!key) continue;
+                if (seen.has(key) && seen.get(key) !== name) {
+                    return { error: `"${label}" is used by both "${seen.get(key)}" and "${name}"` };
+                }
+                if (seen.has(key) && label === name) {
+                    return { error: `Stage "${name}" is listed more than once` };
+                }
+                seen.set(key, name);
+            }
+
+            data.stages.push({
+                name,
+                aliases,
+                description: entry.description ? String(entry.description).trim() : ''
+            });
+        }
+    }
+
+    return { data };
+};
+
+/**
+ * Load the template for a case type (case-insensitive).
+ * @returns {Promise<Object|null>}
+ */
+const findStageTemplate = async (organizationId, caseType) => {
+    const key = String(caseType || '').trim().toLowerCase();
+    if (!organizationId || !key) return null;
+    return StageTemplate.findOne({ organization: String(organizationId), caseTypeKey: key }).lean();
+};
+
+/**
+ * Canonical template stage name for a typed stage name, or null when it is a free-text stage.
+ * @param {Object|null} template
+ * @param {string} stageName
+ * @returns {string|null}
+ */
+const resolveCanonicalStage = (template, stageName) => {
+    if (!template) return null;
+    const key = normalizeStageKey(stageName);
+    if (!key) return null;
+    const match = (template.stages || []).find((s) => (
+        normalizeStageKey(s.name) === key || (s.aliases || []).some((a) => normalizeStageKey(a) === key)
+    ));
+    return match ? match.name : null;
+};
+
+/**
+ * Next template stage after the furthest canonical stage the case has reached.
+ * Free-text stages are skipped; a case with no canonical stage yet gets the first template stage.
+ * @param {Object|null} template
+ * @param {Array} stages - Case stages in recorded order
+ * @returns {string|null} null when there is no template or the workflow is complete
+ */
+const suggestNextStage = (template, stages = []) => {
+    if (!template || !Array.isArray(template.stages) || template.stages.length === 0) return null;
+    const names = template.stages.map((s) => s.name);
+
+    let furthest = -1;
+    for (const stage of stages || []) {
+        const index = stage && stage.canonicalStage ? names.indexOf(stage.canonicalStage) : -1;
+        if (index > furthest) furthest = index;
+    }
+    return furthest + 1 < names.length ? names[furthest + 1] : null;
+};
+
+/**
+ * Workflow summary for a case (used by case detail and case creation responses).
+ * @param {Object|null} template
+ * @param {Array} stages
+ * @returns {Object|null}
+ */
+const buildStageWorkflow = (template, stages = []) => {
+    if (!template) return null;
+    const list = Array.isArray(stages) ? stages : [];
+    const current = list.length > 0 ? list[list.length - 1] : null;
+    const reached = new Set(list.map((s) => s.canonicalStage).filter(Boolean));
+
+    return {
+        templateId: template._id,
+        caseType: template.caseType,
+        stages: template.stages.map((s) => ({ name: s.name, description: s.description || '', reached: reached.has(s.name) })),
+        currentStage: current ? { stageName: current.stageName, canonicalStage: current.canonicalStage || null } : null,
+        suggestedNextStage: suggestNextStage(template, list)
+    };
+};
+
+module.exports = {
+    normalizeStageKey,
+    sanitizeStageTemplatePayload,
+    findStageTemplate,
+    resolveCanonicalStage,
+    suggestNextStage,
+    buildStageWorkflow
+};
@@ -0,0 +1,78 @@
+// utils/storage/cloudinaryStorageDriver.js
+// Stores files in Cloudinary using config/cloudinary. Images are uploaded as images, everything else
+// (PDF, DOCX) as raw files. Private files use the 'authenticated' delivery type and are downloaded
+// through short-lived signed URLs.
+
+const path = require('path');
+const cloudinary = require('../../config/cloudinary');
+
+const IMAGE_MIME_TYPES = ['image/jpeg', 'image/jpg', 'image/pjpeg', 'image/png', 'image/webp'];
+
+// Signed download links stay valid for this long
+const DOWNLOAD_URL_TTL_SECONDS = 5 * 60;
+
+const uploadBuffer = (buffer, options) => new Promise((resolve, reject) => {
+    const stream = cloudinary.uploader.upload_stream(options, (err, result) => {
+        if (err) return reject(err);
+        resolve(result);
+    });
+    stream.end(buffer);
+});
+
+const createCloudinaryStorageDriver = () => ({
+    name: 'cloudinary',
+
+    /**
+     * @param {{ buffer: Buffer, originalName: string, mimeType: string, folder: string }} file
+     * @param {{ access?: 'private'|'public', allowedFormats?: string[] }} [options]
+     * @returns {Promise<{ storageKey: string, size: number, url: string|null, meta: Object }>}
+     */
+    save: async ({ buffer, originalName, mimeType, folder }, options = {}) => {
+        const resourceType = IMAGE_MIME_TYPES.includes(mimeType) ? 'image' : 'raw';
+        const deliveryType = options.access === 'public' ? 'upload' : 'authenticated';
+        const ext = path.extname(originalName || '').toLowerCase();
+
+        const result = await uploadBuffer(buffer, {
+            folder: `casesnap/${folder || 'files'}`,
+            resource_type: resourceType,
+            type: deliveryType,
+            // Raw files keep their extension in the public id so downloads have the right type
+            ...(resourceType === 'raw' && ext ? { public_id: `${Date.now()}-${Math.round(Math.random() * 1e9)}${ext}` } : {}),
+            ...(options.allowedFormats ? { allowed_formats: options.allowedFormats } : {})
+        });
+
+        return {
+            storageKey: result.public_id,
+            size: result.bytes ?? buffer.length,
+            url: deliveryType === 'upload' ? (result.secure_url || result.url) : null,
+            meta: { resourceType, deliveryType, format: result.format || null }
+        };
+    },
+
+    /**
+     * @returns {Promise<{ url: string }>} Public URL, or a signed URL that expires for private files
+     */
+    getDownload: async ({ storageKey, meta = {} }) => {
+        const resourceType = meta.resourceType || 'raw';
+        if (meta.deliveryType === 'upload') {
+            return { url: cloudinary.url(storageKey, { resource_type: resourceType, secure: true }) };
+        }
+        const url = cloudinary.utils.private_download_url(storageKey, meta.format || '', {
+            resource_type: resourceType,
+            type: meta.deliveryType || 'authenticated',
+            expires_at: Math.floor(Date.now() / 1000) + DOWNLOAD_URL_TTL_SECONDS,
+            attachment: true
+        });
+        return { url };
+    },
+
+    remove: async ({ storageKey, meta = {} }) => {
+        await cloudinary.uploader.destroy(storageKey, {
+            resource_type: meta.resourceType || 'raw',
+            type: meta.deliveryType || 'authenticated',
+            invalidate: true
+        });
+    }
+});
+
+module.exports = { createCloudinaryStorageDriver };
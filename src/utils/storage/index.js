@@ -0,0 +1,57 @@
+// utils/storage/index.js
+// File storage behind a driver interface. Every driver implements:
+//   save({ buffer, originalName, mimeType, folder }, options) -> { storageKey, size, url, meta }
+//   getDownload({ storageKey, meta })                         -> { stream, size } or { url }
+//   remove({ storageKey, meta })
+// STORAGE_DRIVER=local|cloudinary picks the default (cloudinary when configured, otherwise local).
+// Stored records keep their driver name, so files stay readable after the default changes.
+
+const { createLocalStorageDriver } = require('./localStorageDriver');
+const { createCloudinaryStorageDriver } = require('./cloudinaryStorageDriver');
+
+const driverFactories = {
+    local: createLocalStorageDriver,
+    cloudinary: createCloudinaryStorageDriver
+};
+
+const drivers = new Map();
+
+const isCloudinaryConfigured = () => Boolean(
+    process.env.CLOUDINARY_CLOUD_NAME && process.env.CLOUDINARY_API_KEY && process.env.CLOUDINARY_API_SECRET
+);
+
+const getDefaultDriverName = () => {
+    const configured = (process.env.STORAGE_DRIVER || '').trim().toLowerCase();
+    if (configured) return configured;
+    return isCloudinaryConfigured() ? 'cloudinary' : 'local';
+};
+
+/**
+ * @param {string} [name] - Driver name; defaults to STORAGE_DRIVER
+ * @returns {{ name: string, save: Function, getDownload: Function, remove: Function }}
+ */
+const getStorageDriver = (name) => {
+    const driverName = name || getDefaultDriverName();
+    if (!drivers.has(driverName)) {
+        const factory = driverFactories[driverName];
+        if (!factory) {
+            throw new Error(`Unknown storage driver "${driverName}". Available: ${Object.keys(driverFactories).join(', ')}`);
+        }
+        drivers.set(driverName, factory());
+    }
+    return drivers.get(driverName);
+};
+
+/**
+ * Register an additional driver (e.g. S3) or replace one (e.g. a temp-dir local driver in scripts).
+ * @param {string} name
+ * @param {Object} driver
+ */
+const registerStorageDriver = (name, driver) => {
+    drivers.set(name, { ...driver, name });
+};
+
+module.exports = {
+    getStorageDriver,
+    registerStorageDriver
+};
@@ -0,0 +1,58 @@
+// utils/storage/localStorageDriver.js
+// Stores files on the local filesystem (development and tests). Not served statically:
+// downloads always go through the API so permissions are checked.
+//   LOCAL_STORAGE_DIR=./storage (default)
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const createLocalStorageDriver = ({ rootDir } = {}) => {
+    const root = path.resolve(rootDir || process.env.LOCAL_STORAGE_DIR || path.join(process.cwd(), 'storage'));
+
+    // storageKey is always relative to root; refuse anything that escapes it
+    const resolveKey = (storageKey) => {
+        const fullPath = path.resolve(root, storageKey);
+        if (!fullPath.startsWith(root + path.sep)) {
+            throw new Error('Invalid storage key');
+        }
+        return fullPath;
+    };
+
+    return {
+        name: 'local',
+
+        /**
+         * @param {{ buffer: Buffer, originalName: string, mimeType: string, folder: string }} file
+         * @returns {Promise<{ storageKey: string, size: number, url: null, meta: Object }>}
+         */
+        save: async ({ buffer, originalName, folder }) => {
+            const ext = path.extname(originalName || '').toLowerCase().replace(/[^.a-z0-9]/g, '');
+            const storageKey = path.posix.join(folder || 'files', `${Date.now()}-${crypto.randomBytes(8).toString('hex')}${ext}`);
+            const fullPath = resolveKey(storageKey);
+            await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+            await fs.promises.writeFile(fullPath, buffer);
+            return { storageKey, size: buffer.length, url: null, meta: {} };
+        },
+
+        /**
+         * Local files are streamed by the API.
+         * @returns {Promise<{ stream: fs.ReadStream, size: number }>}
+         */
+        getDownload: async ({ storageKey }) => {
+            const fullPath = resolveKey(storageKey);
+            const stat = await fs.promises.stat(fullPath);
+            return { stream: fs.createReadStream(fullPath), size: stat.size };
+        },
+
+        remove: async ({ storageKey }) => {
+            try {
+                await fs.promises.unlink(resolveKey(storageKey));
+            } catch (err) {
+                if (err.code !== 'ENOENT') throw err;
+            }
+        }
+    };
+};
+
+module.exports = { createLocalStorageDriver };
@@ -0,0 +1,164 @@
+// utils/teamUtils.js
+// Case/client teams: membership checks, visibility filters, team validation and change notifications
+
+const User = require('../models/User');
+const TeamMemberSchema = require('../models/schemas/TeamMemberSchema');
+const { dispatchNotification, createDispatchContext } = require('./notificationDispatcher');
+
+const TEAM_ROLES = TeamMemberSchema.statics.ROLES;
+const MAX_TEAM_SIZE = 25;
+
+const idOf = (value) => (value && value._id ? String(value._id) : (value ? String(value) : null));
+
+/**
+ * Whether a user works on a case/client: its assignedTo or any team member.
+ * Works with populated and unpopulated documents (lean or hydrated).
+ * @param {Object} doc - Case or Client (needs assignedTo and team.user)
+ * @param {string} userId
+ * @returns {boolean}
+ */
+const isTeamMember = (doc, userId) => {
+    if (!doc || !userId) return false;
+    const id = String(userId);
+    if (idOf(doc.assignedTo) === id) return true;
+    return Array.isArray(doc.team) && doc.team.some((m) => idOf(m.user) === id);
+};
+
+/**
+ * Mongo condition matching records the user is assigned to or on the team of.
+ * Combine with $and (it is an $or) so it does not clash with search filters.
+ * @param {string} userId
+ * @returns {Object}
+ */
+const teamVisibilityFilter = (userId) => ({
+    $or: [{ assignedTo: String(userId) }, { 'team.user': String(userId) }]
+});
+
+/**
+ * Validate a team list: [{ user, role }], one entry per user, existing active users of the organization.
+ * @param {string|Object} organizationId - Id or the (populated) organization document
+ * @param {Array} team
+ * @param {Array} [currentTeam] - keeps addedAt/addedBy for members that stay
+ * @param {string} actorId
+ * @returns {Promise<{ team: Object[] } | { error: string }>}
+ */
+const sanitizeTeamPayload = async (organizationId, team, currentTeam = [], actorId = null) => {
+    if (!Array.isArray(team)) return { error: 'team must be an array of { user, role }' };
+    if (team.length > MAX_TEAM_SIZE) return { error: `A team can have at most ${MAX_TEAM_SIZE} members` };
+
+    const current = new Map((currentTeam || []).map((m) => [idOf(m.user), m]));
+    const seen = new Set();
+    const members = [];
+    for (const raw of team) {
+        const entry = typeof raw === 'string' ? { user: raw } : (raw || {});
+        const userId = idOf(entry.user);
+        if (!userId) return { error: 'Each team member needs a user' };
+        if (seen.has(userId)) return { error: `User ${userId} is listed more than once` };
+        seen.add(userId);
+
+        const role = entry.role || 'associate';
+        if (!TEAM_ROLES.includes(role)) return { error: `Team role must be one of: ${TEAM_ROLES.join(', ')}` };
+
+        const existing = current.get(userId);
+        members.push({
+            user: userId,
+            role,
+            addedAt: existing ? existing.addedAt : new Date(),
+            addedBy: existing ? (idOf(existing.addedBy) || null) : (actorId ? String(actorId) : null)
+        });
+    }
+
+    if (members.length > 0) {
+        const validCount = await User.countDocuments({
+            _id: { $in: members.map((m) => m.user) },
+            organization: idOf(organizationId),
+            status: { $nin: ['terminated'] }
+        });
+        if (validCount !== members.length) {
+            return { error: 'One or more team members are not valid users of this organization' };
+        }
+    }
+
+    return { team: members };
+};
+
+/**
+ * Compare two team lists by user.
+ * @returns {{ added: Object[], removed: Object[], roleChanged: Array<{ user: string, from: string, to: string }> }}
+ */
+const diffTeams = (before = [], after = []) => {
+    const beforeMap = new Map(before.map((m) => [idOf(m.user), m.role]));
+    const afterMap = new Map(after.map((m) => [idOf(m.user), m.role]));
+    return {
+        added: [...afterMap].filter(([user]) => !beforeMap.has(user)).map(([user, role]) => ({ user, role })),
+        removed: [...beforeMap].filter(([user]) => !afterMap.has(user)).map(([user, role]) => ({ user, role })),
+        roleChanged: [...afterMap]
+            .filter(([user, role]) => beforeMap.has(user) && beforeMap.get(user) !== role)
+            .map(([user, role]) => ({ user, from: beforeMap.get(user), to: role }))
+    };
+};
+
+/**
+ * Notify users added to, removed from, or moved within a team (the actor is not notified about their own change).
+ * @param {Object} options
+ * @param {'case'|'client'} options.entityType
+ * @param {Object} options.entity - Case or Client (needs _id, organization)
+ * @param {string} options.label - e.g. case number or client name
+ * @param {Array} options.before
+ * @param {Array} options.after
+ * @param {string} options.actorId
+ */
+const notifyTeamChanges = async ({ entityType, entity, label, before, after, actorId }) => {
+    const { added, removed, roleChanged } = diffTeams(before, after);
+    const noun = entityType === 'case' ? 'case' : 'client';
+    const base = {
+        organization: idOf(entity.organization),
+        relatedEntityType: entityType,
+        relatedEntityId: String(entity._id),
+        createdBy: actorId ? String(actorId) : undefined
+    };
+    const context = createDispatchContext();
+    const isActor = (user) => actorId && String(user) === String(actorId);
+
+    for (const m of added) {
+        if (isActor(m.user)) continue;
+        await dispatchNotification({
+            ...base,
+            userId: m.user,
+            type: 'team_member_added',
+            title: `Added to ${noun} team`,
+            message: `You were added to ${label} as ${m.role}`
+        }, { context });
+    }
+    for (const m of removed) {
+        if (isActor(m.user)) continue;
+        await dispatchNotification({
+            ...base,
+            userId: m.user,
+            type: 'team_member_removed',
+            title: `Removed from ${noun} team`,
+            message: `You were removed from ${label}`
+        }, { context });
+    }
+    for (const m of roleChanged) {
+        if (isActor(m.user)) continue;
+        await dispatchNotification({
+            ...base,
+            userId: m.user,
+            type: 'team_role_changed',
+            title: `${noun === 'case' ? 'Case' : 'Client'} team role changed`,
+            message: `Your role on ${label} changed from ${m.from} to ${m.to}`
+        }, { context });
+    }
+
+    return { added: added.length, removed: removed.length, roleChanged: roleChanged.length };
+};
+
+module.exports = {
+    TEAM_ROLES,
+    isTeamMember,
+    teamVisibilityFilter,
+    sanitizeTeamPayload,
+    diffTeams,
+    notifyTeamChanges
+};
@@ -0,0 +1,115 @@
+// utils/timeRollups.js
+// Billable-hours rollups over TimeEntry, grouped per case, per client or per user
+
+const TimeEntry = require('../models/TimeEntry');
+const Case = require('../models/Case');
+const Client = require('../models/Client');
+const User = require('../models/User');
+
+const ROLLUP_GROUPS = ['case', 'client', 'user'];
+
+const toHours = (minutes) => Math.round(((minutes || 0) / 60) * 100) / 100;
+
+/**
+ * Aggregate finished time entries.
+ * A case with several clients counts in full towards each of them in the client rollup (and its totals).
+ * @param {Object} options
+ * @param {string} options.organizationId
+ * @param {'case'|'client'|'user'} options.by
+ * @param {Date} [options.from] - startedAt >= from
+ * @param {Date} [options.to] - startedAt <= to
+ * @param {string} [options.caseId]
+ * @param {string} [options.clientId]
+ * @param {string} [options.userId]
+ * @returns {Promise<{ rows: Object[], totals: Object }>}
+ */
+const getTimeRollup = async ({ organizationId, by, from, to, caseId, clientId, userId }) => {
+    const match = {
+        organization: String(organizationId),
+        deletedAt: null,
+        endedAt: { $ne: null }
+    };
+    if (from || to) {
+        match.startedAt = {};
+        if (from) match.startedAt.$gte = from;
+        if (to) match.startedAt.$lte = to;
+    }
+    if (caseId) match.case = String(caseId);
+    if (userId) match.user = String(userId);
+
+    const pipeline = [{ $match: match }];
+
+    // Client grouping and filtering go through the case's clients
+    if (by === 'client' || clientId) {
+        pipeline.push(
+            { $lookup: { from: Case.collection.name, localField: 'case', foreignField: '_id', as: 'caseDoc' } },
+            { $unwind: '$caseDoc' },
+            { $unwind: '$caseDoc.clients' }
+        );
+        if (clientId) pipeline.push({ $match: { 'caseDoc.clients': String(clientId) } });
+    }
+
+    const groupKey = { case: '$case', user: '$user', client: '$caseDoc.clients' }[by];
+    pipeline.push(
+        {
+            $group: {
+                _id: groupKey,
+                entryCount: { $sum: 1 },
+                totalMinutes: { $sum: '$durationMinutes' },
+                billableMinutes: { $sum: { $cond: ['$billable', '$durationMinutes', 0] } },
+                billableAmount: { $sum: '$amount' }
+            }
+        },
+        { $sort: { totalMinutes: -1 } }
+    );
+
+    const groups = await TimeEntry.aggregate(pipeline);
+    const ids = groups.map((g) => g._id);
+
+    let labels = new Map();
+    if (by === 'case') {
+        const cases = await Case.find({ _id: { $in: ids } }).setOptions({ includeDeleted: true }).select('caseNumber partyName').lean();
+        labels = new Map(cases.map((c) => [String(c._id), { caseNumber: c.caseNumber || '', partyName: c.partyName || '' }]));
+    } else if (by === 'client') {
+        const clients = await Client.find({ _id: { $in: ids } }).setOptions({ includeDeleted: true }).select('firstName lastName companyName').lean();
+        labels = new Map(clients.map((c) => [String(c._id), { name: `${c.firstName} ${c.lastName}`.trim(), companyName: c.companyName || '' }]));
+    } else {
+        const users = await User.find({ _id: { $in: ids } }).select('firstName lastName email userType hourlyRate').lean();
+        labels = new Map(users.map((u) => [String(u._id), {
+            name: `${u.firstName || ''} ${u.lastName || ''}`.trim(),
+            email: u.email,
+            userType: u.userType || 'non',
+            hourlyRate: u.hourlyRate ?? null
+        }]));
+    }
+
+    const totals = { entryCount: 0, totalHours: 0, billableHours: 0, nonBillableHours: 0, billableAmount: 0 };
+    const rows = groups.map((g) => {
+        const row = {
+            [by]: g._id,
+            ...(labels.get(String(g._id)) || {}),
+            entryCount: g.entryCount,
+            totalHours: toHours(g.totalMinutes),
+            billableHours: toHours(g.billableMinutes),
+            nonBillableHours: toHours(g.totalMinutes - g.billableMinutes),
+            billableAmount: Math.round(g.billableAmount * 100) / 100
+        };
+        totals.entryCount += g.entryCount;
+        totals.totalHours += g.totalMinutes;
+        totals.billableHours += g.billableMinutes;
+        totals.billableAmount += g.billableAmount;
+        return row;
+    });
+
+    totals.nonBillableHours = toHours(totals.totalHours - totals.billableHours);
+    totals.totalHours = toHours(totals.totalHours);
+    totals.billableHours = toHours(totals.billableHours);
+    totals.billableAmount = Math.round(totals.billableAmount * 100) / 100;
+
+    return { rows, totals };
+};
+
+module.exports = {
+    ROLLUP_GROUPS,
+    getTimeRollup
+};